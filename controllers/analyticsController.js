@@ -0,0 +1,71 @@
+const Hotel = require("../models/Hotel");
+const { canAccessHotel, hotelScopeFilter } = require("../utils/hotelScope");
+const { toUTCDateOnly } = require("../utils/legacyBookings");
+const { GROUP_BY, computeKpis } = require("../utils/hotelKpis");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MAX_RANGE_DAYS = 400;
+
+// @desc Occupancy %, ADR, RevPAR and room-nights sold per day, week or month, from stay nights
+// @route GET /api/analytics/kpis?hotelID=1&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&groupBy=day|week|month&by=hotel|category
+//        endDate is inclusive; without hotelID every hotel of the caller is reported
+const getHotelKpis = async (req, res) => {
+  const { hotelID } = req.query;
+  const groupBy = req.query.groupBy || "day";
+  const byCategory = req.query.by === "category";
+
+  const start = toUTCDateOnly(req.query.startDate);
+  const lastNight = toUTCDateOnly(req.query.endDate);
+  if (!start || !lastNight || lastNight < start) {
+    return res.status(400).json({
+      error: "startDate and endDate are required (YYYY-MM-DD) and endDate must not be before startDate",
+    });
+  }
+  const end = new Date(lastNight.getTime() + DAY_MS);
+  if ((end - start) / DAY_MS > MAX_RANGE_DAYS) {
+    return res.status(400).json({ error: `The date range cannot be longer than ${MAX_RANGE_DAYS} days` });
+  }
+  if (!GROUP_BY.includes(groupBy)) {
+    return res.status(400).json({ error: `groupBy must be one of: ${GROUP_BY.join(", ")}` });
+  }
+  if (req.query.by && !["hotel", "category"].includes(req.query.by)) {
+    return res.status(400).json({ error: "by must be 'hotel' or 'category'" });
+  }
+
+  try {
+    const filter = { ...hotelScopeFilter(req) };
+    if (hotelID) {
+      if (isNaN(Number(hotelID))) {
+        return res.status(400).json({ error: "hotelID must be a number" });
+      }
+      if (!canAccessHotel(req, hotelID)) {
+        return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+      }
+      filter.hotelID = Number(hotelID);
+    }
+
+    const hotels = await Hotel.find(filter)
+      .select("hotelID hotelName roomCategories._id roomCategories.name roomCategories.roomNumbers._id")
+      .lean();
+    if (hotelID && hotels.length === 0) {
+      return res.status(404).json({ error: "Hotel not found" });
+    }
+
+    const { rows, totals } = await computeKpis({ hotels, start, end, groupBy, byCategory });
+    res.status(200).json({
+      startDate: start,
+      endDate: lastNight,
+      groupBy,
+      by: byCategory ? "category" : "hotel",
+      hotels: hotels.map(({ hotelID: id, hotelName }) => ({ hotelID: id, hotelName })),
+      totals,
+      rows,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getHotelKpis,
+};
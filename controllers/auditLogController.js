@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const { hotelScopeFilter, canAccessHotel } = require("../utils/hotelScope");
+
+const MAX_LIMIT = 200;
+
+// @desc Query the change log; hotel users only see entries of their hotels
+// @route GET /api/audit-logs?entity=Booking&entityId=&userId=&action=&hotelID=&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&page=1&limit=50
+const getAuditLogs = async (req, res) => {
+  try {
+    const { entity, entityId, userId, action, hotelID, startDate, endDate } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const filter = { ...hotelScopeFilter(req) };
+
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = String(entityId);
+    if (userId) filter["user.id"] = String(userId);
+    if (action) filter.action = action;
+
+    if (hotelID) {
+      if (!canAccessHotel(req, hotelID)) {
+        return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+      }
+      filter.hotelID = Number(hotelID);
+    }
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        if (isNaN(start.getTime())) return res.status(400).json({ error: "Invalid startDate" });
+        filter.createdAt.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        if (isNaN(end.getTime())) return res.status(400).json({ error: "Invalid endDate" });
+        // A bare date includes the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(endDate).trim())) end.setUTCDate(end.getUTCDate() + 1);
+        filter.createdAt.$lt = end;
+      }
+    }
+
+    const [total, logs] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.status(200).json({ total, page, limit, logs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Change history of one document, oldest first
+// @route GET /api/audit-logs/:entity/:entityId
+const getEntityHistory = async (req, res) => {
+  const { entity, entityId } = req.params;
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      return res.status(400).json({ error: "Invalid entity ID" });
+    }
+
+    const logs = await AuditLog.find({ entity, entityId, ...hotelScopeFilter(req) })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({ entity, entityId, count: logs.length, logs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  getEntityHistory,
+};
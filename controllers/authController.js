@@ -6,6 +6,7 @@ const dayjs = require("dayjs");
 const utc = require("dayjs/plugin/utc");
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { snapshot, recordAudit } = require("../utils/auditLog");
 dayjs.extend(utc);
 require("dotenv").config();
 
@@ -135,6 +136,7 @@ const register = async (req, res) => {
     }
 
     const user = await User.create(createPayload);
+    await recordAudit(req, { entity: "User", entityId: user._id, action: "create", after: user });
 
     const hotelNameMap = await getHotelNameMap();
     const formatted = formatUser(user, hotelNameMap);
@@ -268,6 +270,7 @@ const updateUser = async (req, res) => {
       });
     }
 
+    const before = await User.findById(id).select("-password -plainPassword").lean();
     const updatedUser = await User.findByIdAndUpdate(id, updateData, {
       new: true,
       runValidators: true,
@@ -278,6 +281,13 @@ const updateUser = async (req, res) => {
     if (!updatedUser) {
       return res.status(404).json({ error: "User not found" });
     }
+    await recordAudit(req, {
+      entity: "User",
+      entityId: updatedUser._id,
+      action: updateData.password ? "password-change" : "update",
+      before,
+      after: updatedUser,
+    });
 
     const hotelNameMap = await getHotelNameMap();
     const responseUser = formatUser(updatedUser, hotelNameMap);
@@ -316,12 +326,15 @@ const updateStatusID = async (req, res) => {
     const user = await User.findByIdAndUpdate(
       id,
       { statusID: 255 },
-      { new: true }
+      { new: false }
     ).select("-password -plainPassword");
 
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
+    const before = snapshot(user);
+    user.statusID = 255;
+    await recordAudit(req, { entity: "User", entityId: user._id, action: "deactivate", before, after: user });
 
     res.status(200).json({
       message: "User deactivated successfully",
@@ -349,6 +362,7 @@ const hardDeleteUser = async (req, res) => {
     if (!deletedUser) {
       return res.status(404).json({ error: "User not found" });
     }
+    await recordAudit(req, { entity: "User", entityId: deletedUser._id, action: "delete", before: deletedUser });
 
     res.status(200).json({ message: "User deleted" });
   } catch (error) {
@@ -1,22 +1,56 @@
+const mongoose = require("mongoose");
 const Booking = require("../models/Booking");
 const Hotel = require("../models/Hotel");
+const Guest = require("../models/Guest");
+const RoomHold = require("../models/RoomHold");
+const {
+  generateSerialNo,
+  generateSerialNos,
+  generateBookingNo,
+  generateInvoiceNo,
+} = require("../utils/documentNumbers");
+const { hotelScopeFilter, canAccessHotel } = require("../utils/hotelScope");
+const { isManager } = require("../middleware/authMiddleware");
+const { hasRatePlan, quoteStay } = require("../utils/ratePlans");
+const { buildInvoicePdf } = require("../utils/invoicePdf");
+const {
+  DEFAULT_EARLY_DEPARTURE_POLICY,
+  resolveEarlyDeparturePolicy,
+  computeEarlyDeparture,
+} = require("../utils/cancellationPolicy");
+const { quoteCancellation, cancelConfirmedBooking } = require("../utils/bookingCancellation");
+const { snapshot, recordAudit } = require("../utils/auditLog");
+const { releaseRoomNights } = require("../utils/roomInventory");
+const { claimWithOwnHolds, convertOwnHolds, findActiveHolds } = require("../utils/roomHolds");
+const { bookingStays, roomOverlapFilter, staysOverlap } = require("../utils/staySegments");
+const { findMatchingGuests, fillBlankContacts, linkGuest } = require("../utils/guests");
+const { bookingClosedDays, closedDaysMessage } = require("../utils/dayLocks");
+const {
+  buildPaidAmountsByDate,
+  claimBookingTransactions,
+  releaseBookingTransactions,
+  entriesOf,
+  voidEntry,
+  syncBookingLedger,
+} = require("../utils/paymentLedger");
+
+// Filter matching active bookings that overlap the given stay
+// Two date ranges overlap if: startA < endB && startB < endA
+const buildOverlapFilter = (checkInDate, checkOutDate) => ({
+  statusID: { $nin: [255, 4] }, // Exclude cancelled and no-show bookings
+  // Check for date overlap: existing.checkInDate < newCheckOut AND newCheckIn < existing.checkOutDate
+  checkInDate: { $lt: new Date(checkOutDate) },
+  checkOutDate: { $gt: new Date(checkInDate) },
+});
 
 // Helper function to check for overlapping bookings
-// Two date ranges overlap if: startA < endB && startB < endA
-const checkBookingOverlap = async (hotelID, roomNumberID, roomCategoryID, checkInDate, checkOutDate, excludeBookingId = null) => {
+const checkBookingOverlap = async (hotelID, roomNumberID, roomCategoryID, checkInDate, checkOutDate, excludeBookingId = null, session = null) => {
   try {
-    const newCheckIn = new Date(checkInDate);
-    const newCheckOut = new Date(checkOutDate);
-
-    // Build filter for same hotel, room, and category
+    // Build filter for same hotel, room, and category (including segments of moved stays)
     const filter = {
       hotelID: hotelID,
-      roomNumberID: roomNumberID,
-      roomCategoryID: roomCategoryID,
-      statusID: { $ne: 255 }, // Exclude cancelled bookings
-      // Check for date overlap: existing.checkInDate < newCheckOut AND newCheckIn < existing.checkOutDate
-      checkInDate: { $lt: newCheckOut },
-      checkOutDate: { $gt: newCheckIn },
+      statusID: { $nin: [255, 4] }, // Exclude cancelled and no-show bookings
+      ...roomOverlapFilter({ roomNumberID, roomCategoryID, checkInDate, checkOutDate }),
     };
 
     // Exclude current booking if updating
@@ -24,7 +58,7 @@ const checkBookingOverlap = async (hotelID, roomNumberID, roomCategoryID, checkI
       filter._id = { $ne: excludeBookingId };
     }
 
-    const overlappingBooking = await Booking.findOne(filter);
+    const overlappingBooking = await Booking.findOne(filter).session(session);
 
     return overlappingBooking;
   } catch (error) {
@@ -33,57 +67,32 @@ const checkBookingOverlap = async (hotelID, roomNumberID, roomCategoryID, checkI
   }
 };
 
-// Helper function to generate a serial number for today's bookings
-const generateSerialNo = async () => {
-  try {
-    // Find the last booking by insertion order (using `_id` in descending order)
-    const lastBooking = await Booking.findOne().sort({ _id: -1 });
-
-    // Increment serial number based on the last serialNo, or start at 1 if no previous booking exists
-    const newSerialNo = lastBooking ? lastBooking.serialNo + 1 : 1;
-
-    return newSerialNo;
-  } catch (error) {
-    console.error("Error generating serial number:", error);
-    throw new Error("Could not generate serial number");
+// Claim the room nights of a stay for bookingId (see utils/roomInventory.js), leaving the nights
+// of req.user's own holds on the room to them until the booking is saved (convertOwnHolds).
+// Resolves to null, or to the 409 details of what holds a night the stay needs:
+// { existingBooking } or another user's { hold }.
+const claimStay = async (req, bookingId, stay) => {
+  const taken = await claimWithOwnHolds(req, bookingId, stay);
+  if (!taken) return null;
+
+  if (taken.hold) {
+    const hold = await RoomHold.findById(taken.hold).lean();
+    return { hold: { night: taken.night, heldBy: hold?.heldBy?.username, expiresAt: hold?.expiresAt } };
   }
+  const holder = taken.booking ? await Booking.findById(taken.booking).lean() : null;
+  return {
+    existingBooking: {
+      bookingNo: holder?.bookingNo,
+      checkInDate: holder?.checkInDate,
+      checkOutDate: holder?.checkOutDate,
+      guestName: holder?.fullName,
+      night: taken.night,
+    },
+  };
 };
 
-const generateBookingNo = async () => {
-  const currentDate = new Date();
-
-  // Get current year, month, and day
-  const year = currentDate.getFullYear().toString().slice(-2); // Last two digits of the year
-  const month = (currentDate.getMonth() + 1).toString().padStart(2, "0"); // Month, zero-padded
-  const day = currentDate.getDate().toString().padStart(2, "0"); // Day, zero-padded
-
-  // Generate the prefix for the booking number
-  const datePrefix = `${year}${month}${day}`;
-
-  // Fetch all booking numbers that match the current date prefix
-  const bookings = await Booking.find(
-    { bookingNo: { $regex: `^${datePrefix}` } }, // Match bookings with the same date prefix
-    { bookingNo: 1 }
-  );
-
-  // Determine the maximum serial number for today's bookings
-  let maxSerialNo = 0;
-  bookings.forEach((booking) => {
-    if (booking.bookingNo) {
-      // Extract the serial number from the bookingNo
-      const serialNo = parseInt(booking.bookingNo.slice(-2), 10); // Last 2 digits for serial
-      if (serialNo > maxSerialNo) {
-        maxSerialNo = serialNo;
-      }
-    }
-  });
-
-  // Increment the maximum serial number to generate the new booking number
-  const newSerialNo = (maxSerialNo + 1).toString().padStart(2, "0"); // Zero-padded
-  const newBookingNo = `${datePrefix}${newSerialNo}`;
-
-  return newBookingNo;
-};
+const takenMessage = (takenBy) =>
+  takenBy.hold ? "Room is on hold by another user for the selected dates" : "Room is already booked for the selected dates";
 
 const PAYMENT_METHODS = ["CASH", "BKASH", "NAGAD", "BANK", "CARD", "OTHER"];
 
@@ -134,42 +143,294 @@ function dailyAmountsToPayments(items, createdAtOverride) {
   }));
 }
 
-// Each (date, paymentMethod) e ekta single entry – last value thakbe (CASH daily + normal CASH + other methods same)
-function collapsePaymentsByDateAndMethod(payments) {
-  if (!Array.isArray(payments) || payments.length === 0) return [];
-  const byKey = new Map();
-  payments.forEach((p) => {
-    const dateStr = p.createdAt ? new Date(p.createdAt).toISOString().slice(0, 10) : new Date().toISOString().slice(0, 10);
-    const method = PAYMENT_METHODS.includes(p.paymentMethod) ? p.paymentMethod : "CASH";
-    const key = `${dateStr}:${method}`;
-    byKey.set(key, { ...p, paymentMethod: method });
-  });
-  return Array.from(byKey.values()).sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+// Submitted payments naming a recorded one (_id or receiptNo) that is unknown or was changed
+function findChangedPayments(recorded, submitted) {
+  const sameDay = (a, b) => toUTCDateOnly(a)?.getTime() === toUTCDateOnly(b)?.getTime();
+  return submitted
+    .filter((p) => p._id || p.receiptNo)
+    .filter((p) => {
+      const match = (recorded || []).find(
+        (r) => (p._id && String(r._id) === String(p._id)) || (p.receiptNo && r.receiptNo === p.receiptNo)
+      );
+      return (
+        !match ||
+        (p.amount !== undefined && Number(p.amount) !== match.amount) ||
+        (p.paymentMethod !== undefined && p.paymentMethod !== match.paymentMethod) ||
+        (p.transactionId !== undefined && String(p.transactionId).trim() !== (match.transactionId || "")) ||
+        (p.createdAt !== undefined && !sameDay(p.createdAt, match.createdAt))
+      );
+    })
+    .map(({ _id, receiptNo, amount, paymentMethod }) => ({ _id, receiptNo, amount, paymentMethod }));
 }
 
-// payments array theke date-wise totalPaid array banabo: [{ date, totalPaid }]
-function buildPaidAmountsByDate(payments) {
-  if (!Array.isArray(payments) || payments.length === 0) return [];
-  const totalsByDate = new Map();
-  const now = new Date();
-  payments.forEach((p) => {
-    const dt = p.createdAt ? new Date(p.createdAt) : now;
-    const dateKey = dt.toISOString().slice(0, 10); // YYYY-MM-DD
-    const amount = typeof p.amount === "number" ? p.amount : Number(p.amount) || 0;
-    totalsByDate.set(dateKey, (totalsByDate.get(dateKey) || 0) + amount);
+// invoiceDetails (daily CASH amounts) as the CASH total wanted per day: the CASH payments that
+// top the recorded ones up to it. Lowering a day below what was recorded is refused, since a
+// recorded payment is only taken back by voiding it. Returns { payments } or { error, details }.
+function dailyCashTopUps(recorded, invoiceDetails, createdAt) {
+  const wanted = new Map();
+  dailyAmountsToPayments(invoiceDetails, createdAt).forEach((p) => {
+    const day = p.createdAt.toISOString().slice(0, 10);
+    wanted.set(day, round2((wanted.get(day) || 0) + p.amount));
+  });
+
+  const payments = [];
+  const lowered = [];
+  wanted.forEach((amount, day) => {
+    const paid = round2(
+      (recorded || [])
+        .filter((p) => p.paymentMethod === "CASH" && toUTCDateOnly(p.createdAt)?.toISOString().slice(0, 10) === day)
+        .reduce((sum, p) => sum + p.amount, 0)
+    );
+    if (amount > paid) {
+      const createdAt = new Date(day);
+      payments.push({ paymentMethod: "CASH", amount: round2(amount - paid), transactionId: "", createdAt });
+    } else if (amount < paid) {
+      lowered.push({ date: day, recorded: paid, submitted: amount });
+    }
   });
-  return Array.from(totalsByDate.entries())
-    .map(([dateStr, totalPaid]) => ({
-      date: new Date(`${dateStr}T00:00:00.000Z`),
-      totalPaid,
-    }))
-    .sort((a, b) => a.date - b.date);
+
+  if (lowered.length > 0) {
+    return {
+      error: "invoiceDetails cannot lower the CASH already recorded for a day; void the payment instead",
+      details: { days: lowered },
+    };
+  }
+  return { payments };
+}
+
+// Build payments[], paymentMethod and paidAmountsByDate of a new booking payload (mutates bookingData)
+function preparePaymentFields(bookingData) {
+  // All payments (initial theke) payments array er vetorei thakbe
+  if (Array.isArray(bookingData.payments) && bookingData.payments.length > 0) {
+    bookingData.payments = normalizePayments(bookingData.payments, bookingData.checkInDate);
+  } else if (bookingData.advancePayment != null || bookingData.paymentMethod || bookingData.transactionId) {
+    bookingData.payments = normalizePayments(
+      [
+        {
+          paymentMethod: bookingData.paymentMethod || "CASH",
+          amount: Number(bookingData.advancePayment) || 0,
+          transactionId: bookingData.transactionId || "",
+        },
+      ],
+      bookingData.checkInDate
+    );
+  } else {
+    bookingData.payments = [];
+  }
+
+  // dailyAmounts / invoiceDetails (CASH) + normal payments – sob eki array te; each one its own ledger entry
+  // invoice theke jodi paid insert/update hoy, oi paid date = checkInDate
+  const dailyPayments = dailyAmountsToPayments(
+    bookingData.invoiceDetails || bookingData.dailyAmounts,
+    bookingData.checkInDate
+  );
+  if (dailyPayments.length > 0) {
+    bookingData.payments = [...bookingData.payments, ...dailyPayments];
+  }
+  bookingData.payments = bookingData.payments.filter((p) => p.amount > 0);
+
+  if (bookingData.paymentMethod !== undefined) {
+    const pm = String(bookingData.paymentMethod).trim();
+    bookingData.paymentMethod = PAYMENT_METHODS.includes(pm) ? pm : "";
+  }
+
+  // Date-wise total paid, based on payments[]
+  bookingData.paidAmountsByDate = buildPaidAmountsByDate(bookingData.payments);
+  return bookingData;
+}
+
+function sumPayments(payments) {
+  return (payments || []).reduce(
+    (sum, p) => sum + (typeof p.amount === "number" ? p.amount : Number(p.amount) || 0),
+    0
+  );
+}
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Room charge of a moved stay: each segment's nightly price × its nights
+const segmentsRoomCharge = (segments) =>
+  round2(segments.reduce((sum, segment) => sum + round2(segment.nightlyPrice * segment.nights), 0));
+
+// Nights between the check-in and check-out calendar days
+function countNights(checkInDate, checkOutDate) {
+  const checkIn = toUTCDateOnly(checkInDate);
+  const checkOut = toUTCDateOnly(checkOutDate);
+  if (!checkIn || !checkOut) return NaN;
+  return Math.round((checkOut - checkIn) / DAY_MS);
+}
+
+/**
+ * Server-side nights and totalBill of a booking payload.
+ * Room charge is the sum of the segments of a moved stay, else the rate plan quote when the
+ * category has one, else roomPrice × nights;
+ * totalBill = room charge + kitchenTotalBill + extraBedTotalBill + earlyDepartureCharge.
+ * A client nights/totalBill that disagrees is an error: returns { error, details } then.
+ */
+const deriveBookingAmounts = async (bookingData) => {
+  const nights = countNights(bookingData.checkInDate, bookingData.checkOutDate);
+  if (!(nights >= 1)) {
+    return { error: "Check-out date must be at least one night after check-in date" };
+  }
+  if (bookingData.nights != null && bookingData.nights !== "" && Number(bookingData.nights) !== nights) {
+    return {
+      error: "nights does not match the check-in and check-out dates",
+      details: { expectedNights: nights, submittedNights: Number(bookingData.nights) },
+    };
+  }
+
+  const hotel = await Hotel.findOne({ hotelID: bookingData.hotelID }).select("roomCategories").lean();
+  const category = (hotel?.roomCategories || []).find(
+    (c) => String(c._id) === String(bookingData.roomCategoryID)
+  );
+
+  let quote = null;
+  let roomCharge;
+  if (Array.isArray(bookingData.segments) && bookingData.segments.length > 0) {
+    roomCharge = segmentsRoomCharge(bookingData.segments);
+  } else if (category && hasRatePlan(category)) {
+    const room = (category.roomNumbers || []).find(
+      (r) => String(r._id) === String(bookingData.roomNumberID)
+    );
+    quote = quoteStay({
+      category,
+      room,
+      checkInDate: bookingData.checkInDate,
+      checkOutDate: bookingData.checkOutDate,
+    });
+    if (!quote.meetsMinStay) {
+      return { error: `Minimum stay for these dates is ${quote.minStay} nights`, details: { quote } };
+    }
+    roomCharge = quote.total;
+  } else {
+    if (bookingData.roomPrice == null || bookingData.roomPrice === "" || isNaN(Number(bookingData.roomPrice))) {
+      return { error: "roomPrice is required" };
+    }
+    roomCharge = round2(Number(bookingData.roomPrice) * nights);
+  }
+
+  const kitchenTotalBill = Number(bookingData.kitchenTotalBill) || 0;
+  const extraBedTotalBill = Number(bookingData.extraBedTotalBill) || 0;
+  const earlyDepartureCharge = Number(bookingData.earlyDepartureCharge) || 0;
+  const totalBill = round2(roomCharge + kitchenTotalBill + extraBedTotalBill + earlyDepartureCharge);
+
+  if (
+    bookingData.totalBill != null &&
+    bookingData.totalBill !== "" &&
+    Math.abs(Number(bookingData.totalBill) - totalBill) > 0.01
+  ) {
+    return {
+      error: quote ? "totalBill does not match the rate plan quote" : "totalBill does not match room price × nights plus extras",
+      details: {
+        expectedTotalBill: totalBill,
+        submittedTotalBill: Number(bookingData.totalBill),
+        roomCharge,
+        kitchenTotalBill,
+        extraBedTotalBill,
+        ...(quote && { quote }),
+      },
+    };
+  }
+
+  return { nights, totalBill };
+};
+
+// Server-derived nights/totalBill; advancePayment is what was paid at booking time
+function applyDerivedAmounts(bookingData, amounts) {
+  bookingData.nights = amounts.nights;
+  bookingData.totalBill = amounts.totalBill;
+  bookingData.advancePayment = round2(sumPayments(bookingData.payments));
+  return bookingData;
+}
+
+// Client paid/due figures that differ from the saved (server-derived) ones; reported back as warnings
+function findOverwrittenAmounts(submitted, booking, fields) {
+  return fields
+    .filter(
+      (field) =>
+        submitted[field] != null &&
+        submitted[field] !== "" &&
+        Math.abs((Number(submitted[field]) || 0) - (booking[field] || 0)) > 0.01
+    )
+    .map((field) => ({ field, submitted: Number(submitted[field]), saved: booking[field] }));
+}
+
+// Booking fields that feed nights / totalBill
+const PRICING_FIELDS = [
+  "hotelID",
+  "roomCategoryID",
+  "roomNumberID",
+  "roomPrice",
+  "checkInDate",
+  "checkOutDate",
+  "nights",
+  "kitchenTotalBill",
+  "extraBedTotalBill",
+  "totalBill",
+];
+
+// Set by the room-move / extend / shorten endpoints, never taken from a request body
+const SERVER_STAY_FIELDS = ["segments", "earlyDepartureCharge", "earlyDeparture"];
+
+// Booking fields that place the stay: hotel, room and dates
+const STAY_FIELDS = ["hotelID", "roomCategoryID", "roomNumberID", "checkInDate", "checkOutDate"];
+
+// Stored field vs incoming body value: dates by instant, numbers by value
+function isSameValue(current, incoming) {
+  if (current instanceof Date) return current.getTime() === new Date(incoming).getTime();
+  if (typeof current === "number") return current === Number(incoming);
+  return String(current ?? "") === String(incoming ?? "");
 }
 
+// Room capacity (falls back to category maxOccupancy); children may also use free adult places
+function fitsOccupancy(capacity, adults, children) {
+  const maxAdults = capacity?.adults ?? 2;
+  const maxChildren = capacity?.children ?? 0;
+  return adults <= maxAdults && adults + children <= maxAdults + maxChildren;
+}
+
+// Guest profile of a new booking. guestID fills blank contact fields from the profile; without
+// it the profile is matched by NID, phone or email. A blacklisted guest is refused unless the
+// request sets acknowledgeBlacklist. Resolves to { guest } (null if none matches yet) or { status, body }.
+const checkBookingGuest = async (bookingData) => {
+  let guest = null;
+  if (bookingData.guestID) {
+    guest = mongoose.Types.ObjectId.isValid(bookingData.guestID)
+      ? await Guest.findOne({ _id: bookingData.guestID, hotelID: Number(bookingData.hotelID) })
+      : null;
+    if (!guest) {
+      return { status: 404, body: { error: "Guest not found in this hotel" } };
+    }
+    fillBlankContacts(bookingData, guest);
+  } else {
+    [guest = null] = await findMatchingGuests(bookingData.hotelID, bookingData);
+  }
+
+  const acknowledged = bookingData.acknowledgeBlacklist === true || bookingData.acknowledgeBlacklist === "true";
+  if (guest?.blacklisted && !acknowledged) {
+    return {
+      status: 409,
+      body: {
+        error: "Guest is blacklisted; send acknowledgeBlacklist: true to book anyway",
+        details: {
+          guest: { _id: guest._id, fullName: guest.fullName, phone: guest.phone, blacklist: guest.blacklist },
+        },
+      },
+    };
+  }
+  return { guest };
+};
+
 // @desc Create a new booking
 // @route POST /api/bookings
 const createBooking = async (req, res) => {
   const bookingData = req.body;
+  const submitted = { ...req.body };
+  // Segments and early departure charges come from the move / extend / shorten endpoints only
+  SERVER_STAY_FIELDS.forEach((key) => delete bookingData[key]);
+  // Nights and transaction IDs claimed for a booking not yet written; given back if the write fails
+  let claimedId = null;
 
   try {
     // Validate required fields for overlap check
@@ -185,6 +446,15 @@ const createBooking = async (req, res) => {
       });
     }
 
+    if (!canAccessHotel(req, bookingData.hotelID)) {
+      return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+    }
+
+    const guestCheck = await checkBookingGuest(bookingData);
+    if (guestCheck.status) {
+      return res.status(guestCheck.status).json(guestCheck.body);
+    }
+
     // Check for overlapping bookings
     const overlappingBooking = await checkBookingOverlap(
       bookingData.hotelID,
@@ -212,7 +482,46 @@ const createBooking = async (req, res) => {
       });
     }
 
+    const amounts = await deriveBookingAmounts(bookingData);
+    if (amounts.error) {
+      return res.status(400).json(amounts);
+    }
+    preparePaymentFields(bookingData);
+    applyDerivedAmounts(bookingData, amounts);
+
+    // Nights and payments may not be backdated into a day closed by the night audit
+    const closedDays = await bookingClosedDays(null, bookingData);
+    if (closedDays.length > 0) {
+      return res.status(409).json({ error: closedDaysMessage(closedDays), details: { closedDays } });
+    }
+    // A wallet, card or bank transaction ID pays once, across every booking
+    const bookingId = new mongoose.Types.ObjectId();
+    const reused = await claimBookingTransactions(bookingId, bookingData.payments);
+    if (reused) {
+      const { status, ...body } = reused;
+      return res.status(status).json(body);
+    }
+
+    // The overlap check and the write are separate steps; claiming the room nights in between
+    // lets only one of several concurrent requests for the same nights through
+    const takenBy = await claimStay(req, bookingId, bookingData);
+    if (takenBy) {
+      await releaseBookingTransactions(bookingId);
+      return res.status(409).json({
+        error: takenMessage(takenBy),
+        details: {
+          ...takenBy,
+          requestedDates: {
+            checkInDate: bookingData.checkInDate,
+            checkOutDate: bookingData.checkOutDate,
+          },
+        },
+      });
+    }
+    claimedId = bookingId;
+
     let bookingNo;
+    let invoiceNo = bookingData.invoiceNo ? String(bookingData.invoiceNo).trim() : "";
     const serialNo = await generateSerialNo();
 
     // Check if the reference exists (i.e., the booking is associated with an existing bookingNo)
@@ -222,8 +531,9 @@ const createBooking = async (req, res) => {
       });
 
       if (referenceBooking) {
-        // Use the existing bookingNo from the reference
+        // Use the existing bookingNo (and invoice) from the reference
         bookingNo = referenceBooking.bookingNo;
+        invoiceNo = invoiceNo || referenceBooking.invoiceNo || "";
       } else {
         // If the reference bookingNo does not exist, generate a new booking number
         bookingNo = await generateBookingNo();
@@ -232,233 +542,1506 @@ const createBooking = async (req, res) => {
       // Generate a new booking number if no reference is provided
       bookingNo = await generateBookingNo();
     }
+    if (!invoiceNo) {
+      invoiceNo = await generateInvoiceNo(bookingData.hotelID);
+    }
 
-    // All payments (initial theke) payments array er vetorei thakbe
-    if (Array.isArray(bookingData.payments) && bookingData.payments.length > 0) {
-      bookingData.payments = normalizePayments(bookingData.payments, bookingData.checkInDate);
-    } else if (bookingData.advancePayment != null || bookingData.paymentMethod || bookingData.transactionId) {
-      bookingData.payments = normalizePayments(
-        [
-        {
-          paymentMethod: bookingData.paymentMethod || "CASH",
-          amount: Number(bookingData.advancePayment) || 0,
-          transactionId: bookingData.transactionId || "",
-        },
-        ],
-        bookingData.checkInDate
+    const created = await Booking.create({
+      ...bookingData,
+      _id: bookingId,
+      bookingNo,
+      serialNo,
+      invoiceNo,
+    });
+    claimedId = null;
+    await convertOwnHolds(req, created._id, created);
+    // The guest profile is matched or created once the booking exists; saved with the ledger sync
+    const guest = await linkGuest(created.hotelID, bookingData, guestCheck.guest);
+    created.guestID = guest?._id;
+    // The payload's payments go on the ledger and come back with their receipt numbers
+    const booking = await syncBookingLedger(req, created);
+
+    await recordAudit(req, {
+      entity: "Booking",
+      entityId: booking._id,
+      action: "create",
+      after: booking,
+      note: guest?.blacklisted ? "Blacklisted guest booked (acknowledged)" : undefined,
+    });
+
+    const warnings = findOverwrittenAmounts(submitted, booking, ["advancePayment", "totalPaid", "duePayment"]);
+    res.status(200).json({
+      message: "Booking created successfully",
+      booking,
+      ...(warnings.length > 0 && { warnings }),
+    });
+  } catch (error) {
+    if (claimedId) {
+      await releaseRoomNights(claimedId);
+      await releaseBookingTransactions(claimedId);
+    }
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// @desc Create a group reservation: several rooms under one bookingNo, all or nothing
+// @route POST /api/bookings/group
+// @body  shared guest/hotel/stay fields + rooms[] (per-room roomCategoryID, roomNumberID, roomPrice, totalBill, payments, ...)
+const createGroupBooking = async (req, res) => {
+  const { rooms, ...sharedData } = req.body;
+
+  if (!Array.isArray(rooms) || rooms.length === 0) {
+    return res.status(400).json({ error: "rooms must be a non-empty array" });
+  }
+
+  const bookingsData = rooms.map((room) => {
+    const bookingData = { ...sharedData, ...room };
+    SERVER_STAY_FIELDS.forEach((key) => delete bookingData[key]);
+    return bookingData;
+  });
+
+  for (const [index, bookingData] of bookingsData.entries()) {
+    if (!bookingData.hotelID || !bookingData.roomNumberID || !bookingData.roomCategoryID) {
+      return res.status(400).json({
+        error: `rooms[${index}]: hotelID, roomNumberID, and roomCategoryID are required to check for conflicts`,
+      });
+    }
+    if (!bookingData.checkInDate || !bookingData.checkOutDate) {
+      return res.status(400).json({ error: `rooms[${index}]: checkInDate and checkOutDate are required` });
+    }
+    if (!canAccessHotel(req, bookingData.hotelID)) {
+      return res.status(403).json({ error: `rooms[${index}]: no access to this hotel` });
+    }
+  }
+
+  // The same room twice in one request with overlapping dates
+  for (let i = 0; i < bookingsData.length; i++) {
+    for (let j = i + 1; j < bookingsData.length; j++) {
+      const a = bookingsData[i];
+      const b = bookingsData[j];
+      if (
+        String(a.hotelID) === String(b.hotelID) &&
+        a.roomNumberID === b.roomNumberID &&
+        a.roomCategoryID === b.roomCategoryID &&
+        new Date(a.checkInDate) < new Date(b.checkOutDate) &&
+        new Date(b.checkInDate) < new Date(a.checkOutDate)
+      ) {
+        return res.status(400).json({
+          error: `rooms[${i}] and rooms[${j}] book the same room for overlapping dates`,
+        });
+      }
+    }
+  }
+
+  const findConflicts = async (session = null) => {
+    const conflicts = [];
+    for (const [index, bookingData] of bookingsData.entries()) {
+      const overlappingBooking = await checkBookingOverlap(
+        bookingData.hotelID,
+        bookingData.roomNumberID,
+        bookingData.roomCategoryID,
+        bookingData.checkInDate,
+        bookingData.checkOutDate,
+        null,
+        session
       );
-    } else {
-      bookingData.payments = [];
+      if (overlappingBooking) {
+        conflicts.push({
+          index,
+          roomNumberName: bookingData.roomNumberName,
+          existingBooking: {
+            bookingNo: overlappingBooking.bookingNo,
+            checkInDate: overlappingBooking.checkInDate,
+            checkOutDate: overlappingBooking.checkOutDate,
+            guestName: overlappingBooking.fullName,
+          },
+          requestedDates: {
+            checkInDate: bookingData.checkInDate,
+            checkOutDate: bookingData.checkOutDate,
+          },
+        });
+      }
+    }
+    return conflicts;
+  };
+
+  const sendConflicts = (conflicts) =>
+    res.status(409).json({
+      error: "One or more rooms are already booked for the selected dates",
+      details: { conflicts },
+    });
+
+  // Nights and transaction IDs claimed for bookings not yet written; given back if the group is not created
+  let claimedIds = [];
+  const releaseClaims = async () => {
+    for (const bookingId of claimedIds) {
+      await releaseRoomNights(bookingId);
+      await releaseBookingTransactions(bookingId);
+    }
+    claimedIds = [];
+  };
+
+  let session;
+  try {
+    // One guest for the whole group (see createBooking)
+    const guestCheck = await checkBookingGuest(bookingsData[0]);
+    if (guestCheck.status) {
+      return res.status(guestCheck.status).json(guestCheck.body);
+    }
+    bookingsData.slice(1).forEach((bookingData) => fillBlankContacts(bookingData, bookingsData[0]));
+
+    const roomAmounts = [];
+    for (const [index, bookingData] of bookingsData.entries()) {
+      const amounts = await deriveBookingAmounts(bookingData);
+      if (amounts.error) {
+        return res.status(400).json({ ...amounts, error: `rooms[${index}]: ${amounts.error}` });
+      }
+      roomAmounts.push(amounts);
+    }
+
+    // No room may be backdated into a closed day or reuse a transaction ID (see createBooking)
+    const roomPayments = [];
+    for (const [index, bookingData] of bookingsData.entries()) {
+      const preview = applyDerivedAmounts(preparePaymentFields({ ...bookingData }), roomAmounts[index]);
+      const closedDays = await bookingClosedDays(null, preview);
+      if (closedDays.length > 0) {
+        return res
+          .status(409)
+          .json({ error: `rooms[${index}]: ${closedDaysMessage(closedDays)}`, details: { index, closedDays } });
+      }
+      roomPayments.push(preview.payments);
+    }
+
+    // Check every room before opening the transaction, so a conflict costs no write
+    const conflicts = await findConflicts();
+    if (conflicts.length > 0) {
+      return sendConflicts(conflicts);
+    }
+
+    // Claim the transaction IDs and nights of every room (see createBooking); one refused room
+    // releases them all
+    const bookingIds = bookingsData.map(() => new mongoose.Types.ObjectId());
+    claimedIds = [...bookingIds];
+    for (const [index, payments] of roomPayments.entries()) {
+      const reused = await claimBookingTransactions(bookingIds[index], payments);
+      if (reused) {
+        await releaseClaims();
+        const { status, ...body } = reused;
+        return res.status(status).json(body);
+      }
+    }
+    for (const [index, bookingData] of bookingsData.entries()) {
+      const takenBy = await claimStay(req, bookingIds[index], bookingData);
+      if (takenBy) {
+        await releaseClaims();
+        return sendConflicts([
+          {
+            index,
+            roomNumberName: bookingData.roomNumberName,
+            ...takenBy,
+            requestedDates: {
+              checkInDate: bookingData.checkInDate,
+              checkOutDate: bookingData.checkOutDate,
+            },
+          },
+        ]);
+      }
+    }
+
+    // One bookingNo and one invoice for the group; serial numbers reserved as a block
+    const bookingNo = await generateBookingNo();
+    const invoiceNo = sharedData.invoiceNo
+      ? String(sharedData.invoiceNo).trim()
+      : await generateInvoiceNo(bookingsData[0].hotelID);
+    const firstSerialNo = await generateSerialNos(bookingsData.length);
+    const submitted = bookingsData.map((bookingData) => ({ ...bookingData }));
+    const docs = bookingsData.map((bookingData, index) => ({
+      ...applyDerivedAmounts(preparePaymentFields(bookingData), roomAmounts[index]),
+      _id: bookingIds[index],
+      bookingNo,
+      serialNo: firstSerialNo + index,
+      invoiceNo,
+    }));
+
+    session = await mongoose.startSession();
+    let created = [];
+    let lateConflicts = [];
+    await session.withTransaction(async () => {
+      // Re-check inside the transaction: a booking may have landed since the first pass
+      lateConflicts = await findConflicts(session);
+      if (lateConflicts.length > 0) {
+        await session.abortTransaction();
+        return;
+      }
+      created = await Booking.create(docs, { session, ordered: true });
+    });
+
+    if (lateConflicts.length > 0) {
+      await releaseClaims();
+      return sendConflicts(lateConflicts);
+    }
+    claimedIds = [];
+    for (const booking of created) {
+      await convertOwnHolds(req, booking._id, booking);
+    }
+    // One profile for the group (see createBooking); profiles belong to a hotel, so rooms booked
+    // in another one stay unlinked
+    const guest = await linkGuest(bookingsData[0].hotelID, bookingsData[0], guestCheck.guest);
+    created.forEach((booking) => {
+      if (guest && String(booking.hotelID) === String(guest.hotelID)) booking.guestID = guest._id;
+    });
+    // Each room's payments go on the ledger (see createBooking)
+    for (const [index, booking] of created.entries()) {
+      created[index] = await syncBookingLedger(req, booking);
+    }
+
+    for (const booking of created) {
+      await recordAudit(req, {
+        entity: "Booking",
+        entityId: booking._id,
+        action: "create",
+        after: booking,
+        note: `Group booking ${bookingNo}${guest?.blacklisted ? "; blacklisted guest (acknowledged)" : ""}`,
+      });
+    }
+
+    const warnings = created.flatMap((booking, index) =>
+      findOverwrittenAmounts(submitted[index], booking, ["advancePayment", "totalPaid", "duePayment"]).map(
+        (warning) => ({ index, ...warning })
+      )
+    );
+    res.status(200).json({
+      message: "Group booking created successfully",
+      bookingNo,
+      bookings: created,
+      ...(warnings.length > 0 && { warnings }),
+    });
+  } catch (error) {
+    await releaseClaims();
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ error: messages.join(", ") });
+    }
+    res.status(400).json({ error: error.message });
+  } finally {
+    if (session) await session.endSession();
+  }
+};
+
+// @desc Group folio: total bill and payments across every room sharing a bookingNo
+// @route GET /api/bookings/bookingNo/:bookingNo/folio
+const getGroupFolio = async (req, res) => {
+  const { bookingNo } = req.params;
+
+  try {
+    const bookings = await Booking.find({ bookingNo, ...hotelScopeFilter(req) })
+      .sort({ serialNo: 1 })
+      .lean();
+
+    if (bookings.length === 0) {
+      return res.status(404).json({ error: "No bookings found for this booking number" });
+    }
+
+    const totals = {
+      totalBill: 0,
+      kitchenTotalBill: 0,
+      extraBedTotalBill: 0,
+      totalPaid: 0,
+      duePayment: 0,
+    };
+    const payments = [];
+
+    const rooms = bookings.map((booking) => {
+      const totalPaid = sumPayments(booking.payments);
+      const duePayment = Math.max(0, (booking.totalBill || 0) - totalPaid);
+      const isCancelled = booking.statusID === 255 || booking.statusID === 4;
+
+      // Cancelled and no-show rooms stay listed but do not count towards the group bill
+      if (!isCancelled) {
+        totals.totalBill += booking.totalBill || 0;
+        totals.kitchenTotalBill += booking.kitchenTotalBill || 0;
+        totals.extraBedTotalBill += booking.extraBedTotalBill || 0;
+        totals.duePayment += duePayment;
+      }
+      totals.totalPaid += totalPaid;
+
+      (booking.payments || []).forEach((p) => {
+        payments.push({
+          bookingId: booking._id,
+          roomNumberName: booking.roomNumberName,
+          paymentMethod: p.paymentMethod,
+          amount: p.amount,
+          transactionId: p.transactionId,
+          createdAt: p.createdAt,
+        });
+      });
+
+      return {
+        _id: booking._id,
+        serialNo: booking.serialNo,
+        roomCategoryName: booking.roomCategoryName,
+        roomNumberName: booking.roomNumberName,
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+        nights: booking.nights,
+        roomPrice: booking.roomPrice,
+        totalBill: booking.totalBill,
+        kitchenTotalBill: booking.kitchenTotalBill || 0,
+        extraBedTotalBill: booking.extraBedTotalBill || 0,
+        totalPaid,
+        duePayment,
+        statusID: booking.statusID,
+      };
+    });
+
+    payments.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+    Object.keys(totals).forEach((key) => {
+      totals[key] = Math.round(totals[key] * 100) / 100;
+    });
+
+    const first = bookings[0];
+    res.status(200).json({
+      bookingNo,
+      hotelID: first.hotelID,
+      hotelName: first.hotelName,
+      guest: {
+        fullName: first.fullName,
+        phone: first.phone,
+        email: first.email,
+      },
+      roomCount: rooms.length,
+      rooms,
+      payments,
+      totals,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Stream the invoice PDF of one or more bookings (all of the same hotel)
+const sendInvoicePdf = async (res, bookings, fileName) => {
+  const hotel = await Hotel.findOne({ hotelID: bookings[0].hotelID })
+    .select("hotelName address contact termsAndConditions")
+    .lean();
+  const invoiceNo = bookings.find((b) => b.invoiceNo)?.invoiceNo || bookings[0].bookingNo;
+
+  const doc = buildInvoicePdf({ hotel, bookings, invoiceNo });
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${fileName}.pdf"`);
+  doc.pipe(res);
+  doc.end();
+};
+
+// @desc Printable PDF invoice of a single booking
+// @route GET /api/booking/:id/invoice
+const getBookingInvoice = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const booking = await Booking.findOne({ _id: id, ...hotelScopeFilter(req) }).lean();
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    await sendInvoicePdf(res, [booking], `invoice-${booking.bookingNo}-${booking.serialNo || booking._id}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Printable PDF invoice of every room sharing a bookingNo
+// @route GET /api/bookings/bookingNo/:bookingNo/invoice
+const getGroupInvoice = async (req, res) => {
+  const { bookingNo } = req.params;
+
+  try {
+    const bookings = await Booking.find({ bookingNo, ...hotelScopeFilter(req) })
+      .sort({ serialNo: 1 })
+      .lean();
+    if (bookings.length === 0) {
+      return res.status(404).json({ error: "No bookings found for this booking number" });
+    }
+    await sendInvoicePdf(res, bookings, `invoice-${bookingNo}`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Update an existing booking
+// @route PUT /api/bookings/:id
+const updateBooking = async (req, res) => {
+  const { id } = req.params;
+  const bookingData = { ...req.body };
+  const submitted = { ...req.body };
+  // Segments and early departure charges come from the move / extend / shorten endpoints only
+  SERVER_STAY_FIELDS.forEach((key) => delete bookingData[key]);
+
+  if (Array.isArray(req.body.invoiceDetails)) {
+    bookingData.invoiceDetails = req.body.invoiceDetails.map((item) => ({
+      date: item.date ? new Date(item.date) : item.date,
+      dailyAmount: typeof item.dailyAmount === "number" ? item.dailyAmount : Number(item.dailyAmount) || 0,
+    }));
+  }
+  // payments: (1) body theke new entries (2) invoiceDetails = daily CASH amount. Recorded payments are
+  // ledger entries: they are not changed or removed here (see the payment ledger endpoints)
+  const hasInvoiceDetails = Array.isArray(bookingData.invoiceDetails) && bookingData.invoiceDetails.length > 0;
+  const rawBodyPayments = Array.isArray(req.body.payments) ? req.body.payments : null;
+  ["payments", "refunds", "paidAmountsByDate"].forEach((key) => delete bookingData[key]);
+
+  // Top-level paymentMethod optional; payments array is the source of truth
+  if (bookingData.paymentMethod !== undefined) {
+    const pm = String(bookingData.paymentMethod).trim();
+    bookingData.paymentMethod = PAYMENT_METHODS.includes(pm) ? pm : "";
+  }
+
+  // Set once new nights are claimed; if the save then fails, only the old stay's nights are kept
+  let newStay = null;
+  let oldStay = null;
+  // Set once the new payments' transaction IDs are claimed, until the booking is saved
+  let transactionsClaimed = false;
+
+  try {
+    const existingBooking = await Booking.findOne({ _id: id, ...hotelScopeFilter(req) });
+    if (!existingBooking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    const before = snapshot(existingBooking);
+    oldStay = before;
+    if (bookingData.hotelID !== undefined && !canAccessHotel(req, bookingData.hotelID)) {
+      return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+    }
+    const paymentsDate = bookingData.checkInDate || existingBooking.checkInDate;
+    const changedPayments = findChangedPayments(existingBooking.payments, rawBodyPayments || []);
+    if (changedPayments.length > 0) {
+      return res.status(400).json({
+        error: "Recorded payments cannot be changed or removed here; void them and record new ones instead",
+        details: { payments: changedPayments },
+      });
+    }
+    const fromBody = normalizePayments(
+      (rawBodyPayments || []).filter((p) => !p._id && !p.receiptNo),
+      paymentsDate
+    ).filter((p) => p.amount > 0);
+    const topUps = hasInvoiceDetails
+      ? dailyCashTopUps(existingBooking.payments, bookingData.invoiceDetails, paymentsDate)
+      : { payments: [] };
+    if (topUps.error) {
+      return res.status(400).json({ error: topUps.error, details: topUps.details });
+    }
+
+    // Requests rejected outright are turned away before any new nights are claimed
+    // statusID moves only through the check-in / check-out / cancel endpoints
+    if (bookingData.statusID !== undefined && Number(bookingData.statusID) !== existingBooking.statusID) {
+      return res.status(400).json({
+        error: "statusID cannot be changed here; use the check-in, check-out or cancel endpoints",
+      });
+    }
+
+    // A change to the dates, room or bill components re-derives nights and totalBill
+    const pricingChanged = PRICING_FIELDS.some(
+      (key) => bookingData[key] !== undefined && !isSameValue(existingBooking[key], bookingData[key])
+    );
+    if (pricingChanged) {
+      const amounts = await deriveBookingAmounts({ ...existingBooking.toObject(), ...bookingData });
+      if (amounts.error) {
+        return res.status(400).json(amounts);
+      }
+      bookingData.nights = amounts.nights;
+      bookingData.totalBill = amounts.totalBill;
+    }
+
+    // Check if dates or room details are being updated
+    const datesChanged =
+      bookingData.checkInDate || bookingData.checkOutDate;
+    const roomChanged =
+      bookingData.hotelID ||
+      bookingData.roomNumberID ||
+      bookingData.roomCategoryID;
+
+    // A stay split into segments changes only through the move / extend / shorten endpoints
+    const moved = existingBooking.segments.length > 0;
+    if (
+      moved &&
+      STAY_FIELDS.some((key) => bookingData[key] !== undefined && !isSameValue(existingBooking[key], bookingData[key]))
+    ) {
+      return res.status(400).json({
+        error: "This stay is split into segments; change its room or dates with the move, extend or shorten endpoints",
+      });
+    }
+
+    // If dates or room are being changed, check for overlaps
+    if (!moved && (datesChanged || roomChanged)) {
+      const hotelID = bookingData.hotelID || existingBooking.hotelID;
+      const roomNumberID =
+        bookingData.roomNumberID || existingBooking.roomNumberID;
+      const roomCategoryID =
+        bookingData.roomCategoryID || existingBooking.roomCategoryID;
+      const checkInDate =
+        bookingData.checkInDate || existingBooking.checkInDate;
+      const checkOutDate =
+        bookingData.checkOutDate || existingBooking.checkOutDate;
+
+      // Validate dates
+      if (!checkInDate || !checkOutDate) {
+        return res.status(400).json({
+          error: "checkInDate and checkOutDate are required",
+        });
+      }
+
+      // Check for overlapping bookings (excluding current booking)
+      const overlappingBooking = await checkBookingOverlap(
+        hotelID,
+        roomNumberID,
+        roomCategoryID,
+        checkInDate,
+        checkOutDate,
+        id // Exclude current booking
+      );
+
+      if (overlappingBooking) {
+        return res.status(409).json({
+          error: "Room is already booked for the selected dates",
+          details: {
+            existingBooking: {
+              bookingNo: overlappingBooking.bookingNo,
+              checkInDate: overlappingBooking.checkInDate,
+              checkOutDate: overlappingBooking.checkOutDate,
+              guestName: overlappingBooking.fullName,
+            },
+            requestedDates: {
+              checkInDate: checkInDate,
+              checkOutDate: checkOutDate,
+            },
+          },
+        });
+      }
+
+      // Cancelled and no-show bookings hold no nights; an active one claims the nights it gains
+      if (![255, 4].includes(existingBooking.statusID)) {
+        newStay = { hotelID, roomNumberID, checkInDate, checkOutDate };
+        const takenBy = await claimStay(req, existingBooking._id, newStay);
+        if (takenBy) {
+          return res.status(409).json({
+            error: takenMessage(takenBy),
+            details: {
+              ...takenBy,
+              requestedDates: { checkInDate, checkOutDate },
+            },
+          });
+        }
+      }
+    }
+
+    const keysToUpdate = Object.keys(bookingData);
+    for (const key of keysToUpdate) {
+      if (bookingData[key] !== undefined && key in existingBooking.schema.paths) {
+        existingBooking[key] = bookingData[key];
+      }
+    }
+    // New payments go on the ledger once the booking is saved (syncBookingLedger)
+    existingBooking.payments.push(...topUps.payments, ...fromBody);
+
+    // Nights and payments of days closed by the night audit stay as they were
+    const closedDays = await bookingClosedDays(before, existingBooking);
+    if (closedDays.length > 0) {
+      if (newStay) await releaseRoomNights(before._id, before);
+      return res.status(409).json({ error: closedDaysMessage(closedDays), details: { closedDays } });
+    }
+    const reused = await claimBookingTransactions(existingBooking._id, fromBody);
+    if (reused) {
+      if (newStay) await releaseRoomNights(before._id, before);
+      const { status, ...body } = reused;
+      return res.status(status).json(body);
+    }
+    transactionsClaimed = true;
+    const saved = await existingBooking.save();
+    transactionsClaimed = false;
+    // Nights the stay no longer covers go back to the inventory
+    if (newStay) {
+      await convertOwnHolds(req, saved._id, newStay);
+      await releaseRoomNights(saved._id, newStay);
+      oldStay = null;
+    }
+    const booking = await syncBookingLedger(req, saved);
+    await recordAudit(req, { entity: "Booking", entityId: booking._id, action: "update", before, after: booking });
+
+    const warnings = findOverwrittenAmounts(submitted, booking, ["totalPaid", "duePayment"]);
+    res.status(200).json({
+      message: "Booking updated successfully",
+      booking,
+      ...(warnings.length > 0 && { warnings }),
+    });
+  } catch (error) {
+    if (newStay && oldStay) await releaseRoomNights(oldStay._id, oldStay);
+    if (transactionsClaimed) await releaseBookingTransactions(id);
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ error: messages.join(", ") });
+    }
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const STATUS_LABELS = { 1: "Confirmed", 2: "Checked-in", 3: "Checked-out", 4: "No-show", 255: "Cancelled" };
+const CHECKOUT_ROOM_STATUSES = ["cleaning", "available"];
+
+// Hotel document and the room (Hotel.roomCategories[].roomNumbers[]) a booking is for
+const findBookingRoom = async (booking) => {
+  const hotel = await Hotel.findOne({ hotelID: booking.hotelID });
+  const category = (hotel?.roomCategories || []).find(
+    (c) => String(c._id) === String(booking.roomCategoryID)
+  );
+  const room = (category?.roomNumbers || []).find(
+    (r) => String(r._id) === String(booking.roomNumberID)
+  );
+  return { hotel, room };
+};
+
+// Stay workflow events go to the hotel's socket room (clients join it with "join:hotel")
+const emitStayEvent = (req, event, booking, roomStatus) => {
+  if (!req.io) return;
+  req.io.to(`hotel:${booking.hotelID}`).emit(`booking:${event}`, {
+    hotelID: booking.hotelID,
+    bookingId: booking._id,
+    bookingNo: booking.bookingNo,
+    roomCategoryID: booking.roomCategoryID,
+    roomNumberID: booking.roomNumberID,
+    roomNumberName: booking.roomNumberName,
+    statusID: booking.statusID,
+    roomStatus,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// @desc Check a guest in: Confirmed (1) -> Checked-in (2); the room becomes occupied
+// @route PUT /api/booking/:id/check-in
+const checkInBooking = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const booking = await Booking.findOne({ _id: id, ...hotelScopeFilter(req) });
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    if (booking.statusID !== 1) {
+      return res.status(409).json({
+        error: `Only confirmed bookings can be checked in (current status: ${STATUS_LABELS[booking.statusID]})`,
+      });
+    }
+
+    const { hotel, room } = await findBookingRoom(booking);
+    if (!room) {
+      return res.status(404).json({ error: "Room of this booking was not found in the hotel" });
+    }
+    if (room.status === "maintenance") {
+      return res.status(409).json({ error: "Room is under maintenance" });
+    }
+
+    const occupant = await Booking.findOne({
+      _id: { $ne: booking._id },
+      hotelID: booking.hotelID,
+      roomCategoryID: booking.roomCategoryID,
+      roomNumberID: booking.roomNumberID,
+      statusID: 2,
+    }).select("bookingNo fullName checkOutDate");
+    if (occupant) {
+      return res.status(409).json({
+        error: "Room is still occupied by another guest",
+        details: {
+          bookingNo: occupant.bookingNo,
+          guestName: occupant.fullName,
+          checkOutDate: occupant.checkOutDate,
+        },
+      });
+    }
+
+    // Conditional on the current status, so two concurrent check-ins cannot both pass
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, statusID: 1 },
+      {
+        statusID: 2,
+        checkedInAt: new Date(),
+        checkedInBy: req.user?.username,
+        updatedByID: req.user ? String(req.user._id) : undefined,
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: "Booking status changed meanwhile, reload and try again" });
+    }
+
+    room.status = "occupied";
+    await hotel.save();
+    await recordAudit(req, { entity: "Booking", entityId: updated._id, action: "check-in", before: booking, after: updated });
+
+    emitStayEvent(req, "checkedIn", updated, room.status);
+    res.status(200).json({ message: "Guest checked in successfully", booking: updated });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Check a guest out: Checked-in (2) -> Checked-out (3); the room goes to cleaning (or available)
+// @route PUT /api/booking/:id/check-out
+// @body  roomStatus: "cleaning" | "available", overrideDue: true + overrideReason (managers only) to leave with a due balance
+const checkOutBooking = async (req, res) => {
+  const { id } = req.params;
+  const { roomStatus = "cleaning", overrideDue = false, overrideReason } = req.body || {};
+
+  if (!CHECKOUT_ROOM_STATUSES.includes(roomStatus)) {
+    return res.status(400).json({ error: `roomStatus must be one of: ${CHECKOUT_ROOM_STATUSES.join(", ")}` });
+  }
+
+  try {
+    const booking = await Booking.findOne({ _id: id, ...hotelScopeFilter(req) });
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    if (booking.statusID !== 2) {
+      return res.status(409).json({
+        error: `Only checked-in bookings can be checked out (current status: ${STATUS_LABELS[booking.statusID]})`,
+      });
+    }
+
+    const update = {
+      statusID: 3,
+      checkedOutAt: new Date(),
+      checkedOutBy: req.user?.username,
+      updatedByID: req.user ? String(req.user._id) : undefined,
+    };
+
+    if (booking.duePayment > 0) {
+      if (!overrideDue) {
+        return res.status(409).json({
+          error: "Guest has an unpaid balance; collect it or ask a manager to override",
+          details: { duePayment: booking.duePayment },
+        });
+      }
+      if (!isManager(req.user)) {
+        return res.status(403).json({ error: "Only a manager can check out a guest with an unpaid balance" });
+      }
+      if (!overrideReason || !String(overrideReason).trim()) {
+        return res.status(400).json({ error: "overrideReason is required to check out with an unpaid balance" });
+      }
+      update.dueOverride = {
+        by: req.user.username,
+        reason: String(overrideReason).trim(),
+        amount: booking.duePayment,
+      };
+    }
+
+    const updated = await Booking.findOneAndUpdate({ _id: booking._id, statusID: 2 }, update, { new: true });
+    if (!updated) {
+      return res.status(409).json({ error: "Booking status changed meanwhile, reload and try again" });
+    }
+
+    // The booking is closed even if its room has since been removed from the hotel
+    const { hotel, room } = await findBookingRoom(updated);
+    if (room) {
+      room.status = roomStatus;
+      await hotel.save();
+    }
+    await recordAudit(req, {
+      entity: "Booking",
+      entityId: updated._id,
+      action: "check-out",
+      before: booking,
+      after: updated,
+      ...(update.dueOverride && { note: `Due ${update.dueOverride.amount} overridden: ${update.dueOverride.reason}` }),
+    });
+
+    emitStayEvent(req, "checkedOut", updated, room ? room.status : null);
+    res.status(200).json({ message: "Guest checked out successfully", booking: updated });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Segments of a booking as stored; a single-room stay becomes one segment at its average
+// nightly room charge, so the bill of the nights already booked does not change
+const currentSegments = (booking) => {
+  if (booking.segments.length > 0) {
+    return booking.segments.map((segment) => segment.toObject({ virtuals: false }));
+  }
+  const roomCharge = (booking.totalBill || 0) - (booking.kitchenTotalBill || 0) - (booking.extraBedTotalBill || 0);
+  return [
+    {
+      roomCategoryID: booking.roomCategoryID,
+      roomCategoryName: booking.roomCategoryName,
+      roomNumberID: booking.roomNumberID,
+      roomNumberName: booking.roomNumberName,
+      checkInDate: toUTCDateOnly(booking.checkInDate),
+      checkOutDate: toUTCDateOnly(booking.checkOutDate),
+      nightlyPrice: round2(Math.max(0, roomCharge) / booking.nights),
+      nights: booking.nights,
+    },
+  ];
+};
+
+// Night-by-night room charge of segments ({ date, dailyAmount }), for dailyAmounts
+const segmentDailyAmounts = (segments) =>
+  segments.flatMap((segment) => {
+    const items = [];
+    const checkOut = toUTCDateOnly(segment.checkOutDate);
+    for (let night = toUTCDateOnly(segment.checkInDate); night < checkOut; night = new Date(night.getTime() + DAY_MS)) {
+      items.push({ date: night, dailyAmount: segment.nightlyPrice });
+    }
+    return items;
+  });
+
+// Put segments on a booking: the current room, check-out date, totalBill and the nightly
+// breakdown (dailyAmounts) all follow from them. invoiceDetails is left alone: it is read as
+// daily CASH payments when a booking is sent back (dailyCashTopUps)
+const applySegments = (booking, segments) => {
+  const last = segments[segments.length - 1];
+  booking.segments = segments;
+  booking.roomCategoryID = String(last.roomCategoryID);
+  booking.roomCategoryName = last.roomCategoryName;
+  booking.roomNumberID = String(last.roomNumberID);
+  booking.roomNumberName = last.roomNumberName;
+  booking.roomPrice = last.nightlyPrice;
+  booking.checkOutDate = last.checkOutDate;
+  booking.totalBill = round2(
+    segmentsRoomCharge(segments) +
+      (booking.kitchenTotalBill || 0) +
+      (booking.extraBedTotalBill || 0) +
+      (booking.earlyDepartureCharge || 0)
+  );
+  booking.dailyAmounts = segmentDailyAmounts(segments);
+};
+
+// Today's nightly rate of a room for some nights: the rate plan average, else the room / category price
+const currentRoomRate = ({ category, room, checkInDate, checkOutDate }) => {
+  if (hasRatePlan(category)) {
+    const quote = quoteStay({ category, room, checkInDate, checkOutDate });
+    return round2(quote.total / quote.nights);
+  }
+  return room.price ?? category.basePrice ?? 0;
+};
+
+// @desc Move the guest to another room from a date on (room fault, upgrade). The stay is split
+//       into segments with their own room and nightly price; bookingNo and payments are kept
+// @route PUT /api/booking/:id/move
+// @body  roomCategoryID, roomNumberID, moveDate (YYYY-MM-DD, default today), nightlyPrice (optional), reason (optional)
+const moveBookingRoom = async (req, res) => {
+  const { id } = req.params;
+  const { roomCategoryID, roomNumberID, reason } = req.body || {};
+  // Nights of the new room claimed for a move not yet saved; given back if the save fails
+  let claimed = null;
+
+  if (!roomCategoryID || !roomNumberID) {
+    return res.status(400).json({ error: "roomCategoryID and roomNumberID are required" });
+  }
+  const moveDate = toUTCDateOnly(req.body.moveDate || new Date());
+  if (!moveDate) {
+    return res.status(400).json({ error: "Invalid moveDate. Use YYYY-MM-DD." });
+  }
+  const hasPrice = req.body.nightlyPrice !== undefined && req.body.nightlyPrice !== "";
+  if (hasPrice && !(Number(req.body.nightlyPrice) >= 0)) {
+    return res.status(400).json({ error: "nightlyPrice must be a non-negative number" });
+  }
+
+  try {
+    const booking = await Booking.findOne({ _id: id, ...hotelScopeFilter(req) });
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    if (![1, 2].includes(booking.statusID)) {
+      return res.status(409).json({
+        error: `Only confirmed or checked-in bookings can move rooms (current status: ${STATUS_LABELS[booking.statusID]})`,
+      });
+    }
+
+    const before = snapshot(booking);
+    const segments = currentSegments(booking);
+    const current = segments[segments.length - 1];
+    const checkOut = toUTCDateOnly(booking.checkOutDate);
+    if (moveDate < toUTCDateOnly(current.checkInDate) || moveDate >= checkOut) {
+      return res.status(400).json({
+        error: "moveDate must be a night of the current room, before the check-out date",
+        details: { currentRoomFrom: current.checkInDate, checkOutDate: booking.checkOutDate },
+      });
+    }
+    if (String(current.roomNumberID) === String(roomNumberID)) {
+      return res.status(400).json({ error: "The guest is already in this room" });
+    }
+
+    const hotel = await Hotel.findOne({ hotelID: booking.hotelID });
+    const category = (hotel?.roomCategories || []).find((c) => String(c._id) === String(roomCategoryID));
+    const room = (category?.roomNumbers || []).find((r) => String(r._id) === String(roomNumberID));
+    if (!room) {
+      return res.status(404).json({ error: "Room not found in this hotel" });
+    }
+    if (room.status === "maintenance") {
+      return res.status(409).json({ error: "Room is under maintenance" });
+    }
+
+    const newStay = {
+      hotelID: booking.hotelID,
+      roomCategoryID,
+      roomNumberID,
+      checkInDate: moveDate,
+      checkOutDate: checkOut,
+    };
+    const overlappingBooking = await checkBookingOverlap(
+      booking.hotelID,
+      roomNumberID,
+      roomCategoryID,
+      moveDate,
+      checkOut,
+      booking._id
+    );
+    if (overlappingBooking) {
+      return res.status(409).json({
+        error: "Room is already booked for the selected dates",
+        details: {
+          existingBooking: {
+            bookingNo: overlappingBooking.bookingNo,
+            checkInDate: overlappingBooking.checkInDate,
+            checkOutDate: overlappingBooking.checkOutDate,
+            guestName: overlappingBooking.fullName,
+          },
+          requestedDates: { checkInDate: moveDate, checkOutDate: checkOut },
+        },
+      });
+    }
+    const takenBy = await claimStay(req, booking._id, newStay);
+    if (takenBy) {
+      return res.status(409).json({
+        error: takenMessage(takenBy),
+        details: { ...takenBy, requestedDates: { checkInDate: moveDate, checkOutDate: checkOut } },
+      });
+    }
+    claimed = bookingStays(before);
+
+    // Rate of the new room for the remaining nights unless one is agreed
+    const remaining = countNights(moveDate, checkOut);
+    const nightlyPrice = hasPrice
+      ? round2(Number(req.body.nightlyPrice))
+      : currentRoomRate({ category, room, checkInDate: moveDate, checkOutDate: checkOut });
+
+    // Moving on the first night of the current room replaces it; otherwise it ends the night before
+    if (moveDate.getTime() === toUTCDateOnly(current.checkInDate).getTime()) {
+      segments.pop();
+    } else {
+      current.checkOutDate = moveDate;
+      current.nights = countNights(current.checkInDate, moveDate);
+    }
+    segments.push({
+      roomCategoryID: String(category._id),
+      roomCategoryName: category.name,
+      roomNumberID: String(room._id),
+      roomNumberName: room.name,
+      checkInDate: moveDate,
+      checkOutDate: checkOut,
+      nightlyPrice,
+      nights: remaining,
+      movedAt: new Date(),
+      movedBy: req.user?.username,
+      reason: reason ? String(reason).trim() : undefined,
+    });
+
+    const fromRoom = { roomCategoryID: current.roomCategoryID, roomNumberID: current.roomNumberID };
+    applySegments(booking, segments);
+    booking.updatedByID = req.user ? String(req.user._id) : undefined;
+
+    const closedDays = await bookingClosedDays(before, booking);
+    if (closedDays.length > 0) {
+      await releaseRoomNights(booking._id, claimed);
+      return res.status(409).json({ error: closedDaysMessage(closedDays), details: { closedDays } });
+    }
+    const saved = await booking.save();
+    claimed = null;
+    await convertOwnHolds(req, saved._id, newStay);
+    // Nights of the old room from moveDate on go back to the inventory
+    await releaseRoomNights(saved._id, bookingStays(saved));
+
+    // A guest already in house leaves the old room for cleaning and occupies the new one
+    let roomStatus = null;
+    if (saved.statusID === 2) {
+      const oldCategory = hotel.roomCategories.find((c) => String(c._id) === String(fromRoom.roomCategoryID));
+      const oldRoom = (oldCategory?.roomNumbers || []).find((r) => String(r._id) === String(fromRoom.roomNumberID));
+      if (oldRoom) oldRoom.status = "cleaning";
+      room.status = "occupied";
+      roomStatus = room.status;
+      await hotel.save();
+    }
+
+    await recordAudit(req, {
+      entity: "Booking",
+      entityId: saved._id,
+      action: "room-move",
+      before,
+      after: saved,
+      note: `Moved to ${room.name} from ${moveDate.toISOString().slice(0, 10)}${reason ? `: ${reason}` : ""}`,
+    });
+
+    emitStayEvent(req, "roomMoved", saved, roomStatus);
+    res.status(200).json({ message: "Room moved successfully", booking: saved });
+  } catch (error) {
+    if (claimed) await releaseRoomNights(id, claimed);
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ error: messages.join(", ") });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Extend a stay to a later check-out. Only the added nights are checked for overlaps and
+//       they are priced at the room's current rate; the nights already booked keep their price
+// @route PUT /api/booking/:id/extend
+// @body  checkOutDate (new, later), nightlyPrice (optional), reason (optional)
+const extendStay = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body || {};
+  // Added nights claimed for an extension not yet saved; given back if the save fails
+  let claimed = null;
+
+  const newCheckOut = toUTCDateOnly(req.body.checkOutDate);
+  if (!newCheckOut) {
+    return res.status(400).json({ error: "checkOutDate is required (YYYY-MM-DD)" });
+  }
+  const hasPrice = req.body.nightlyPrice !== undefined && req.body.nightlyPrice !== "";
+  if (hasPrice && !(Number(req.body.nightlyPrice) >= 0)) {
+    return res.status(400).json({ error: "nightlyPrice must be a non-negative number" });
+  }
+
+  try {
+    const booking = await Booking.findOne({ _id: id, ...hotelScopeFilter(req) });
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    if (![1, 2].includes(booking.statusID)) {
+      return res.status(409).json({
+        error: `Only confirmed or checked-in bookings can be extended (current status: ${STATUS_LABELS[booking.statusID]})`,
+      });
+    }
+    const oldCheckOut = toUTCDateOnly(booking.checkOutDate);
+    if (newCheckOut <= oldCheckOut) {
+      return res.status(400).json({
+        error: "checkOutDate must be after the current check-out date; use the shorten endpoint to end earlier",
+      });
     }
 
-    // dailyAmounts / invoiceDetails (CASH) + normal payments – sob eki array te; per (date, method) ses value thakbe
-    // invoice theke jodi paid insert/update hoy, oi paid date = checkInDate
-    const dailyPayments = dailyAmountsToPayments(
-      bookingData.invoiceDetails || bookingData.dailyAmounts,
-      bookingData.checkInDate
-    );
-    if (dailyPayments.length > 0) {
-      bookingData.payments = [...bookingData.payments, ...dailyPayments];
+    const { hotel, room } = await findBookingRoom(booking);
+    const category = (hotel?.roomCategories || []).find((c) => String(c._id) === String(booking.roomCategoryID));
+    if (!room) {
+      return res.status(404).json({ error: "Room of this booking was not found in the hotel" });
     }
-    bookingData.payments = collapsePaymentsByDateAndMethod(bookingData.payments);
 
-    if (bookingData.paymentMethod !== undefined) {
-      const pm = String(bookingData.paymentMethod).trim();
-      bookingData.paymentMethod = PAYMENT_METHODS.includes(pm) ? pm : "";
+    // Only the added nights can clash; the booked ones are already the guest's
+    const added = {
+      hotelID: booking.hotelID,
+      roomCategoryID: booking.roomCategoryID,
+      roomNumberID: booking.roomNumberID,
+      checkInDate: oldCheckOut,
+      checkOutDate: newCheckOut,
+    };
+    const overlappingBooking = await checkBookingOverlap(
+      booking.hotelID,
+      booking.roomNumberID,
+      booking.roomCategoryID,
+      oldCheckOut,
+      newCheckOut,
+      booking._id
+    );
+    if (overlappingBooking) {
+      return res.status(409).json({
+        error: "Room is already booked for the added nights",
+        details: {
+          existingBooking: {
+            bookingNo: overlappingBooking.bookingNo,
+            checkInDate: overlappingBooking.checkInDate,
+            checkOutDate: overlappingBooking.checkOutDate,
+            guestName: overlappingBooking.fullName,
+          },
+          requestedDates: { checkInDate: oldCheckOut, checkOutDate: newCheckOut },
+        },
+      });
     }
+    const before = snapshot(booking);
+    const takenBy = await claimStay(req, booking._id, added);
+    if (takenBy) {
+      return res.status(409).json({
+        error: takenMessage(takenBy),
+        details: { ...takenBy, requestedDates: { checkInDate: oldCheckOut, checkOutDate: newCheckOut } },
+      });
+    }
+    claimed = bookingStays(before);
+
+    const addedNights = countNights(oldCheckOut, newCheckOut);
+    const nightlyPrice = hasPrice
+      ? round2(Number(req.body.nightlyPrice))
+      : currentRoomRate({ category, room, checkInDate: oldCheckOut, checkOutDate: newCheckOut });
+
+    // Same price: the last segment grows; a new price starts a segment in the same room
+    const segments = currentSegments(booking);
+    const last = segments[segments.length - 1];
+    if (last.nightlyPrice === nightlyPrice) {
+      last.checkOutDate = newCheckOut;
+      last.nights += addedNights;
+    } else {
+      segments.push({
+        roomCategoryID: last.roomCategoryID,
+        roomCategoryName: last.roomCategoryName,
+        roomNumberID: last.roomNumberID,
+        roomNumberName: last.roomNumberName,
+        checkInDate: oldCheckOut,
+        checkOutDate: newCheckOut,
+        nightlyPrice,
+        nights: addedNights,
+        reason: reason ? String(reason).trim() : "Stay extension",
+      });
+    }
+    applySegments(booking, segments);
+    booking.updatedByID = req.user ? String(req.user._id) : undefined;
 
-    // Date-wise total paid, based on payments[]
-    bookingData.paidAmountsByDate = buildPaidAmountsByDate(bookingData.payments);
-
-    const booking = await Booking.create({
-      ...bookingData,
-      bookingNo,
-      serialNo,
+    const closedDays = await bookingClosedDays(before, booking);
+    if (closedDays.length > 0) {
+      await releaseRoomNights(booking._id, claimed);
+      return res.status(409).json({ error: closedDaysMessage(closedDays), details: { closedDays } });
+    }
+    const saved = await booking.save();
+    claimed = null;
+    await convertOwnHolds(req, saved._id, added);
+
+    await recordAudit(req, {
+      entity: "Booking",
+      entityId: saved._id,
+      action: "extend",
+      before,
+      after: saved,
+      note: `Extended by ${addedNights} night(s) at ${nightlyPrice}${reason ? `: ${reason}` : ""}`,
     });
 
-    res.status(200).json({ message: "Booking created successfully", booking });
+    emitStayEvent(req, "extended", saved, null);
+    res.status(200).json({
+      message: "Stay extended successfully",
+      booking: saved,
+      extension: { addedNights, nightlyPrice, addedAmount: round2(nightlyPrice * addedNights) },
+    });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    if (claimed) await releaseRoomNights(id, claimed);
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ error: messages.join(", ") });
+    }
+    res.status(500).json({ error: error.message });
   }
 };
 
-// @desc Update an existing booking
-// @route PUT /api/bookings/:id
-const updateBooking = async (req, res) => {
+// @desc Shorten a stay to an earlier check-out. For a checked-in guest (early departure) the
+//       early departure policy of the rate plan or hotel bills part of the nights given up;
+//       a manager may waive it. A confirmed booking is shortened free of charge
+// @route PUT /api/booking/:id/shorten
+// @body  checkOutDate (new, earlier), waiveCharge (optional, manager only), reason (optional)
+const shortenStay = async (req, res) => {
   const { id } = req.params;
-  const bookingData = { ...req.body };
+  const { reason } = req.body || {};
+  const waiveCharge = req.body?.waiveCharge === true || req.body?.waiveCharge === "true";
 
-  if (Array.isArray(req.body.invoiceDetails)) {
-    bookingData.invoiceDetails = req.body.invoiceDetails.map((item) => ({
-      date: item.date ? new Date(item.date) : item.date,
-      dailyAmount: typeof item.dailyAmount === "number" ? item.dailyAmount : Number(item.dailyAmount) || 0,
-    }));
+  const newCheckOut = toUTCDateOnly(req.body.checkOutDate);
+  if (!newCheckOut) {
+    return res.status(400).json({ error: "checkOutDate is required (YYYY-MM-DD)" });
   }
-  // payments: (1) body theke explicit entries (2) invoiceDetails = daily amount – per date ses value thakbe, ager vad
-  const hasInvoiceDetails = Array.isArray(bookingData.invoiceDetails) && bookingData.invoiceDetails.length > 0;
-  // Note: fromDaily checkInDate override will be finalized after we load existingBooking
-  const fromDaily = hasInvoiceDetails ? dailyAmountsToPayments(bookingData.invoiceDetails, bookingData.checkInDate) : [];
-  // fromBody will be normalized after we load existingBooking (to get fallback checkInDate)
-  const rawBodyPayments = Array.isArray(req.body.payments) ? req.body.payments : null;
-  if ((rawBodyPayments && rawBodyPayments.length > 0) || fromDaily.length > 0) delete bookingData.payments;
-
-  // Top-level paymentMethod optional; payments array is the source of truth
-  if (bookingData.paymentMethod !== undefined) {
-    const pm = String(bookingData.paymentMethod).trim();
-    bookingData.paymentMethod = PAYMENT_METHODS.includes(pm) ? pm : "";
+  if (waiveCharge && !isManager(req.user)) {
+    return res.status(403).json({ error: "Only a manager can waive the early departure charge" });
   }
 
   try {
-    const existingBooking = await Booking.findById(id);
-    if (!existingBooking) {
+    const booking = await Booking.findOne({ _id: id, ...hotelScopeFilter(req) });
+    if (!booking) {
       return res.status(404).json({ error: "Booking not found" });
     }
-    const fromBody =
-      rawBodyPayments && rawBodyPayments.length > 0
-        ? normalizePayments(rawBodyPayments, bookingData.checkInDate || existingBooking.checkInDate)
-        : [];
-    const effectiveFromDaily = hasInvoiceDetails
-      ? dailyAmountsToPayments(bookingData.invoiceDetails, bookingData.checkInDate || existingBooking.checkInDate)
-      : [];
-
-    // Check if dates or room details are being updated
-    const datesChanged =
-      bookingData.checkInDate || bookingData.checkOutDate;
-    const roomChanged =
-      bookingData.hotelID ||
-      bookingData.roomNumberID ||
-      bookingData.roomCategoryID;
-
-    // If dates or room are being changed, check for overlaps
-    if (datesChanged || roomChanged) {
-      const hotelID = bookingData.hotelID || existingBooking.hotelID;
-      const roomNumberID =
-        bookingData.roomNumberID || existingBooking.roomNumberID;
-      const roomCategoryID =
-        bookingData.roomCategoryID || existingBooking.roomCategoryID;
-      const checkInDate =
-        bookingData.checkInDate || existingBooking.checkInDate;
-      const checkOutDate =
-        bookingData.checkOutDate || existingBooking.checkOutDate;
-
-      // Validate dates
-      if (!checkInDate || !checkOutDate) {
-        return res.status(400).json({
-          error: "checkInDate and checkOutDate are required",
-        });
-      }
-
-      // Check for overlapping bookings (excluding current booking)
-      const overlappingBooking = await checkBookingOverlap(
-        hotelID,
-        roomNumberID,
-        roomCategoryID,
-        checkInDate,
-        checkOutDate,
-        id // Exclude current booking
-      );
-
-      if (overlappingBooking) {
-        return res.status(409).json({
-          error: "Room is already booked for the selected dates",
-          details: {
-            existingBooking: {
-              bookingNo: overlappingBooking.bookingNo,
-              checkInDate: overlappingBooking.checkInDate,
-              checkOutDate: overlappingBooking.checkOutDate,
-              guestName: overlappingBooking.fullName,
-            },
-            requestedDates: {
-              checkInDate: checkInDate,
-              checkOutDate: checkOutDate,
-            },
-          },
-        });
-      }
+    if (![1, 2].includes(booking.statusID)) {
+      return res.status(409).json({
+        error: `Only confirmed or checked-in bookings can be shortened (current status: ${STATUS_LABELS[booking.statusID]})`,
+      });
+    }
+    const oldCheckOut = toUTCDateOnly(booking.checkOutDate);
+    if (newCheckOut >= oldCheckOut || newCheckOut <= toUTCDateOnly(booking.checkInDate)) {
+      return res.status(400).json({
+        error: "checkOutDate must be after the check-in date and before the current check-out date",
+      });
     }
 
-    const keysToUpdate = Object.keys(bookingData);
-    for (const key of keysToUpdate) {
-      if (bookingData[key] !== undefined && key in existingBooking.schema.paths) {
-        existingBooking[key] = bookingData[key];
-      }
+    const before = snapshot(booking);
+    const segments = currentSegments(booking);
+    const releasedRates = segmentDailyAmounts(segments)
+      .filter((item) => item.date >= newCheckOut)
+      .map((item) => item.dailyAmount);
+
+    // Segments starting on or after the new check-out go; the one spanning it ends there
+    const kept = segments.filter((segment) => toUTCDateOnly(segment.checkInDate) < newCheckOut);
+    const last = kept[kept.length - 1];
+    if (toUTCDateOnly(last.checkOutDate) > newCheckOut) {
+      last.checkOutDate = newCheckOut;
+      last.nights = countNights(last.checkInDate, newCheckOut);
     }
-    // payments: existing + fromDaily + fromBody merge kore, then per (date, paymentMethod) ekta single entry – last value
-    if (fromBody.length > 0 || effectiveFromDaily.length > 0) {
-      let existing = Array.isArray(existingBooking.payments) ? existingBooking.payments : [];
-      const datesInInvoice = new Set(
-        (bookingData.invoiceDetails || []).map((item) => (item.date ? new Date(item.date).toISOString().slice(0, 10) : ""))
-      );
-      if (effectiveFromDaily.length > 0 && datesInInvoice.size > 0) {
-        existing = existing.filter((p) => {
-          if (p.paymentMethod === "CASH" && p.createdAt) {
-            const d = new Date(p.createdAt).toISOString().slice(0, 10);
-            return !datesInInvoice.has(d);
-          }
-          return true;
-        });
-      }
-      const merged = [...existing, ...effectiveFromDaily, ...fromBody];
-      existingBooking.payments = collapsePaymentsByDateAndMethod(merged);
+
+    const hotel = await Hotel.findOne({ hotelID: booking.hotelID })
+      .select("earlyDeparturePolicy roomCategories")
+      .lean();
+    const category = (hotel?.roomCategories || []).find((c) => String(c._id) === String(booking.roomCategoryID));
+    const { source, policy } = resolveEarlyDeparturePolicy(hotel, category);
+    const outcome =
+      booking.statusID === 2 && !waiveCharge
+        ? computeEarlyDeparture({ policy, releasedRates })
+        : computeEarlyDeparture({ policy: DEFAULT_EARLY_DEPARTURE_POLICY, releasedRates });
+
+    if (booking.statusID === 2) {
+      booking.earlyDepartureCharge = round2((booking.earlyDepartureCharge || 0) + outcome.charge);
+      booking.earlyDeparture = {
+        originalCheckOutDate: oldCheckOut,
+        ...outcome,
+        policySource: waiveCharge ? undefined : source,
+        recordedAt: new Date(),
+        recordedBy: req.user?.username,
+      };
     }
+    applySegments(booking, kept);
+    booking.updatedByID = req.user ? String(req.user._id) : undefined;
 
-    // Update date-wise total paid array from final payments[]
-    existingBooking.paidAmountsByDate = buildPaidAmountsByDate(existingBooking.payments);
-    const booking = await existingBooking.save();
+    const closedDays = await bookingClosedDays(before, booking);
+    if (closedDays.length > 0) {
+      return res.status(409).json({ error: closedDaysMessage(closedDays), details: { closedDays } });
+    }
+    const saved = await booking.save();
+    // Nights given up go back to the inventory
+    await releaseRoomNights(saved._id, bookingStays(saved));
+
+    await recordAudit(req, {
+      entity: "Booking",
+      entityId: saved._id,
+      action: "shorten",
+      before,
+      after: saved,
+      note:
+        `Shortened by ${outcome.releasedNights} night(s)` +
+        (outcome.charge > 0 ? `, early departure charge ${outcome.charge}` : "") +
+        (waiveCharge ? ", charge waived" : "") +
+        (reason ? `: ${reason}` : ""),
+    });
 
-    res.status(200).json({ message: "Booking updated successfully", booking });
+    emitStayEvent(req, "shortened", saved, null);
+    res.status(200).json({
+      message: "Stay shortened successfully",
+      booking: saved,
+      earlyDeparture: { ...outcome, waived: waiveCharge },
+      // Paid beyond the new bill; settle it with a refund
+      creditBalance: round2(Math.max(0, saved.totalPaid - saved.totalBill)),
+    });
   } catch (error) {
     if (error.name === "ValidationError") {
       const messages = Object.values(error.errors).map((e) => e.message);
       return res.status(400).json({ error: messages.join(", ") });
     }
-    res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
   }
 };
 
-// @desc Remove a specific payment by payment _id from a booking
+// @desc Void a payment of a booking (by payment _id or receiptNo): a void entry dated today reverses
+//       it on the payment ledger, and the booking's paid / due figures follow
 // @route DELETE /api/bookings/booking/:id/payments/:paymentId
+// @body  reason (optional)
 const clearBookingPayments = async (req, res) => {
   const { id, paymentId } = req.params;
   try {
-    const booking = await Booking.findById(id);
-    if (!booking) return res.status(404).json({ error: "Booking not found" });
+    const existing = await Booking.findOne({ _id: id, ...hotelScopeFilter(req) });
+    if (!existing) return res.status(404).json({ error: "Booking not found" });
 
     if (!paymentId) {
       return res.status(400).json({ error: "paymentId is required" });
     }
 
-    const previousLength = Array.isArray(booking.payments) ? booking.payments.length : 0;
-    booking.payments = (booking.payments || []).filter(
-      (p) => String(p._id) !== String(paymentId)
-    );
-
-    if (booking.payments.length === previousLength) {
+    const before = snapshot(existing);
+    // Payments from before the ledger are put on it first, keeping their _id (recordBookingEntries)
+    const synced = await syncBookingLedger(req, existing);
+    const payment = synced.payments.find((p) => String(p._id) === String(paymentId) || p.receiptNo === paymentId);
+    if (!payment) {
       return res.status(404).json({ error: "Payment not found in this booking" });
     }
 
-    booking.paidAmountsByDate = buildPaidAmountsByDate(booking.payments);
-    booking.totalPaid = (booking.payments || []).reduce(
-      (sum, p) => sum + (typeof p.amount === "number" ? p.amount : Number(p.amount) || 0),
-      0
-    );
+    const entries = await entriesOf({ booking: synced._id });
+    const entry = entries.find((item) => item.receiptNo === payment.receiptNo);
+    const reason = req.body?.reason ? String(req.body.reason).trim() : "Payment removed";
+    const result = await voidEntry(req, entry, reason);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
-    await booking.save();
+    const booking = await syncBookingLedger(req, synced);
+    await recordAudit(req, {
+      entity: "Booking",
+      entityId: booking._id,
+      action: "payment-void",
+      before,
+      after: booking,
+      note: `Payment ${payment.receiptNo} voided (${result.entry.receiptNo}): ${reason}`,
+    });
     return res.status(200).json({
-      message: "Booking payment removed successfully",
+      message: "Booking payment voided successfully",
       booking,
+      void: result.entry,
     });
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 };
 
+const SEARCH_SORT_FIELDS = ["createdAt", "checkInDate", "checkOutDate", "totalBill", "duePayment", "bookingNo"];
+const SEARCH_DATE_FIELDS = ["createdAt", "checkInDate", "checkOutDate"];
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Opaque cursor: the sort value and _id of the last booking of a page
+const encodeCursor = (booking, sortBy) =>
+  Buffer.from(JSON.stringify({ v: booking[sortBy] ?? null, id: String(booking._id) })).toString("base64url");
+
+function decodeCursor(cursor, sortBy) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    const value = v != null && SEARCH_DATE_FIELDS.includes(sortBy) ? new Date(v) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// { $gte, $lt } for a from / to pair of dates; a bare "to" date includes that whole day
+function dateRange(from, to) {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    const end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(to).trim())) end.setUTCDate(end.getUTCDate() + 1);
+    range.$lt = end;
+  }
+  return Object.keys(range).length > 0 ? range : null;
+}
+
+// @desc Search bookings with filters, sorting and page or cursor pagination
+// @route GET /api/bookings/search?hotelID=1&statusID=1,2&search=&checkInFrom=&checkInTo=&checkOutFrom=&checkOutTo=
+//        &createdFrom=&createdTo=&roomCategoryID=&roomNumberID=&bookedBy=&hasDue=true&paymentMethod=BKASH
+//        &sortBy=createdAt&sortOrder=desc&limit=25&page=1 (or &cursor=<nextCursor>)
+const searchBookings = async (req, res) => {
+  const { hotelID, statusID, search, roomCategoryID, roomNumberID, bookedBy, hasDue, paymentMethod, cursor } =
+    req.query;
+  const sortBy = SEARCH_SORT_FIELDS.includes(req.query.sortBy) ? req.query.sortBy : "createdAt";
+  const direction = req.query.sortOrder === "asc" ? 1 : -1;
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  try {
+    // Every condition is ANDed; several of them are $or themselves
+    const conditions = [];
+    if (hotelID) {
+      if (!canAccessHotel(req, hotelID)) {
+        return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+      }
+      conditions.push({ hotelID: Number(hotelID) });
+    } else if (req.allowedHotelIDs) {
+      conditions.push(hotelScopeFilter(req));
+    }
+
+    if (statusID) {
+      conditions.push({ statusID: { $in: String(statusID).split(",").map(Number) } });
+    }
+    [
+      ["checkInDate", req.query.checkInFrom, req.query.checkInTo],
+      ["checkOutDate", req.query.checkOutFrom, req.query.checkOutTo],
+      ["createdAt", req.query.createdFrom, req.query.createdTo],
+    ].forEach(([field, from, to]) => {
+      const range = dateRange(from, to);
+      if (range) conditions.push({ [field]: range });
+    });
+    // The current room, or any room of a moved stay
+    if (roomCategoryID) {
+      conditions.push({ $or: [{ roomCategoryID }, { "segments.roomCategoryID": roomCategoryID }] });
+    }
+    if (roomNumberID) {
+      conditions.push({ $or: [{ roomNumberID }, { "segments.roomNumberID": roomNumberID }] });
+    }
+    if (bookedBy) conditions.push({ bookedBy });
+    if (hasDue === "true") conditions.push({ duePayment: { $gt: 0 } });
+    if (paymentMethod) {
+      conditions.push({ $or: [{ paymentMethod }, { "payments.paymentMethod": paymentMethod }] });
+    }
+
+    // bookingNo, invoiceNo and phone by prefix (index range scans); guest name anywhere in it,
+    // case-insensitive (scans the fullName index, not the documents)
+    const term = search ? String(search).trim() : "";
+    if (term) {
+      const prefix = new RegExp(`^${escapeRegex(term)}`);
+      conditions.push({
+        $or: [
+          { bookingNo: prefix },
+          { invoiceNo: prefix },
+          { phone: prefix },
+          { fullName: new RegExp(escapeRegex(term), "i") },
+        ],
+      });
+    }
+
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+    const sort = { [sortBy]: direction, _id: direction };
+
+    // Cursor mode: continue after the last booking of the previous page (no skip, no total)
+    if (cursor) {
+      const after = decodeCursor(cursor, sortBy);
+      if (!after) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      const op = direction === 1 ? "$gt" : "$lt";
+      const pageFilter = {
+        $and: [
+          ...(filter.$and || []),
+          { $or: [{ [sortBy]: { [op]: after.value } }, { [sortBy]: after.value, _id: { [op]: after.id } }] },
+        ],
+      };
+      const rows = await Booking.find(pageFilter).sort(sort).limit(limit + 1).lean();
+      const bookings = rows.slice(0, limit);
+      const hasMore = rows.length > limit;
+      return res.status(200).json({
+        bookings,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(bookings[bookings.length - 1], sortBy) : null,
+      });
+    }
+
+    const [total, rows] = await Promise.all([
+      Booking.countDocuments(filter),
+      Booking.find(filter)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit + 1)
+        .lean(),
+    ]);
+    const bookings = rows.slice(0, limit);
+    const hasMore = rows.length > limit;
+    res.status(200).json({
+      bookings,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(bookings[bookings.length - 1], sortBy) : null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // @desc Get all bookings
 // @route GET /api/bookings
 const getBookings = async (req, res) => {
   try {
     // Fetch bookings excluding cancelled ones and filter out null/invalid entries
     const bookings = await Booking.find({
+      ...hotelScopeFilter(req),
       fullName: { $exists: true, $ne: null, $ne: "" },
       bookingNo: { $exists: true, $ne: null, $ne: "" },
     })
@@ -499,6 +2082,10 @@ const getBookingsByHotelId = async (req, res) => {
         .json({ error: "Invalid hotelID. Must be a number." });
     }
 
+    if (!canAccessHotel(req, numericHotelID)) {
+      return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+    }
+
     // Find all bookings associated with the given hotelID, exclude cancelled, and filter invalid
     const bookings = await Booking.find({
       hotelID: numericHotelID,
@@ -528,6 +2115,117 @@ const getBookingsByHotelId = async (req, res) => {
   }
 };
 
+// @desc Search free rooms of a hotel for a date range and party size, grouped by category
+// @route GET /api/bookings/availability?hotelID=1&checkInDate=YYYY-MM-DD&checkOutDate=YYYY-MM-DD&adults=2&children=1
+const getAvailability = async (req, res) => {
+  const { hotelID, checkInDate, checkOutDate } = req.query;
+  const adults = req.query.adults !== undefined ? Number(req.query.adults) : 1;
+  const children = req.query.children !== undefined ? Number(req.query.children) : 0;
+
+  try {
+    const numericHotelID = Number(hotelID);
+    if (!hotelID || isNaN(numericHotelID)) {
+      return res.status(400).json({ error: "hotelID query parameter is required and must be a number" });
+    }
+
+    if (!canAccessHotel(req, numericHotelID)) {
+      return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+    }
+
+    if (!checkInDate || !checkOutDate) {
+      return res.status(400).json({ error: "checkInDate and checkOutDate are required" });
+    }
+
+    const checkIn = new Date(checkInDate);
+    const checkOut = new Date(checkOutDate);
+    if (isNaN(checkIn.getTime()) || isNaN(checkOut.getTime())) {
+      return res.status(400).json({ error: "Invalid date format. Use YYYY-MM-DD." });
+    }
+    if (checkOut <= checkIn) {
+      return res.status(400).json({ error: "Check-out date must be after check-in date" });
+    }
+
+    if (!Number.isInteger(adults) || adults < 1 || !Number.isInteger(children) || children < 0) {
+      return res.status(400).json({ error: "adults must be at least 1 and children cannot be negative" });
+    }
+
+    const hotel = await Hotel.findOne({ hotelID: numericHotelID })
+      .select("hotelID hotelName roomCategories")
+      .lean();
+    if (!hotel) {
+      return res.status(404).json({ error: "Hotel not found" });
+    }
+
+    // Same overlap rule as checkBookingOverlap, for every room of the hotel in one query
+    const overlappingBookings = await Booking.find({
+      hotelID: numericHotelID,
+      ...buildOverlapFilter(checkIn, checkOut),
+    })
+      .select("hotelID roomCategoryID roomNumberID checkInDate checkOutDate segments")
+      .lean();
+    // A moved stay only takes the rooms of its segments that overlap the dates
+    const bookedRooms = new Set(
+      overlappingBookings.flatMap((booking) =>
+        bookingStays(booking)
+          .filter((stay) => staysOverlap(stay, checkIn, checkOut))
+          .map((stay) => `${stay.roomCategoryID}:${stay.roomNumberID}`)
+      )
+    );
+    // Rooms other users are holding count as taken; the caller's own holds stay bookable
+    const holds = await findActiveHolds({
+      hotelID: numericHotelID,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      excludeUserId: req.user?._id,
+    });
+    holds.forEach((hold) => bookedRooms.add(`${hold.roomCategoryID}:${hold.roomNumberID}`));
+
+    const categories = (hotel.roomCategories || [])
+      .filter((category) => category.isActive !== false)
+      .map((category) => {
+        const rooms = (category.roomNumbers || [])
+          .filter(
+            (room) =>
+              room.status !== "maintenance" &&
+              fitsOccupancy(room.capacity || category.maxOccupancy, adults, children) &&
+              !bookedRooms.has(`${category._id}:${room._id}`)
+          )
+          .map((room) => ({
+            roomNumberID: String(room._id),
+            roomNumberName: room.name,
+            roomId: room.roomId,
+            price: room.price ?? category.basePrice ?? 0,
+            capacity: room.capacity || category.maxOccupancy,
+            amenities: room.amenities || [],
+          }));
+
+        return {
+          roomCategoryID: String(category._id),
+          roomCategoryName: category.name,
+          basePrice: category.basePrice ?? 0,
+          maxOccupancy: category.maxOccupancy,
+          availableCount: rooms.length,
+          rooms,
+        };
+      })
+      .filter((category) => category.availableCount > 0);
+
+    res.status(200).json({
+      hotelID: hotel.hotelID,
+      hotelName: hotel.hotelName,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      nights: Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24)),
+      adults,
+      children,
+      totalAvailable: categories.reduce((sum, category) => sum + category.availableCount, 0),
+      categories,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // @desc Get bookings by check-in date
 // @route GET /api/bookings/checkIn?checkInDate=YYYY-MM-DD
 const getBookingsByCheckInDate = async (req, res) => {
@@ -549,6 +2247,7 @@ const getBookingsByCheckInDate = async (req, res) => {
     endOfDay.setHours(23, 59, 59, 999);
 
     const bookings = await Booking.find({
+      ...hotelScopeFilter(req),
       checkInDate: { $gte: startOfDay, $lte: endOfDay },
       fullName: { $exists: true, $ne: null, $ne: "" },
       bookingNo: { $exists: true, $ne: null, $ne: "" },
@@ -582,7 +2281,7 @@ const getBookingsByBookingNo = async (req, res) => {
 
   try {
     // Find all bookings that have the same bookingNo
-    const bookings = await Booking.find({ bookingNo: bookingNo }).lean();
+    const bookings = await Booking.find({ bookingNo: bookingNo, ...hotelScopeFilter(req) }).lean();
 
     if (bookings.length === 0) {
       return res
@@ -667,7 +2366,7 @@ const getBookingById = async (req, res) => {
   const { id } = req.params;
 
   try {
-    const booking = await Booking.findById(id).lean();
+    const booking = await Booking.findOne({ _id: id, ...hotelScopeFilter(req) }).lean();
     if (!booking) {
       return res.status(404).json({ error: "Booking not found" });
     }
@@ -719,51 +2418,87 @@ const getBookingById = async (req, res) => {
 
 /* -------------- soft delete----- */
 
-const updateStatusID = async (req, res) => {
+// Cancellation policy outcome for a booking: refund of what was paid, the rest retained
+// Cancel per policy (cancelConfirmedBooking): statusID 255, cancellation outcome and a refund on
+// the payment ledger. Resolves to { booking } or { status, body } when it cannot be cancelled.
+const cancelBooking = async (req) => {
   const { id } = req.params;
-  const { canceledBy, reason } = req.body; // Get both canceledBy and reason from the request body
+  const { canceledBy, reason, noShow, refundMethod, refundTransactionId } = req.body || {};
+  const paymentMethod = refundMethod ? String(refundMethod).trim() : "CASH";
 
-  try {
-    // Use runValidators to enforce schema validation on updates
-    const booking = await Booking.findByIdAndUpdate(
-      id,
-      {
-        statusID: 255,
-        canceledBy, // Update the canceledBy field
-        reason, // Update the reason field as well
-      },
-      { new: true, runValidators: true }
-    );
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    return { status: 400, body: { error: `refundMethod must be one of: ${PAYMENT_METHODS.join(", ")}` } };
+  }
+
+  const booking = await Booking.findOne({ _id: id, ...hotelScopeFilter(req) });
+  if (!booking) {
+    return { status: 404, body: { error: "Booking not found" } };
+  }
+  if (booking.statusID !== 1) {
+    return {
+      status: 409,
+      body: { error: `Only confirmed bookings can be cancelled (current status: ${STATUS_LABELS[booking.statusID]})` },
+    };
+  }
+
+  return cancelConfirmedBooking(req, booking, {
+    canceledBy,
+    reason,
+    noShow: noShow === true || noShow === "true",
+    paymentMethod,
+    refundTransactionId: refundTransactionId || "",
+  });
+};
+
+// @desc Preview the refund / retention of cancelling a booking now
+// @route GET /api/booking/:id/cancellation-quote?noShow=true
+const getCancellationQuote = async (req, res) => {
+  const { id } = req.params;
 
+  try {
+    const booking = await Booking.findOne({ _id: id, ...hotelScopeFilter(req) }).lean();
     if (!booking) {
       return res.status(404).json({ error: "Booking not found" });
     }
+    const outcome = await quoteCancellation(booking, { noShow: req.query.noShow === "true" });
+    res.status(200).json({ bookingId: booking._id, bookingNo: booking.bookingNo, statusID: booking.statusID, ...outcome });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Cancel a booking (statusID = 255) applying the cancellation policy
+// @route PUT /api/booking/soft/:id
+const updateStatusID = async (req, res) => {
+  try {
+    const result = await cancelBooking(req);
+    if (!result.booking) {
+      return res.status(result.status).json(result.body);
+    }
 
     res.status(200).json({
       message: "Booking status updated to 255, canceledBy and reason updated.",
-      updatedBooking: booking, // Optionally include the updated booking object for debugging
+      updatedBooking: result.booking,
+      cancellation: result.booking.cancellation,
     });
   } catch (error) {
     res.status(500).json({ error: "Server error", details: error.message });
   }
 };
 
-// @desc Soft delete a booking (set statusID = 255)
+// @desc Soft delete a booking (set statusID = 255) applying the cancellation policy
 // @route DELETE /api/booking/soft/:id
 const softDeleteBooking = async (req, res) => {
-  const { id } = req.params;
-  const { canceledBy, reason } = req.body || {};
-
   try {
-    const booking = await Booking.findByIdAndUpdate(
-      id,
-      { statusID: 255, ...(canceledBy != null && { canceledBy }), ...(reason != null && { reason }) },
-      { new: true }
-    );
-    if (!booking) {
-      return res.status(404).json({ error: "Booking not found" });
+    const result = await cancelBooking(req);
+    if (!result.booking) {
+      return res.status(result.status).json(result.body);
     }
-    res.status(200).json({ message: "Booking deleted successfully", booking });
+    res.status(200).json({
+      message: "Booking deleted successfully",
+      booking: result.booking,
+      cancellation: result.booking.cancellation,
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -775,10 +2510,22 @@ const deleteBooking = async (req, res) => {
   const { id } = req.params;
 
   try {
-    const booking = await Booking.findByIdAndDelete(id); // Hard delete – document removed from DB
+    const existing = await Booking.findOne({ _id: id, ...hotelScopeFilter(req) }).lean();
+    if (!existing) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    // Nights and payments of days closed by the night audit stay as they were
+    const closedDays = await bookingClosedDays(existing, null);
+    if (closedDays.length > 0) {
+      return res.status(409).json({ error: closedDaysMessage(closedDays), details: { closedDays } });
+    }
+
+    const booking = await Booking.findOneAndDelete({ _id: id, ...hotelScopeFilter(req) }); // Hard delete – document removed from DB
     if (!booking) {
       return res.status(404).json({ error: "Booking not found" });
     }
+    await releaseRoomNights(booking._id);
+    await recordAudit(req, { entity: "Booking", entityId: booking._id, action: "delete", before: booking });
     res.status(200).json({ message: "Booking deleted successfully" });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -791,11 +2538,14 @@ const getBookingStats = async (req, res) => {
   try {
     const { hotelID, startDate, endDate, statusID } = req.query;
 
-    // Build filter - exclude cancelled bookings by default
-    const filter = { statusID: { $ne: 255 } };
+    // Cancelled bookings are fetched too: only their retained amount counts as revenue
+    const filter = { ...hotelScopeFilter(req) };
 
     // Filter by hotelID if provided
     if (hotelID) {
+      if (!canAccessHotel(req, hotelID)) {
+        return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+      }
       filter.hotelID = parseInt(hotelID);
     }
 
@@ -817,15 +2567,20 @@ const getBookingStats = async (req, res) => {
 
     // Calculate statistics
     const stats = {
-      totalBookings: bookings.length,
+      totalBookings: 0,
       totalRevenue: 0,
       totalAdvancePayment: 0,
       totalDuePayment: 0,
       averageBill: 0,
       todayBookings: 0,
       todayRevenue: 0,
+      cancelledBookings: 0,
+      noShowBookings: 0,
+      cancellationRetained: 0,
+      totalRefunds: 0,
       statusBreakdown: {},
     };
+    let billedRevenue = 0;
 
     // Calculate today's date range
     const today = new Date();
@@ -835,8 +2590,25 @@ const getBookingStats = async (req, res) => {
 
     // Process each booking
     bookings.forEach((booking) => {
+      // Status breakdown
+      const status = booking.statusID || 1;
+      stats.statusBreakdown[status] = (stats.statusBreakdown[status] || 0) + 1;
+
+      // Cancelled / no-show: the bill is void, the amount kept under the cancellation policy is revenue
+      if (booking.statusID === 255 || booking.statusID === 4) {
+        const retained = booking.cancellation?.retainedAmount || 0;
+        if (booking.statusID === 4) stats.noShowBookings += 1;
+        else stats.cancelledBookings += 1;
+        stats.cancellationRetained += retained;
+        stats.totalRefunds += (booking.refunds || []).reduce((sum, r) => sum + (r.amount || 0), 0);
+        stats.totalRevenue += retained;
+        return;
+      }
+
       // Total revenue
+      stats.totalBookings += 1;
       stats.totalRevenue += booking.totalBill || 0;
+      billedRevenue += booking.totalBill || 0;
       stats.totalAdvancePayment += booking.advancePayment || 0;
       stats.totalDuePayment += booking.duePayment || 0;
 
@@ -846,15 +2618,11 @@ const getBookingStats = async (req, res) => {
         stats.todayBookings += 1;
         stats.todayRevenue += booking.totalBill || 0;
       }
-
-      // Status breakdown
-      const status = booking.statusID || 1;
-      stats.statusBreakdown[status] = (stats.statusBreakdown[status] || 0) + 1;
     });
 
-    // Calculate average bill
-    if (bookings.length > 0) {
-      stats.averageBill = stats.totalRevenue / bookings.length;
+    // Calculate average bill (non-cancelled bookings)
+    if (stats.totalBookings > 0) {
+      stats.averageBill = billedRevenue / stats.totalBookings;
     }
 
     // Round to 2 decimal places
@@ -863,6 +2631,8 @@ const getBookingStats = async (req, res) => {
     stats.totalDuePayment = Math.round(stats.totalDuePayment * 100) / 100;
     stats.averageBill = Math.round(stats.averageBill * 100) / 100;
     stats.todayRevenue = Math.round(stats.todayRevenue * 100) / 100;
+    stats.cancellationRetained = Math.round(stats.cancellationRetained * 100) / 100;
+    stats.totalRefunds = Math.round(stats.totalRefunds * 100) / 100;
 
     res.status(200).json(stats);
   } catch (error) {
@@ -873,14 +2643,26 @@ const getBookingStats = async (req, res) => {
 
 module.exports = {
   createBooking,
+  createGroupBooking,
+  getGroupFolio,
+  getBookingInvoice,
+  getGroupInvoice,
   updateBooking,
   getBookings,
+  searchBookings,
   getBookingsByHotelId,
   getBookingsByCheckInDate,
+  getAvailability,
   getBookingById,
   deleteBooking,
   getBookingsByBookingNo,
   updateStatusID,
+  getCancellationQuote,
+  checkInBooking,
+  checkOutBooking,
+  moveBookingRoom,
+  extendStay,
+  shortenStay,
   softDeleteBooking,
   getBookingStats,
   clearBookingPayments,
@@ -1,5 +1,14 @@
 // controllers/dailySummaryController.js
 const DailySummary = require("../models/DailySummary");
+const { hotelScopeFilter, resolveHotelID } = require("../utils/hotelScope");
+const { snapshot, recordAudit } = require("../utils/auditLog");
+const { isManager } = require("../middleware/authMiddleware");
+const {
+  PAYMENT_METHODS,
+  recomputeSummary,
+  rechainFrom,
+  findChainBreaks,
+} = require("../utils/dailySummary");
 
 // Parse date as UTC date-only so "2026-03-15" always = 15th UTC (matches DB), not local
 function toUTCDateOnly(dateInput) {
@@ -13,55 +22,63 @@ function toUTCDateOnly(dateInput) {
   return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0, 0));
 }
 
-// Create or update daily summary
+const isValidDate = (date) => date instanceof Date && !isNaN(date.getTime());
+
+const closedDayError = (res, summary) =>
+  res.status(409).json({
+    error: "This day is closed; reopen it before changing the summary",
+    details: { closedAt: summary.closedAt, closedBy: summary.closedBy },
+  });
+
+// Create or update daily summary. Income, expenses and balances are computed on the server from
+// the day's booking payments/refunds, paid orders and expenses; posted totals are ignored.
 exports.createOrUpdateDailySummary = async (req, res) => {
   try {
     const {
       date,
       openingBalance, // optional from client, will be overridden by prev day's closing if available
-      dailyIncome,
-      totalBalance,
-      dailyExpenses,
-      closingBalance,
     } = req.body;
 
+    const scope = resolveHotelID(req, req.body.hotelID);
+    if (scope.error) return res.status(scope.status).json({ error: scope.error });
+    const hotelID = scope.hotelID;
+
     // Current date as UTC midnight (e.g. 2026-03-15T00:00:00.000Z)
     const currentDate = toUTCDateOnly(date);
+    if (!date || !isValidDate(currentDate)) {
+      return res.status(400).json({ error: "date is required (YYYY-MM-DD)" });
+    }
 
-    // Porer diner opening = ager diner closing — so ager diner summary khojo (date < currentDate, last one)
-    const prevSummary = await DailySummary.findOne({ date: { $lt: currentDate } })
-      .sort({ date: -1 })
-      .lean();
-
-    const resolvedOpeningBalance =
-      prevSummary != null && prevSummary.closingBalance != null
-        ? prevSummary.closingBalance
-        : openingBalance ?? 0;
-
-    const existingSummary = await DailySummary.findOne({ date: currentDate });
+    const existingSummary = await DailySummary.findOne({ hotelID, date: currentDate });
 
     if (existingSummary) {
-      // Update existing summary
-      existingSummary.openingBalance = resolvedOpeningBalance;
-      existingSummary.dailyIncome = dailyIncome;
-      existingSummary.totalBalance = totalBalance;
-      existingSummary.dailyExpenses = dailyExpenses;
-      existingSummary.closingBalance = closingBalance;
+      if (existingSummary.status === "closed") return closedDayError(res, existingSummary);
 
+      const before = snapshot(existingSummary);
+      // Update existing summary
+      await recomputeSummary(existingSummary);
       await existingSummary.save();
+      await recordAudit(req, {
+        entity: "DailySummary",
+        entityId: existingSummary._id,
+        action: "update",
+        before,
+        after: existingSummary,
+      });
+      await rechainFrom(req, hotelID, currentDate);
       return res.status(200).json(existingSummary);
     } else {
       // Create new summary
       const newSummary = new DailySummary({
+        hotelID: hotelID ?? undefined,
         date: currentDate,
-        openingBalance: resolvedOpeningBalance,
-        dailyIncome,
-        totalBalance,
-        dailyExpenses,
-        closingBalance,
+        openingBalance: openingBalance ?? 0,
       });
 
+      await recomputeSummary(newSummary);
       await newSummary.save();
+      await recordAudit(req, { entity: "DailySummary", entityId: newSummary._id, action: "create", after: newSummary });
+      await rechainFrom(req, hotelID, currentDate);
       return res.status(201).json(newSummary);
     }
   } catch (error) {
@@ -69,38 +86,162 @@ exports.createOrUpdateDailySummary = async (req, res) => {
   }
 };
 
-// Get daily summary by date — na thakle initial format (opening = ager diner closing, baki 0)
+// Get daily summary by date. A closed day is returned as stored; an open or unsaved day is
+// computed live (opening = ager diner closing) without being saved.
 exports.getDailySummary = async (req, res) => {
   try {
     const { date } = req.params;
     const currentDate = toUTCDateOnly(date);
+    if (!isValidDate(currentDate)) {
+      return res.status(400).json({ error: "Invalid date (YYYY-MM-DD)" });
+    }
+
+    const scope = resolveHotelID(req, req.query.hotelID);
+    if (scope.error) return res.status(scope.status).json({ error: scope.error });
+    const hotelID = scope.hotelID;
 
-    const summary = await DailySummary.findOne({ date: currentDate });
+    const summary = await DailySummary.findOne({ hotelID, date: currentDate }).lean();
 
-    if (summary) {
+    if (summary && summary.status === "closed") {
       return res.status(200).json(summary);
     }
 
-    // DB te nai — initial format return: opening = ager diner closing, baki 0 (save korle ei format e save hobe)
-    const prevSummary = await DailySummary.findOne({ date: { $lt: currentDate } })
-      .sort({ date: -1 })
-      .lean();
-
-    const openingBalance =
-      prevSummary != null && prevSummary.closingBalance != null
-        ? prevSummary.closingBalance
-        : 0;
-
-    const initialSummary = {
+    // DB te nai — initial format: opening = ager diner closing, figures computed from the day's transactions
+    const liveSummary = summary || {
+      hotelID,
       date: currentDate,
-      openingBalance,
-      dailyIncome: 0,
-      totalBalance: 0,
-      dailyExpenses: 0,
-      closingBalance: 0,
+      openingBalance: 0,
+      adjustments: [],
+      status: "open",
     };
 
-    res.status(200).json(initialSummary);
+    res.status(200).json(await recomputeSummary(liveSummary));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Load (or start) the summary of :date for the hotel in req.body; sends the error response and
+// returns null when the date or hotel is invalid
+async function findOrStartSummary(req, res) {
+  const currentDate = toUTCDateOnly(req.params.date);
+  if (!isValidDate(currentDate)) {
+    res.status(400).json({ error: "Invalid date (YYYY-MM-DD)" });
+    return null;
+  }
+
+  const scope = resolveHotelID(req, req.body?.hotelID ?? req.query.hotelID);
+  if (scope.error) {
+    res.status(scope.status).json({ error: scope.error });
+    return null;
+  }
+
+  const summary = await DailySummary.findOne({ hotelID: scope.hotelID, date: currentDate });
+  return summary || new DailySummary({ hotelID: scope.hotelID ?? undefined, date: currentDate });
+}
+
+// @desc Add a manual adjustment (signed amount) to a day's income, with a reason
+// @route POST /api/daily-summary/:date/adjustments
+// @body  hotelID, amount, paymentMethod (default CASH), reason
+exports.addAdjustment = async (req, res) => {
+  const amount = Number(req.body?.amount);
+  const reason = req.body?.reason ? String(req.body.reason).trim() : "";
+  const paymentMethod = req.body?.paymentMethod ? String(req.body.paymentMethod).trim().toUpperCase() : "CASH";
+
+  if (!Number.isFinite(amount) || amount === 0) {
+    return res.status(400).json({ error: "amount must be a non-zero number" });
+  }
+  if (!reason) {
+    return res.status(400).json({ error: "reason is required" });
+  }
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    return res.status(400).json({ error: `paymentMethod must be one of ${PAYMENT_METHODS.join(", ")}` });
+  }
+
+  try {
+    const summary = await findOrStartSummary(req, res);
+    if (!summary) return;
+    if (summary.status === "closed") return closedDayError(res, summary);
+
+    const before = summary.isNew ? undefined : snapshot(summary);
+    summary.adjustments.push({ amount, paymentMethod, reason, createdBy: req.user?.username });
+    await recomputeSummary(summary);
+    await summary.save();
+
+    await recordAudit(req, {
+      entity: "DailySummary",
+      entityId: summary._id,
+      action: "adjustment",
+      before,
+      after: summary,
+      note: `${amount} ${paymentMethod}: ${reason}`,
+    });
+    await rechainFrom(req, summary.hotelID, summary.date);
+    res.status(201).json(summary);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Close a day: figures are computed a last time and the summary is locked
+// @route POST /api/daily-summary/:date/close
+// @body  hotelID
+exports.closeDailySummary = async (req, res) => {
+  try {
+    const summary = await findOrStartSummary(req, res);
+    if (!summary) return;
+    if (summary.status === "closed") return closedDayError(res, summary);
+
+    const before = summary.isNew ? undefined : snapshot(summary);
+    await recomputeSummary(summary);
+    summary.status = "closed";
+    summary.closedAt = new Date();
+    summary.closedBy = req.user?.username;
+    await summary.save();
+
+    await recordAudit(req, { entity: "DailySummary", entityId: summary._id, action: "close", before, after: summary });
+    await rechainFrom(req, summary.hotelID, summary.date);
+    res.status(200).json(summary);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Reopen a closed day (managers only) so it can be recomputed or adjusted
+// @route POST /api/daily-summary/:date/reopen
+// @body  hotelID, reason
+exports.reopenDailySummary = async (req, res) => {
+  const reason = req.body?.reason ? String(req.body.reason).trim() : "";
+
+  if (!isManager(req.user)) {
+    return res.status(403).json({ error: "Only a manager can reopen a closed day" });
+  }
+  if (!reason) {
+    return res.status(400).json({ error: "reason is required" });
+  }
+
+  try {
+    const summary = await findOrStartSummary(req, res);
+    if (!summary) return;
+    if (summary.status !== "closed") {
+      return res.status(400).json({ error: "This day is not closed" });
+    }
+
+    const before = snapshot(summary);
+    summary.status = "open";
+    summary.closedAt = undefined;
+    summary.closedBy = undefined;
+    await summary.save();
+
+    await recordAudit(req, {
+      entity: "DailySummary",
+      entityId: summary._id,
+      action: "reopen",
+      before,
+      after: summary,
+      note: reason,
+    });
+    res.status(200).json(summary);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -114,7 +255,10 @@ exports.getPreviousDayClosingBalance = async (req, res) => {
     prevDate.setUTCHours(0, 0, 0, 0);
     prevDate.setUTCDate(prevDate.getUTCDate() - 1);
 
-    const prevSummary = await DailySummary.findOne({ date: prevDate });
+    const scope = resolveHotelID(req, req.query.hotelID);
+    if (scope.error) return res.status(scope.status).json({ error: scope.error });
+
+    const prevSummary = await DailySummary.findOne({ hotelID: scope.hotelID, date: prevDate });
 
     if (!prevSummary) {
       return res.status(200).json({ closingBalance: 0 });
@@ -129,7 +273,14 @@ exports.getPreviousDayClosingBalance = async (req, res) => {
 // Get full summary for all dates
 exports.getAllDailySummaries = async (req, res) => {
   try {
-    const summaries = await DailySummary.find().sort({ date: 1 });
+    const filter = { ...hotelScopeFilter(req) };
+    if (req.query.hotelID) {
+      const scope = resolveHotelID(req, req.query.hotelID);
+      if (scope.error) return res.status(scope.status).json({ error: scope.error });
+      filter.hotelID = scope.hotelID;
+    }
+
+    const summaries = await DailySummary.find(filter).sort({ date: 1 });
 
     // Optionally group by date if needed later on frontend
     res.status(200).json(summaries);
@@ -137,3 +288,46 @@ exports.getAllDailySummaries = async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 };
+
+// @desc Dates where a hotel's opening / closing balance chain is broken
+// @route GET /api/daily-summary/chain-check?hotelID=1
+exports.getChainCheck = async (req, res) => {
+  try {
+    const scope = resolveHotelID(req, req.query.hotelID);
+    if (scope.error) return res.status(scope.status).json({ error: scope.error });
+
+    const breaks = await findChainBreaks(scope.hotelID);
+    res.status(200).json({ hotelID: scope.hotelID, consistent: breaks.length === 0, count: breaks.length, breaks });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Re-chain balances forward from a date (default: the hotel's first summary) to repair the chain;
+// closed days are not rewritten: it stops at the first one that would change (stoppedAt)
+// @route POST /api/daily-summary/rechain
+// @body  hotelID, fromDate
+exports.rechainDailySummaries = async (req, res) => {
+  try {
+    const scope = resolveHotelID(req, req.body.hotelID);
+    if (scope.error) return res.status(scope.status).json({ error: scope.error });
+
+    const fromDate = req.body.fromDate ? toUTCDateOnly(req.body.fromDate) : new Date(0);
+    if (!isValidDate(fromDate)) {
+      return res.status(400).json({ error: "Invalid fromDate (YYYY-MM-DD)" });
+    }
+
+    const { changed, stoppedAt } = await rechainFrom(req, scope.hotelID, fromDate);
+    const stoppedDay = stoppedAt && stoppedAt.date.toISOString().slice(0, 10);
+    res.status(200).json({
+      message: stoppedAt
+        ? `Balances re-chained up to ${stoppedDay}, a closed day; reopen it to carry them further`
+        : "Balances re-chained",
+      updated: changed.length,
+      summaries: changed,
+      stoppedAt,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -1,12 +1,25 @@
 const Expense = require("../models/Expense");
 const dayjs = require("dayjs");
+const { hotelScopeFilter, resolveHotelID } = require("../utils/hotelScope");
+const { recordAudit } = require("../utils/auditLog");
+const { generateExpenseNo } = require("../utils/documentNumbers");
+const { findClosedDays, findClosedDaysIn, closedDaysMessage } = require("../utils/dayLocks");
 
 // Create a new expense
 exports.createExpense = async (req, res) => {
   try {
     const { expenseCategory, expenseReason, expenseAmount, expenseDate, createdAt } = req.body;
 
+    const scope = resolveHotelID(req, req.body.hotelID);
+    if (scope.error) return res.status(scope.status).json({ message: scope.error });
+
+    // No backdating into a day closed by the night audit
+    const closedDays = await findClosedDays(scope.hotelID, [expenseDate ? new Date(expenseDate) : new Date()]);
+    if (closedDays.length > 0) return res.status(409).json({ message: closedDaysMessage(closedDays), closedDays });
+
     const newExpense = new Expense({
+      expenseNo: await generateExpenseNo(scope.hotelID),
+      hotelID: scope.hotelID ?? undefined,
       expenseCategory,
       expenseReason,
       expenseAmount,
@@ -15,6 +28,7 @@ exports.createExpense = async (req, res) => {
     });
 
     const savedExpense = await newExpense.save();
+    await recordAudit(req, { entity: "Expense", entityId: savedExpense._id, action: "create", after: savedExpense });
     res.status(200).json(savedExpense);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -24,7 +38,14 @@ exports.createExpense = async (req, res) => {
 // Get all expenses
 exports.getAllExpenses = async (req, res) => {
   try {
-    const expenses = await Expense.find().sort({ createdAt: -1 });
+    const filter = { ...hotelScopeFilter(req) };
+    if (req.query.hotelID) {
+      const scope = resolveHotelID(req, req.query.hotelID);
+      if (scope.error) return res.status(scope.status).json({ message: scope.error });
+      filter.hotelID = scope.hotelID;
+    }
+
+    const expenses = await Expense.find(filter).sort({ createdAt: -1 });
     res.json(expenses);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -34,7 +55,7 @@ exports.getAllExpenses = async (req, res) => {
 // Get single expense
 exports.getExpense = async (req, res) => {
   try {
-    const expense = await Expense.findById(req.params.id);
+    const expense = await Expense.findOne({ _id: req.params.id, ...hotelScopeFilter(req) });
     if (!expense) return res.status(404).json({ message: "Expense not found" });
     res.json(expense);
   } catch (error) {
@@ -61,14 +82,37 @@ exports.updateExpense = async (req, res) => {
       updateData.createdAt = new Date(createdAt);
     }
 
-    const updatedExpense = await Expense.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
+    if (req.body.hotelID !== undefined) {
+      const scope = resolveHotelID(req, req.body.hotelID);
+      if (scope.error) return res.status(scope.status).json({ message: scope.error });
+      updateData.hotelID = scope.hotelID;
+    }
+
+    const filter = { _id: req.params.id, ...hotelScopeFilter(req) };
+    const before = await Expense.findOne(filter).lean();
+    if (!before) return res.status(404).json({ message: "Expense not found" });
+
+    // An expense of a closed day can be neither changed nor moved into one
+    const closedDays = await findClosedDaysIn(
+      [before.hotelID, updateData.hotelID],
+      [before.expenseDate, updateData.expenseDate].filter(Boolean)
     );
+    if (closedDays.length > 0) return res.status(409).json({ message: closedDaysMessage(closedDays), closedDays });
+
+    const updatedExpense = await Expense.findOneAndUpdate(filter, updateData, {
+      new: true,
+      runValidators: true,
+    });
 
     if (!updatedExpense)
       return res.status(404).json({ message: "Expense not found" });
+    await recordAudit(req, {
+      entity: "Expense",
+      entityId: updatedExpense._id,
+      action: "update",
+      before,
+      after: updatedExpense,
+    });
     res.status(200).json(updatedExpense);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -78,9 +122,18 @@ exports.updateExpense = async (req, res) => {
 // Delete expense
 exports.deleteExpense = async (req, res) => {
   try {
-    const deletedExpense = await Expense.findByIdAndDelete(req.params.id);
+    const deletedExpense = await Expense.findOne({
+      _id: req.params.id,
+      ...hotelScopeFilter(req),
+    });
     if (!deletedExpense)
       return res.status(404).json({ message: "Expense not found" });
+
+    const closedDays = await findClosedDays(deletedExpense.hotelID, [deletedExpense.expenseDate]);
+    if (closedDays.length > 0) return res.status(409).json({ message: closedDaysMessage(closedDays), closedDays });
+
+    await deletedExpense.deleteOne();
+    await recordAudit(req, { entity: "Expense", entityId: deletedExpense._id, action: "delete", before: deletedExpense });
     res.status(200).json({ message: "Expense deleted successfully" });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -105,12 +158,20 @@ exports.getDailyExpenseSum = async (req, res) => {
         .json({ message: "Invalid date format. Please use YYYY-MM-DD" });
     }
 
+    const match = { ...hotelScopeFilter(req) };
+    if (req.query.hotelID) {
+      const scope = resolveHotelID(req, req.query.hotelID);
+      if (scope.error) return res.status(scope.status).json({ message: scope.error });
+      match.hotelID = scope.hotelID;
+    }
+
     const startOfDay = dayjs(date).startOf("day");
     const endOfDay = dayjs(date).endOf("day");
 
     const result = await Expense.aggregate([
       {
         $match: {
+          ...match,
           expenseDate: {
             $gte: startOfDay.toDate(),
             $lte: endOfDay.toDate(),
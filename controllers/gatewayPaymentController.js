@@ -0,0 +1,182 @@
+const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const GatewayPayment = require("../models/GatewayPayment");
+const { hotelScopeFilter, resolveHotelID } = require("../utils/hotelScope");
+const { getProvider, PROVIDER_NAMES } = require("../utils/paymentGateways");
+const { startGatewayPayment, completeGatewayPayment, findGatewayPayment } = require("../utils/gatewayPayments");
+
+const MAX_LIMIT = 200;
+
+// Gateway payment without its exchanges with the gateway
+const summary = (gatewayPayment) => {
+  const { events, ...rest } = gatewayPayment.toObject ? gatewayPayment.toObject() : gatewayPayment;
+  return rest;
+};
+
+// @desc Start a bKash / Nagad payment on a booking; send the guest to redirectURL
+// @route POST /api/booking/:id/gateway-payments
+// @body  provider (bkash | nagad), amount (up to the due payment)
+const createGatewayPayment = async (req, res) => {
+  const { provider } = req.body || {};
+  const amount = Math.round(Number(req.body?.amount) * 100) / 100;
+
+  if (!PROVIDER_NAMES.includes(provider)) {
+    return res.status(400).json({ error: `provider must be one of: ${PROVIDER_NAMES.join(", ")}` });
+  }
+
+  try {
+    const booking = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Booking.findOne({ _id: req.params.id, ...hotelScopeFilter(req) })
+      : null;
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+
+    const result = await startGatewayPayment(req, booking, { provider, amount });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json({
+      message: "Payment started",
+      redirectURL: result.gatewayPayment.redirectURL,
+      gatewayPayment: summary(result.gatewayPayment),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Gateway payments, newest first
+// @route GET /api/gateway-payments?hotelID=1&booking=&provider=bkash&status=completed&page=1&limit=50
+const getGatewayPayments = async (req, res) => {
+  const { booking, provider, status } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  try {
+    const filter = { ...hotelScopeFilter(req) };
+    if (req.query.hotelID) {
+      const scope = resolveHotelID(req, req.query.hotelID);
+      if (scope.error) return res.status(scope.status).json({ error: scope.error });
+      filter.hotelID = scope.hotelID;
+    }
+    if (booking !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(booking)) {
+        return res.status(400).json({ error: "booking must be a valid id" });
+      }
+      filter.booking = booking;
+    }
+    if (provider) filter.provider = provider;
+    if (status) filter.status = status;
+
+    const [total, gatewayPayments] = await Promise.all([
+      GatewayPayment.countDocuments(filter),
+      GatewayPayment.find(filter)
+        .select("-events")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+    res.status(200).json({ total, page, limit, gatewayPayments });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Gateway payment with its exchanges with the gateway
+// @route GET /api/gateway-payments/:id
+const getGatewayPaymentById = async (req, res) => {
+  try {
+    const gatewayPayment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await GatewayPayment.findOne({ _id: req.params.id, ...hotelScopeFilter(req) }).lean()
+      : null;
+    if (!gatewayPayment) {
+      return res.status(404).json({ error: "Gateway payment not found" });
+    }
+    res.status(200).json(gatewayPayment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Check a payment with the gateway again (e.g. the guest paid but never came back)
+// @route POST /api/gateway-payments/:id/verify
+const verifyGatewayPayment = async (req, res) => {
+  try {
+    const gatewayPayment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await GatewayPayment.findOne({ _id: req.params.id, ...hotelScopeFilter(req) })
+      : null;
+    if (!gatewayPayment) {
+      return res.status(404).json({ error: "Gateway payment not found" });
+    }
+
+    const result = await completeGatewayPayment(req, gatewayPayment, { source: "verify" });
+    res.status(200).json({ gatewayPayment: summary(result.gatewayPayment) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// @desc Where the gateway sends the guest back to; redirects to CLIENT_URL/payment-result when set
+// @route GET /api/payment-gateways/:provider/callback
+const gatewayCallback = async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: "Unknown payment gateway" });
+  }
+
+  try {
+    const { paymentID, approved } = provider.parseCallback(req.query);
+    const gatewayPayment = await findGatewayPayment(provider.name, { paymentID });
+    if (!gatewayPayment) {
+      return res.status(404).json({ error: "Gateway payment not found" });
+    }
+
+    const { gatewayPayment: result } = await completeGatewayPayment(req, gatewayPayment, {
+      source: "callback",
+      approved,
+    });
+    if (process.env.CLIENT_URL) {
+      const params = new URLSearchParams({
+        status: result.status,
+        bookingNo: result.bookingNo || "",
+        ...(result.receiptNo && { receiptNo: result.receiptNo }),
+      });
+      return res.redirect(`${process.env.CLIENT_URL.replace(/\/$/, "")}/payment-result?${params}`);
+    }
+    res.status(200).json({ gatewayPayment: summary(result) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// @desc Payment notification from the gateway; the payment is checked with the gateway
+// @route POST /api/payment-gateways/:provider/webhook
+const gatewayWebhook = async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: "Unknown payment gateway" });
+  }
+
+  try {
+    const gatewayPayment = await findGatewayPayment(provider.name, provider.parseWebhook(req.body));
+    if (!gatewayPayment) {
+      return res.status(404).json({ error: "Gateway payment not found" });
+    }
+
+    const { gatewayPayment: result } = await completeGatewayPayment(req, gatewayPayment, { source: "webhook" });
+    res.status(200).json({ received: true, status: result.status });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createGatewayPayment,
+  getGatewayPayments,
+  getGatewayPaymentById,
+  verifyGatewayPayment,
+  gatewayCallback,
+  gatewayWebhook,
+};
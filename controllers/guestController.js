@@ -0,0 +1,315 @@
+const mongoose = require("mongoose");
+const Guest = require("../models/Guest");
+const Booking = require("../models/Booking");
+const { hotelScopeFilter, canAccessHotel, resolveHotelID } = require("../utils/hotelScope");
+const { isManager } = require("../middleware/authMiddleware");
+const { snapshot, recordAudit } = require("../utils/auditLog");
+const {
+  CONTACT_FIELDS,
+  findMatchingGuests,
+  withStats,
+  findDuplicateGuests,
+  mergeGuests,
+} = require("../utils/guests");
+
+const MAX_LIMIT = 200;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const pickContacts = (body) =>
+  Object.fromEntries(CONTACT_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+// Guest by id within the caller's hotels (null if missing or out of scope)
+const findScopedGuest = (req, id) =>
+  mongoose.Types.ObjectId.isValid(id) ? Guest.findOne({ _id: id, ...hotelScopeFilter(req) }) : null;
+
+// @desc Guests of a hotel, with lifetime figures
+// @route GET /api/guests?hotelID=1&search=&blacklisted=true&page=1&limit=50
+const getGuests = async (req, res) => {
+  const { hotelID, search, blacklisted } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  try {
+    const filter = { ...hotelScopeFilter(req) };
+    if (hotelID) {
+      if (!canAccessHotel(req, hotelID)) {
+        return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+      }
+      filter.hotelID = Number(hotelID);
+    }
+    if (blacklisted !== undefined) filter.blacklisted = blacklisted === "true";
+    if (search && String(search).trim()) {
+      const pattern = { $regex: escapeRegex(String(search).trim()), $options: "i" };
+      filter.$or = [{ fullName: pattern }, { phone: pattern }, { email: pattern }, { nidPassport: pattern }];
+    }
+
+    const [total, guests] = await Promise.all([
+      Guest.countDocuments(filter),
+      Guest.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.status(200).json({ total, page, limit, guests: await withStats(guests) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Profiles matching a phone, email or NID/passport, best match first (to fill a booking form)
+// @route GET /api/guests/lookup?hotelID=1&phone=&email=&nidPassport=
+const lookupGuests = async (req, res) => {
+  const { hotelID, phone, email, nidPassport } = req.query;
+
+  if (!hotelID || isNaN(Number(hotelID))) {
+    return res.status(400).json({ error: "hotelID query parameter is required and must be a number" });
+  }
+  if (!canAccessHotel(req, hotelID)) {
+    return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+  }
+
+  try {
+    const guests = await findMatchingGuests(hotelID, { phone, email, nidPassport });
+    res.status(200).json({ count: guests.length, guests: await withStats(guests) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Guests of a hotel sharing a phone, email or NID/passport (candidates for merging)
+// @route GET /api/guests/duplicates?hotelID=1
+const getDuplicateGuests = async (req, res) => {
+  const { hotelID } = req.query;
+
+  if (!hotelID || isNaN(Number(hotelID))) {
+    return res.status(400).json({ error: "hotelID query parameter is required and must be a number" });
+  }
+  if (!canAccessHotel(req, hotelID)) {
+    return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+  }
+
+  try {
+    const groups = await findDuplicateGuests(hotelID);
+    res.status(200).json({ count: groups.length, groups });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Guest profile with lifetime figures and stay history (newest first)
+// @route GET /api/guests/:id
+const getGuestById = async (req, res) => {
+  try {
+    const guest = await findScopedGuest(req, req.params.id);
+    if (!guest) {
+      return res.status(404).json({ error: "Guest not found" });
+    }
+
+    const [profile] = await withStats([guest]);
+    const stays = await Booking.find({ guestID: guest._id })
+      .select(
+        "bookingNo invoiceNo hotelID roomCategoryName roomNumberName checkInDate checkOutDate nights statusID totalBill totalPaid duePayment cancellation.retainedAmount"
+      )
+      .sort({ checkInDate: -1 })
+      .lean();
+
+    res.status(200).json({ guest: profile, stays });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Create a guest profile; refused when one with the same phone, email or NID exists
+// @route POST /api/guests
+// @body  hotelID, fullName, phone, email, nidPassport, address
+const createGuest = async (req, res) => {
+  const scope = resolveHotelID(req, req.body.hotelID);
+  if (scope.error) {
+    return res.status(scope.status).json({ error: scope.error });
+  }
+  if (scope.hotelID == null) {
+    return res.status(400).json({ error: "hotelID is required" });
+  }
+
+  try {
+    const data = pickContacts(req.body);
+    const existing = await findMatchingGuests(scope.hotelID, data);
+    if (existing.length > 0) {
+      return res.status(409).json({
+        error: "A guest with this phone, email or NID/passport already exists",
+        details: {
+          guests: existing.map(({ _id, fullName, phone, email, nidPassport }) => ({
+            _id,
+            fullName,
+            phone,
+            email,
+            nidPassport,
+          })),
+        },
+      });
+    }
+
+    const guest = await Guest.create({ ...data, hotelID: scope.hotelID });
+    await recordAudit(req, { entity: "Guest", entityId: guest._id, action: "create", after: guest });
+    res.status(201).json({ message: "Guest created successfully", guest });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ error: messages.join(", ") });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Update a guest's contact fields (bookings keep the details they were made with)
+// @route PUT /api/guests/:id
+// @body  fullName, phone, email, nidPassport, address
+const updateGuest = async (req, res) => {
+  try {
+    const guest = await findScopedGuest(req, req.params.id);
+    if (!guest) {
+      return res.status(404).json({ error: "Guest not found" });
+    }
+
+    const before = snapshot(guest);
+    guest.set(pickContacts(req.body));
+    const saved = await guest.save();
+
+    await recordAudit(req, { entity: "Guest", entityId: saved._id, action: "update", before, after: saved });
+    res.status(200).json({ message: "Guest updated successfully", guest: saved });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ error: messages.join(", ") });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Add a note to a guest profile
+// @route POST /api/guests/:id/notes
+// @body  text
+const addGuestNote = async (req, res) => {
+  const text = req.body?.text ? String(req.body.text).trim() : "";
+  if (!text) {
+    return res.status(400).json({ error: "text is required" });
+  }
+
+  try {
+    const guest = await findScopedGuest(req, req.params.id);
+    if (!guest) {
+      return res.status(404).json({ error: "Guest not found" });
+    }
+
+    guest.notes.push({ text, createdBy: req.user?.username });
+    const saved = await guest.save();
+    res.status(201).json({ message: "Note added", notes: saved.notes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Blacklist a guest or lift it (managers only)
+// @route PUT /api/guests/:id/blacklist
+// @body  blacklisted (boolean), reason (required to blacklist)
+const setGuestBlacklist = async (req, res) => {
+  const blacklisted = req.body?.blacklisted === true || req.body?.blacklisted === "true";
+  const reason = req.body?.reason ? String(req.body.reason).trim() : "";
+
+  if (!isManager(req.user)) {
+    return res.status(403).json({ error: "Only a manager can change a guest's blacklist flag" });
+  }
+  if (blacklisted && !reason) {
+    return res.status(400).json({ error: "reason is required to blacklist a guest" });
+  }
+
+  try {
+    const guest = await findScopedGuest(req, req.params.id);
+    if (!guest) {
+      return res.status(404).json({ error: "Guest not found" });
+    }
+
+    const before = snapshot(guest);
+    guest.blacklisted = blacklisted;
+    guest.blacklist = blacklisted ? { reason, by: req.user?.username, at: new Date() } : undefined;
+    const saved = await guest.save();
+
+    await recordAudit(req, {
+      entity: "Guest",
+      entityId: saved._id,
+      action: blacklisted ? "blacklist" : "blacklist-lift",
+      before,
+      after: saved,
+      note: reason || undefined,
+    });
+    res.status(200).json({ message: blacklisted ? "Guest blacklisted" : "Guest removed from blacklist", guest: saved });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Merge duplicate profiles into this one: bookings are relinked and the duplicates deleted
+// @route POST /api/guests/:id/merge
+// @body  guestIDs (duplicates of the same hotel)
+const mergeGuestProfiles = async (req, res) => {
+  const guestIDs = Array.isArray(req.body?.guestIDs) ? req.body.guestIDs.map(String) : [];
+
+  if (guestIDs.length === 0 || guestIDs.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return res.status(400).json({ error: "guestIDs must be a non-empty array of guest IDs" });
+  }
+  if (guestIDs.includes(String(req.params.id))) {
+    return res.status(400).json({ error: "A guest cannot be merged into itself" });
+  }
+
+  try {
+    const primary = await findScopedGuest(req, req.params.id);
+    if (!primary) {
+      return res.status(404).json({ error: "Guest not found" });
+    }
+    const duplicates = await Guest.find({ _id: { $in: guestIDs }, hotelID: primary.hotelID });
+    if (duplicates.length !== new Set(guestIDs).size) {
+      return res.status(404).json({ error: "Some guests to merge were not found in this guest's hotel" });
+    }
+
+    const before = snapshot(primary);
+    const { relinkedBookings } = await mergeGuests(primary, duplicates);
+
+    await recordAudit(req, {
+      entity: "Guest",
+      entityId: primary._id,
+      action: "merge",
+      before,
+      after: primary,
+      note: `Merged ${duplicates.map((guest) => guest._id).join(", ")}; ${relinkedBookings} booking(s) relinked`,
+    });
+    for (const duplicate of duplicates) {
+      await recordAudit(req, {
+        entity: "Guest",
+        entityId: duplicate._id,
+        action: "delete",
+        before: duplicate,
+        note: `Merged into ${primary._id}`,
+      });
+    }
+
+    const [profile] = await withStats([primary]);
+    res.status(200).json({ message: "Guests merged successfully", guest: profile, relinkedBookings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getGuests,
+  lookupGuests,
+  getDuplicateGuests,
+  getGuestById,
+  createGuest,
+  updateGuest,
+  addGuestNote,
+  setGuestBlacklist,
+  mergeGuestProfiles,
+};
@@ -1,5 +1,22 @@
 const Hotel = require("../models/Hotel");
 const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const { quoteStay } = require("../utils/ratePlans");
+const { canAccessHotel } = require("../utils/hotelScope");
+const { generateSerialNo, generateBookingNo, generateInvoiceNo } = require("../utils/documentNumbers");
+const { recordAudit } = require("../utils/auditLog");
+const {
+  toUTCDateOnly,
+  legacyEntries,
+  fromLegacyEntry,
+  findRoomOverlap,
+  isOwnStay,
+  unbookedDates,
+  attachOccupancy,
+  stripLegacyOccupancy,
+} = require("../utils/legacyBookings");
+const { claimRoomNights, releaseRoomNights } = require("../utils/roomInventory");
+const { cancelConfirmedBooking } = require("../utils/bookingCancellation");
 
 // ============================================
 // HELPER FUNCTIONS
@@ -92,6 +109,9 @@ const normalizeHotelPayload = (body) => {
   if (data.checkInTime !== undefined) data.checkInTime = typeof data.checkInTime === "string" ? data.checkInTime.trim() : String(data.checkInTime || "");
   if (data.checkOutTime !== undefined) data.checkOutTime = typeof data.checkOutTime === "string" ? data.checkOutTime.trim() : String(data.checkOutTime || "");
 
+  // Room bookings / bookedDates are derived from the Booking collection, never stored from a payload
+  stripLegacyOccupancy(data);
+
   return data;
 };
 
@@ -221,6 +241,7 @@ const getHotels = async (req, res) => {
     ]);
 
     const totalPages = Math.ceil(total / limitNum);
+    await attachOccupancy(hotels);
 
     return sendSuccessResponse(res, 200, "Hotels retrieved successfully", {
       hotels,
@@ -271,6 +292,7 @@ const getHotelById = async (req, res) => {
     };
     hotel.checkInTime = hotel.checkInTime ?? "";
     hotel.checkOutTime = hotel.checkOutTime ?? "";
+    await attachOccupancy(hotel);
 
     return sendSuccessResponse(res, 200, "Hotel retrieved successfully", hotel);
   } catch (error) {
@@ -381,7 +403,7 @@ const deleteHotel = async (req, res) => {
 const addCategory = async (req, res) => {
   try {
     const { hotelId } = req.params;
-    const categoryData = req.body;
+    const categoryData = stripLegacyOccupancy(req.body);
 
     // Handle images from request body (image URLs from imgbb)
     if (req.body.images) {
@@ -459,10 +481,13 @@ const getCategories = async (req, res) => {
       return sendErrorResponse(res, 404, "Hotel not found");
     }
 
+    const plainHotel = hotel.toObject();
+    await attachOccupancy(plainHotel);
+
     return sendSuccessResponse(res, 200, "Categories retrieved successfully", {
       hotelID: hotel.hotelID,
       hotelName: hotel.hotelName,
-      categories: hotel.roomCategories,
+      categories: plainHotel.roomCategories,
     });
   } catch (error) {
     console.error("Get categories error:", error);
@@ -478,7 +503,7 @@ const getCategories = async (req, res) => {
 const updateCategory = async (req, res) => {
   try {
     const { hotelId, categoryId } = req.params;
-    const updateData = req.body;
+    const updateData = stripLegacyOccupancy(req.body);
 
     // Find hotel
     let hotel;
@@ -566,6 +591,66 @@ const deleteCategory = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Night-by-night price quote for a stay in a category
+ * @route   GET /api/hotels/:hotelId/categories/:categoryId/quote
+ * @access  Private
+ * @query   checkInDate, checkOutDate, roomId (optional – uses the room's own price)
+ */
+const getCategoryQuote = async (req, res) => {
+  try {
+    const { hotelId, categoryId } = req.params;
+    const { checkInDate, checkOutDate, roomId } = req.query;
+
+    if (!checkInDate || !checkOutDate) {
+      return sendErrorResponse(res, 400, "checkInDate and checkOutDate are required");
+    }
+
+    // Find hotel
+    let hotel;
+    if (mongoose.Types.ObjectId.isValid(hotelId)) {
+      hotel = await Hotel.findById(hotelId).select("roomCategories hotelID hotelName");
+    } else {
+      hotel = await Hotel.findOne({ hotelID: parseInt(hotelId) }).select("roomCategories hotelID hotelName");
+    }
+
+    if (!hotel) {
+      return sendErrorResponse(res, 404, "Hotel not found");
+    }
+
+    // Find category
+    const category = hotel.roomCategories.id(categoryId);
+    if (!category) {
+      return sendErrorResponse(res, 404, "Category not found");
+    }
+
+    let room = null;
+    if (roomId) {
+      room = category.roomNumbers.id(roomId);
+      if (!room) {
+        return sendErrorResponse(res, 404, "Room not found");
+      }
+    }
+
+    const quote = quoteStay({ category, room, checkInDate, checkOutDate });
+    if (!quote) {
+      return sendErrorResponse(res, 400, "Check-out date must be a valid date after check-in date");
+    }
+
+    return sendSuccessResponse(res, 200, "Quote calculated successfully", {
+      hotelID: hotel.hotelID,
+      categoryId: category._id,
+      categoryName: category.name,
+      roomId: room ? room._id : null,
+      roomName: room ? room.name : null,
+      ...quote,
+    });
+  } catch (error) {
+    console.error("Get category quote error:", error);
+    return sendErrorResponse(res, 500, "Failed to calculate quote");
+  }
+};
+
 // ============================================
 // ROOM OPERATIONS
 // ============================================
@@ -578,7 +663,7 @@ const deleteCategory = async (req, res) => {
 const addRoom = async (req, res) => {
   try {
     const { hotelId, categoryId } = req.params;
-    const roomData = req.body;
+    const roomData = stripLegacyOccupancy(req.body);
 
     // Handle images from request body (image URLs from imgbb)
     if (req.body.images) {
@@ -665,13 +750,16 @@ const getRooms = async (req, res) => {
       return sendErrorResponse(res, 404, "Category not found");
     }
 
+    const plainCategory = category.toObject();
+    await attachOccupancy({ hotelID: hotel.hotelID, roomCategories: [plainCategory] });
+
     return sendSuccessResponse(res, 200, "Rooms retrieved successfully", {
       hotelID: hotel.hotelID,
       category: {
         id: category._id,
         name: category.name,
       },
-      rooms: category.roomNumbers,
+      rooms: plainCategory.roomNumbers,
     });
   } catch (error) {
     console.error("Get rooms error:", error);
@@ -687,7 +775,7 @@ const getRooms = async (req, res) => {
 const updateRoom = async (req, res) => {
   try {
     const { hotelId, categoryId, roomId } = req.params;
-    const updateData = req.body;
+    const updateData = stripLegacyOccupancy(req.body);
 
     // Find hotel
     let hotel;
@@ -796,7 +884,9 @@ const deleteRoom = async (req, res) => {
 // ============================================
 
 /**
- * @desc    Update booking in room (legacy method)
+ * @desc    Update booking in room (legacy method). Writes through to the Booking collection:
+ *          booking.bookings[0] (or uncovered booking.bookedDates) become Booking documents.
+ *          A stay overlapping another booking or hold refuses the whole request (409)
  * @route   PUT /api/hotels/room/updateBooking
  * @access  Private
  */
@@ -804,6 +894,10 @@ const updateBooking = async (req, res) => {
   try {
     const { hotelID, categoryName, roomName, booking } = req.body;
 
+    if (!canAccessHotel(req, hotelID)) {
+      return sendErrorResponse(res, 403, "Forbidden: no access to this hotel");
+    }
+
     const hotel = await Hotel.findOne({ hotelID });
     if (!hotel) {
       return sendErrorResponse(res, 404, "Hotel not found");
@@ -819,17 +913,80 @@ const updateBooking = async (req, res) => {
       return sendErrorResponse(res, 404, "Room not found");
     }
 
-    // Add booking to the room's bookings array
-    if (booking?.bookings?.[0]) {
-      room.bookings.push(booking.bookings[0]);
+    const first = booking?.bookings?.[0];
+    // Dates the room is already booked for are its occupancy sent back, not new stays
+    const bookedDates = await unbookedDates(hotel.hotelID, String(room._id), booking?.bookedDates);
+    const stays = [];
+    for (const entry of legacyEntries(first ? [first] : [], bookedDates)) {
+      const converted = fromLegacyEntry({ hotel, category, room, entry, user: req.user });
+      if (converted.error) {
+        return sendErrorResponse(res, 400, converted.error);
+      }
+      // legacyKey marks migrated entries only; a stay re-added here after a cancel is a new booking
+      const { legacyKey, ...bookingData } = converted.booking;
+      stays.push({ entry, bookingData });
     }
 
-    // Update the bookedDates array
-    if (booking?.bookedDates) {
-      room.bookedDates.push(...booking.bookedDates);
+    // Every stay is checked and its nights claimed before any is written, so a room taken by
+    // another guest refuses the whole request
+    const claimed = [];
+    const releaseClaims = (items) => Promise.all(items.map(({ bookingId }) => releaseRoomNights(bookingId)));
+    for (const { entry, bookingData } of stays) {
+      const requestedDates = { checkInDate: bookingData.checkInDate, checkOutDate: bookingData.checkOutDate };
+      const existing = await findRoomOverlap(bookingData);
+      // The stay itself may already exist (created through /api/booking); keep a single record
+      if (existing && isOwnStay(existing, entry, bookingData)) continue;
+      if (existing) {
+        await releaseClaims(claimed);
+        return sendErrorResponse(res, 409, "Room is already booked for the selected dates", {
+          existingBooking: {
+            bookingNo: existing.bookingNo,
+            checkInDate: existing.checkInDate,
+            checkOutDate: existing.checkOutDate,
+            guestName: existing.fullName,
+          },
+          requestedDates,
+        });
+      }
+
+      const bookingId = new mongoose.Types.ObjectId();
+      const takenBy = await claimRoomNights(bookingId, bookingData);
+      if (takenBy) {
+        await releaseClaims(claimed);
+        const message = takenBy.hold
+          ? "Room is on hold by another user for the selected dates"
+          : "Room is already booked for the selected dates";
+        return sendErrorResponse(res, 409, message, { ...takenBy, requestedDates });
+      }
+      claimed.push({ bookingId, bookingData });
     }
 
-    await hotel.save();
+    let written = 0;
+    try {
+      for (const { bookingId, bookingData } of claimed) {
+        const created = await Booking.create({
+          ...bookingData,
+          _id: bookingId,
+          bookingNo: await generateBookingNo(),
+          serialNo: await generateSerialNo(),
+          invoiceNo: await generateInvoiceNo(hotel.hotelID),
+        });
+        written += 1;
+        await recordAudit(req, {
+          entity: "Booking",
+          entityId: created._id,
+          action: "create",
+          after: created,
+          note: "Legacy room booking endpoint",
+        });
+      }
+    } catch (error) {
+      await releaseClaims(claimed.slice(written));
+      throw error;
+    }
+
+    const data = hotel.toObject();
+    await attachOccupancy(data);
 
     // Emit real-time event
     emitHotelEvent(req, "booking:updated", {
@@ -839,7 +996,7 @@ const updateBooking = async (req, res) => {
       message: "Booking updated in room",
     });
 
-    return sendSuccessResponse(res, 200, "Booking updated successfully", hotel);
+    return sendSuccessResponse(res, 200, "Booking updated successfully", data);
   } catch (error) {
     console.error("Update booking error:", error);
     return sendErrorResponse(res, 500, "Failed to update booking");
@@ -847,7 +1004,9 @@ const updateBooking = async (req, res) => {
 };
 
 /**
- * @desc    Delete booking details (legacy method)
+ * @desc    Delete booking details (legacy method). Cancels the room's confirmed Booking documents
+ *          whose check-in date is in datesToDelete under the cancellation policy, as
+ *          DELETE /api/booking/soft/:id does; those that cannot be cancelled are listed in notRemoved
  * @route   DELETE /api/hotels/bookings/delete
  * @access  Private
  */
@@ -859,6 +1018,10 @@ const deleteBookingDetails = async (req, res) => {
       return sendErrorResponse(res, 400, "datesToDelete must be an array");
     }
 
+    if (!canAccessHotel(req, hotelID)) {
+      return sendErrorResponse(res, 403, "Forbidden: no access to this hotel");
+    }
+
     const hotel = await Hotel.findOne({ hotelID });
     if (!hotel) {
       return sendErrorResponse(res, 404, "Hotel not found");
@@ -874,34 +1037,49 @@ const deleteBookingDetails = async (req, res) => {
       return sendErrorResponse(res, 404, "Room not found");
     }
 
-    // Filter out bookings with check-in dates in datesToDelete
-    room.bookings = room.bookings.filter((booking) => {
-      const checkInDate =
-        booking.checkIn instanceof Date
-          ? booking.checkIn.toISOString().split("T")[0]
-          : String(booking.checkIn).split("T")[0];
-      return !datesToDelete.includes(checkInDate);
+    const checkInDates = datesToDelete.map(toUTCDateOnly).filter(Boolean);
+    const bookings = await Booking.find({
+      hotelID: hotel.hotelID,
+      roomCategoryID: String(category._id),
+      roomNumberID: String(room._id),
+      statusID: 1,
+      checkInDate: { $in: checkInDates },
     });
 
-    // Filter out dates in bookedDates
-    room.bookedDates = room.bookedDates.filter(
-      (date) => !datesToDelete.includes(date)
-    );
+    const removedDates = [];
+    const notRemoved = [];
+    for (const booking of bookings) {
+      const checkInDate = booking.checkInDate.toISOString().split("T")[0];
+      const result = await cancelConfirmedBooking(req, booking, {
+        canceledBy: req.user?.username,
+        reason: "Removed via legacy room booking endpoint",
+      });
+      if (result.booking) {
+        removedDates.push(checkInDate);
+      } else {
+        notRemoved.push({ checkInDate, bookingNo: booking.bookingNo, error: result.body.error });
+      }
+    }
+    if (removedDates.length === 0 && notRemoved.length > 0) {
+      return sendErrorResponse(res, 409, notRemoved[0].error, { notRemoved });
+    }
 
-    await hotel.save();
+    const data = hotel.toObject();
+    await attachOccupancy(data);
 
     // Emit real-time event
     emitHotelEvent(req, "booking:deleted", {
       hotelID: hotel.hotelID,
       categoryName,
       roomName,
-      removedDates: datesToDelete,
+      removedDates,
       message: "Bookings deleted from room",
     });
 
     return sendSuccessResponse(res, 200, "Bookings deleted successfully", {
-      removedDates: datesToDelete,
-      hotel,
+      removedDates,
+      ...(notRemoved.length > 0 && { notRemoved }),
+      hotel: data,
     });
   } catch (error) {
     console.error("Delete booking details error:", error);
@@ -969,6 +1147,7 @@ module.exports = {
   getCategories,
   updateCategory,
   deleteCategory,
+  getCategoryQuote,
   // Room operations
   addRoom,
   getRooms,
@@ -0,0 +1,102 @@
+const NightAudit = require("../models/NightAudit");
+const { hotelScopeFilter, resolveHotelID } = require("../utils/hotelScope");
+const { toUTCDateOnly } = require("../utils/legacyBookings");
+const { runNightAudit } = require("../utils/nightAudit");
+
+const MAX_LIMIT = 100;
+
+// @desc Run the night audit of a business day: post room charges, flag pending arrivals and
+//       unpaid check-outs, close the day's cash summary and save the report
+// @route POST /api/night-audit
+// @body  hotelID, date (YYYY-MM-DD; today or earlier)
+const createNightAudit = async (req, res) => {
+  const scope = resolveHotelID(req, req.body?.hotelID);
+  if (scope.error) {
+    return res.status(scope.status).json({ error: scope.error });
+  }
+  if (scope.hotelID == null) {
+    return res.status(400).json({ error: "hotelID is required" });
+  }
+  const date = toUTCDateOnly(req.body?.date);
+  if (!date) {
+    return res.status(400).json({ error: "date is required (YYYY-MM-DD)" });
+  }
+  if (date > toUTCDateOnly(new Date())) {
+    return res.status(400).json({ error: "A day can be audited from its own date on, not in advance" });
+  }
+
+  try {
+    const result = await runNightAudit(req, { hotelID: scope.hotelID, date });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, details: result.details });
+    }
+
+    req.io?.to(`hotel:${scope.hotelID}`).emit("nightAudit:completed", {
+      hotelID: scope.hotelID,
+      date,
+      nightAuditId: result.report._id,
+      timestamp: new Date().toISOString(),
+    });
+    res.status(201).json({ message: "Night audit completed", report: result.report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Saved night audit reports, newest first (postings left out)
+// @route GET /api/night-audit?hotelID=1&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&limit=30
+const getNightAudits = async (req, res) => {
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 30));
+
+  try {
+    const filter = { ...hotelScopeFilter(req) };
+    if (req.query.hotelID) {
+      const scope = resolveHotelID(req, req.query.hotelID);
+      if (scope.error) return res.status(scope.status).json({ error: scope.error });
+      filter.hotelID = scope.hotelID;
+    }
+    const start = toUTCDateOnly(req.query.startDate);
+    const end = toUTCDateOnly(req.query.endDate);
+    if (start || end) {
+      filter.date = { ...(start && { $gte: start }), ...(end && { $lte: end }) };
+    }
+
+    const reports = await NightAudit.find(filter)
+      .select("-roomCharges.postings")
+      .sort({ date: -1 })
+      .limit(limit)
+      .lean();
+    res.status(200).json({ count: reports.length, reports });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Night audit report of a day
+// @route GET /api/night-audit/:date?hotelID=1
+const getNightAuditByDate = async (req, res) => {
+  const date = toUTCDateOnly(req.params.date);
+  if (!date) {
+    return res.status(400).json({ error: "Invalid date (YYYY-MM-DD)" });
+  }
+  const scope = resolveHotelID(req, req.query.hotelID);
+  if (scope.error) {
+    return res.status(scope.status).json({ error: scope.error });
+  }
+
+  try {
+    const report = await NightAudit.findOne({ hotelID: scope.hotelID, date }).lean();
+    if (!report) {
+      return res.status(404).json({ error: "This day has not been audited" });
+    }
+    res.status(200).json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createNightAudit,
+  getNightAudits,
+  getNightAuditByDate,
+};
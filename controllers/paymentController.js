@@ -0,0 +1,242 @@
+const mongoose = require("mongoose");
+const Payment = require("../models/Payment");
+const Booking = require("../models/Booking");
+const { hotelScopeFilter, resolveHotelID } = require("../utils/hotelScope");
+const { toUTCDateOnly } = require("../utils/legacyBookings");
+const { snapshot, recordAudit } = require("../utils/auditLog");
+const {
+  PAYMENT_METHODS,
+  recordEntries,
+  entriesOf,
+  netPaid,
+  voidEntry,
+  syncBookingLedger,
+} = require("../utils/paymentLedger");
+
+const MAX_LIMIT = 200;
+const TYPES = ["payment", "refund", "void"];
+
+// Booking by id within the caller's hotels (null if missing or out of scope)
+const findScopedBooking = (req, id) =>
+  mongoose.Types.ObjectId.isValid(id) ? Booking.findOne({ _id: id, ...hotelScopeFilter(req) }) : null;
+
+// { paymentMethod, amount, transactionId } of a request body, or { error }
+function parseEntry(body) {
+  const paymentMethod = body?.paymentMethod ? String(body.paymentMethod).trim() : "CASH";
+  const amount = Math.round(Number(body?.amount) * 100) / 100;
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    return { error: `paymentMethod must be one of: ${PAYMENT_METHODS.join(", ")}` };
+  }
+  if (!(amount > 0)) {
+    return { error: "amount must be a positive number" };
+  }
+  return { paymentMethod, amount, transactionId: body?.transactionId ? String(body.transactionId).trim() : "" };
+}
+
+const ledgerFields = (booking) => ({ hotelID: booking.hotelID, booking: booking._id, bookingNo: booking.bookingNo });
+
+// @desc Payment ledger entries, newest first
+// @route GET /api/payments?hotelID=1&booking=&order=&bookingNo=&type=payment&startDate=&endDate=&page=1&limit=50
+const getPayments = async (req, res) => {
+  const { booking, order, bookingNo, type } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  try {
+    const filter = { ...hotelScopeFilter(req) };
+    if (req.query.hotelID) {
+      const scope = resolveHotelID(req, req.query.hotelID);
+      if (scope.error) return res.status(scope.status).json({ error: scope.error });
+      filter.hotelID = scope.hotelID;
+    }
+    for (const [field, value] of [["booking", booking], ["order", order]]) {
+      if (value === undefined) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ error: `${field} must be a valid id` });
+      }
+      filter[field] = value;
+    }
+    if (bookingNo) filter.bookingNo = String(bookingNo).trim();
+    if (type) {
+      if (!TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${TYPES.join(", ")}` });
+      }
+      filter.type = type;
+    }
+    const start = toUTCDateOnly(req.query.startDate);
+    const end = toUTCDateOnly(req.query.endDate);
+    if (start || end) {
+      filter.date = { ...(start && { $gte: start }), ...(end && { $lte: end }) };
+    }
+
+    const [total, payments] = await Promise.all([
+      Payment.countDocuments(filter),
+      Payment.find(filter)
+        .sort({ date: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+    res.status(200).json({ total, page, limit, payments });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Ledger entry by receipt number, with the void that reversed it (if any)
+// @route GET /api/payments/receipt/:receiptNo
+const getPaymentByReceipt = async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ receiptNo: req.params.receiptNo, ...hotelScopeFilter(req) }).lean();
+    if (!payment) {
+      return res.status(404).json({ error: "Receipt not found" });
+    }
+    const voidedBy = await Payment.findOne({ type: "void", voidOf: payment._id }).lean();
+    res.status(200).json({ payment, voidedBy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Take a payment on a booking
+// @route POST /api/booking/:id/payments
+// @body  paymentMethod, amount, transactionId, date (YYYY-MM-DD; default today, never in the future)
+const addBookingPayment = async (req, res) => {
+  const entry = parseEntry(req.body);
+  if (entry.error) {
+    return res.status(400).json({ error: entry.error });
+  }
+  const date = req.body?.date ? toUTCDateOnly(req.body.date) : toUTCDateOnly(new Date());
+  if (!date) {
+    return res.status(400).json({ error: "Invalid date (YYYY-MM-DD)" });
+  }
+  if (date > toUTCDateOnly(new Date())) {
+    return res.status(400).json({ error: "A payment cannot be dated in the future" });
+  }
+
+  try {
+    const existing = await findScopedBooking(req, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+
+    const before = snapshot(existing);
+    // A backdated payment may not land in a day closed by the night audit
+    const result = await recordEntries(req, [{ ...ledgerFields(existing), ...entry, type: "payment", date }], {
+      checkClosedDays: true,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, details: result.details });
+    }
+
+    const booking = await syncBookingLedger(req, existing);
+    const [payment] = result.entries;
+    await recordAudit(req, {
+      entity: "Booking",
+      entityId: booking._id,
+      action: "payment-add",
+      before,
+      after: booking,
+      note: `Payment ${payment.receiptNo}: ${payment.amount} ${payment.paymentMethod}`,
+    });
+    res.status(201).json({ message: "Payment recorded", payment, booking });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Refund money to a booking's guest, up to what was paid net of earlier refunds
+// @route POST /api/booking/:id/refunds
+// @body  paymentMethod, amount, transactionId, reason
+const addBookingRefund = async (req, res) => {
+  const entry = parseEntry(req.body);
+  if (entry.error) {
+    return res.status(400).json({ error: entry.error });
+  }
+  const reason = req.body?.reason ? String(req.body.reason).trim() : "";
+  if (!reason) {
+    return res.status(400).json({ error: "reason is required" });
+  }
+
+  try {
+    const existing = await findScopedBooking(req, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+
+    const before = snapshot(existing);
+    const synced = await syncBookingLedger(req, existing);
+    const refundable = netPaid(await entriesOf({ booking: synced._id }));
+    if (entry.amount > refundable) {
+      return res.status(400).json({ error: `Refund exceeds the amount paid (refundable: ${refundable})` });
+    }
+
+    const result = await recordEntries(req, [{ ...ledgerFields(synced), ...entry, type: "refund", reason }]);
+    const booking = await syncBookingLedger(req, synced);
+    const [refund] = result.entries;
+    await recordAudit(req, {
+      entity: "Booking",
+      entityId: booking._id,
+      action: "refund",
+      before,
+      after: booking,
+      note: `Refund ${refund.receiptNo}: ${refund.amount} ${refund.paymentMethod} (${reason})`,
+    });
+    res.status(201).json({ message: "Refund recorded", refund, booking });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Void a booking's payment or refund entry: a void entry dated today reverses it.
+//       Restaurant order entries follow the order's payment status instead.
+// @route POST /api/payments/:id/void
+// @body  reason
+const voidPayment = async (req, res) => {
+  const reason = req.body?.reason ? String(req.body.reason).trim() : "";
+  if (!reason) {
+    return res.status(400).json({ error: "reason is required" });
+  }
+
+  try {
+    const entry = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Payment.findOne({ _id: req.params.id, ...hotelScopeFilter(req) }).lean()
+      : null;
+    if (!entry) {
+      return res.status(404).json({ error: "Payment not found" });
+    }
+    if (entry.order) {
+      return res.status(400).json({ error: "Restaurant order payments change with the order's payment status" });
+    }
+
+    const existing = await Booking.findById(entry.booking);
+    const before = existing ? snapshot(existing) : undefined;
+    const result = await voidEntry(req, entry, reason);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const booking = existing ? await syncBookingLedger(req, existing) : null;
+    if (booking) {
+      await recordAudit(req, {
+        entity: "Booking",
+        entityId: booking._id,
+        action: "payment-void",
+        before,
+        after: booking,
+        note: `${entry.type === "refund" ? "Refund" : "Payment"} ${entry.receiptNo} voided: ${reason}`,
+      });
+    }
+    res.status(201).json({ message: "Entry voided", void: result.entry, booking });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getPayments,
+  getPaymentByReceipt,
+  addBookingPayment,
+  addBookingRefund,
+  voidPayment,
+};
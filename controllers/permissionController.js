@@ -3,6 +3,8 @@
  * Each document = one role: permissionName (role name) + permissions[] (page-wise view/insert/edit/delete).
  */
 const Permission = require("../models/Permission");
+const User = require("../models/User");
+const { recordAudit } = require("../utils/auditLog");
 
 // Normalize a single permission item from frontend (pageKey, pageName, viewAccess, insertAccess, editAccess, deleteAccess)
 function normalizePermissionItem(p) {
@@ -96,6 +98,7 @@ const createPermission = async (req, res) => {
     }
 
     const permission = await Permission.create({ permissionName, permissions });
+    await recordAudit(req, { entity: "Permission", entityId: permission._id, action: "create", after: permission });
     res.status(201).json(permission);
   } catch (error) {
     if (error.code === 11000) {
@@ -144,6 +147,7 @@ const updatePermission = async (req, res) => {
       });
     }
 
+    const before = await Permission.findById(id).lean();
     const permission = await Permission.findByIdAndUpdate(
       id,
       { permissionName, permissions },
@@ -157,6 +161,26 @@ const updatePermission = async (req, res) => {
       });
     }
 
+    // Keep the copy embedded in each user of this role in sync
+    const synced = await User.updateMany(
+      { "permission._id": permission._id },
+      {
+        $set: {
+          "permission.permissionName": permission.permissionName,
+          "permission.permissions": permission.permissions,
+        },
+      }
+    );
+
+    await recordAudit(req, {
+      entity: "Permission",
+      entityId: permission._id,
+      action: "update",
+      before,
+      after: permission,
+      note: `Synced to ${synced.modifiedCount} user(s)`,
+    });
+
     res.status(200).json(permission);
   } catch (error) {
     if (error.code === 11000) {
@@ -182,6 +206,7 @@ const deletePermission = async (req, res) => {
         message: "Role not found.",
       });
     }
+    await recordAudit(req, { entity: "Permission", entityId: permission._id, action: "delete", before: permission });
     res.status(200).json({ success: true, message: "Role deleted successfully." });
   } catch (error) {
     res.status(500).json({ error: error.message, message: error.message });
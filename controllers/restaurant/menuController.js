@@ -1,5 +1,6 @@
 const Menu = require("../../models/restaurant/Menu");
 const mongoose = require("mongoose");
+const { hotelScopeFilter, resolveHotelID } = require("../../utils/hotelScope");
 
 // Helper function for success response
 const sendSuccessResponse = (res, statusCode, message, data = null) => {
@@ -38,7 +39,11 @@ const addMenuItem = async (req, res) => {
       return sendErrorResponse(res, 400, "Price must be a positive number");
     }
 
+    const scope = resolveHotelID(req, req.body.hotelID);
+    if (scope.error) return sendErrorResponse(res, scope.status, scope.error);
+
     const menuItem = await Menu.create({
+      hotelID: scope.hotelID ?? undefined,
       itemName: itemName.trim(),
       categoryID: categoryID.trim(),
       price: Number(price),
@@ -50,6 +55,7 @@ const addMenuItem = async (req, res) => {
     sendSuccessResponse(res, 201, "Menu item added successfully", {
       menuItem: {
         id: menuItem._id,
+        hotelID: menuItem.hotelID,
         itemName: menuItem.itemName,
         categoryID: menuItem.categoryID,
         price: menuItem.price,
@@ -75,7 +81,7 @@ const getMenuItems = async (req, res) => {
     const { categoryID, availability, statusID } = req.query;
 
     // Build query
-    const query = {};
+    const query = { ...hotelScopeFilter(req) };
     
     if (categoryID) {
       query.categoryID = categoryID;
@@ -91,11 +97,18 @@ const getMenuItems = async (req, res) => {
       query.statusID = { $ne: 255 }; // Get active items by default
     }
 
+    if (req.query.hotelID) {
+      const scope = resolveHotelID(req, req.query.hotelID);
+      if (scope.error) return sendErrorResponse(res, scope.status, scope.error);
+      query.hotelID = scope.hotelID;
+    }
+
     const menuItems = await Menu.find(query).sort({ createdAt: -1 });
 
     sendSuccessResponse(res, 200, "Menu items retrieved successfully", {
       menuItems: menuItems.map((item) => ({
         id: item._id,
+        hotelID: item.hotelID,
         itemName: item.itemName,
         categoryID: item.categoryID,
         price: item.price,
@@ -123,7 +136,7 @@ const getMenuItemById = async (req, res) => {
       return sendErrorResponse(res, 400, "Invalid menu item ID");
     }
 
-    const menuItem = await Menu.findById(id);
+    const menuItem = await Menu.findOne({ _id: id, ...hotelScopeFilter(req) });
 
     if (!menuItem) {
       return sendErrorResponse(res, 404, "Menu item not found");
@@ -132,6 +145,7 @@ const getMenuItemById = async (req, res) => {
     sendSuccessResponse(res, 200, "Menu item retrieved successfully", {
       menuItem: {
         id: menuItem._id,
+        hotelID: menuItem.hotelID,
         itemName: menuItem.itemName,
         categoryID: menuItem.categoryID,
         price: menuItem.price,
@@ -173,7 +187,7 @@ const updateMenuItem = async (req, res) => {
     if (description !== undefined) updateData.description = description.trim();
     if (image !== undefined) updateData.image = image;
 
-    const menuItem = await Menu.findByIdAndUpdate(id, updateData, {
+    const menuItem = await Menu.findOneAndUpdate({ _id: id, ...hotelScopeFilter(req) }, updateData, {
       new: true,
       runValidators: true,
     });
@@ -185,6 +199,7 @@ const updateMenuItem = async (req, res) => {
     sendSuccessResponse(res, 200, "Menu item updated successfully", {
       menuItem: {
         id: menuItem._id,
+        hotelID: menuItem.hotelID,
         itemName: menuItem.itemName,
         categoryID: menuItem.categoryID,
         price: menuItem.price,
@@ -214,8 +229,8 @@ const deleteMenuItem = async (req, res) => {
       return sendErrorResponse(res, 400, "Invalid menu item ID");
     }
 
-    const menuItem = await Menu.findByIdAndUpdate(
-      id,
+    const menuItem = await Menu.findOneAndUpdate(
+      { _id: id, ...hotelScopeFilter(req) },
       { statusID: 255 },
       { new: true }
     );
@@ -227,6 +242,7 @@ const deleteMenuItem = async (req, res) => {
     sendSuccessResponse(res, 200, "Menu item deleted successfully", {
       menuItem: {
         id: menuItem._id,
+        hotelID: menuItem.hotelID,
         itemName: menuItem.itemName,
         statusID: menuItem.statusID,
       },
@@ -241,6 +257,7 @@ const deleteMenuItem = async (req, res) => {
 const getMenuCategories = async (req, res) => {
   try {
     const categoryIDs = await Menu.distinct("categoryID", {
+      ...hotelScopeFilter(req),
       statusID: { $ne: 255 },
     });
 
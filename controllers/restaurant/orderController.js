@@ -2,6 +2,8 @@ const Order = require("../../models/restaurant/Order");
 const Menu = require("../../models/restaurant/Menu");
 const Booking = require("../../models/Booking");
 const mongoose = require("mongoose");
+const { hotelScopeFilter, resolveHotelID } = require("../../utils/hotelScope");
+const { syncOrderLedger } = require("../../utils/paymentLedger");
 
 // Helper function for success response
 const sendSuccessResponse = (res, statusCode, message, data = null) => {
@@ -50,6 +52,9 @@ const createOrder = async (req, res) => {
       return sendErrorResponse(res, 400, "Missing required fields: customerName and items are required");
     }
 
+    const scope = resolveHotelID(req, req.body.hotelID);
+    if (scope.error) return sendErrorResponse(res, scope.status, scope.error);
+
     // Validate item IDs and count quantities
     const itemIds = [];
     const itemCounts = {};
@@ -89,6 +94,7 @@ const createOrder = async (req, res) => {
 
     // Create order
     const order = await Order.create({
+      hotelID: scope.hotelID ?? undefined,
       invoiceNo: invoiceNo ? invoiceNo.trim() : "",
       customerName: customerName.trim(),
       customerPhone: customerPhone ? customerPhone.trim() : "",
@@ -102,14 +108,18 @@ const createOrder = async (req, res) => {
       total: totalAmount,
       paymentStatus: paymentStatus || "pending",
       paymentMethod: paymentMethod || undefined,
+      paidAt: paymentStatus === "paid" ? new Date() : undefined,
       orderStatus: orderStatus || "pending",
       notes: notes ? notes.trim() : "",
       orderedBy: req.user ? req.user._id : null,
     });
+    // A paid order's payment goes on the payment ledger
+    await syncOrderLedger(req, order);
 
     sendSuccessResponse(res, 201, "Order created successfully", {
       order: {
         id: order._id,
+        hotelID: order.hotelID,
         orderNumber: order.orderNumber,
         invoiceNo: order.invoiceNo,
         customerName: order.customerName,
@@ -144,7 +154,7 @@ const getOrders = async (req, res) => {
     const { invoiceNo, orderStatus, paymentStatus, orderType, statusID, startDate, endDate } = req.query;
 
     // Build query
-    const query = {};
+    const query = { ...hotelScopeFilter(req) };
     
     if (invoiceNo) {
       query.invoiceNo = invoiceNo.trim();
@@ -168,6 +178,12 @@ const getOrders = async (req, res) => {
       query.statusID = { $ne: 255 }; // Get active orders by default
     }
 
+    if (req.query.hotelID) {
+      const scope = resolveHotelID(req, req.query.hotelID);
+      if (scope.error) return sendErrorResponse(res, scope.status, scope.error);
+      query.hotelID = scope.hotelID;
+    }
+
     // Date range filter
     if (startDate || endDate) {
       query.createdAt = {};
@@ -186,6 +202,7 @@ const getOrders = async (req, res) => {
     sendSuccessResponse(res, 200, "Orders retrieved successfully", {
       orders: orders.map((order) => ({
         id: order._id,
+        hotelID: order.hotelID,
         orderNumber: order.orderNumber,
         invoiceNo: order.invoiceNo,
         customerName: order.customerName,
@@ -224,7 +241,10 @@ const getOrderById = async (req, res) => {
       return sendErrorResponse(res, 400, "Invalid order ID");
     }
 
-    const order = await Order.findById(id).populate("orderedBy", "username email loginID");
+    const order = await Order.findOne({ _id: id, ...hotelScopeFilter(req) }).populate(
+      "orderedBy",
+      "username email loginID"
+    );
 
     if (!order) {
       return sendErrorResponse(res, 404, "Order not found");
@@ -233,6 +253,7 @@ const getOrderById = async (req, res) => {
     sendSuccessResponse(res, 200, "Order retrieved successfully", {
       order: {
         id: order._id,
+        hotelID: order.hotelID,
         orderNumber: order.orderNumber,
         invoiceNo: order.invoiceNo,
         customerName: order.customerName,
@@ -286,7 +307,7 @@ const updateOrder = async (req, res) => {
       return sendErrorResponse(res, 400, "Invalid order ID");
     }
 
-    const order = await Order.findById(id);
+    const order = await Order.findOne({ _id: id, ...hotelScopeFilter(req) });
     if (!order) {
       return sendErrorResponse(res, 404, "Order not found");
     }
@@ -299,7 +320,12 @@ const updateOrder = async (req, res) => {
     if (customerEmail !== undefined) updateData.customerEmail = customerEmail.trim();
     if (tableNumber !== undefined) updateData.tableNumber = tableNumber.trim();
     if (orderType !== undefined) updateData.orderType = orderType;
-    if (paymentStatus !== undefined) updateData.paymentStatus = paymentStatus;
+    if (paymentStatus !== undefined) {
+      updateData.paymentStatus = paymentStatus;
+      // Keep the day an order was paid on, for the daily cash summary
+      if (paymentStatus === "paid" && order.paymentStatus !== "paid") updateData.paidAt = new Date();
+      if (paymentStatus !== "paid") updateData.paidAt = null;
+    }
     if (paymentMethod !== undefined) updateData.paymentMethod = paymentMethod;
     if (orderStatus !== undefined) updateData.orderStatus = orderStatus;
     if (notes !== undefined) updateData.notes = notes.trim();
@@ -355,10 +381,13 @@ const updateOrder = async (req, res) => {
       new: true,
       runValidators: true,
     }).populate("orderedBy", "username email loginID");
+    // Payment status or total changes are recorded as ledger payments, refunds and voids
+    await syncOrderLedger(req, updatedOrder);
 
     sendSuccessResponse(res, 200, "Order updated successfully", {
       order: {
         id: updatedOrder._id,
+        hotelID: updatedOrder.hotelID,
         orderNumber: updatedOrder.orderNumber,
         invoiceNo: updatedOrder.invoiceNo,
         customerName: updatedOrder.customerName,
@@ -397,8 +426,8 @@ const deleteOrder = async (req, res) => {
       return sendErrorResponse(res, 400, "Invalid order ID");
     }
 
-    const order = await Order.findByIdAndUpdate(
-      id,
+    const order = await Order.findOneAndUpdate(
+      { _id: id, ...hotelScopeFilter(req) },
       { statusID: 255 },
       { new: true }
     );
@@ -406,10 +435,13 @@ const deleteOrder = async (req, res) => {
     if (!order) {
       return sendErrorResponse(res, 404, "Order not found");
     }
+    // A deleted order's payments are voided on the ledger
+    await syncOrderLedger(req, order);
 
     sendSuccessResponse(res, 200, "Order deleted successfully", {
       order: {
         id: order._id,
+        hotelID: order.hotelID,
         orderNumber: order.orderNumber,
         statusID: order.statusID,
       },
@@ -426,9 +458,16 @@ const getOrderStatistics = async (req, res) => {
     const { invoiceNo, startDate, endDate } = req.query;
 
     const query = {
+      ...hotelScopeFilter(req),
       statusID: { $ne: 255 },
     };
 
+    if (req.query.hotelID) {
+      const scope = resolveHotelID(req, req.query.hotelID);
+      if (scope.error) return sendErrorResponse(res, scope.status, scope.error);
+      query.hotelID = scope.hotelID;
+    }
+
     if (invoiceNo) {
       query.invoiceNo = invoiceNo.trim();
     }
@@ -479,7 +518,10 @@ const getBookingByInvoiceNo = async (req, res) => {
     }
 
     // Find bookings by invoiceNo
-    const bookings = await Booking.find({ invoiceNo: invoiceNo.trim() }).sort({ createdAt: -1 });
+    const bookings = await Booking.find({
+      ...hotelScopeFilter(req),
+      invoiceNo: invoiceNo.trim(),
+    }).sort({ createdAt: -1 });
 
     if (!bookings || bookings.length === 0) {
       return sendErrorResponse(res, 404, "No bookings found for this invoice number");
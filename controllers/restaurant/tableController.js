@@ -1,5 +1,6 @@
 const Table = require("../../models/restaurant/Table");
 const mongoose = require("mongoose");
+const { hotelScopeFilter, resolveHotelID } = require("../../utils/hotelScope");
 
 // Helper function for success response
 const sendSuccessResponse = (res, statusCode, message, data = null) => {
@@ -44,7 +45,11 @@ const addTable = async (req, res) => {
       return sendErrorResponse(res, 400, `Status must be one of: ${validStatuses.join(", ")}`);
     }
 
+    const scope = resolveHotelID(req, req.body.hotelID);
+    if (scope.error) return sendErrorResponse(res, scope.status, scope.error);
+
     const table = await Table.create({
+      hotelID: scope.hotelID ?? undefined,
       tableNumber: tableNumber.trim(),
       capacity: Number(capacity),
       location: location ? location.trim() : "",
@@ -55,6 +60,7 @@ const addTable = async (req, res) => {
     sendSuccessResponse(res, 201, "Table added successfully", {
       table: {
         id: table._id,
+        hotelID: table.hotelID,
         tableNumber: table.tableNumber,
         capacity: table.capacity,
         location: table.location,
@@ -83,7 +89,7 @@ const getTables = async (req, res) => {
     const { status, statusID, capacity } = req.query;
 
     // Build query
-    const query = {};
+    const query = { ...hotelScopeFilter(req) };
     
     if (status) {
       query.status = status;
@@ -99,11 +105,18 @@ const getTables = async (req, res) => {
       query.statusID = { $ne: 255 }; // Get active tables by default
     }
 
+    if (req.query.hotelID) {
+      const scope = resolveHotelID(req, req.query.hotelID);
+      if (scope.error) return sendErrorResponse(res, scope.status, scope.error);
+      query.hotelID = scope.hotelID;
+    }
+
     const tables = await Table.find(query).sort({ tableNumber: 1 });
 
     sendSuccessResponse(res, 200, "Tables retrieved successfully", {
       tables: tables.map((table) => ({
         id: table._id,
+        hotelID: table.hotelID,
         tableNumber: table.tableNumber,
         capacity: table.capacity,
         location: table.location,
@@ -130,7 +143,7 @@ const getTableById = async (req, res) => {
       return sendErrorResponse(res, 400, "Invalid table ID");
     }
 
-    const table = await Table.findById(id);
+    const table = await Table.findOne({ _id: id, ...hotelScopeFilter(req) });
 
     if (!table) {
       return sendErrorResponse(res, 404, "Table not found");
@@ -139,6 +152,7 @@ const getTableById = async (req, res) => {
     sendSuccessResponse(res, 200, "Table retrieved successfully", {
       table: {
         id: table._id,
+        hotelID: table.hotelID,
         tableNumber: table.tableNumber,
         capacity: table.capacity,
         location: table.location,
@@ -164,7 +178,14 @@ const getTableByNumber = async (req, res) => {
       return sendErrorResponse(res, 400, "Table number is required");
     }
 
-    const table = await Table.findOne({ tableNumber: tableNumber.trim() });
+    const query = { ...hotelScopeFilter(req), tableNumber: tableNumber.trim() };
+    if (req.query.hotelID) {
+      const scope = resolveHotelID(req, req.query.hotelID);
+      if (scope.error) return sendErrorResponse(res, scope.status, scope.error);
+      query.hotelID = scope.hotelID;
+    }
+
+    const table = await Table.findOne(query);
 
     if (!table) {
       return sendErrorResponse(res, 404, "Table not found");
@@ -173,6 +194,7 @@ const getTableByNumber = async (req, res) => {
     sendSuccessResponse(res, 200, "Table retrieved successfully", {
       table: {
         id: table._id,
+        hotelID: table.hotelID,
         tableNumber: table.tableNumber,
         capacity: table.capacity,
         location: table.location,
@@ -218,7 +240,7 @@ const updateTable = async (req, res) => {
     }
     if (notes !== undefined) updateData.notes = notes.trim();
 
-    const table = await Table.findByIdAndUpdate(id, updateData, {
+    const table = await Table.findOneAndUpdate({ _id: id, ...hotelScopeFilter(req) }, updateData, {
       new: true,
       runValidators: true,
     });
@@ -230,6 +252,7 @@ const updateTable = async (req, res) => {
     sendSuccessResponse(res, 200, "Table updated successfully", {
       table: {
         id: table._id,
+        hotelID: table.hotelID,
         tableNumber: table.tableNumber,
         capacity: table.capacity,
         location: table.location,
@@ -261,8 +284,8 @@ const deleteTable = async (req, res) => {
       return sendErrorResponse(res, 400, "Invalid table ID");
     }
 
-    const table = await Table.findByIdAndUpdate(
-      id,
+    const table = await Table.findOneAndUpdate(
+      { _id: id, ...hotelScopeFilter(req) },
       { statusID: 255 },
       { new: true }
     );
@@ -274,6 +297,7 @@ const deleteTable = async (req, res) => {
     sendSuccessResponse(res, 200, "Table deleted successfully", {
       table: {
         id: table._id,
+        hotelID: table.hotelID,
         tableNumber: table.tableNumber,
         statusID: table.statusID,
       },
@@ -290,10 +314,17 @@ const getAvailableTables = async (req, res) => {
     const { capacity } = req.query;
 
     const query = {
+      ...hotelScopeFilter(req),
       status: "available",
       statusID: { $ne: 255 },
     };
 
+    if (req.query.hotelID) {
+      const scope = resolveHotelID(req, req.query.hotelID);
+      if (scope.error) return sendErrorResponse(res, scope.status, scope.error);
+      query.hotelID = scope.hotelID;
+    }
+
     if (capacity) {
       query.capacity = { $gte: Number(capacity) };
     }
@@ -303,6 +334,7 @@ const getAvailableTables = async (req, res) => {
     sendSuccessResponse(res, 200, "Available tables retrieved successfully", {
       tables: tables.map((table) => ({
         id: table._id,
+        hotelID: table.hotelID,
         tableNumber: table.tableNumber,
         capacity: table.capacity,
         location: table.location,
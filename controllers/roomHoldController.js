@@ -0,0 +1,159 @@
+const mongoose = require("mongoose");
+const Hotel = require("../models/Hotel");
+const RoomHold = require("../models/RoomHold");
+const { canAccessHotel } = require("../utils/hotelScope");
+const { isManager } = require("../middleware/authMiddleware");
+const { toUTCDateOnly, findRoomOverlap } = require("../utils/legacyBookings");
+const { claimHoldNights, releaseHoldNights } = require("../utils/roomInventory");
+const { HOLD_MINUTES, MAX_HOLD_MINUTES, emitHoldEvent, findActiveHolds } = require("../utils/roomHolds");
+
+// @desc Hold a room for a date range for a few minutes while a booking is entered
+// @route POST /api/room-holds
+// @body  hotelID, roomCategoryID, roomNumberID, checkInDate, checkOutDate, minutes (optional), note (optional)
+const createRoomHold = async (req, res) => {
+  const { hotelID, roomCategoryID, roomNumberID, note } = req.body;
+  const minutes = req.body.minutes !== undefined ? Number(req.body.minutes) : HOLD_MINUTES;
+
+  if (!hotelID || !roomCategoryID || !roomNumberID) {
+    return res.status(400).json({ error: "hotelID, roomCategoryID and roomNumberID are required" });
+  }
+  const checkInDate = toUTCDateOnly(req.body.checkInDate);
+  const checkOutDate = toUTCDateOnly(req.body.checkOutDate);
+  if (!checkInDate || !checkOutDate || checkOutDate <= checkInDate) {
+    return res.status(400).json({
+      error: "checkInDate and checkOutDate are required and check-out must be after check-in",
+    });
+  }
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_HOLD_MINUTES) {
+    return res.status(400).json({ error: `minutes must be between 1 and ${MAX_HOLD_MINUTES}` });
+  }
+  if (!canAccessHotel(req, hotelID)) {
+    return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+  }
+
+  try {
+    const hotel = await Hotel.findOne({ hotelID: Number(hotelID) }).select("hotelID roomCategories").lean();
+    const category = (hotel?.roomCategories || []).find((c) => String(c._id) === String(roomCategoryID));
+    const room = (category?.roomNumbers || []).find((r) => String(r._id) === String(roomNumberID));
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    const stay = {
+      hotelID: Number(hotelID),
+      roomCategoryID: String(roomCategoryID),
+      roomNumberID: String(roomNumberID),
+      checkInDate,
+      checkOutDate,
+    };
+    const existing = await findRoomOverlap(stay);
+    if (existing) {
+      return res.status(409).json({
+        error: "Room is already booked for the selected dates",
+        details: {
+          existingBooking: {
+            bookingNo: existing.bookingNo,
+            checkInDate: existing.checkInDate,
+            checkOutDate: existing.checkOutDate,
+            guestName: existing.fullName,
+          },
+        },
+      });
+    }
+
+    const hold = new RoomHold({
+      ...stay,
+      roomNumberName: room.name,
+      heldBy: { id: String(req.user._id), username: req.user.username },
+      note,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    });
+
+    const taken = await claimHoldNights(hold);
+    if (taken) {
+      const other = taken.hold ? await RoomHold.findById(taken.hold).lean() : null;
+      return res.status(409).json({
+        error: taken.hold
+          ? "Room is on hold by another user for the selected dates"
+          : "Room is already booked for the selected dates",
+        details: {
+          night: taken.night,
+          ...(other && { heldBy: other.heldBy?.username, expiresAt: other.expiresAt }),
+          ...(taken.booking && { bookingId: taken.booking }),
+        },
+      });
+    }
+
+    try {
+      await hold.save();
+    } catch (error) {
+      await releaseHoldNights(hold._id);
+      throw error;
+    }
+
+    emitHoldEvent(req.io, "created", hold);
+    res.status(201).json({ message: "Room held", hold });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Active holds of a hotel, optionally for a date range
+// @route GET /api/room-holds?hotelID=1&checkInDate=YYYY-MM-DD&checkOutDate=YYYY-MM-DD
+const getRoomHolds = async (req, res) => {
+  const { hotelID, checkInDate, checkOutDate } = req.query;
+
+  if (!hotelID || isNaN(Number(hotelID))) {
+    return res.status(400).json({ error: "hotelID query parameter is required and must be a number" });
+  }
+  if (!canAccessHotel(req, hotelID)) {
+    return res.status(403).json({ error: "Forbidden: no access to this hotel" });
+  }
+
+  try {
+    const holds =
+      checkInDate && checkOutDate
+        ? await findActiveHolds({ hotelID, checkInDate, checkOutDate })
+        : await RoomHold.find({ hotelID: Number(hotelID), expiresAt: { $gt: new Date() } }).lean();
+    res.status(200).json({ hotelID: Number(hotelID), count: holds.length, holds });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// @desc Release a hold before it expires (the holder or a manager)
+// @route DELETE /api/room-holds/:id
+const releaseRoomHold = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: "Invalid hold ID" });
+  }
+
+  try {
+    const hold = await RoomHold.findById(id).lean();
+    if (!hold || !canAccessHotel(req, hold.hotelID)) {
+      return res.status(404).json({ error: "Hold not found" });
+    }
+    if (hold.heldBy.id !== String(req.user._id) && !isManager(req.user)) {
+      return res.status(403).json({ error: "Only the agent holding the room or a manager can release it" });
+    }
+
+    const removed = await RoomHold.findOneAndDelete({ _id: id });
+    if (!removed) {
+      return res.status(404).json({ error: "Hold not found" });
+    }
+    await releaseHoldNights(removed._id);
+
+    emitHoldEvent(req.io, "released", removed);
+    res.status(200).json({ message: "Hold released" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createRoomHold,
+  getRoomHolds,
+  releaseRoomHold,
+};
@@ -8,6 +8,7 @@ const Hotel = require("../models/Hotel");
 const Permission = require("../models/Permission");
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { recordAudit } = require("../utils/auditLog");
 
 function generateLoginID() {
   const randomDigits = Math.floor(1000 + Math.random() * 9000);
@@ -159,6 +160,7 @@ const createUser = async (req, res) => {
     }
 
     const user = await User.create(createPayload);
+    await recordAudit(req, { entity: "User", entityId: user._id, action: "create", after: user });
 
     const hotelNameMap = await getHotelNameMap();
     const formatted = formatUser(user, hotelNameMap);
@@ -228,6 +230,7 @@ const updateUser = async (req, res) => {
       });
     }
 
+    const before = await User.findById(id).select("-password -plainPassword").lean();
     const updatedUser = await User.findByIdAndUpdate(id, updateData, {
       new: true,
       runValidators: true,
@@ -238,6 +241,13 @@ const updateUser = async (req, res) => {
     if (!updatedUser) {
       return res.status(404).json({ error: "User not found" });
     }
+    await recordAudit(req, {
+      entity: "User",
+      entityId: updatedUser._id,
+      action: updateData.password ? "password-change" : "update",
+      before,
+      after: updatedUser,
+    });
 
     const hotelNameMap = await getHotelNameMap();
     const responseUser = formatUser(updatedUser, hotelNameMap);
@@ -281,6 +291,7 @@ const deleteUser = async (req, res) => {
     if (!deletedUser) {
       return res.status(404).json({ error: "User not found" });
     }
+    await recordAudit(req, { entity: "User", entityId: deletedUser._id, action: "delete", before: deletedUser });
 
     res.status(200).json({ message: "User deleted" });
   } catch (error) {
@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Permission = require("../models/Permission");
 require("dotenv").config();
 
 const protect = async (req, res, next) => {
@@ -19,10 +20,79 @@ const protect = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     req.user = await User.findById(decoded.id).select("-password");
+    // Deleted or deactivated users lose access even with an unexpired token
+    if (!req.user || req.user.statusID === 255) {
+      return res.status(401).json({ error: "Not authorized, user inactive" });
+    }
+    req.allowedHotelIDs = getAllowedHotelIDs(req.user);
     next();
   } catch (error) {
     res.status(401).json({ error: "Not authorized, token failed" });
   }
 };
 
-module.exports = { protect };
+// "Daily Summary", "daily-summary" and "dailySummary" all compare equal
+const normalizePageKey = (key) =>
+  String(key || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Super admins bypass the permission matrix
+const isSuperAdmin = (user) => normalizePageKey(user?.role?.value) === "superadmin";
+
+// Roles allowed to override front-desk rules (e.g. check-out with an unpaid balance)
+const isManager = (user) =>
+  ["superadmin", "admin", "manager"].includes(normalizePageKey(user?.role?.value));
+
+// Hotel IDs a user works for (User.hotelID); null means every hotel (super admin)
+const getAllowedHotelIDs = (user) => {
+  if (isSuperAdmin(user)) return null;
+  return (user?.hotelID || [])
+    .map((item) => Number(item && item.hotelID !== undefined ? item.hotelID : item))
+    .filter((id) => !isNaN(id));
+};
+
+// Read the role from the Permission collection on every request, so edits apply immediately.
+// The copy embedded in User.permission is only used for users without a linked role document.
+const getUserPermissions = async (user) => {
+  const rolePermission = user?.permission;
+  if (!rolePermission) return [];
+
+  if (rolePermission._id) {
+    const role = await Permission.findById(rolePermission._id).select("permissions").lean();
+    return role ? role.permissions || [] : [];
+  }
+
+  return rolePermission.permissions || [];
+};
+
+/**
+ * Require a page right from the caller's role. Use after `protect`.
+ * pageKey: dashboard | booking | hotel | users | permission | expense | dailySummary | restaurant | auditLog
+ * action: view | insert | edit | delete
+ */
+const authorize = (pageKey, action) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: "Not authorized" });
+  }
+
+  if (isSuperAdmin(req.user)) return next();
+
+  try {
+    const key = normalizePageKey(pageKey);
+    const permissions = await getUserPermissions(req.user);
+    const page = permissions.find(
+      (p) => normalizePageKey(p.pageKey) === key || normalizePageKey(p.pageName) === key
+    );
+
+    if (!page || !page[`${action}Access`]) {
+      return res.status(403).json({
+        error: `Forbidden: no ${action} access to ${pageKey}`,
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { protect, authorize, isSuperAdmin, isManager, getAllowedHotelIDs };
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// One entry per write: who changed which document, when, and the field-level before/after
+const auditLogSchema = new mongoose.Schema(
+  {
+    entity: {
+      type: String,
+      required: true,
+      enum: ["Booking", "Guest", "Expense", "DailySummary", "User", "Permission"],
+    },
+    entityId: {
+      type: String,
+      required: true,
+    },
+    // create | update | delete, or a named action (cancel, check-in, payment-remove, ...)
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    hotelID: {
+      type: Number,
+      required: false,
+    },
+    user: {
+      id: { type: String },
+      username: { type: String },
+    },
+    changes: {
+      type: [
+        {
+          path: { type: String, required: true },
+          before: { type: mongoose.Schema.Types.Mixed },
+          after: { type: mongoose.Schema.Types.Mixed },
+        },
+      ],
+      default: [],
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { versionKey: false }
+);
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ "user.id": 1, createdAt: -1 });
+auditLogSchema.index({ hotelID: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
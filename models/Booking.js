@@ -25,6 +25,12 @@ const BookingSchema = new mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    // Guest profile (models/Guest.js); the contact fields above stay as entered for this booking
+    guestID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Guest",
+      index: true,
+    },
     hotelName: {
       type: String,
       required: [true, "Hotel name is required"],
@@ -137,7 +143,9 @@ const BookingSchema = new mongoose.Schema(
       default: "",
       required: false,
     },
-    // Multiple payment entries: each with paymentMethod, amount, transactionId, createdAt
+    // Multiple payment entries: each with paymentMethod, amount, transactionId, createdAt.
+    // Derived from the payment ledger (models/Payment.js): one per payment not voided, with the
+    // ledger entry's _id and receiptNo
     payments: {
       type: [
         {
@@ -149,6 +157,7 @@ const BookingSchema = new mongoose.Schema(
           amount: { type: Number, required: true, min: 0 },
           transactionId: { type: String, trim: true, default: "" },
           createdAt: { type: Date, default: Date.now },
+          receiptNo: { type: String },
         },
       ],
       default: [],
@@ -183,10 +192,10 @@ const BookingSchema = new mongoose.Schema(
       unique: true,
       sparse: true,
     },
+    // Shared by every room of a group / referenced booking – not unique
     bookingNo: {
       type: String,
       required: [true, "Booking number is required"],
-      unique: true,
       trim: true,
     },
     serialNo: {
@@ -194,6 +203,18 @@ const BookingSchema = new mongoose.Schema(
       unique: true,
       sparse: true,
     },
+    // hotelID:roomID:checkIn of the RoomNumber.bookings entry this was migrated from
+    legacyKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // Billed for nights given up by an early departure (part of totalBill)
+    earlyDepartureCharge: {
+      type: Number,
+      default: 0,
+      min: [0, "Early departure charge cannot be negative"],
+    },
     kitchenTotalBill: {
       type: Number,
       default: 0,
@@ -216,15 +237,112 @@ const BookingSchema = new mongoose.Schema(
     statusID: {
       type: Number,
       default: 1,
-      enum: [1, 2, 3, 255], // Example: 1=Confirmed, 2=Checked-in, 3=Checked-out, 255=Cancelled
+      enum: [1, 2, 3, 4, 255], // 1=Confirmed, 2=Checked-in, 3=Checked-out, 4=No-show, 255=Cancelled
     },
     canceledBy: {
       type: String,
     },
+    // Stay workflow: set by the check-in / check-out endpoints
+    checkedInAt: { type: Date },
+    checkedInBy: { type: String },
+    checkedOutAt: { type: Date },
+    checkedOutBy: { type: String },
+    // Manager who allowed check-out with an unpaid balance
+    dueOverride: {
+      by: { type: String },
+      reason: { type: String, trim: true },
+      amount: { type: Number },
+    },
     reason: {
       type: String,
       trim: true,
     },
+    // Last early departure: the stay that was booked and what the policy charged for it
+    earlyDeparture: {
+      originalCheckOutDate: { type: Date },
+      releasedNights: { type: Number },
+      releasedAmount: { type: Number },
+      chargeNights: { type: Number },
+      chargePercent: { type: Number },
+      charge: { type: Number },
+      policySource: { type: String, enum: ["ratePlan", "hotel", "default"] },
+      recordedAt: { type: Date },
+      recordedBy: { type: String },
+    },
+    // Outcome of the cancellation policy when the booking was cancelled or marked a no-show
+    cancellation: {
+      cancelledAt: { type: Date },
+      policySource: { type: String, enum: ["ratePlan", "hotel", "default"] },
+      daysBefore: { type: Number },
+      noShow: { type: Boolean },
+      refundPercent: { type: Number },
+      paidAmount: { type: Number },
+      refundAmount: { type: Number },
+      retainedAmount: { type: Number },
+    },
+    // Money returned to the guest; payments[] stays as received. Derived from the payment
+    // ledger like payments[]
+    refunds: {
+      type: [
+        {
+          paymentMethod: {
+            type: String,
+            enum: ["CASH", "BKASH", "NAGAD", "BANK", "CARD", "OTHER"],
+            default: "CASH",
+          },
+          amount: { type: Number, required: true, min: 0 },
+          transactionId: { type: String, trim: true, default: "" },
+          reason: { type: String, trim: true },
+          createdBy: { type: String },
+          createdAt: { type: Date, default: Date.now },
+          receiptNo: { type: String },
+        },
+      ],
+      default: [],
+      required: false,
+    },
+    // Last time payments[] / refunds[] were derived from the payment ledger; unset on bookings
+    // from before the ledger
+    ledgerSyncedAt: { type: Date },
+    // Rooms used over the stay when the guest moved rooms (see utils/staySegments.js);
+    // empty for a stay in a single room
+    segments: {
+      type: [
+        {
+          roomCategoryID: { type: String, required: true },
+          roomCategoryName: { type: String, trim: true },
+          roomNumberID: { type: String, required: true },
+          roomNumberName: { type: String, trim: true },
+          checkInDate: { type: Date, required: true },
+          checkOutDate: { type: Date, required: true },
+          nightlyPrice: { type: Number, required: true, min: 0 },
+          nights: { type: Number, required: true, min: 1 },
+          // Set on segments started by a room move
+          movedAt: { type: Date },
+          movedBy: { type: String },
+          reason: { type: String, trim: true },
+        },
+      ],
+      default: [],
+      required: false,
+    },
+    // Room charges posted by the night audit (utils/nightAudit.js), one per night stayed.
+    // totalBill already includes them; this records which nights were audited and at what rate
+    postedCharges: {
+      type: [
+        {
+          night: { type: Date, required: true },
+          roomNumberID: { type: String },
+          roomNumberName: { type: String },
+          amount: { type: Number, required: true, min: 0 },
+          nightAudit: { type: mongoose.Schema.Types.ObjectId, ref: "NightAudit" },
+          postedAt: { type: Date, default: Date.now },
+          postedBy: { type: String },
+        },
+      ],
+      default: [],
+      required: false,
+    },
     // Optional: date-wise daily amount entries (e.g. for extended stay breakdown)
     dailyAmounts: {
       type: [
@@ -261,12 +379,36 @@ BookingSchema.index({ checkInDate: 1 });
 BookingSchema.index({ bookingNo: 1 });
 BookingSchema.index({ invoiceNo: 1 });
 BookingSchema.index({ statusID: 1 });
+BookingSchema.index({ hotelID: 1, "segments.roomNumberID": 1 });
+// Booking search (GET /api/bookings/search): default listing, date filters and free text
+BookingSchema.index({ hotelID: 1, createdAt: -1 });
+BookingSchema.index({ hotelID: 1, checkInDate: 1 });
+BookingSchema.index({ hotelID: 1, roomNumberID: 1 });
+BookingSchema.index({ phone: 1 });
+BookingSchema.index({ fullName: 1 });
 
-// Pre-save hook to calculate due payment
-BookingSchema.pre("save", function(next) {
-  if (this.isModified("totalBill") || this.isModified("advancePayment")) {
-    this.duePayment = Math.max(0, this.totalBill - this.advancePayment);
+const DAY_MS = 1000 * 60 * 60 * 24;
+const utcDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+// Derived figures, computed before validation so client values never reach the database:
+// nights from the dates, totalPaid from payments[] (advancePayment for old bookings without
+// payments that are not on the payment ledger) and duePayment = totalBill - totalPaid
+BookingSchema.pre("validate", function(next) {
+  if (this.checkInDate instanceof Date && this.checkOutDate instanceof Date) {
+    this.nights = Math.round((utcDay(this.checkOutDate) - utcDay(this.checkInDate)) / DAY_MS);
   }
+
+  const payments = this.payments || [];
+  const paid =
+    payments.length > 0 || this.ledgerSyncedAt
+      ? payments.reduce((sum, p) => sum + (Number(p.amount) || 0), 0)
+      : this.advancePayment || 0;
+  this.totalPaid = Math.round(paid * 100) / 100;
+  // Nothing is due on a cancelled or no-show booking; what was kept is in cancellation.retainedAmount
+  this.duePayment =
+    this.statusID === 255 || this.statusID === 4
+      ? 0
+      : Math.max(0, Math.round(((this.totalBill || 0) - this.totalPaid) * 100) / 100);
   next();
 });
 
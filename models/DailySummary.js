@@ -1,11 +1,31 @@
 // models/DailySummary.js
 const mongoose = require("mongoose");
 
+// Amount per payment method
+const MethodTotalsSchema = new mongoose.Schema(
+  {
+    CASH: { type: Number, default: 0 },
+    BKASH: { type: Number, default: 0 },
+    NAGAD: { type: Number, default: 0 },
+    BANK: { type: Number, default: 0 },
+    CARD: { type: Number, default: 0 },
+    OTHER: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Figures are computed on the server (utils/dailySummary.js) from booking payments and refunds,
+// paid restaurant orders and expenses of the day; adjustments are the only manual input.
+// A closed day is locked.
 const DailySummarySchema = new mongoose.Schema({
+  // One summary per hotel per day; missing on summaries saved before hotel scoping
+  hotelID: {
+    type: Number,
+    required: false,
+  },
   date: {
     type: Date,
     required: true,
-    unique: true,
   },
   openingBalance: {
     type: Number,
@@ -32,10 +52,44 @@ const DailySummarySchema = new mongoose.Schema({
     required: true,
     default: 0,
   },
+  // Income of the day by source and payment method (refunds are paid out)
+  bookingPayments: { type: MethodTotalsSchema, default: () => ({}) },
+  orderPayments: { type: MethodTotalsSchema, default: () => ({}) },
+  refunds: { type: MethodTotalsSchema, default: () => ({}) },
+  // Net income per payment method, adjustments included
+  incomeByMethod: { type: MethodTotalsSchema, default: () => ({}) },
+  // Manual corrections; amount is signed (negative reduces the day's income)
+  adjustments: {
+    type: [
+      {
+        amount: { type: Number, required: true },
+        paymentMethod: {
+          type: String,
+          enum: ["CASH", "BKASH", "NAGAD", "BANK", "CARD", "OTHER"],
+          default: "CASH",
+        },
+        reason: { type: String, required: true, trim: true },
+        createdBy: { type: String },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    default: [],
+  },
+  computedAt: { type: Date },
+  // open | closed; a closed day is no longer recomputed or adjusted
+  status: {
+    type: String,
+    enum: ["open", "closed"],
+    default: "open",
+  },
+  closedAt: { type: Date },
+  closedBy: { type: String },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+DailySummarySchema.index({ hotelID: 1, date: 1 }, { unique: true });
+
 module.exports = mongoose.model("DailySummary", DailySummarySchema);
@@ -7,6 +7,11 @@ const expenseSchema = new mongoose.Schema({
     unique: true,
     sparse: true,
   },
+  hotelID: {
+    type: Number,
+    required: false,
+    index: true,
+  },
   expenseCategory: {
     type: String,
     required: false,
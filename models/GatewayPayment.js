@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+const PROVIDERS = ["bkash", "nagad"];
+const STATUSES = ["initiated", "verifying", "completed", "failed", "cancelled"];
+
+// A payment started with a mobile wallet gateway (utils/gatewayPayments.js): created when the
+// guest is sent to the gateway, completed once the gateway confirms the transaction, at which
+// point the money is recorded on the payment ledger (payment / receiptNo).
+const gatewayPaymentSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: PROVIDERS,
+      required: true,
+    },
+    hotelID: {
+      type: Number,
+      required: false,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+      index: true,
+    },
+    bookingNo: { type: String },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, "Amount must be positive"],
+    },
+    // Gateway's reference of the payment (bKash paymentID, Nagad paymentReferenceId)
+    paymentID: { type: String },
+    // Checkout page the guest is sent to
+    redirectURL: { type: String },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: "initiated",
+    },
+    // Gateway transaction (bKash trxID, Nagad issuerPaymentRefNo) once paid
+    transactionId: { type: String },
+    // Amount the gateway reports as paid
+    paidAmount: { type: Number },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+    receiptNo: { type: String },
+    failureReason: { type: String },
+    completedAt: { type: Date },
+    // Every exchange with the gateway: create, callback, webhook or verify, with its response
+    events: [
+      {
+        at: { type: Date, default: Date.now },
+        source: { type: String },
+        status: { type: String },
+        data: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    createdBy: {
+      id: { type: String },
+      username: { type: String },
+    },
+  },
+  { timestamps: true }
+);
+
+gatewayPaymentSchema.index(
+  { provider: 1, paymentID: 1 },
+  { unique: true, partialFilterExpression: { paymentID: { $type: "string" } } }
+);
+// A gateway transaction completes one payment only
+gatewayPaymentSchema.index(
+  { provider: 1, transactionId: 1 },
+  { unique: true, partialFilterExpression: { transactionId: { $type: "string" } } }
+);
+
+gatewayPaymentSchema.statics.PROVIDERS = PROVIDERS;
+gatewayPaymentSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model("GatewayPayment", gatewayPaymentSchema);
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+
+// Guest profile of a hotel. Bookings keep their own copy of the contact fields (as entered
+// at the time) and link here through Booking.guestID; lifetime figures are computed from
+// the linked bookings (utils/guests.js). Matched by phone, NID/passport or email.
+const GuestSchema = new mongoose.Schema(
+  {
+    hotelID: {
+      type: Number,
+      required: [true, "Hotel ID is required"],
+      index: true,
+    },
+    fullName: {
+      type: String,
+      required: [true, "Full name is required"],
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    nidPassport: {
+      type: String,
+      trim: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    // Normalized phone / email / NID used for matching (set from the fields above)
+    phoneKey: { type: String },
+    emailKey: { type: String },
+    nidKey: { type: String },
+    notes: {
+      type: [
+        {
+          text: { type: String, required: true, trim: true },
+          createdBy: { type: String },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    // New bookings of a blacklisted guest need acknowledgeBlacklist
+    blacklisted: {
+      type: Boolean,
+      default: false,
+    },
+    blacklist: {
+      reason: { type: String, trim: true },
+      by: { type: String },
+      at: { type: Date },
+    },
+  },
+  { timestamps: true }
+);
+
+// Matching keys: phone digits (+880 / 880 written as a leading 0), lower-case email,
+// NID/passport without spaces or dashes. Empty values never match.
+function matchKeys({ phone, email, nidPassport } = {}) {
+  let phoneKey = String(phone || "").replace(/\D/g, "");
+  if (/^880\d{10}$/.test(phoneKey)) phoneKey = phoneKey.slice(2);
+  return {
+    phoneKey: phoneKey.length >= 6 ? phoneKey : undefined,
+    emailKey: String(email || "").trim().toLowerCase() || undefined,
+    nidKey: String(nidPassport || "").toUpperCase().replace(/[^A-Z0-9]/g, "") || undefined,
+  };
+}
+
+GuestSchema.statics.matchKeys = matchKeys;
+
+GuestSchema.pre("validate", function (next) {
+  Object.assign(this, matchKeys(this));
+  next();
+});
+
+GuestSchema.index({ hotelID: 1, phoneKey: 1 });
+GuestSchema.index({ hotelID: 1, emailKey: 1 });
+GuestSchema.index({ hotelID: 1, nidKey: 1 });
+
+module.exports = mongoose.model("Guest", GuestSchema);
@@ -59,7 +59,7 @@ const RoomNumberSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ["available", "occupied", "maintenance", "reserved"],
+    enum: ["available", "occupied", "cleaning", "maintenance", "reserved"],
     default: "available",
   },
   price: {
@@ -101,6 +101,126 @@ const RoomNumberSchema = new mongoose.Schema({
   },
 }, { _id: true, timestamps: true });
 
+// Define Season schema (date-ranged rate, e.g. Eid, winter peak)
+const SeasonSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  // Last night of the season (inclusive)
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  // Nightly price during the season; when empty, basePrice raised by upliftPercent
+  price: {
+    type: Number,
+    required: false,
+    min: 0,
+  },
+  upliftPercent: {
+    type: Number,
+    required: false,
+  },
+  minStay: {
+    type: Number,
+    required: false,
+    min: 1,
+  },
+}, { _id: true });
+
+// Define CancellationPolicy schema (per hotel, optionally overridden by a rate plan)
+// Rules: the first with minDaysBefore <= days left before check-in gives the refund percent
+const CancellationRuleSchema = new mongoose.Schema({
+  minDaysBefore: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  refundPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+  },
+}, { _id: false });
+
+const CancellationPolicySchema = new mongoose.Schema({
+  rules: {
+    type: [CancellationRuleSchema],
+    default: [],
+  },
+  // Refund when the guest never shows up (cancelled on/after the check-in date)
+  noShowRefundPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+}, { _id: false });
+
+// Define EarlyDeparturePolicy schema (per hotel, optionally overridden by a rate plan)
+// Of the nights a checked-in guest gives up, the first chargeNights are billed in full and
+// the rest at chargePercent
+const EarlyDeparturePolicySchema = new mongoose.Schema({
+  chargeNights: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  chargePercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+}, { _id: false });
+
+// Define RatePlan schema (per room category)
+const RatePlanSchema = new mongoose.Schema({
+  // Days of week (0 = Sunday) priced as weekend; Friday and Saturday by default
+  weekendDays: {
+    type: [Number],
+    default: [5, 6],
+  },
+  weekendUplift: {
+    kind: {
+      type: String,
+      enum: ["percent", "flat"],
+      default: "percent",
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  minStay: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  seasons: {
+    type: [SeasonSchema],
+    default: [],
+  },
+  // Overrides the hotel cancellation policy when it has rules
+  cancellationPolicy: {
+    type: CancellationPolicySchema,
+    required: false,
+  },
+  // Overrides the hotel early departure policy when set
+  earlyDeparturePolicy: {
+    type: EarlyDeparturePolicySchema,
+    required: false,
+  },
+}, { _id: false });
+
 // Define RoomCategories schema
 const RoomCategorySchema = new mongoose.Schema({
   name: {
@@ -146,6 +266,10 @@ const RoomCategorySchema = new mongoose.Schema({
     type: [RoomNumberSchema],
     default: [],
   },
+  ratePlan: {
+    type: RatePlanSchema,
+    required: false,
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -247,6 +371,14 @@ const HotelSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    cancellationPolicy: {
+      type: CancellationPolicySchema,
+      required: false,
+    },
+    earlyDeparturePolicy: {
+      type: EarlyDeparturePolicySchema,
+      required: false,
+    },
     roomCategories: {
       type: [RoomCategorySchema],
       default: [],
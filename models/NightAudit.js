@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// Report of a hotel's night audit for one business day (utils/nightAudit.js): room charges
+// posted for the in-house bookings, bookings needing attention, and the closed day's cash
+// summary. Re-running the audit of a reopened day replaces the report.
+const nightAuditSchema = new mongoose.Schema(
+  {
+    hotelID: {
+      type: Number,
+      required: true,
+    },
+    // Business day audited (UTC midnight); its night is the one posted
+    date: {
+      type: Date,
+      required: true,
+    },
+    runAt: { type: Date, default: Date.now },
+    runBy: { type: String },
+    // How many times the day was audited (more than once after a reopen)
+    runs: { type: Number, default: 1 },
+    roomCharges: {
+      count: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+      // In-house bookings whose charge for the night was posted on an earlier run
+      alreadyPosted: { type: Number, default: 0 },
+      postings: {
+        type: [
+          {
+            booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+            bookingNo: { type: String },
+            fullName: { type: String },
+            roomNumberName: { type: String },
+            amount: { type: Number },
+          },
+        ],
+        default: [],
+      },
+    },
+    // Still Confirmed (statusID 1) on or after their check-in day
+    pendingArrivals: {
+      type: [
+        {
+          booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+          bookingNo: { type: String },
+          fullName: { type: String },
+          phone: { type: String },
+          roomNumberName: { type: String },
+          checkInDate: { type: Date },
+        },
+      ],
+      default: [],
+    },
+    // Checked out on the day with a balance still due
+    unpaidCheckOuts: {
+      type: [
+        {
+          booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+          bookingNo: { type: String },
+          fullName: { type: String },
+          phone: { type: String },
+          roomNumberName: { type: String },
+          checkOutDate: { type: Date },
+          duePayment: { type: Number },
+        },
+      ],
+      default: [],
+    },
+    // The day's DailySummary as closed by the audit
+    dailySummaryID: { type: mongoose.Schema.Types.ObjectId, ref: "DailySummary" },
+    dailySummary: {
+      openingBalance: { type: Number },
+      dailyIncome: { type: Number },
+      dailyExpenses: { type: Number },
+      closingBalance: { type: Number },
+      incomeByMethod: { type: mongoose.Schema.Types.Mixed },
+    },
+  },
+  { timestamps: true }
+);
+
+nightAuditSchema.index({ hotelID: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model("NightAudit", nightAuditSchema);
@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+
+const PAYMENT_METHODS = ["CASH", "BKASH", "NAGAD", "BANK", "CARD", "OTHER"];
+const IMMUTABLE_ERROR = "Payment ledger entries cannot be changed or deleted; record a void or refund instead";
+
+// Payment ledger: one immutable entry per money movement of a booking or restaurant order
+// (see utils/paymentLedger.js). A payment takes money in, a refund pays it back, and a void
+// reverses an earlier payment or refund (voidOf). Booking.payments[] / refunds[] and the
+// booking's paid and due figures are derived from its entries.
+const paymentSchema = new mongoose.Schema(
+  {
+    receiptNo: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ["payment", "refund", "void"],
+      required: true,
+    },
+    hotelID: {
+      type: Number,
+      required: false,
+    },
+    // Exactly one of booking / order
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      index: true,
+    },
+    bookingNo: { type: String },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      index: true,
+    },
+    orderNumber: { type: String },
+    paymentMethod: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      default: "CASH",
+    },
+    // Always positive; the type says which way the money moved
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, "Amount must be positive"],
+    },
+    transactionId: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Day the money moved (UTC midnight); daily summaries count the entry on this day
+    date: {
+      type: Date,
+      required: true,
+    },
+    // Void entries: the entry reversed and its type
+    voidOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+    voidedType: {
+      type: String,
+      enum: ["payment", "refund"],
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      id: { type: String },
+      username: { type: String },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+paymentSchema.index({ hotelID: 1, date: 1 });
+// An entry is voided at most once
+paymentSchema.index({ voidOf: 1 }, { unique: true, partialFilterExpression: { type: "void" } });
+
+paymentSchema.pre("validate", function (next) {
+  if (!this.booking === !this.order) {
+    return next(new Error("A ledger entry belongs to either a booking or an order"));
+  }
+  if ((this.type === "void") !== Boolean(this.voidOf)) {
+    return next(new Error("Only void entries, and every void entry, name the entry they reverse"));
+  }
+  next();
+});
+
+paymentSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error(IMMUTABLE_ERROR));
+  next();
+});
+
+const refuseChange = function (next) {
+  next(new Error(IMMUTABLE_ERROR));
+};
+paymentSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  refuseChange
+);
+paymentSchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], { document: false, query: true }, refuseChange);
+paymentSchema.pre("deleteOne", { document: true, query: false }, refuseChange);
+
+paymentSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+
+module.exports = mongoose.model("Payment", paymentSchema);
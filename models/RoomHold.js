@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Short-lived hold on a room for a date range while an agent enters a booking.
+// Removed when it expires (utils/roomHolds.js), is released, or becomes a Booking.
+const roomHoldSchema = new mongoose.Schema(
+  {
+    hotelID: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+    roomCategoryID: {
+      type: String,
+      required: true,
+    },
+    roomNumberID: {
+      type: String,
+      required: true,
+    },
+    roomNumberName: {
+      type: String,
+      required: false,
+    },
+    checkInDate: {
+      type: Date,
+      required: true,
+    },
+    checkOutDate: {
+      type: Date,
+      required: true,
+    },
+    heldBy: {
+      id: { type: String, required: true },
+      username: { type: String },
+    },
+    note: {
+      type: String,
+      required: false,
+      trim: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+roomHoldSchema.index({ hotelID: 1, roomNumberID: 1, checkInDate: 1 });
+
+module.exports = mongoose.model("RoomHold", roomHoldSchema);
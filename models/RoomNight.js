@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// Room inventory: one document per room per night held by a booking or a temporary room
+// hold. The unique index is what makes double-booking impossible — of two concurrent claims
+// on the same night, MongoDB accepts exactly one (see utils/roomInventory.js).
+const roomNightSchema = new mongoose.Schema(
+  {
+    hotelID: {
+      type: Number,
+      required: true,
+    },
+    roomNumberID: {
+      type: String,
+      required: true,
+    },
+    // UTC midnight of the night (check-in day .. day before check-out)
+    night: {
+      type: Date,
+      required: true,
+    },
+    // Exactly one of booking / hold
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      index: true,
+    },
+    hold: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RoomHold",
+      index: true,
+    },
+    // Hold nights only: free again from this moment even before the hold is swept
+    expiresAt: {
+      type: Date,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, versionKey: false }
+);
+
+roomNightSchema.index({ hotelID: 1, roomNumberID: 1, night: 1 }, { unique: true });
+
+roomNightSchema.pre("validate", function (next) {
+  if (!this.booking === !this.hold) {
+    return next(new Error("A room night belongs to either a booking or a hold"));
+  }
+  next();
+});
+
+module.exports = mongoose.model("RoomNight", roomNightSchema);
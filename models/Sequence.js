@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Named counters behind document numbers (see utils/documentNumbers.js).
+// Kept apart from the "counters" collection mongoose-sequence uses for hotel/room IDs.
+const sequenceSchema = new mongoose.Schema(
+  {
+    // e.g. "booking:serial", "booking:261019", "invoice:3:261019"
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("Sequence", sequenceSchema);
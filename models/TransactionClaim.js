@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Transaction IDs in use: one document per mobile wallet, card or bank transaction paying a
+// booking or order. The unique index is what makes paying twice with one transaction
+// impossible — of two concurrent claims on the same ID, MongoDB accepts exactly one (see
+// utils/transactionClaims.js). Voiding the payment gives the ID back.
+const transactionClaimSchema = new mongoose.Schema(
+  {
+    paymentMethod: {
+      type: String,
+      required: true,
+    },
+    transactionId: {
+      type: String,
+      required: true,
+    },
+    // Booking claiming the ID for a payment it is about to save, until the payment is recorded
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      index: true,
+    },
+    // Ledger entry recording the payment
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      index: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, versionKey: false }
+);
+
+transactionClaimSchema.index({ paymentMethod: 1, transactionId: 1 }, { unique: true });
+
+module.exports = mongoose.model("TransactionClaim", transactionClaimSchema);
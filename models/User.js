@@ -46,6 +46,7 @@ const UserSchema = new mongoose.Schema(
       permissionName: { type: String },
       permissions: [
         {
+          pageKey: { type: String },
           pageName: { type: String },
           viewAccess: { type: Boolean },
           editAccess: { type: Boolean },
@@ -2,6 +2,11 @@ const mongoose = require("mongoose");
 
 const MenuSchema = new mongoose.Schema(
   {
+    hotelID: {
+      type: Number,
+      required: false,
+      index: true,
+    },
     itemName: {
       type: String,
       required: true,
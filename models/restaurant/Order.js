@@ -1,7 +1,13 @@
 const mongoose = require("mongoose");
+const { generateOrderNumber } = require("../../utils/documentNumbers");
 
 const OrderSchema = new mongoose.Schema(
   {
+    hotelID: {
+      type: Number,
+      required: false,
+      index: true,
+    },
     orderNumber: {
       type: String,
       unique: true,
@@ -80,6 +86,11 @@ const OrderSchema = new mongoose.Schema(
       enum: ["cash", "card", "mobile_banking", "online"],
       required: false,
     },
+    // When paymentStatus became "paid"; the daily cash summary counts the order on that day
+    paidAt: {
+      type: Date,
+      required: false,
+    },
     orderStatus: {
       type: String,
       enum: ["pending", "confirmed", "preparing", "ready", "served", "cancelled"],
@@ -102,31 +113,13 @@ const OrderSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Generate order number before saving
+// Generate order number before saving (atomic daily sequence, see utils/documentNumbers.js)
 OrderSchema.pre("save", async function (next) {
   if (!this.orderNumber) {
     try {
-      // Get count of orders created today
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      
-      const count = await mongoose.model("Order").countDocuments({
-        createdAt: {
-          $gte: today,
-          $lt: tomorrow
-        }
-      });
-      
-      const dateStr = today.toISOString().slice(0, 10).replace(/-/g, "");
-      this.orderNumber = `ORD-${dateStr}-${String(count + 1).padStart(4, "0")}`;
+      this.orderNumber = await generateOrderNumber();
     } catch (error) {
-      // Fallback if count fails
-      const date = new Date();
-      const dateStr = date.toISOString().slice(0, 10).replace(/-/g, "");
-      const timestamp = Date.now();
-      this.orderNumber = `ORD-${dateStr}-${String(timestamp).slice(-4)}`;
+      return next(error);
     }
   }
   next();
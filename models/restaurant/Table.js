@@ -2,12 +2,16 @@ const mongoose = require("mongoose");
 
 const TableSchema = new mongoose.Schema(
   {
+    hotelID: {
+      type: Number,
+      required: false,
+      index: true,
+    },
+    // Unique per hotel (see compound index below)
     tableNumber: {
       type: String,
       required: true,
       trim: true,
-      unique: true,
-      index: true,
     },
     capacity: {
       type: Number,
@@ -37,7 +41,7 @@ const TableSchema = new mongoose.Schema(
 );
 
 // Indexes for better query performance
-TableSchema.index({ tableNumber: 1 });
+TableSchema.index({ hotelID: 1, tableNumber: 1 }, { unique: true });
 TableSchema.index({ status: 1 });
 TableSchema.index({ statusID: 1 });
 TableSchema.index({ capacity: 1 });
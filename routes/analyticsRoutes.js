@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const { protect, authorize } = require("../middleware/authMiddleware");
+const AnalyticsController = require("../controllers/analyticsController");
+
+// @desc Occupancy %, ADR, RevPAR and room-nights sold per day / week / month, per hotel or room category
+// @route GET /api/analytics/kpis?hotelID=1&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&groupBy=month&by=category
+router.get("/analytics/kpis", protect, authorize("dashboard", "view"), AnalyticsController.getHotelKpis);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const { protect, authorize } = require("../middleware/authMiddleware");
+const AuditLogController = require("../controllers/auditLogController");
+
+// @desc Query the change log (entity, entityId, userId, action, hotelID, date range)
+// @route GET /api/audit-logs
+router.get("/audit-logs", protect, authorize("auditLog", "view"), AuditLogController.getAuditLogs);
+
+// @desc Change history of a single document
+// @route GET /api/audit-logs/:entity/:entityId
+router.get(
+  "/audit-logs/:entity/:entityId",
+  protect,
+  authorize("auditLog", "view"),
+  AuditLogController.getEntityHistory
+);
+
+module.exports = router;
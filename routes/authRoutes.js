@@ -7,21 +7,21 @@ const {
   updateStatusID,
   hardDeleteUser,
 } = require("../controllers/authController");
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
 
 const router = express.Router();
 
 router.post("/login", login);
 
 // Protected routes (Users & Agents page)
-router.post("/register", protect, register); // Create user (admin)
-router.get("/users", protect, getAllUsers);
-router.put("/users/:id", protect, updateUser);
-router.delete("/users/:id", protect, hardDeleteUser); // DELETE /auth/users/:id
+router.post("/register", protect, authorize("users", "insert"), register); // Create user (admin)
+router.get("/users", protect, authorize("users", "view"), getAllUsers);
+router.put("/users/:id", protect, authorize("users", "edit"), updateUser);
+router.delete("/users/:id", protect, authorize("users", "delete"), hardDeleteUser); // DELETE /auth/users/:id
 
 // Soft delete user (statusID=255)
-router.put("/users/soft/:id", protect, updateStatusID);
+router.put("/users/soft/:id", protect, authorize("users", "delete"), updateStatusID);
 // Hard delete (alias; primary delete is above)
-router.delete("/users/hard/:id", protect, hardDeleteUser);
+router.delete("/users/hard/:id", protect, authorize("users", "delete"), hardDeleteUser);
 
 module.exports = router;
@@ -1,62 +1,136 @@
 const express = require("express");
 const router = express.Router();
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
 const BookingController = require("../controllers/bookingController");
+const { validateBookingQuery } = require("../utils/validators");
 
 // @desc Create a new booking
 // @route POST /api/bookings
-router.post("/booking", protect, BookingController.createBooking);
+router.post("/booking", protect, authorize("booking", "insert"), BookingController.createBooking);
+
+// @desc Create a group reservation (several rooms, one bookingNo, all or nothing)
+// @route POST /api/bookings/group
+router.post("/bookings/group", protect, authorize("booking", "insert"), BookingController.createGroupBooking);
 
 // @desc Get all bookings
 // @route GET /api/bookings
-router.get("/bookings", protect, BookingController.getBookings);
+router.get("/bookings", protect, authorize("booking", "view"), BookingController.getBookings);
+
+// @desc Search bookings: filters, free-text search, sorting, page or cursor pagination
+// @route GET /api/bookings/search?hotelID=1&search=&statusID=1,2&hasDue=true&sortBy=checkInDate&limit=25&cursor=
+router.get(
+  "/bookings/search",
+  protect,
+  authorize("booking", "view"),
+  validateBookingQuery,
+  BookingController.searchBookings
+);
 
 // @desc Get bookings by check-in date
 // @route GET /api/bookings/checkIn?checkInDate=YYYY-MM-DD
-router.get("/bookings/checkIn", protect, BookingController.getBookingsByCheckInDate);
+router.get("/bookings/checkIn", protect, authorize("booking", "view"), BookingController.getBookingsByCheckInDate);
+
+// @desc Get free rooms of a hotel for a date range, grouped by category
+// @route GET /api/bookings/availability?hotelID=1&checkInDate=YYYY-MM-DD&checkOutDate=YYYY-MM-DD&adults=2&children=0
+router.get("/bookings/availability", protect, authorize("booking", "view"), BookingController.getAvailability);
 
 // @desc Get a single booking by ID
 // @route GET /api/bookings/:id
-router.get("/booking/:id", protect, BookingController.getBookingById);
+router.get("/booking/:id", protect, authorize("booking", "view"), BookingController.getBookingById);
 
 // @route GET /api/bookings/bookingNo/:bookingNo
 router.get(
   "/bookings/bookingNo/:bookingNo",
   protect,
+  authorize("booking", "view"),
   BookingController.getBookingsByBookingNo
 );
+
+// @desc Group folio (total bill and payments across all rooms of a bookingNo)
+// @route GET /api/bookings/bookingNo/:bookingNo/folio
+router.get(
+  "/bookings/bookingNo/:bookingNo/folio",
+  protect,
+  authorize("booking", "view"),
+  BookingController.getGroupFolio
+);
+
+// @desc PDF invoice of every room of a bookingNo
+// @route GET /api/bookings/bookingNo/:bookingNo/invoice
+router.get(
+  "/bookings/bookingNo/:bookingNo/invoice",
+  protect,
+  authorize("booking", "view"),
+  BookingController.getGroupInvoice
+);
+
+// @desc PDF invoice of a single booking
+// @route GET /api/booking/:id/invoice
+router.get("/booking/:id/invoice", protect, authorize("booking", "view"), BookingController.getBookingInvoice);
 // get booking by hotelID
 
 router.post(
   "/getBookingByHotelID",
   protect,
+  authorize("booking", "view"),
   BookingController.getBookingsByHotelId
 );
 
 // @desc Update an existing booking
 // @route PUT /api/bookings/:id
-router.put("/booking/:id", protect, BookingController.updateBooking);
+router.put("/booking/:id", protect, authorize("booking", "edit"), BookingController.updateBooking);
 // @route DELETE /api/bookings/booking/:id/payments/:paymentId
 router.delete(
   "/bookings/booking/:id/payments/:paymentId",
   protect,
+  authorize("booking", "delete"),
   BookingController.clearBookingPayments
 );
 // @route DELETE /api/booking/:id/payments/:paymentId (alias)
 router.delete(
   "/booking/:id/payments/:paymentId",
   protect,
+  authorize("booking", "delete"),
   BookingController.clearBookingPayments
 );
+// @desc Check in (Confirmed -> Checked-in, room occupied)
+// @route PUT /api/booking/:id/check-in
+router.put("/booking/:id/check-in", protect, authorize("booking", "edit"), BookingController.checkInBooking);
+
+// @desc Check out (Checked-in -> Checked-out, room cleaning/available; unpaid due needs a manager override)
+// @route PUT /api/booking/:id/check-out
+router.put("/booking/:id/check-out", protect, authorize("booking", "edit"), BookingController.checkOutBooking);
+
+// @desc Move the guest to another room from a date on (split stay, one bookingNo and payment history)
+// @route PUT /api/booking/:id/move
+router.put("/booking/:id/move", protect, authorize("booking", "edit"), BookingController.moveBookingRoom);
+
+// @desc Extend the stay to a later check-out (added nights at the current rate)
+// @route PUT /api/booking/:id/extend
+router.put("/booking/:id/extend", protect, authorize("booking", "edit"), BookingController.extendStay);
+
+// @desc Shorten the stay to an earlier check-out (early departure charge per policy for checked-in guests)
+// @route PUT /api/booking/:id/shorten
+router.put("/booking/:id/shorten", protect, authorize("booking", "edit"), BookingController.shortenStay);
+
+// @desc Preview refund / retention of cancelling a booking now (policy of its rate plan or hotel)
+// @route GET /api/booking/:id/cancellation-quote?noShow=true
+router.get(
+  "/booking/:id/cancellation-quote",
+  protect,
+  authorize("booking", "view"),
+  BookingController.getCancellationQuote
+);
+
 // @route PUT /api/booking/soft/:id – set statusID = 255 (body: canceledBy, reason)
-router.put("/booking/soft/:id", protect, BookingController.updateStatusID);
+router.put("/booking/soft/:id", protect, authorize("booking", "delete"), BookingController.updateStatusID);
 
 // @desc Soft delete booking (set statusID = 255)
 // @route DELETE /api/booking/soft/:id
-router.delete("/booking/soft/:id", protect, BookingController.softDeleteBooking);
+router.delete("/booking/soft/:id", protect, authorize("booking", "delete"), BookingController.softDeleteBooking);
 
 // @desc Hard delete booking (remove from database)
 // @route DELETE /api/booking/:id
-router.delete("/booking/:id", protect, BookingController.deleteBooking);
+router.delete("/booking/:id", protect, authorize("booking", "delete"), BookingController.deleteBooking);
 
 module.exports = router;
\ No newline at end of file
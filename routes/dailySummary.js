@@ -1,21 +1,71 @@
 // routes/dailySummary.js
 const express = require("express");
 const router = express.Router();
+const { protect, authorize } = require("../middleware/authMiddleware");
 const dailySummaryController = require("../controllers/dailySummaryController");
 
 // Save daily summary
 router.post(
   "/daily-summary",
+  protect,
+  authorize("dailySummary", "insert"),
   dailySummaryController.createOrUpdateDailySummary
 );
 
+// Dates where the opening / closing balance chain is broken (before /:date)
+router.get(
+  "/daily-summary/chain-check",
+  protect,
+  authorize("dailySummary", "view"),
+  dailySummaryController.getChainCheck
+);
+
+// Re-chain balances forward from a date
+router.post(
+  "/daily-summary/rechain",
+  protect,
+  authorize("dailySummary", "edit"),
+  dailySummaryController.rechainDailySummaries
+);
+
 // Get daily summary by date
-router.get("/daily-summary/:date", dailySummaryController.getDailySummary);
+router.get(
+  "/daily-summary/:date",
+  protect,
+  authorize("dailySummary", "view"),
+  dailySummaryController.getDailySummary
+);
 
 // Get previous day's closing balance
 router.get(
   "/daily-summary/previous-day/:date",
+  protect,
+  authorize("dailySummary", "view"),
   dailySummaryController.getPreviousDayClosingBalance
 );
 
+// Add a manual adjustment to a day
+router.post(
+  "/daily-summary/:date/adjustments",
+  protect,
+  authorize("dailySummary", "edit"),
+  dailySummaryController.addAdjustment
+);
+
+// Close (lock) a day
+router.post(
+  "/daily-summary/:date/close",
+  protect,
+  authorize("dailySummary", "edit"),
+  dailySummaryController.closeDailySummary
+);
+
+// Reopen a closed day (managers only)
+router.post(
+  "/daily-summary/:date/reopen",
+  protect,
+  authorize("dailySummary", "edit"),
+  dailySummaryController.reopenDailySummary
+);
+
 module.exports = router;
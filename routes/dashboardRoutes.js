@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
 const DashboardController = require("../controllers/dashboardController");
 
 // ============================================
@@ -13,28 +13,28 @@ const DashboardController = require("../controllers/dashboardController");
  * @access  Private
  * @body    { theme: {...}, cardStyle: {...}, userId?: ObjectId, isDefault?: boolean }
  */
-router.post("/dashboard", protect, DashboardController.createDashboard);
+router.post("/dashboard", protect, authorize("dashboard", "insert"), DashboardController.createDashboard);
 
 /**
  * @route   GET /api/dashboard
  * @desc    Get current user's dashboard configuration (or default)
  * @access  Private
  */
-router.get("/dashboard", protect, DashboardController.getDashboard);
+router.get("/dashboard", protect, authorize("dashboard", "view"), DashboardController.getDashboard);
 
 /**
  * @route   GET /api/dashboard/all
  * @desc    Get all dashboard configurations (admin)
  * @access  Private
  */
-router.get("/dashboard/all", protect, DashboardController.getAllDashboards);
+router.get("/dashboard/all", protect, authorize("dashboard", "view"), DashboardController.getAllDashboards);
 
 /**
  * @route   GET /api/dashboard/:id
  * @desc    Get dashboard configuration by ID
  * @access  Private
  */
-router.get("/dashboard/:id", protect, DashboardController.getDashboardById);
+router.get("/dashboard/:id", protect, authorize("dashboard", "view"), DashboardController.getDashboardById);
 
 /**
  * @route   PUT /api/dashboard
@@ -42,7 +42,7 @@ router.get("/dashboard/:id", protect, DashboardController.getDashboardById);
  * @access  Private
  * @body    { theme: {...}, cardStyle: {...} }
  */
-router.put("/dashboard", protect, DashboardController.updateMyDashboard);
+router.put("/dashboard", protect, authorize("dashboard", "edit"), DashboardController.updateMyDashboard);
 
 /**
  * @route   PUT /api/dashboard/:id
@@ -50,20 +50,20 @@ router.put("/dashboard", protect, DashboardController.updateMyDashboard);
  * @access  Private
  * @body    { theme: {...}, cardStyle: {...}, isDefault?: boolean }
  */
-router.put("/dashboard/:id", protect, DashboardController.updateDashboard);
+router.put("/dashboard/:id", protect, authorize("dashboard", "edit"), DashboardController.updateDashboard);
 
 /**
  * @route   DELETE /api/dashboard/:id
  * @desc    Delete dashboard configuration
  * @access  Private
  */
-router.delete("/dashboard/:id", protect, DashboardController.deleteDashboard);
+router.delete("/dashboard/:id", protect, authorize("dashboard", "delete"), DashboardController.deleteDashboard);
 
 /**
  * @route   POST /api/dashboard/reset
  * @desc    Reset current user's dashboard to default
  * @access  Private
  */
-router.post("/dashboard/reset", protect, DashboardController.resetDashboard);
+router.post("/dashboard/reset", protect, authorize("dashboard", "edit"), DashboardController.resetDashboard);
 
 module.exports = router;
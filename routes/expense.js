@@ -1,32 +1,32 @@
 const express = require("express");
 const router = express.Router();
 const expenseController = require("../controllers/expenseController");
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
 
 // CRUD routes
 // @desc Create a new expense
 // @route POST /api/expenses
-router.post("/", protect, expenseController.createExpense);
+router.post("/", protect, authorize("expense", "insert"), expenseController.createExpense);
 
 // @desc Get all expenses
 // @route GET /api/expenses
-router.get("/", protect, expenseController.getAllExpenses);
+router.get("/", protect, authorize("expense", "view"), expenseController.getAllExpenses);
 
 // New route for daily expense sum (must come before /:id route)
 // @desc Get daily expense sum
 // @route GET /api/expenses/sum/daily
-router.get("/sum/daily", protect, expenseController.getDailyExpenseSum);
+router.get("/sum/daily", protect, authorize("expense", "view"), expenseController.getDailyExpenseSum);
 
 // @desc Get a single expense by ID
 // @route GET /api/expenses/:id
-router.get("/:id", protect, expenseController.getExpense);
+router.get("/:id", protect, authorize("expense", "view"), expenseController.getExpense);
 
 // @desc Update an existing expense
 // @route PUT /api/expenses/:id
-router.put("/:id", protect, expenseController.updateExpense);
+router.put("/:id", protect, authorize("expense", "edit"), expenseController.updateExpense);
 
 // @desc Delete an expense
 // @route DELETE /api/expenses/:id
-router.delete("/:id", protect, expenseController.deleteExpense);
+router.delete("/:id", protect, authorize("expense", "delete"), expenseController.deleteExpense);
 
 module.exports = router;
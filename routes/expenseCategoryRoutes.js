@@ -1,27 +1,27 @@
 const express = require("express");
 const router = express.Router();
 const expenseCategoryController = require("../controllers/expenseCategoryController");
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
 
 // CRUD routes for expense categories
 // @desc Create a new expense category
 // @route POST /api/expense-categories
-router.post("/expense-categories", protect, expenseCategoryController.createExpenseCategory);
+router.post("/expense-categories", protect, authorize("expense", "insert"), expenseCategoryController.createExpenseCategory);
 
 // @desc Get all expense categories
 // @route GET /api/expense-categories
-router.get("/expense-categories", protect, expenseCategoryController.getAllExpenseCategories);
+router.get("/expense-categories", protect, authorize("expense", "view"), expenseCategoryController.getAllExpenseCategories);
 
 // @desc Get a single expense category by ID
 // @route GET /api/expense-categories/:id
-router.get("/expense-categories/:id", protect, expenseCategoryController.getExpenseCategory);
+router.get("/expense-categories/:id", protect, authorize("expense", "view"), expenseCategoryController.getExpenseCategory);
 
 // @desc Update an existing expense category
 // @route PUT /api/expense-categories/:id
-router.put("/expense-categories/:id", protect, expenseCategoryController.updateExpenseCategory);
+router.put("/expense-categories/:id", protect, authorize("expense", "edit"), expenseCategoryController.updateExpenseCategory);
 
 // @desc Delete an expense category
 // @route DELETE /api/expense-categories/:id
-router.delete("/expense-categories/:id", protect, expenseCategoryController.deleteExpenseCategory);
+router.delete("/expense-categories/:id", protect, authorize("expense", "delete"), expenseCategoryController.deleteExpenseCategory);
 
 module.exports = router;
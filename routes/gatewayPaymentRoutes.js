@@ -0,0 +1,44 @@
+const express = require("express");
+const router = express.Router();
+const { protect, authorize } = require("../middleware/authMiddleware");
+const GatewayPaymentController = require("../controllers/gatewayPaymentController");
+
+// @desc Start a bKash / Nagad payment on a booking
+// @route POST /api/booking/:id/gateway-payments
+router.post(
+  "/booking/:id/gateway-payments",
+  protect,
+  authorize("booking", "edit"),
+  GatewayPaymentController.createGatewayPayment
+);
+
+// @desc Gateway payments
+// @route GET /api/gateway-payments?hotelID=1&booking=&provider=&status=
+router.get("/gateway-payments", protect, authorize("booking", "view"), GatewayPaymentController.getGatewayPayments);
+
+// @desc Gateway payment with its exchanges with the gateway
+// @route GET /api/gateway-payments/:id
+router.get(
+  "/gateway-payments/:id",
+  protect,
+  authorize("booking", "view"),
+  GatewayPaymentController.getGatewayPaymentById
+);
+
+// @desc Check a payment with the gateway again
+// @route POST /api/gateway-payments/:id/verify
+router.post(
+  "/gateway-payments/:id/verify",
+  protect,
+  authorize("booking", "edit"),
+  GatewayPaymentController.verifyGatewayPayment
+);
+
+// Called by the gateway and the guest's browser, so not behind protect; neither is trusted,
+// the payment is always checked with the gateway
+// @route GET /api/payment-gateways/:provider/callback
+router.get("/payment-gateways/:provider/callback", GatewayPaymentController.gatewayCallback);
+// @route POST /api/payment-gateways/:provider/webhook
+router.post("/payment-gateways/:provider/webhook", GatewayPaymentController.gatewayWebhook);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require("express");
+const router = express.Router();
+const { protect, authorize } = require("../middleware/authMiddleware");
+const GuestController = require("../controllers/guestController");
+
+// @desc Guests of a hotel with lifetime figures (search by name, phone, email, NID)
+// @route GET /api/guests?hotelID=1&search=&blacklisted=true&page=1&limit=50
+router.get("/guests", protect, authorize("booking", "view"), GuestController.getGuests);
+
+// @desc Profiles matching a phone, email or NID/passport (booking form auto-fill)
+// @route GET /api/guests/lookup?hotelID=1&phone=&email=&nidPassport=
+router.get("/guests/lookup", protect, authorize("booking", "view"), GuestController.lookupGuests);
+
+// @desc Guests sharing a phone, email or NID/passport
+// @route GET /api/guests/duplicates?hotelID=1
+router.get("/guests/duplicates", protect, authorize("booking", "view"), GuestController.getDuplicateGuests);
+
+// @desc Guest profile with stay history
+// @route GET /api/guests/:id
+router.get("/guests/:id", protect, authorize("booking", "view"), GuestController.getGuestById);
+
+// @desc Create a guest profile
+// @route POST /api/guests
+router.post("/guests", protect, authorize("booking", "insert"), GuestController.createGuest);
+
+// @desc Update a guest's contact fields
+// @route PUT /api/guests/:id
+router.put("/guests/:id", protect, authorize("booking", "edit"), GuestController.updateGuest);
+
+// @desc Add a note to a guest profile
+// @route POST /api/guests/:id/notes
+router.post("/guests/:id/notes", protect, authorize("booking", "edit"), GuestController.addGuestNote);
+
+// @desc Blacklist a guest or lift it (managers only)
+// @route PUT /api/guests/:id/blacklist
+router.put("/guests/:id/blacklist", protect, authorize("booking", "edit"), GuestController.setGuestBlacklist);
+
+// @desc Merge duplicate profiles into this one
+// @route POST /api/guests/:id/merge
+router.post("/guests/:id/merge", protect, authorize("booking", "delete"), GuestController.mergeGuestProfiles);
+
+module.exports = router;
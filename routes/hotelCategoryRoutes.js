@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
 const HotelCategoryController = require("../controllers/hotelCategoryController");
 
 // @desc Create a new slider
@@ -8,6 +8,7 @@ const HotelCategoryController = require("../controllers/hotelCategoryController"
 router.post(
   "/hotelCategory",
   protect,
+  authorize("hotel", "insert"),
   HotelCategoryController.createHotelCategory
 );
 
@@ -20,6 +21,7 @@ router.get("/hotelCategory", HotelCategoryController.getHotelCategory);
 router.put(
   "/hotelCategory/:id",
   protect,
+  authorize("hotel", "edit"),
   HotelCategoryController.updateHotelCategory
 );
 
@@ -28,6 +30,7 @@ router.put(
 router.delete(
   "/hotelCategory/:id",
   protect,
+  authorize("hotel", "delete"),
   HotelCategoryController.deleteHotelCategory
 );
 
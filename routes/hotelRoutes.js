@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
 const HotelController = require("../controllers/hotelController");
 const {
   validateHotel,
@@ -22,6 +22,7 @@ const {
 router.post(
   "/hotels",
   protect,
+  authorize("hotel", "insert"),
   validateHotel,
   HotelController.createHotel
 );
@@ -32,14 +33,14 @@ router.post(
  * @access  Private
  * @query   page, limit, sortBy, sortOrder, status, search
  */
-router.get("/hotels", protect, HotelController.getHotels);
+router.get("/hotels", protect, authorize("hotel", "view"), HotelController.getHotels);
 
 /**
  * @route   GET /api/hotels/:id
  * @desc    Get hotel by ID (MongoDB _id or hotelID)
  * @access  Private
  */
-router.get("/hotels/:id", protect, HotelController.getHotelById);
+router.get("/hotels/:id", protect, authorize("hotel", "view"), HotelController.getHotelById);
 
 /**
  * @route   PUT /api/hotels/:id
@@ -50,6 +51,7 @@ router.get("/hotels/:id", protect, HotelController.getHotelById);
 router.put(
   "/hotels/:id",
   protect,
+  authorize("hotel", "edit"),
   validateHotel,
   HotelController.updateHotel
 );
@@ -59,7 +61,7 @@ router.put(
  * @desc    Delete hotel
  * @access  Private
  */
-router.delete("/hotels/:id", protect, HotelController.deleteHotel);
+router.delete("/hotels/:id", protect, authorize("hotel", "delete"), HotelController.deleteHotel);
 
 // ============================================
 // CATEGORY ROUTES
@@ -74,6 +76,7 @@ router.delete("/hotels/:id", protect, HotelController.deleteHotel);
 router.post(
   "/hotels/:hotelId/categories",
   protect,
+  authorize("hotel", "insert"),
   validateHotelCategory,
   HotelController.addCategory
 );
@@ -86,6 +89,7 @@ router.post(
 router.get(
   "/hotels/:hotelId/categories",
   protect,
+  authorize("hotel", "view"),
   HotelController.getCategories
 );
 
@@ -98,6 +102,7 @@ router.get(
 router.put(
   "/hotels/:hotelId/categories/:categoryId",
   protect,
+  authorize("hotel", "edit"),
   validateHotelCategory,
   HotelController.updateCategory
 );
@@ -110,9 +115,23 @@ router.put(
 router.delete(
   "/hotels/:hotelId/categories/:categoryId",
   protect,
+  authorize("hotel", "delete"),
   HotelController.deleteCategory
 );
 
+/**
+ * @route   GET /api/hotels/:hotelId/categories/:categoryId/quote
+ * @desc    Night-by-night price quote from the category rate plan
+ * @access  Private
+ * @query   checkInDate, checkOutDate, roomId (optional)
+ */
+router.get(
+  "/hotels/:hotelId/categories/:categoryId/quote",
+  protect,
+  authorize("hotel", "view"),
+  HotelController.getCategoryQuote
+);
+
 // ============================================
 // ROOM ROUTES
 // ============================================
@@ -126,6 +145,7 @@ router.delete(
 router.post(
   "/hotels/:hotelId/categories/:categoryId/rooms",
   protect,
+  authorize("hotel", "insert"),
   validateRoom,
   HotelController.addRoom
 );
@@ -138,6 +158,7 @@ router.post(
 router.get(
   "/hotels/:hotelId/categories/:categoryId/rooms",
   protect,
+  authorize("hotel", "view"),
   HotelController.getRooms
 );
 
@@ -150,6 +171,7 @@ router.get(
 router.put(
   "/hotels/:hotelId/categories/:categoryId/rooms/:roomId",
   protect,
+  authorize("hotel", "edit"),
   validateRoom,
   HotelController.updateRoom
 );
@@ -162,6 +184,7 @@ router.put(
 router.delete(
   "/hotels/:hotelId/categories/:categoryId/rooms/:roomId",
   protect,
+  authorize("hotel", "delete"),
   HotelController.deleteRoom
 );
 
@@ -178,6 +201,7 @@ router.delete(
 router.post(
   "/hotel",
   protect,
+  authorize("hotel", "insert"),
   validateHotel,
   HotelController.createHotel
 );
@@ -187,7 +211,7 @@ router.post(
  * @desc    Get all hotels (legacy)
  * @access  Private
  */
-router.get("/hotel", protect, HotelController.getHotels);
+router.get("/hotel", protect, authorize("hotel", "view"), HotelController.getHotels);
 
 /**
  * @route   PUT /api/hotel/:id
@@ -198,6 +222,7 @@ router.get("/hotel", protect, HotelController.getHotels);
 router.put(
   "/hotel/:id",
   protect,
+  authorize("hotel", "edit"),
   validateHotel,
   HotelController.updateHotel
 );
@@ -207,7 +232,7 @@ router.put(
  * @desc    Delete hotel (legacy)
  * @access  Private
  */
-router.delete("/hotel/:id", protect, HotelController.deleteHotel);
+router.delete("/hotel/:id", protect, authorize("hotel", "delete"), HotelController.deleteHotel);
 
 /**
  * @route   PUT /api/hotels/room/updateBooking
@@ -217,6 +242,7 @@ router.delete("/hotel/:id", protect, HotelController.deleteHotel);
 router.put(
   "/hotels/room/updateBooking",
   protect,
+  authorize("booking", "edit"),
   HotelController.updateBooking
 );
 
@@ -228,6 +254,7 @@ router.put(
 router.delete(
   "/hotels/bookings/delete",
   protect,
+  authorize("booking", "delete"),
   HotelController.deleteBookingDetails
 );
 
@@ -239,6 +266,7 @@ router.delete(
 router.put(
   "/hotels/:hotelID/roomCategories/:categoryID/roomStatus",
   protect,
+  authorize("hotel", "edit"),
   HotelController.updateRoomStatus
 );
 
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const { protect, authorize } = require("../middleware/authMiddleware");
+const NightAuditController = require("../controllers/nightAuditController");
+
+// @desc Run the night audit of a day (posts room charges and closes the day)
+// @route POST /api/night-audit
+router.post("/night-audit", protect, authorize("dailySummary", "edit"), NightAuditController.createNightAudit);
+
+// @desc Saved night audit reports
+// @route GET /api/night-audit?hotelID=1&startDate=&endDate=
+router.get("/night-audit", protect, authorize("dailySummary", "view"), NightAuditController.getNightAudits);
+
+// @desc Night audit report of a day
+// @route GET /api/night-audit/:date?hotelID=1
+router.get("/night-audit/:date", protect, authorize("dailySummary", "view"), NightAuditController.getNightAuditByDate);
+
+module.exports = router;
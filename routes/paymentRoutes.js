@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const { protect, authorize } = require("../middleware/authMiddleware");
+const PaymentController = require("../controllers/paymentController");
+
+// @desc Payment ledger entries (payments, refunds, voids)
+// @route GET /api/payments?hotelID=1&booking=&order=&type=&startDate=&endDate=
+router.get("/payments", protect, authorize("booking", "view"), PaymentController.getPayments);
+
+// @desc Ledger entry by receipt number
+// @route GET /api/payments/receipt/:receiptNo
+router.get("/payments/receipt/:receiptNo", protect, authorize("booking", "view"), PaymentController.getPaymentByReceipt);
+
+// @desc Void a payment or refund (replaces deleting it)
+// @route POST /api/payments/:id/void
+router.post("/payments/:id/void", protect, authorize("booking", "delete"), PaymentController.voidPayment);
+
+// @desc Take a payment on a booking
+// @route POST /api/booking/:id/payments
+router.post("/booking/:id/payments", protect, authorize("booking", "edit"), PaymentController.addBookingPayment);
+
+// @desc Refund a booking's guest
+// @route POST /api/booking/:id/refunds
+router.post("/booking/:id/refunds", protect, authorize("booking", "edit"), PaymentController.addBookingRefund);
+
+module.exports = router;
@@ -1,29 +1,30 @@
 const express = require("express");
 const router = express.Router();
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
 const PermissionController = require("../controllers/permissionController");
 
 // @desc Create a new permission
 // @route POST /api/permission
-router.post("/permission", protect, PermissionController.createPermission);
+router.post("/permission", protect, authorize("permission", "insert"), PermissionController.createPermission);
 
 // @desc Get all permissions
 // @route GET /api/permission
-router.get("/permission", protect, PermissionController.getPermissions);
+router.get("/permission", protect, authorize("permission", "view"), PermissionController.getPermissions);
 
 // @desc Get single permission
 // @route GET /api/permission/:id
-router.get("/permission/:id", protect, PermissionController.getPermission);
+router.get("/permission/:id", protect, authorize("permission", "view"), PermissionController.getPermission);
 
 // @desc Update a permission
 // @route PUT /api/permission/:id
-router.put("/permission/:id", protect, PermissionController.updatePermission);
+router.put("/permission/:id", protect, authorize("permission", "edit"), PermissionController.updatePermission);
 
 // @desc Delete a permission
 // @route DELETE /api/permission/:id
 router.delete(
   "/permission/:id",
   protect,
+  authorize("permission", "delete"),
   PermissionController.deletePermission
 );
 
@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect } = require("../../middleware/authMiddleware");
+const { protect, authorize } = require("../../middleware/authMiddleware");
 const menuController = require("../../controllers/restaurant/menuController");
 
 /**
@@ -12,6 +12,7 @@ const menuController = require("../../controllers/restaurant/menuController");
 router.post(
   "/restaurant/menu",
   protect,
+  authorize("restaurant", "insert"),
   menuController.addMenuItem
 );
 
@@ -21,14 +22,14 @@ router.post(
  * @access  Private
  * @query   categoryID, availability, statusID
  */
-router.get("/restaurant/menu", protect, menuController.getMenuItems);
+router.get("/restaurant/menu", protect, authorize("restaurant", "view"), menuController.getMenuItems);
 
 /**
  * @route   GET /api/restaurant/menu/item/:id
  * @desc    Get menu item by ID
  * @access  Private
  */
-router.get("/restaurant/menu/item/:id", protect, menuController.getMenuItemById);
+router.get("/restaurant/menu/item/:id", protect, authorize("restaurant", "view"), menuController.getMenuItemById);
 
 /**
  * @route   PUT /api/restaurant/menu/:id
@@ -39,6 +40,7 @@ router.get("/restaurant/menu/item/:id", protect, menuController.getMenuItemById)
 router.put(
   "/restaurant/menu/:id",
   protect,
+  authorize("restaurant", "edit"),
   menuController.updateMenuItem
 );
 
@@ -47,13 +49,13 @@ router.put(
  * @desc    Delete menu item (soft delete)
  * @access  Private
  */
-router.delete("/restaurant/menu/:id", protect, menuController.deleteMenuItem);
+router.delete("/restaurant/menu/:id", protect, authorize("restaurant", "delete"), menuController.deleteMenuItem);
 
 /**
  * @route   GET /api/restaurant/menu/categories
  * @desc    Get all menu category IDs
  * @access  Private
  */
-router.get("/restaurant/menu/categories", protect, menuController.getMenuCategories);
+router.get("/restaurant/menu/categories", protect, authorize("restaurant", "view"), menuController.getMenuCategories);
 
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect } = require("../../middleware/authMiddleware");
+const { protect, authorize } = require("../../middleware/authMiddleware");
 const orderController = require("../../controllers/restaurant/orderController");
 
 /**
@@ -9,7 +9,7 @@ const orderController = require("../../controllers/restaurant/orderController");
  * @access  Private
  * @body    invoiceNo (optional), customerName, customerPhone, customerEmail, tableNumber, orderType, items[], tax, discount, notes
  */
-router.post("/restaurant/order", protect, orderController.createOrder);
+router.post("/restaurant/order", protect, authorize("restaurant", "insert"), orderController.createOrder);
 
 /**
  * @route   GET /api/restaurant/order
@@ -17,14 +17,14 @@ router.post("/restaurant/order", protect, orderController.createOrder);
  * @access  Private
  * @query   invoiceNo, orderStatus, paymentStatus, orderType, statusID, startDate, endDate
  */
-router.get("/restaurant/order", protect, orderController.getOrders);
+router.get("/restaurant/order", protect, authorize("restaurant", "view"), orderController.getOrders);
 
 /**
  * @route   GET /api/restaurant/order/item/:id
  * @desc    Get order by ID
  * @access  Private
  */
-router.get("/restaurant/order/item/:id", protect, orderController.getOrderById);
+router.get("/restaurant/order/item/:id", protect, authorize("restaurant", "view"), orderController.getOrderById);
 
 /**
  * @route   PUT /api/restaurant/order/:id
@@ -32,14 +32,14 @@ router.get("/restaurant/order/item/:id", protect, orderController.getOrderById);
  * @access  Private
  * @body    invoiceNo, customerName, customerPhone, customerEmail, tableNumber, orderType, items[], tax, discount, paymentStatus, paymentMethod, orderStatus, notes
  */
-router.put("/restaurant/order/:id", protect, orderController.updateOrder);
+router.put("/restaurant/order/:id", protect, authorize("restaurant", "edit"), orderController.updateOrder);
 
 /**
  * @route   DELETE /api/restaurant/order/:id
  * @desc    Delete order (soft delete)
  * @access  Private
  */
-router.delete("/restaurant/order/:id", protect, orderController.deleteOrder);
+router.delete("/restaurant/order/:id", protect, authorize("restaurant", "delete"), orderController.deleteOrder);
 
 /**
  * @route   GET /api/restaurant/order/statistics
@@ -47,13 +47,13 @@ router.delete("/restaurant/order/:id", protect, orderController.deleteOrder);
  * @access  Private
  * @query   invoiceNo, startDate, endDate
  */
-router.get("/restaurant/order/statistics", protect, orderController.getOrderStatistics);
+router.get("/restaurant/order/statistics", protect, authorize("restaurant", "view"), orderController.getOrderStatistics);
 
 /**
  * @route   GET /api/restaurant/booking/:invoiceNo
  * @desc    Get booking information by invoice number
  * @access  Private
  */
-router.get("/restaurant/booking/:invoiceNo", protect, orderController.getBookingByInvoiceNo);
+router.get("/restaurant/booking/:invoiceNo", protect, authorize("restaurant", "view"), orderController.getBookingByInvoiceNo);
 
 module.exports = router;
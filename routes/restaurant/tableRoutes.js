@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect } = require("../../middleware/authMiddleware");
+const { protect, authorize } = require("../../middleware/authMiddleware");
 const tableController = require("../../controllers/restaurant/tableController");
 
 /**
@@ -12,6 +12,7 @@ const tableController = require("../../controllers/restaurant/tableController");
 router.post(
   "/restaurant/table",
   protect,
+  authorize("restaurant", "insert"),
   tableController.addTable
 );
 
@@ -21,7 +22,7 @@ router.post(
  * @access  Private
  * @query   status, statusID, capacity
  */
-router.get("/restaurant/tables", protect, tableController.getTables);
+router.get("/restaurant/tables", protect, authorize("restaurant", "view"), tableController.getTables);
 
 /**
  * @route   GET /api/restaurant/table/available
@@ -29,21 +30,21 @@ router.get("/restaurant/tables", protect, tableController.getTables);
  * @access  Private
  * @query   capacity (optional - minimum capacity)
  */
-router.get("/restaurant/table/available", protect, tableController.getAvailableTables);
+router.get("/restaurant/table/available", protect, authorize("restaurant", "view"), tableController.getAvailableTables);
 
 /**
  * @route   GET /api/restaurant/table/item/:id
  * @desc    Get table by ID
  * @access  Private
  */
-router.get("/restaurant/table/item/:id", protect, tableController.getTableById);
+router.get("/restaurant/table/item/:id", protect, authorize("restaurant", "view"), tableController.getTableById);
 
 /**
  * @route   GET /api/restaurant/table/number/:tableNumber
  * @desc    Get table by table number
  * @access  Private
  */
-router.get("/restaurant/table/number/:tableNumber", protect, tableController.getTableByNumber);
+router.get("/restaurant/table/number/:tableNumber", protect, authorize("restaurant", "view"), tableController.getTableByNumber);
 
 /**
  * @route   PUT /api/restaurant/table/:id
@@ -54,6 +55,7 @@ router.get("/restaurant/table/number/:tableNumber", protect, tableController.get
 router.put(
   "/restaurant/table/:id",
   protect,
+  authorize("restaurant", "edit"),
   tableController.updateTable
 );
 
@@ -62,6 +64,6 @@ router.put(
  * @desc    Delete table (soft delete)
  * @access  Private
  */
-router.delete("/restaurant/table/:id", protect, tableController.deleteTable);
+router.delete("/restaurant/table/:id", protect, authorize("restaurant", "delete"), tableController.deleteTable);
 
 module.exports = router;
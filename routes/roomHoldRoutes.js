@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const { protect, authorize } = require("../middleware/authMiddleware");
+const RoomHoldController = require("../controllers/roomHoldController");
+
+// @desc Hold a room for a date range for a few minutes (broadcast as hold:created)
+// @route POST /api/room-holds
+router.post("/room-holds", protect, authorize("booking", "insert"), RoomHoldController.createRoomHold);
+
+// @desc Active holds of a hotel
+// @route GET /api/room-holds?hotelID=1&checkInDate=YYYY-MM-DD&checkOutDate=YYYY-MM-DD
+router.get("/room-holds", protect, authorize("booking", "view"), RoomHoldController.getRoomHolds);
+
+// @desc Release a hold early (broadcast as hold:released)
+// @route DELETE /api/room-holds/:id
+router.delete("/room-holds/:id", protect, authorize("booking", "insert"), RoomHoldController.releaseRoomHold);
+
+module.exports = router;
@@ -1,11 +1,11 @@
 const express = require("express");
 const router = express.Router();
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
 const RoomController = require("../controllers/roomController");
 
 // @desc Create a new slider
 // @route POST /api/sliders
-router.post("/hotelRoom", protect, RoomController.createRoom);
+router.post("/hotelRoom", protect, authorize("hotel", "insert"), RoomController.createRoom);
 
 // @desc Get all sliders
 // @route GET /api/sliders
@@ -13,10 +13,10 @@ router.get("/hotelRoom", RoomController.getRoom);
 
 // @desc Update a slider
 // @route PUT /api/sliders/:id
-router.put("/hotelRoom/:id", protect, RoomController.updateRoom);
+router.put("/hotelRoom/:id", protect, authorize("hotel", "edit"), RoomController.updateRoom);
 
 // @desc Delete a slider
 // @route DELETE /api/sliders/:id
-router.delete("/hotelRoom/:id", protect, RoomController.deleteRoom);
+router.delete("/hotelRoom/:id", protect, authorize("hotel", "delete"), RoomController.deleteRoom);
 
 module.exports = router;
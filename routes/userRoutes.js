@@ -5,19 +5,19 @@
  */
 const express = require("express");
 const router = express.Router();
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
 const UserController = require("../controllers/userController");
 
 // GET /api/users – list users (role, permission, hotelID with hotelName)
-router.get("/users", protect, UserController.getUsers);
+router.get("/users", protect, authorize("users", "view"), UserController.getUsers);
 
 // POST /api/users – create user
-router.post("/users", protect, UserController.createUser);
+router.post("/users", protect, authorize("users", "insert"), UserController.createUser);
 
 // PUT /api/users/:id – update user
-router.put("/users/:id", protect, UserController.updateUser);
+router.put("/users/:id", protect, authorize("users", "edit"), UserController.updateUser);
 
 // DELETE /api/users/:id – delete user
-router.delete("/users/:id", protect, UserController.deleteUser);
+router.delete("/users/:id", protect, authorize("users", "delete"), UserController.deleteUser);
 
 module.exports = router;
@@ -0,0 +1,105 @@
+/**
+ * One-time backfill for hotel scoping: give expenses, daily summaries and restaurant orders,
+ * tables and menu items saved before it a hotelID, and drop the indexes that were unique
+ * across all hotels.
+ *
+ *   node scripts/assignHotelIDs.js [--hotel-id=1] [--dry-run]
+ *
+ * Records without a hotelID are scoped to no hotel, so only super admins see them. They go to
+ * --hotel-id, which may be left out when there is a single hotel. An order whose invoiceNo
+ * belongs to a booking takes that booking's hotel instead, and ledger entries of orders follow
+ * their order. The old unique indexes on dailysummaries.date and tables.tableNumber would
+ * refuse a second hotel's summary for the same day or table with the same number; the model
+ * indexes (unique per hotel) are built when the app starts. Safe to re-run.
+ */
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Booking = require("../models/Booking");
+const DailySummary = require("../models/DailySummary");
+const Expense = require("../models/Expense");
+const Hotel = require("../models/Hotel");
+const Payment = require("../models/Payment");
+const Menu = require("../models/restaurant/Menu");
+const Order = require("../models/restaurant/Order");
+const Table = require("../models/restaurant/Table");
+
+const dryRun = process.argv.includes("--dry-run");
+const hotelArg = process.argv.find((arg) => arg.startsWith("--hotel-id="));
+
+const STALE_INDEXES = [
+  [DailySummary, "date_1"],
+  [Table, "tableNumber_1"],
+];
+
+const noHotel = { hotelID: { $exists: false } };
+
+// Hotel for records that name none: --hotel-id, else the only hotel
+const defaultHotelID = async () => {
+  if (hotelArg) {
+    const hotelID = Number(hotelArg.split("=")[1]);
+    if (!(await Hotel.exists({ hotelID }))) throw new Error(`Hotel ${hotelArg.split("=")[1]} not found`);
+    return hotelID;
+  }
+  const hotels = await Hotel.find().select("hotelID").limit(2).lean();
+  if (hotels.length !== 1) {
+    throw new Error(`${hotels.length} hotels found; pass --hotel-id=<hotelID> for records without one`);
+  }
+  return hotels[0].hotelID;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const hotelID = await defaultHotelID();
+  const report = { dryRun, hotelID, ordersFromBookings: 0, assigned: {}, droppedIndexes: [] };
+
+  // Orders of a booking's invoice belong to the booking's hotel
+  const orders = Order.find({ ...noHotel, invoiceNo: { $nin: [null, ""] } })
+    .select("invoiceNo")
+    .lean()
+    .cursor();
+  for await (const order of orders) {
+    const booking = await Booking.findOne({ invoiceNo: order.invoiceNo }).select("hotelID").lean();
+    if (!booking) continue;
+    report.ordersFromBookings += 1;
+    if (!dryRun) await Order.updateOne({ _id: order._id }, { $set: { hotelID: booking.hotelID } });
+  }
+
+  for (const Model of [Expense, DailySummary, Order, Table, Menu]) {
+    report.assigned[Model.collection.collectionName] = dryRun
+      ? await Model.countDocuments(noHotel)
+      : (await Model.updateMany(noHotel, { $set: { hotelID } })).modifiedCount;
+  }
+
+  // Ledger entries of orders recorded before their order had a hotel
+  let entries = 0;
+  const orderEntries = Payment.find({ ...noHotel, order: { $exists: true } })
+    .select("order")
+    .lean()
+    .cursor();
+  for await (const entry of orderEntries) {
+    const order = await Order.findById(entry.order).select("hotelID").lean();
+    entries += 1;
+    if (dryRun) continue;
+    // Ledger entries refuse updates through the model; this backfill is the one exception
+    await Payment.collection.updateOne({ _id: entry._id }, { $set: { hotelID: order?.hotelID ?? hotelID } });
+  }
+  report.assigned[Payment.collection.collectionName] = entries;
+
+  for (const [Model, name] of STALE_INDEXES) {
+    const indexes = await Model.collection.indexes().catch(() => []);
+    const stale = indexes.find((index) => index.name === name && index.unique);
+    if (!stale) continue;
+    report.droppedIndexes.push(`${Model.collection.collectionName}.${name}`);
+    if (!dryRun) await Model.collection.dropIndex(name);
+  }
+
+  console.log(JSON.stringify(report, null, 2));
+};
+
+run()
+  .catch((error) => {
+    console.error("Hotel ID backfill failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
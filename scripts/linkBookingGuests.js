@@ -0,0 +1,52 @@
+/**
+ * One-time backfill: link bookings without a guestID to guest profiles.
+ *
+ *   node scripts/linkBookingGuests.js [--dry-run]
+ *
+ * Bookings are taken oldest first; each one joins the profile of its hotel matching its
+ * NID/passport, phone or email (utils/guests.js), or starts a new profile. Safe to re-run:
+ * only unlinked bookings are touched. Bookings without any contact key stay unlinked.
+ */
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Booking = require("../models/Booking");
+const Guest = require("../models/Guest");
+const { linkGuest } = require("../utils/guests");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+
+  const report = { dryRun, bookings: 0, linked: 0, guestsCreated: 0, withoutContact: 0 };
+  const guestsBefore = await Guest.estimatedDocumentCount();
+  const cursor = Booking.find({ guestID: { $exists: false } })
+    .select("hotelID fullName phone email nidPassport address")
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const booking of cursor) {
+    report.bookings += 1;
+    const keys = Guest.matchKeys(booking);
+    if (!keys.phoneKey && !keys.emailKey && !keys.nidKey) {
+      report.withoutContact += 1;
+      continue;
+    }
+    report.linked += 1;
+    if (dryRun) continue;
+
+    const guest = await linkGuest(booking.hotelID, booking);
+    await Booking.updateOne({ _id: booking._id }, { $set: { guestID: guest._id } });
+  }
+  if (!dryRun) report.guestsCreated = (await Guest.estimatedDocumentCount()) - guestsBefore;
+
+  console.log(JSON.stringify(report, null, 2));
+};
+
+run()
+  .catch((error) => {
+    console.error("Guest backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
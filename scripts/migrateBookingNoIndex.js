@@ -0,0 +1,40 @@
+/**
+ * One-time index migration: bookingNo is no longer unique.
+ *
+ *   node scripts/migrateBookingNoIndex.js [--dry-run]
+ *
+ * The rooms of a group booking (and bookings made with a reference) share one bookingNo.
+ * Databases created while the field was unique keep a unique bookingNo_1 index, which makes
+ * every group booking fail with a duplicate key error; Mongoose does not replace an existing
+ * index of the same name. This drops it and builds the plain bookingNo index of the model.
+ * Safe to re-run.
+ */
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Booking = require("../models/Booking");
+
+const dryRun = process.argv.includes("--dry-run");
+const INDEX_NAME = "bookingNo_1";
+
+const run = async () => {
+  await connectDB();
+
+  const indexes = await Booking.collection.indexes().catch(() => []);
+  const stale = indexes.find((index) => index.name === INDEX_NAME && index.unique);
+  const report = { dryRun, uniqueIndexFound: Boolean(stale), dropped: false };
+
+  if (stale && !dryRun) {
+    await Booking.collection.dropIndex(INDEX_NAME);
+    await Booking.collection.createIndex({ bookingNo: 1 }, { name: INDEX_NAME });
+    report.dropped = true;
+  }
+
+  console.log(JSON.stringify(report, null, 2));
+};
+
+run()
+  .catch((error) => {
+    console.error("bookingNo index migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
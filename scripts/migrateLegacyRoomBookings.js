@@ -0,0 +1,116 @@
+/**
+ * One-time migration: RoomNumber.bookings[] / bookedDates[] -> Booking documents.
+ *
+ *   node scripts/migrateLegacyRoomBookings.js [--dry-run]
+ *
+ * Each legacy entry (and each run of bookedDates no entry covers) becomes a Booking,
+ * unless the room already has an active booking for those nights. Safe to re-run:
+ * migrated entries carry a legacyKey and are not created twice. A room's embedded
+ * arrays are emptied once all of its entries are migrated; rooms with skipped
+ * entries keep them for a manual fix.
+ */
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Hotel = require("../models/Hotel");
+const Booking = require("../models/Booking");
+const { generateSerialNo, generateBookingNo } = require("../utils/documentNumbers");
+const { legacyEntries, fromLegacyEntry, findRoomOverlap } = require("../utils/legacyBookings");
+const { claimRoomNights, releaseRoomNights } = require("../utils/roomInventory");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const migrateRoom = async (hotel, category, room, report) => {
+  const entries = legacyEntries(room.bookings, room.bookedDates);
+  let skipped = 0;
+
+  for (const entry of entries) {
+    const converted = fromLegacyEntry({ hotel, category, room, entry });
+    const label = `hotel ${hotel.hotelID} / ${category.name} / ${room.name}`;
+
+    if (converted.error) {
+      skipped += 1;
+      report.skipped.push({ room: label, entry, reason: converted.error });
+      continue;
+    }
+
+    const { booking } = converted;
+    if (await Booking.exists({ legacyKey: booking.legacyKey })) {
+      report.alreadyMigrated += 1;
+      continue;
+    }
+    const existing = await findRoomOverlap(booking);
+    if (existing) {
+      report.duplicates.push({ room: label, checkIn: booking.checkInDate, bookingNo: existing.bookingNo });
+      continue;
+    }
+
+    if (!dryRun) {
+      const bookingId = new mongoose.Types.ObjectId();
+      if (await claimRoomNights(bookingId, booking)) {
+        report.duplicates.push({ room: label, checkIn: booking.checkInDate, bookingNo: null });
+        continue;
+      }
+      try {
+        await Booking.create({
+          ...booking,
+          _id: bookingId,
+          bookingNo: await generateBookingNo(),
+          serialNo: await generateSerialNo(),
+        });
+      } catch (error) {
+        await releaseRoomNights(bookingId);
+        skipped += 1;
+        report.skipped.push({ room: label, entry, reason: error.message });
+        continue;
+      }
+    }
+    report.created += 1;
+  }
+
+  if (entries.length > 0 && skipped === 0 && !dryRun) {
+    room.bookings = [];
+    room.bookedDates = [];
+    return true;
+  }
+  return false;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const report = { dryRun, hotels: 0, rooms: 0, created: 0, alreadyMigrated: 0, duplicates: [], skipped: [] };
+  const hotels = await Hotel.find({
+    $or: [
+      { "roomCategories.roomNumbers.bookings.0": { $exists: true } },
+      { "roomCategories.roomNumbers.bookedDates.0": { $exists: true } },
+    ],
+  });
+
+  for (const hotel of hotels) {
+    report.hotels += 1;
+    let cleared = false;
+    for (const category of hotel.roomCategories) {
+      for (const room of category.roomNumbers) {
+        if ((room.bookings || []).length === 0 && (room.bookedDates || []).length === 0) continue;
+        report.rooms += 1;
+        cleared = (await migrateRoom(hotel, category, room, report)) || cleared;
+      }
+    }
+    if (cleared) await hotel.save();
+  }
+
+  console.log(
+    JSON.stringify(
+      { ...report, duplicates: report.duplicates.length, skippedEntries: report.skipped },
+      null,
+      2
+    )
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("Legacy booking migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
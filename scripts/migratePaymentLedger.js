@@ -0,0 +1,66 @@
+/**
+ * One-time backfill: put the payments taken before the payment ledger on it.
+ *
+ *   node scripts/migratePaymentLedger.js [--dry-run]
+ *
+ * Every booking not yet synced with the ledger gets one entry per payment and refund it
+ * carries (an advancePayment for bookings without payments[]), dated as before, and its
+ * payments[] / refunds[] are re-derived with receipt numbers (utils/paymentLedger.js). Paid
+ * and refunded restaurant orders without ledger entries get theirs. Safe to re-run: synced
+ * bookings and orders with entries are skipped. Entries from the same day and method are no
+ * longer merged, so a day's figures may differ from summaries computed before.
+ */
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Booking = require("../models/Booking");
+const Order = require("../models/restaurant/Order");
+const Payment = require("../models/Payment");
+const { syncBookingLedger, syncOrderLedger } = require("../utils/paymentLedger");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+
+  const report = { dryRun, bookings: 0, payments: 0, refunds: 0, orders: 0, failed: [] };
+  const ledgerBefore = await Payment.estimatedDocumentCount();
+
+  const bookings = Booking.find({ ledgerSyncedAt: { $exists: false } }).sort({ createdAt: 1 }).cursor();
+  for await (const booking of bookings) {
+    report.bookings += 1;
+    report.payments += booking.payments.length || (booking.advancePayment > 0 ? 1 : 0);
+    report.refunds += booking.refunds.length;
+    if (dryRun) continue;
+
+    try {
+      await syncBookingLedger({}, booking);
+    } catch (error) {
+      report.failed.push({ booking: booking._id, bookingNo: booking.bookingNo, error: error.message });
+    }
+  }
+
+  const orders = Order.find({ paymentStatus: { $in: ["paid", "refunded"] }, statusID: { $ne: 255 } })
+    .sort({ createdAt: 1 })
+    .cursor();
+  for await (const order of orders) {
+    if (await Payment.exists({ order: order._id })) continue;
+    report.orders += 1;
+    if (dryRun) continue;
+
+    try {
+      await syncOrderLedger({}, order);
+    } catch (error) {
+      report.failed.push({ order: order._id, orderNumber: order.orderNumber, error: error.message });
+    }
+  }
+  if (!dryRun) report.entriesCreated = (await Payment.estimatedDocumentCount()) - ledgerBefore;
+
+  console.log(JSON.stringify(report, null, 2));
+};
+
+run()
+  .catch((error) => {
+    console.error("Payment ledger backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
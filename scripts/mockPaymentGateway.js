@@ -0,0 +1,225 @@
+/**
+ * Local stand-in for the bKash and Nagad gateways, to run and try gateway payments without
+ * the real ones. State is kept in memory.
+ *
+ *   node scripts/mockPaymentGateway.js          (port MOCK_GATEWAY_PORT, default 8090)
+ *
+ * Point the API at it in .env:
+ *   BKASH_BASE_URL=http://localhost:8090/bkash   (and any BKASH_APP_KEY / APP_SECRET / USERNAME / PASSWORD)
+ *   NAGAD_BASE_URL=http://localhost:8090/nagad   (and any NAGAD_MERCHANT_ID / NAGAD_MERCHANT_NUMBER; no keys)
+ *
+ * The redirectURL of a payment opens a checkout page with Pay / Fail / Cancel links, which send
+ * the guest back to the API's callback like the real gateways do. To script it, request
+ * /bkash/checkout/<paymentID>/pay or /nagad/checkout/<paymentReferenceId>/pay and follow the
+ * redirect; ?trxID=... makes the gateway report a given transaction ID (to try a reused one).
+ */
+const crypto = require("crypto");
+const express = require("express");
+
+const PORT = Number(process.env.MOCK_GATEWAY_PORT) || 8090;
+const app = express();
+app.use(express.json());
+
+const payments = new Map();
+const tokens = new Set();
+const randomId = (prefix, length) => `${prefix}${crypto.randomBytes(length).toString("hex").toUpperCase()}`;
+const origin = (req) => `${req.protocol}://${req.get("host")}`;
+const base64Json = (value) => Buffer.from(JSON.stringify(value)).toString("base64");
+const fromBase64Json = (value) => JSON.parse(Buffer.from(value || "", "base64").toString("utf8"));
+
+// Checkout page: what the guest sees on the gateway
+const checkoutPage = (provider, id, payment) => `<!doctype html>
+<html><body style="font-family: sans-serif; max-width: 420px; margin: 3em auto">
+  <h2>Mock ${provider} checkout</h2>
+  <p>Invoice ${payment.invoiceNo}<br>Amount <b>${payment.amount} BDT</b></p>
+  <p><a href="/${provider}/checkout/${id}/pay">Pay</a> &middot;
+     <a href="/${provider}/checkout/${id}/fail">Fail</a> &middot;
+     <a href="/${provider}/checkout/${id}/cancel">Cancel</a></p>
+</body></html>`;
+
+// The payer's decision on the checkout page; a paid payment gets its transaction ID
+function decide(payment, outcome, trxID) {
+  if (payment.status !== "Initiated") return;
+  if (outcome === "pay") {
+    payment.approved = true;
+    payment.trxID = trxID || randomId(payment.provider === "bkash" ? "TRX" : "NGD", 5);
+    // Nagad settles on approval; bKash waits for execute
+    if (payment.provider === "nagad") payment.status = "Success";
+  } else {
+    payment.status = outcome === "cancel" ? "Cancelled" : "Failed";
+  }
+}
+
+// --- bKash tokenized checkout ---------------------------------------------------------------
+
+const bkashPayment = (req, res) => {
+  if (!tokens.has(req.get("Authorization"))) {
+    res.status(401).json({ statusCode: "2079", statusMessage: "Invalid App Token" });
+    return null;
+  }
+  const payment = payments.get(req.body?.paymentID);
+  if (!payment || payment.provider !== "bkash") {
+    res.json({ statusCode: "2056", statusMessage: "Invalid Payment State" });
+    return null;
+  }
+  return payment;
+};
+
+const bkashStatus = (payment) => ({
+  statusCode: "0000",
+  statusMessage: "Successful",
+  paymentID: payment.id,
+  ...(payment.status === "Completed" && { trxID: payment.trxID }),
+  transactionStatus: payment.status,
+  amount: payment.amount,
+  currency: "BDT",
+  intent: "sale",
+  merchantInvoiceNumber: payment.invoiceNo,
+});
+
+app.post("/bkash/tokenized/checkout/token/grant", (req, res) => {
+  const idToken = randomId("token-", 16);
+  tokens.add(idToken);
+  res.json({
+    statusCode: "0000",
+    id_token: idToken,
+    token_type: "Bearer",
+    expires_in: 3600,
+    refresh_token: randomId("", 8),
+  });
+});
+
+app.post("/bkash/tokenized/checkout/create", (req, res) => {
+  if (!tokens.has(req.get("Authorization"))) {
+    return res.status(401).json({ statusCode: "2079", statusMessage: "Invalid App Token" });
+  }
+  const { amount, callbackURL, merchantInvoiceNumber } = req.body || {};
+  if (!(Number(amount) > 0) || !callbackURL) {
+    return res.json({ statusCode: "2065", statusMessage: "Mandatory field missing" });
+  }
+  const id = randomId("TR0011", 8);
+  payments.set(id, {
+    id,
+    provider: "bkash",
+    amount: Number(amount).toFixed(2),
+    invoiceNo: merchantInvoiceNumber,
+    callbackURL,
+    status: "Initiated",
+  });
+  res.json({
+    statusCode: "0000",
+    statusMessage: "Successful",
+    paymentID: id,
+    bkashURL: `${origin(req)}/bkash/checkout/${id}`,
+    callbackURL,
+    amount: Number(amount).toFixed(2),
+    currency: "BDT",
+    intent: "sale",
+    transactionStatus: "Initiated",
+    merchantInvoiceNumber,
+  });
+});
+
+app.get("/bkash/checkout/:id", (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(404).send("Unknown payment");
+  res.send(checkoutPage("bkash", payment.id, payment));
+});
+
+app.get("/bkash/checkout/:id/:outcome(pay|fail|cancel)", (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(404).send("Unknown payment");
+  decide(payment, req.params.outcome, req.query.trxID);
+  const status = { pay: "success", fail: "failure", cancel: "cancel" }[req.params.outcome];
+  res.redirect(`${payment.callbackURL}?${new URLSearchParams({ paymentID: payment.id, status })}`);
+});
+
+app.post("/bkash/tokenized/checkout/execute", (req, res) => {
+  const payment = bkashPayment(req, res);
+  if (!payment) return;
+  if (payment.status === "Completed") {
+    return res.json({ statusCode: "2062", statusMessage: "The payment has already been completed" });
+  }
+  if (!payment.approved || payment.status !== "Initiated") {
+    return res.json({ statusCode: "2056", statusMessage: "Invalid Payment State" });
+  }
+  payment.status = "Completed";
+  res.json({ ...bkashStatus(payment), paymentExecuteTime: new Date().toISOString() });
+});
+
+app.post("/bkash/tokenized/checkout/payment/status", (req, res) => {
+  const payment = bkashPayment(req, res);
+  if (payment) res.json(bkashStatus(payment));
+});
+
+// --- Nagad checkout -------------------------------------------------------------------------
+
+app.post("/nagad/api/dfs/check-out/initialize/:merchantId/:orderId", (req, res) => {
+  let sensitive;
+  try {
+    sensitive = fromBase64Json(req.body?.sensitiveData);
+  } catch (error) {
+    return res.status(400).json({ reason: "Bad Request", message: "sensitiveData must be base64 JSON (no RSA keys)" });
+  }
+  const id = randomId("MDA", 10);
+  payments.set(id, {
+    id,
+    provider: "nagad",
+    merchantId: req.params.merchantId,
+    invoiceNo: req.params.orderId,
+    challenge: sensitive.challenge,
+    status: "Initiated",
+  });
+  res.json({ sensitiveData: base64Json({ paymentReferenceId: id, challenge: randomId("", 10) }), signature: "" });
+});
+
+app.post("/nagad/api/dfs/check-out/complete/:id", (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment || payment.provider !== "nagad") {
+    return res.status(400).json({ reason: "Bad Request", message: "Invalid payment reference" });
+  }
+  const order = fromBase64Json(req.body?.sensitiveData);
+  payment.amount = Number(order.amount).toFixed(2);
+  payment.callbackURL = req.body?.merchantCallbackURL;
+  res.json({ status: "Success", callBackUrl: `${origin(req)}/nagad/checkout/${payment.id}` });
+});
+
+app.get("/nagad/checkout/:id", (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(404).send("Unknown payment");
+  res.send(checkoutPage("nagad", payment.id, payment));
+});
+
+app.get("/nagad/checkout/:id/:outcome(pay|fail|cancel)", (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(404).send("Unknown payment");
+  decide(payment, req.params.outcome, req.query.trxID);
+  const status = { pay: "Success", fail: "Failed", cancel: "Aborted" }[req.params.outcome];
+  const params = new URLSearchParams({
+    merchant: payment.merchantId,
+    order_id: payment.invoiceNo,
+    payment_ref_id: payment.id,
+    status,
+    status_code: status === "Success" ? "00_0000_000" : "00_1111_000",
+  });
+  res.redirect(`${payment.callbackURL}?${params}`);
+});
+
+app.get("/nagad/api/dfs/verify/payment/:id", (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment || payment.provider !== "nagad") {
+    return res.status(400).json({ reason: "Bad Request", message: "Invalid payment reference" });
+  }
+  res.json({
+    merchantId: payment.merchantId,
+    orderId: payment.invoiceNo,
+    paymentRefId: payment.id,
+    amount: payment.amount,
+    ...(payment.status === "Success" && { issuerPaymentRefNo: payment.trxID }),
+    status: payment.status === "Initiated" ? "Ready" : payment.status,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock bKash / Nagad gateway on http://localhost:${PORT} (bKash: /bkash, Nagad: /nagad)`);
+});
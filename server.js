@@ -10,6 +10,9 @@ const roomRoutes = require("./routes/roomRoutes");
 const hotelRoutes = require("./routes/hotelRoutes");
 const bookingRoutes = require("./routes/bookingRoutes");
 const dailySummaryRoutes = require("./routes/dailySummary");
+const nightAuditRoutes = require("./routes/nightAuditRoutes");
+const paymentRoutes = require("./routes/paymentRoutes");
+const gatewayPaymentRoutes = require("./routes/gatewayPaymentRoutes");
 const expenseRoutes = require("./routes/expense");
 const expenseCategoryRoutes = require("./routes/expenseCategoryRoutes");
 const permissionRoutes = require("./routes/permissionRoutes");
@@ -17,6 +20,12 @@ const dashboardRoutes = require("./routes/dashboardRoutes");
 const menuRoutes = require("./routes/restaurant/menuRoutes");
 const orderRoutes = require("./routes/restaurant/orderRoutes");
 const tableRoutes = require("./routes/restaurant/tableRoutes");
+const auditLogRoutes = require("./routes/auditLogRoutes");
+const roomHoldRoutes = require("./routes/roomHoldRoutes");
+const guestRoutes = require("./routes/guestRoutes");
+const analyticsRoutes = require("./routes/analyticsRoutes");
+const { startHoldSweeper } = require("./utils/roomHolds");
+const { startNoShowScheduler } = require("./utils/noShows");
 require("dotenv").config();
 
 const app = express();
@@ -80,6 +89,9 @@ app.use("/api", roomRoutes);
 app.use("/api", hotelRoutes);
 app.use("/api", bookingRoutes);
 app.use("/api", dailySummaryRoutes);
+app.use("/api", nightAuditRoutes);
+app.use("/api", paymentRoutes);
+app.use("/api", gatewayPaymentRoutes);
 app.use("/api/expenses", expenseRoutes);
 app.use("/api", expenseCategoryRoutes);
 app.use("/api", permissionRoutes);
@@ -87,6 +99,10 @@ app.use("/api", dashboardRoutes);
 app.use("/api", menuRoutes);
 app.use("/api", orderRoutes);
 app.use("/api", tableRoutes);
+app.use("/api", auditLogRoutes);
+app.use("/api", roomHoldRoutes);
+app.use("/api", guestRoutes);
+app.use("/api", analyticsRoutes);
 
 // Health check endpoint
 app.get("/", (req, res) => {
@@ -122,5 +138,11 @@ server.listen(PORT, () => {
   console.log(`Socket.io server initialized`);
 });
 
+// Expire room holds and broadcast hold:expired to the hotel's room
+startHoldSweeper(io);
+
+// Mark confirmed bookings past the hotel's check-in cut-off as no-shows (booking:noShow)
+startNoShowScheduler(io);
+
 // Export io for use in other modules if needed
 module.exports = { io };
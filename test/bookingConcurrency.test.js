@@ -0,0 +1,96 @@
+// Concurrent POST /api/booking calls for the same room and nights: the room-night claim
+// (utils/roomInventory.js) must let exactly one through.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const bookingRoutes = require("../routes/bookingRoutes");
+const Booking = require("../models/Booking");
+const RoomNight = require("../models/RoomNight");
+const User = require("../models/User");
+const { startMongo, stopMongo } = require("./helpers/mongo");
+
+const PARALLEL_REQUESTS = 8;
+
+let server;
+let baseURL;
+let token;
+
+before(async () => {
+  await startMongo("booking-concurrency");
+  await RoomNight.syncIndexes();
+
+  const user = await User.create({
+    username: "frontdesk",
+    email: "frontdesk@example.com",
+    password: "secret123",
+    role: { id: 1, value: "superadmin", label: "Super Admin" },
+  });
+  token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.io = { to: () => ({ emit: () => {} }) };
+    next();
+  });
+  app.use("/api", bookingRoutes);
+  server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  await stopMongo();
+});
+
+const bookingPayload = (index) => ({
+  fullName: `Guest ${index}`,
+  phone: `0171000000${index}`,
+  hotelName: "Sea Shore",
+  hotelID: 1,
+  roomCategoryID: "cat-deluxe",
+  roomCategoryName: "Deluxe",
+  roomNumberID: "room-101",
+  roomNumberName: "101",
+  roomPrice: 2000,
+  checkInDate: "2030-03-10",
+  checkOutDate: "2030-03-13",
+  adults: 1,
+  bookedBy: "frontdesk",
+  bookedByID: "frontdesk",
+});
+
+test("concurrent bookings of the same room and nights: exactly one succeeds", async () => {
+  const responses = await Promise.all(
+    Array.from({ length: PARALLEL_REQUESTS }, (_, index) =>
+      fetch(`${baseURL}/api/booking`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify(bookingPayload(index)),
+      }).then(async (res) => ({ status: res.status, body: await res.json() }))
+    )
+  );
+
+  const created = responses.filter((r) => r.status === 200);
+  const refused = responses.filter((r) => r.status === 409);
+  assert.equal(created.length, 1, JSON.stringify(responses.map((r) => [r.status, r.body.error])));
+  assert.equal(refused.length, PARALLEL_REQUESTS - 1);
+
+  const bookings = await Booking.find({ roomNumberID: "room-101" }).lean();
+  assert.equal(bookings.length, 1);
+  assert.equal(String(bookings[0]._id), String(created[0].body.booking._id));
+
+  // One set of nights (10th, 11th, 12th), all held by the booking that was written
+  const nights = await RoomNight.find({ hotelID: 1, roomNumberID: "room-101" }).sort({ night: 1 }).lean();
+  assert.deepEqual(
+    nights.map((n) => n.night.toISOString().slice(0, 10)),
+    ["2030-03-10", "2030-03-11", "2030-03-12"]
+  );
+  assert.ok(nights.every((n) => String(n.booking) === String(bookings[0]._id)));
+});
@@ -0,0 +1,35 @@
+// Database for a test file: MONGO_TEST_URI when set, else an in-memory MongoDB started by
+// mongodb-memory-server. Its mongod version is pinned in package.json (config.mongodbMemoryServer)
+// and the binary is fetched when the package is installed, into ~/.cache/mongodb-binaries; where
+// nothing can be downloaded, point MONGOMS_SYSTEM_BINARY at an installed mongod of that version.
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+let mongo;
+
+async function startMongo(dbName) {
+  let uri = process.env.MONGO_TEST_URI;
+  if (!uri) {
+    try {
+      mongo = await MongoMemoryServer.create();
+    } catch (error) {
+      throw new Error(
+        `No MongoDB to test against (${error.message}). Set MONGO_TEST_URI to a running server, or ` +
+          "MONGOMS_SYSTEM_BINARY to a mongod binary (see Installation in BOOKING_API_IMPROVEMENTS.md)"
+      );
+    }
+    uri = mongo.getUri();
+  }
+  await mongoose.connect(uri, { dbName: `${dbName}-${Date.now()}` });
+}
+
+async function stopMongo() {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+  if (mongo) await mongo.stop();
+  mongo = undefined;
+}
+
+module.exports = { startMongo, stopMongo };
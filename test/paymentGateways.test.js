@@ -0,0 +1,217 @@
+// bKash and Nagad payments end to end against the local mock gateway (scripts/mockPaymentGateway.js):
+// create -> the guest pays -> callback / webhook -> verify, recorded once on the payment ledger.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+delete process.env.CLIENT_URL;
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const gatewayPaymentRoutes = require("../routes/gatewayPaymentRoutes");
+const Booking = require("../models/Booking");
+const GatewayPayment = require("../models/GatewayPayment");
+const Payment = require("../models/Payment");
+const TransactionClaim = require("../models/TransactionClaim");
+const User = require("../models/User");
+const { startMongo, stopMongo } = require("./helpers/mongo");
+
+let gateway;
+let gatewayURL;
+let server;
+let baseURL;
+let token;
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer().once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+// Start the mock gateway and wait until it listens
+async function startGateway() {
+  const port = await freePort();
+  gateway = spawn(process.execPath, [path.join(__dirname, "..", "scripts", "mockPaymentGateway.js")], {
+    env: { ...process.env, MOCK_GATEWAY_PORT: String(port) },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise((resolve, reject) => {
+    gateway.once("exit", (code) => reject(new Error(`Mock gateway exited (${code})`)));
+    gateway.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("Mock bKash / Nagad gateway")) resolve();
+    });
+  });
+  gatewayURL = `http://127.0.0.1:${port}`;
+}
+
+before(async () => {
+  await startMongo("payment-gateways");
+  await Promise.all([GatewayPayment.syncIndexes(), TransactionClaim.syncIndexes()]);
+  await startGateway();
+
+  Object.assign(process.env, {
+    BKASH_BASE_URL: `${gatewayURL}/bkash`,
+    BKASH_APP_KEY: "app-key",
+    BKASH_APP_SECRET: "app-secret",
+    BKASH_USERNAME: "merchant",
+    BKASH_PASSWORD: "secret",
+    NAGAD_BASE_URL: `${gatewayURL}/nagad`,
+    NAGAD_MERCHANT_ID: "683002007104225",
+    NAGAD_MERCHANT_NUMBER: "01711428036",
+  });
+
+  const user = await User.create({
+    username: "frontdesk",
+    email: "frontdesk@example.com",
+    password: "secret123",
+    role: { id: 1, value: "superadmin", label: "Super Admin" },
+  });
+  token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.io = { to: () => ({ emit: () => {} }) };
+    next();
+  });
+  app.use("/api", gatewayPaymentRoutes);
+  server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+  // Where the gateways send the guest back to
+  process.env.BASE_URL = baseURL;
+});
+
+after(async () => {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  if (gateway && gateway.exitCode === null) {
+    const exited = new Promise((resolve) => gateway.once("exit", resolve));
+    gateway.kill();
+    await exited;
+  }
+  await stopMongo();
+});
+
+let bookingCount = 0;
+const createBooking = () => {
+  bookingCount += 1;
+  return Booking.create({
+    fullName: `Guest ${bookingCount}`,
+    phone: `0171000000${bookingCount}`,
+    hotelName: "Sea Shore",
+    hotelID: 1,
+    roomCategoryID: "cat-deluxe",
+    roomCategoryName: "Deluxe",
+    roomNumberID: `room-10${bookingCount}`,
+    roomNumberName: `10${bookingCount}`,
+    roomPrice: 2000,
+    checkInDate: new Date("2030-03-10"),
+    checkOutDate: new Date("2030-03-12"),
+    nights: 2,
+    totalBill: 4000,
+    advancePayment: 0,
+    duePayment: 4000,
+    bookingNo: `BK-GW-${bookingCount}`,
+    statusID: 1,
+    ledgerSyncedAt: new Date(),
+  });
+};
+
+const api = async (method, url, body) => {
+  const res = await fetch(`${baseURL}${url}`, {
+    method,
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const startPayment = async (booking, provider, amount) => {
+  const res = await api("POST", `/api/booking/${booking._id}/gateway-payments`, { provider, amount });
+  assert.equal(res.status, 201, res.body.error);
+  return res.body;
+};
+
+// The guest pays on the gateway's checkout page; resolves to the callback URL it sends them back to
+const payOnGateway = async (redirectURL, trxID) => {
+  const res = await fetch(`${redirectURL}/pay${trxID ? `?trxID=${trxID}` : ""}`, { redirect: "manual" });
+  assert.equal(res.status, 302);
+  return res.headers.get("location");
+};
+
+const ledgerPayments = (booking) => Payment.find({ booking: booking._id, type: "payment" }).lean();
+
+test("bKash: create, pay, callback and verify record the payment once", async () => {
+  const booking = await createBooking();
+  const { redirectURL, gatewayPayment } = await startPayment(booking, "bkash", 1500);
+  assert.equal(gatewayPayment.status, "initiated");
+  assert.ok(redirectURL.startsWith(`${gatewayURL}/bkash/checkout/`));
+
+  const callbackURL = await payOnGateway(redirectURL, "TRXDUPLICATE1");
+  assert.ok(callbackURL.startsWith(`${baseURL}/api/payment-gateways/bkash/callback`));
+  const callback = await fetch(callbackURL).then(async (res) => ({ status: res.status, body: await res.json() }));
+  assert.equal(callback.status, 200, callback.body.error);
+  assert.equal(callback.body.gatewayPayment.status, "completed");
+  assert.equal(callback.body.gatewayPayment.transactionId, "TRXDUPLICATE1");
+  assert.ok(callback.body.gatewayPayment.receiptNo);
+
+  // Verifying a completed payment again changes nothing
+  const verify = await api("POST", `/api/gateway-payments/${gatewayPayment._id}/verify`);
+  assert.equal(verify.status, 200, verify.body.error);
+  assert.equal(verify.body.gatewayPayment.status, "completed");
+  assert.equal(verify.body.gatewayPayment.receiptNo, callback.body.gatewayPayment.receiptNo);
+
+  const entries = await ledgerPayments(booking);
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].paymentMethod, "BKASH");
+  assert.equal(entries[0].amount, 1500);
+  const saved = await Booking.findById(booking._id).lean();
+  assert.equal(saved.totalPaid, 1500);
+  assert.equal(saved.duePayment, 2500);
+});
+
+test("bKash: a transaction ID already used pays nothing", async () => {
+  const booking = await createBooking();
+  const { redirectURL } = await startPayment(booking, "bkash", 1000);
+
+  // The gateway reports the trxID of the previous test's payment
+  const callbackURL = await payOnGateway(redirectURL, "TRXDUPLICATE1");
+  const callback = await fetch(callbackURL).then((res) => res.json());
+  assert.equal(callback.gatewayPayment.status, "failed");
+  assert.match(callback.gatewayPayment.failureReason, /already used/);
+
+  assert.equal((await ledgerPayments(booking)).length, 0);
+  assert.equal((await Booking.findById(booking._id).lean()).duePayment, 4000);
+});
+
+test("Nagad: repeated webhooks for one payment record it once", async () => {
+  const booking = await createBooking();
+  const { redirectURL, gatewayPayment } = await startPayment(booking, "nagad", 2000);
+  // The guest pays but never comes back; the gateway notifies the webhook instead, twice at once
+  await payOnGateway(redirectURL);
+
+  const webhook = () =>
+    api("POST", "/api/payment-gateways/nagad/webhook", { payment_ref_id: gatewayPayment.paymentID });
+  const [first, second] = await Promise.all([webhook(), webhook()]);
+  assert.equal(first.status, 200, first.body.error);
+  assert.equal(second.status, 200, second.body.error);
+
+  const again = await webhook();
+  assert.equal(again.status, 200, again.body.error);
+  assert.deepEqual(again.body, { received: true, status: "completed" });
+
+  const entries = await ledgerPayments(booking);
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].paymentMethod, "NAGAD");
+  assert.equal(entries[0].amount, 2000);
+  const saved = await GatewayPayment.findById(gatewayPayment._id).lean();
+  assert.equal(saved.status, "completed");
+  assert.equal(String(saved.payment), String(entries[0]._id));
+});
@@ -0,0 +1,93 @@
+// A payment taken before the payment ledger keeps its _id when it is put on the ledger, so a
+// client voids it by the _id it already holds.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const bookingRoutes = require("../routes/bookingRoutes");
+const Booking = require("../models/Booking");
+const Payment = require("../models/Payment");
+const User = require("../models/User");
+const { startMongo, stopMongo } = require("./helpers/mongo");
+
+let server;
+let baseURL;
+let token;
+
+before(async () => {
+  await startMongo("payment-ledger");
+
+  const user = await User.create({
+    username: "frontdesk",
+    email: "frontdesk@example.com",
+    password: "secret123",
+    role: { id: 1, value: "superadmin", label: "Super Admin" },
+  });
+  token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.io = { to: () => ({ emit: () => {} }) };
+    next();
+  });
+  app.use("/api", bookingRoutes);
+  server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  await stopMongo();
+});
+
+test("voiding a pre-ledger payment by its old _id", async () => {
+  const paymentId = new mongoose.Types.ObjectId();
+  const bookingId = new mongoose.Types.ObjectId();
+  // Saved as the app stored bookings before the ledger: payments[] without receipt numbers
+  await Booking.collection.insertOne({
+    _id: bookingId,
+    fullName: "Old Guest",
+    phone: "01710000000",
+    hotelName: "Sea Shore",
+    hotelID: 1,
+    roomCategoryID: "cat-deluxe",
+    roomCategoryName: "Deluxe",
+    roomNumberID: "room-101",
+    roomNumberName: "101",
+    roomPrice: 2000,
+    checkInDate: new Date("2030-03-10"),
+    checkOutDate: new Date("2030-03-12"),
+    nights: 2,
+    totalBill: 4000,
+    advancePayment: 1500,
+    totalPaid: 1500,
+    duePayment: 2500,
+    bookingNo: "BK-OLD-1",
+    statusID: 1,
+    payments: [{ _id: paymentId, paymentMethod: "CASH", amount: 1500, createdAt: new Date("2030-03-01") }],
+  });
+
+  const res = await fetch(`${baseURL}/api/bookings/booking/${bookingId}/payments/${paymentId}`, {
+    method: "DELETE",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ reason: "Entered twice" }),
+  });
+  const body = await res.json();
+  assert.equal(res.status, 200, body.error);
+  assert.equal(String(body.void.voidOf), String(paymentId));
+  assert.deepEqual(body.booking.payments, []);
+  assert.equal(body.booking.duePayment, 4000);
+
+  // The ledger payment has the payment's old _id
+  const entry = await Payment.findById(paymentId).lean();
+  assert.equal(entry.type, "payment");
+  assert.equal(entry.amount, 1500);
+  assert.equal(String(entry.booking), String(bookingId));
+});
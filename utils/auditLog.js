@@ -0,0 +1,95 @@
+// Change log for bookings, payments, guests, expenses, daily summaries, users and permissions
+const AuditLog = require("../models/AuditLog");
+
+// Not worth a change entry (bookkeeping) or never stored in clear (secrets)
+const IGNORED_PATHS = ["__v", "updatedAt", "id"];
+const REDACTED_PATHS = ["password", "plainPassword"];
+
+const isObjectId = (value) => value && (value._bsontype === "ObjectId" || value._bsontype === "ObjectID");
+
+// Plain copy of a document as it is now; take it before modifying a loaded document
+function snapshot(doc) {
+  if (!doc) return null;
+  return typeof doc.toObject === "function" ? doc.toObject({ virtuals: false, depopulate: true }) : doc;
+}
+
+const toPlain = (doc) => snapshot(doc) || {};
+
+// Dot paths of nested objects; arrays (payments, invoiceDetails, ...) are compared whole
+function flatten(obj, prefix = "", out = {}) {
+  Object.entries(obj || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      !(value instanceof Date) &&
+      !isObjectId(value)
+    ) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+  return out;
+}
+
+// JSON form: dates as ISO strings, ObjectIds as hex strings
+const normalize = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Field-level differences between two versions of a document ([{ path, before, after }]).
+ * Pass null as before for a create and null as after for a delete.
+ */
+function diffDocuments(before, after) {
+  const a = flatten(toPlain(before));
+  const b = flatten(toPlain(after));
+  const paths = new Set([...Object.keys(a), ...Object.keys(b)]);
+  const changes = [];
+
+  paths.forEach((path) => {
+    const root = path.split(".")[0];
+    if (IGNORED_PATHS.includes(root)) return;
+    const beforeValue = normalize(a[path]);
+    const afterValue = normalize(b[path]);
+    if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) return;
+
+    if (REDACTED_PATHS.includes(root)) {
+      changes.push({ path, before: "[redacted]", after: "[redacted]" });
+    } else {
+      changes.push({ path, before: beforeValue, after: afterValue });
+    }
+  });
+
+  return changes.sort((x, y) => x.path.localeCompare(y.path));
+}
+
+// Users carry a hotelID array; only a single hotel is stored on the entry
+const toHotelID = (value) => (value == null || Array.isArray(value) || isNaN(Number(value)) ? undefined : Number(value));
+
+/**
+ * Record a write made by req.user. Best effort: an audit failure is logged and never
+ * fails the request that made the change. Updates without any field change are skipped.
+ */
+async function recordAudit(req, { entity, entityId, action, hotelID, before = null, after = null, note }) {
+  try {
+    const changes = diffDocuments(before, after);
+    if (action === "update" && changes.length === 0) return null;
+
+    return await AuditLog.create({
+      entity,
+      entityId: String(entityId),
+      action,
+      hotelID: toHotelID(hotelID ?? after?.hotelID ?? before?.hotelID),
+      user: req.user ? { id: String(req.user._id), username: req.user.username } : undefined,
+      changes,
+      note,
+      ip: req.ip,
+    });
+  } catch (error) {
+    console.error(`Audit log failed for ${entity} ${entityId}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = { snapshot, diffDocuments, recordAudit };
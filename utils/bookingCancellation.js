@@ -0,0 +1,111 @@
+// Cancelling a confirmed booking under its cancellation policy (utils/cancellationPolicy.js):
+// statusID 255, the policy outcome on the booking and the refund on the payment ledger. Used
+// by the booking endpoints and the legacy room booking endpoint alike.
+const Booking = require("../models/Booking");
+const Hotel = require("../models/Hotel");
+const { resolvePolicy, computeCancellation } = require("./cancellationPolicy");
+const { recordAudit } = require("./auditLog");
+const { releaseRoomNights } = require("./roomInventory");
+const { bookingClosedDays, closedDaysMessage } = require("./dayLocks");
+const { recordEntries, syncBookingLedger } = require("./paymentLedger");
+
+const sumAmounts = (items) => (items || []).reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+
+// Refund / retention of cancelling a booking at cancelledAt under its rate plan's or hotel's policy
+const quoteCancellation = async (booking, { noShow = false, cancelledAt = new Date() } = {}) => {
+  const hotel = await Hotel.findOne({ hotelID: booking.hotelID })
+    .select("cancellationPolicy roomCategories")
+    .lean();
+  const category = (hotel?.roomCategories || []).find(
+    (c) => String(c._id) === String(booking.roomCategoryID)
+  );
+  const { source, policy } = resolvePolicy(hotel, category);
+  const paidAmount =
+    (booking.payments || []).length > 0 ? sumAmounts(booking.payments) : booking.advancePayment || 0;
+
+  return {
+    policySource: source,
+    ...computeCancellation({ policy, checkInDate: booking.checkInDate, paidAmount, cancelledAt, noShow }),
+  };
+};
+
+/**
+ * Cancel a confirmed booking document: the policy outcome is stored on it, its nights are
+ * released and the refund is recorded, dated now; a refund may not land on a closed day.
+ * Options: canceledBy, reason, noShow, paymentMethod (of the refund, default CASH),
+ * refundTransactionId. Resolves to { booking } or { status, body } when it cannot be cancelled.
+ */
+async function cancelConfirmedBooking(req, booking, options = {}) {
+  const { canceledBy, reason, noShow = false, paymentMethod = "CASH", refundTransactionId = "" } = options;
+  const cancelledAt = new Date();
+  const outcome = await quoteCancellation(booking, { noShow, cancelledAt });
+
+  if (outcome.refundAmount > 0) {
+    const refund = {
+      paymentMethod,
+      amount: outcome.refundAmount,
+      transactionId: refundTransactionId,
+      createdAt: cancelledAt,
+    };
+    const current = booking.toObject ? booking.toObject() : booking;
+    const closedDays = await bookingClosedDays(current, { ...current, refunds: [...(current.refunds || []), refund] });
+    if (closedDays.length > 0) {
+      return { status: 409, body: { error: closedDaysMessage(closedDays), details: { closedDays } } };
+    }
+  }
+
+  const update = {
+    statusID: 255,
+    duePayment: 0,
+    cancellation: {
+      cancelledAt,
+      policySource: outcome.policySource,
+      daysBefore: outcome.daysBefore,
+      noShow: outcome.noShow,
+      refundPercent: outcome.refundPercent,
+      paidAmount: outcome.paidAmount,
+      refundAmount: outcome.refundAmount,
+      retainedAmount: outcome.retainedAmount,
+    },
+    ...(canceledBy != null && { canceledBy }),
+    ...(reason != null && { reason }),
+  };
+  // Conditional on the status, so a booking is never cancelled (and refunded) twice
+  const updated = await Booking.findOneAndUpdate({ _id: booking._id, statusID: 1 }, update, {
+    new: true,
+    runValidators: true,
+  });
+  if (!updated) {
+    return { status: 409, body: { error: "Booking status changed meanwhile, reload and try again" } };
+  }
+  await releaseRoomNights(updated._id);
+  if (outcome.refundAmount > 0) {
+    await recordEntries(req, [
+      {
+        type: "refund",
+        hotelID: updated.hotelID,
+        booking: updated._id,
+        bookingNo: updated.bookingNo,
+        paymentMethod,
+        amount: outcome.refundAmount,
+        transactionId: refundTransactionId,
+        reason: `Cancellation refund (${outcome.refundPercent}%)`,
+        date: cancelledAt,
+      },
+    ]);
+  }
+  const cancelled = await syncBookingLedger(req, updated);
+  await recordAudit(req, {
+    entity: "Booking",
+    entityId: cancelled._id,
+    action: "cancel",
+    before: booking,
+    after: cancelled,
+  });
+  return { booking: cancelled };
+}
+
+module.exports = {
+  quoteCancellation,
+  cancelConfirmedBooking,
+};
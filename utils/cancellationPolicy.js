@@ -0,0 +1,107 @@
+// Cancellation policy: refund / retention of what a guest paid when a booking is cancelled.
+// Early departure policy: what is still billed for the nights a checked-in guest gives up.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Used when neither the rate plan nor the hotel defines rules:
+// full refund up to the day before check-in, nothing for a no-show
+const DEFAULT_POLICY = {
+  rules: [{ minDaysBefore: 1, refundPercent: 100 }],
+  noShowRefundPercent: 0,
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const utcDay = (value) => {
+  const d = new Date(value);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+};
+
+const hasRules = (policy) => Array.isArray(policy?.rules) && policy.rules.length > 0;
+
+// Rate plan policy first, then the hotel's, then DEFAULT_POLICY
+function resolvePolicy(hotel, category) {
+  const ratePlanPolicy = category?.ratePlan?.cancellationPolicy;
+  if (hasRules(ratePlanPolicy)) return { source: "ratePlan", policy: ratePlanPolicy };
+  if (hasRules(hotel?.cancellationPolicy)) return { source: "hotel", policy: hotel.cancellationPolicy };
+  return { source: "default", policy: DEFAULT_POLICY };
+}
+
+/**
+ * Refund and retention for cancelling a booking on `cancelledAt`.
+ * daysBefore counts calendar days to check-in (0 on the check-in day); after the check-in day
+ * (or noShow) the no-show percent applies, else the rule with the largest minDaysBefore still
+ * reached, so a minDaysBefore 0 rule covers cancelling on the check-in day.
+ */
+function computeCancellation({ policy, checkInDate, paidAmount, cancelledAt = new Date(), noShow = false }) {
+  const daysBefore = Math.round((utcDay(checkInDate) - utcDay(cancelledAt)) / DAY_MS);
+  const isNoShow = Boolean(noShow) || daysBefore < 0;
+
+  let refundPercent = 0;
+  let rule = null;
+  if (isNoShow) {
+    refundPercent = policy.noShowRefundPercent || 0;
+  } else {
+    rule = (policy.rules || [])
+      .filter((r) => daysBefore >= r.minDaysBefore)
+      .sort((a, b) => b.minDaysBefore - a.minDaysBefore)[0] || null;
+    refundPercent = rule ? rule.refundPercent : 0;
+  }
+
+  const paid = round2(Math.max(0, Number(paidAmount) || 0));
+  const refundAmount = round2((paid * refundPercent) / 100);
+
+  return {
+    daysBefore,
+    noShow: isNoShow,
+    rule,
+    refundPercent,
+    paidAmount: paid,
+    refundAmount,
+    retainedAmount: round2(paid - refundAmount),
+  };
+}
+
+// No early departure charge unless the rate plan or the hotel sets one
+const DEFAULT_EARLY_DEPARTURE_POLICY = { chargeNights: 0, chargePercent: 0 };
+
+const hasEarlyDepartureCharge = (policy) => Boolean(policy && (policy.chargeNights || policy.chargePercent));
+
+// Rate plan policy first, then the hotel's, then DEFAULT_EARLY_DEPARTURE_POLICY
+function resolveEarlyDeparturePolicy(hotel, category) {
+  const ratePlanPolicy = category?.ratePlan?.earlyDeparturePolicy;
+  if (hasEarlyDepartureCharge(ratePlanPolicy)) return { source: "ratePlan", policy: ratePlanPolicy };
+  if (hasEarlyDepartureCharge(hotel?.earlyDeparturePolicy)) {
+    return { source: "hotel", policy: hotel.earlyDeparturePolicy };
+  }
+  return { source: "default", policy: DEFAULT_EARLY_DEPARTURE_POLICY };
+}
+
+/**
+ * Charge for giving up nights early. releasedRates are the nightly room charges of the nights
+ * given up, in date order: the first chargeNights are billed in full, the rest at chargePercent.
+ */
+function computeEarlyDeparture({ policy, releasedRates }) {
+  const rates = releasedRates.map((rate) => round2(Number(rate) || 0));
+  const chargeNights = Math.min(rates.length, policy.chargeNights || 0);
+  const chargePercent = policy.chargePercent || 0;
+  const fullCharge = rates.slice(0, chargeNights).reduce((sum, rate) => sum + rate, 0);
+  const partCharge = rates.slice(chargeNights).reduce((sum, rate) => sum + (rate * chargePercent) / 100, 0);
+
+  return {
+    releasedNights: rates.length,
+    releasedAmount: round2(rates.reduce((sum, rate) => sum + rate, 0)),
+    chargeNights,
+    chargePercent,
+    charge: round2(fullCharge + partCharge),
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  resolvePolicy,
+  computeCancellation,
+  DEFAULT_EARLY_DEPARTURE_POLICY,
+  resolveEarlyDeparturePolicy,
+  computeEarlyDeparture,
+};
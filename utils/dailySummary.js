@@ -0,0 +1,229 @@
+// Daily cash summary figures, computed from the day's payment ledger entries (booking payments,
+// refunds and paid restaurant orders) and expenses. Days are UTC dates, as the ledger uses.
+// Balances chain from day to day: opening = previous summary's closing balance.
+const DailySummary = require("../models/DailySummary");
+const { recordAudit } = require("./auditLog");
+const Payment = require("../models/Payment");
+const Expense = require("../models/Expense");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const PAYMENT_METHODS = Payment.PAYMENT_METHODS;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const emptyTotals = () => Object.fromEntries(PAYMENT_METHODS.map((method) => [method, 0]));
+
+// [{ _id: method, total }] -> { CASH, BKASH, ... } (unknown methods count as OTHER)
+function toMethodTotals(rows, mapMethod = (method) => method) {
+  const totals = emptyTotals();
+  rows.forEach(({ _id, total }) => {
+    const method = mapMethod(_id);
+    const key = PAYMENT_METHODS.includes(method) ? method : "OTHER";
+    totals[key] = round2(totals[key] + (total || 0));
+  });
+  return totals;
+}
+
+const sumTotals = (totals) => round2(Object.values(totals).reduce((sum, value) => sum + value, 0));
+
+/**
+ * Computed figures of a day (UTC midnight) for a hotel, or every hotel when hotelID is null:
+ * booking payments, refunds and paid orders by payment method from the payment ledger, and the
+ * day's expenses. A void counts against the kind of entry it reverses, on the day of the void.
+ */
+async function computeDayFigures(hotelID, date) {
+  const start = date;
+  const end = new Date(date.getTime() + DAY_MS);
+  const hotelMatch = hotelID != null ? { hotelID } : {};
+
+  const [ledgerRows, expenseRows] = await Promise.all([
+    Payment.aggregate([
+      { $match: { ...hotelMatch, date: { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: {
+            source: { $cond: [{ $ifNull: ["$order", false] }, "order", "booking"] },
+            kind: { $ifNull: ["$voidedType", "$type"] },
+            method: "$paymentMethod",
+          },
+          total: { $sum: { $cond: [{ $eq: ["$type", "void"] }, { $multiply: ["$amount", -1] }, "$amount"] } },
+        },
+      },
+    ]),
+    Expense.aggregate([
+      { $match: { ...hotelMatch, expenseDate: { $gte: start, $lt: end } } },
+      { $group: { _id: null, total: { $sum: "$expenseAmount" } } },
+    ]),
+  ]);
+
+  const byMethod = (matches) =>
+    toMethodTotals(ledgerRows.filter(({ _id }) => matches(_id)).map(({ _id, total }) => ({ _id: _id.method, total })));
+  return {
+    bookingPayments: byMethod(({ source, kind }) => source === "booking" && kind === "payment"),
+    refunds: byMethod(({ kind }) => kind === "refund"),
+    orderPayments: byMethod(({ source, kind }) => source === "order" && kind === "payment"),
+    dailyExpenses: round2(expenseRows[0]?.total || 0),
+  };
+}
+
+/**
+ * Put computed figures and the summary's adjustments on a summary (document or plain object):
+ * incomeByMethod = booking payments + paid orders - refunds + adjustments per method,
+ * dailyIncome their sum, totalBalance = opening + income, closingBalance = total - expenses.
+ */
+function applyDayFigures(summary, figures) {
+  const incomeByMethod = emptyTotals();
+  PAYMENT_METHODS.forEach((method) => {
+    incomeByMethod[method] = figures.bookingPayments[method] + figures.orderPayments[method] - figures.refunds[method];
+  });
+  (summary.adjustments || []).forEach((adjustment) => {
+    const method = PAYMENT_METHODS.includes(adjustment.paymentMethod) ? adjustment.paymentMethod : "CASH";
+    incomeByMethod[method] += Number(adjustment.amount) || 0;
+  });
+  PAYMENT_METHODS.forEach((method) => {
+    incomeByMethod[method] = round2(incomeByMethod[method]);
+  });
+
+  summary.bookingPayments = figures.bookingPayments;
+  summary.orderPayments = figures.orderPayments;
+  summary.refunds = figures.refunds;
+  summary.incomeByMethod = incomeByMethod;
+  summary.dailyIncome = sumTotals(incomeByMethod);
+  summary.dailyExpenses = figures.dailyExpenses;
+  summary.totalBalance = round2((summary.openingBalance || 0) + summary.dailyIncome);
+  summary.closingBalance = round2(summary.totalBalance - summary.dailyExpenses);
+  summary.computedAt = new Date();
+  return summary;
+}
+
+// Opening balance of a day: the closing balance of the hotel's last summary before it, else fallback
+async function openingBalanceFor(hotelID, date, fallback = 0) {
+  // Porer diner opening = ager diner closing — so ager diner summary khojo (date < currentDate, last one)
+  const prevSummary = await DailySummary.findOne({ hotelID, date: { $lt: date } })
+    .sort({ date: -1 })
+    .lean();
+  return prevSummary != null && prevSummary.closingBalance != null ? prevSummary.closingBalance : fallback ?? 0;
+}
+
+// Refresh a summary's opening balance and computed figures (the summary is not saved)
+async function recomputeSummary(summary) {
+  summary.openingBalance = await openingBalanceFor(summary.hotelID ?? null, summary.date, summary.openingBalance);
+  return applyDayFigures(summary, await computeDayFigures(summary.hotelID ?? null, summary.date));
+}
+
+const BALANCE_FIELDS = ["openingBalance", "totalBalance", "closingBalance"];
+// Amounts are stored rounded to cents; anything closer than half a cent is equal
+const sameAmount = (a, b) => Math.abs((Number(a) || 0) - (Number(b) || 0)) < 0.005;
+
+// Opening, total and closing balance of a summary opened with openingBalance
+const chainedBalances = (summary, openingBalance) => {
+  const totalBalance = round2((openingBalance || 0) + (summary.dailyIncome || 0));
+  return { openingBalance, totalBalance, closingBalance: round2(totalBalance - (summary.dailyExpenses || 0)) };
+};
+
+const pickBalances = (summary) => Object.fromEntries(BALANCE_FIELDS.map((field) => [field, summary[field]]));
+
+/**
+ * Re-chain the balances of a hotel's summaries from fromDate (inclusive) onwards: each opening
+ * balance becomes the previous summary's closing balance, and total / closing balances follow
+ * from the stored income and expenses. The hotel's first summary keeps its own opening balance.
+ * A closed day is never rewritten: re-chaining stops at the first closed day whose balances
+ * would change, leaving the chain broken there (findChainBreaks) until a manager reopens it.
+ * Returns { changed: [{ _id, date, before, after }], stoppedAt: null | { _id, date, before, after } }.
+ */
+async function rechainBalances(hotelID, fromDate) {
+  const [previous, summaries] = await Promise.all([
+    DailySummary.findOne({ hotelID, date: { $lt: fromDate } })
+      .sort({ date: -1 })
+      .lean(),
+    DailySummary.find({ hotelID, date: { $gte: fromDate } })
+      .sort({ date: 1 })
+      .lean(),
+  ]);
+
+  let closingBalance = previous ? previous.closingBalance : null;
+  const changed = [];
+  let stoppedAt = null;
+  for (const summary of summaries) {
+    const balances = chainedBalances(summary, closingBalance ?? summary.openingBalance ?? 0);
+    if (BALANCE_FIELDS.some((field) => !sameAmount(summary[field], balances[field]))) {
+      const change = { _id: summary._id, date: summary.date, before: pickBalances(summary), after: balances };
+      if (summary.status === "closed") {
+        stoppedAt = change;
+        break;
+      }
+      changed.push(change);
+    }
+    closingBalance = balances.closingBalance;
+  }
+
+  if (changed.length > 0) {
+    await DailySummary.bulkWrite(
+      changed.map(({ _id, after }) => ({ updateOne: { filter: { _id }, update: { $set: after } } }))
+    );
+  }
+  return { changed, stoppedAt };
+}
+
+// Carry a changed day's closing balance forward through the later summaries, up to a closed
+// day (rechainBalances); each re-chained summary gets an audit entry
+async function rechainFrom(req, hotelID, date) {
+  const result = await rechainBalances(hotelID ?? null, date);
+  for (const { _id, before, after } of result.changed) {
+    await recordAudit(req, {
+      entity: "DailySummary",
+      entityId: _id,
+      action: "rechain",
+      hotelID,
+      before,
+      after,
+      note: `Balances re-chained from ${date.toISOString().slice(0, 10)}`,
+    });
+  }
+  return result;
+}
+
+/**
+ * Dates where a hotel's balance chain is broken: an opening balance that is not the previous
+ * summary's closing balance, or a total / closing balance that does not follow from the day's
+ * figures. [{ date, previousDate, problems: [{ field, expected, actual }] }], oldest first.
+ */
+async function findChainBreaks(hotelID) {
+  const summaries = await DailySummary.find({ hotelID })
+    .select("date openingBalance dailyIncome totalBalance dailyExpenses closingBalance status")
+    .sort({ date: 1 })
+    .lean();
+
+  const breaks = [];
+  summaries.forEach((summary, index) => {
+    const previous = index > 0 ? summaries[index - 1] : null;
+    const expectedOpening = previous ? previous.closingBalance : summary.openingBalance;
+    const expected = {
+      openingBalance: expectedOpening,
+      totalBalance: round2((summary.openingBalance || 0) + (summary.dailyIncome || 0)),
+      closingBalance: round2((summary.totalBalance || 0) - (summary.dailyExpenses || 0)),
+    };
+    const problems = BALANCE_FIELDS.filter((field) => !sameAmount(summary[field], expected[field])).map(
+      (field) => ({ field, expected: expected[field], actual: summary[field] })
+    );
+    if (problems.length > 0) {
+      breaks.push({
+        date: summary.date,
+        previousDate: previous ? previous.date : null,
+        status: summary.status,
+        problems,
+      });
+    }
+  });
+  return breaks;
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  computeDayFigures,
+  applyDayFigures,
+  recomputeSummary,
+  rechainBalances,
+  rechainFrom,
+  findChainBreaks,
+};
@@ -0,0 +1,81 @@
+// Closed days: a DailySummary with status "closed" (closed by hand or by the night audit) locks
+// its date for the hotel. Booking nights, payments and refunds and expenses dated on a closed
+// day cannot be added, changed or removed until a manager reopens the day.
+const DailySummary = require("../models/DailySummary");
+const { bookingNights } = require("./staySegments");
+
+const dayKey = (date) => {
+  const d = new Date(date);
+  return isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+};
+
+// Keys of a list counted by occurrence, so a duplicated entry is noticed too
+const countKeys = (keys) => keys.reduce((counts, key) => counts.set(key, (counts.get(key) || 0) + 1), new Map());
+
+// Days of the entries ("day|..." keys) present a different number of times in before and after
+function changedDays(beforeKeys, afterKeys) {
+  const before = countKeys(beforeKeys);
+  const after = countKeys(afterKeys);
+  return [...new Set([...before.keys(), ...after.keys()])]
+    .filter((key) => before.get(key) !== after.get(key))
+    .map((key) => key.split("|")[0]);
+}
+
+// Nights a booking gained, gave up, moved to another room or re-priced
+const nightKeys = (booking) =>
+  booking
+    ? bookingNights(booking).map(({ night, roomNumberID, amount }) => `${dayKey(night)}|${roomNumberID}|${amount}`)
+    : [];
+
+// Payments / refunds added, removed or changed, by the day they are dated
+const entryKeys = (entries) =>
+  (entries || []).map((entry) =>
+    [dayKey(entry.createdAt), entry.paymentMethod || "", Number(entry.amount) || 0, entry.transactionId || ""].join("|")
+  );
+
+// Closed days among the given dates or "YYYY-MM-DD" keys for a hotel: sorted "YYYY-MM-DD" keys
+async function findClosedDays(hotelID, days) {
+  const keys = [...new Set(days.map((day) => (typeof day === "string" ? day : dayKey(day))).filter(Boolean))];
+  if (keys.length === 0) return [];
+  const closed = await DailySummary.find({
+    hotelID: hotelID ?? null,
+    status: "closed",
+    date: { $in: keys.map((key) => new Date(`${key}T00:00:00.000Z`)) },
+  })
+    .select("date")
+    .lean();
+  return closed.map((summary) => dayKey(summary.date)).sort();
+}
+
+// Closed days among days in any of the hotels (nulls ignored)
+async function findClosedDaysIn(hotelIDs, days) {
+  if (days.length === 0) return [];
+  const ids = [...new Set(hotelIDs.filter((id) => id != null).map(Number))];
+  const closed = await Promise.all((ids.length > 0 ? ids : [null]).map((hotelID) => findClosedDays(hotelID, days)));
+  return [...new Set(closed.flat())].sort();
+}
+
+/**
+ * Closed days a booking change touches (before null for a new booking, after null for a deleted
+ * one): nights gained, given up, moved or re-priced, and payments / refunds added, removed or
+ * changed, in the hotels of both versions.
+ */
+async function bookingClosedDays(before, after) {
+  const days = [
+    ...changedDays(nightKeys(before), nightKeys(after)),
+    ...changedDays(entryKeys(before?.payments), entryKeys(after?.payments)),
+    ...changedDays(entryKeys(before?.refunds), entryKeys(after?.refunds)),
+  ];
+  return findClosedDaysIn([before?.hotelID, after?.hotelID], days);
+}
+
+const closedDaysMessage = (closedDays) =>
+  `${closedDays.length > 1 ? "Days" : "Day"} ${closedDays.join(", ")} ${closedDays.length > 1 ? "are" : "is"} ` +
+  "closed; a manager must reopen the day before changing it";
+
+module.exports = {
+  findClosedDays,
+  findClosedDaysIn,
+  bookingClosedDays,
+  closedDaysMessage,
+};
@@ -0,0 +1,128 @@
+// Document numbers (booking serialNo / bookingNo, order, expense and invoice numbers).
+// Every number comes from an atomic $inc on a Sequence document, so two requests saving at
+// the same moment can never be handed the same value.
+//
+//   serialNo    global                  1, 2, 3, ...
+//   bookingNo   per day                 YYMMDD + 01, 02, ... (grows past 99)
+//   orderNumber per day                 ORD-YYYYMMDD-0001
+//   expenseNo   per hotel, per day      EXP-<hotelID>-YYMMDD-001
+//   invoiceNo   per hotel, per day      INV-<hotelID>-YYMMDD-0001
+//   receiptNo   per hotel, per day      RCT-<hotelID>-YYMMDD-0001 (payment ledger entries)
+//
+// bookingNo and orderNumber carry no hotel, and are looked up across hotels, so their daily
+// sequence is shared by all hotels to keep them unique.
+const mongoose = require("mongoose");
+const Sequence = require("../models/Sequence");
+const Booking = require("../models/Booking");
+
+const DUPLICATE_KEY = 11000;
+
+// Two first-time upserts of the same key race on _id; the loser simply retries
+const withUpsertRetry = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+    return operation();
+  }
+};
+
+/**
+ * Reserve `count` consecutive values of a sequence and return the first one.
+ * `seed` (optional) returns the highest value already issued before the sequence existed,
+ * so numbering continues from existing data instead of restarting at 1.
+ */
+async function reserveSequence(key, count = 1, { seed } = {}) {
+  if (seed && !(await Sequence.exists({ _id: key }))) {
+    const start = Number(await seed()) || 0;
+    // $max keeps whichever seed is higher if several callers get here at once
+    await withUpsertRetry(() => Sequence.updateOne({ _id: key }, { $max: { seq: start } }, { upsert: true }));
+  }
+
+  const sequence = await withUpsertRetry(() =>
+    Sequence.findOneAndUpdate({ _id: key }, { $inc: { seq: count } }, { upsert: true, new: true })
+  );
+  return sequence.seq - count + 1;
+}
+
+const nextSequence = (key, options) => reserveSequence(key, 1, options);
+
+// Server-local calendar day, the day bookingNo has always used
+const dayStamp = (date = new Date()) =>
+  [date.getFullYear() % 100, date.getMonth() + 1, date.getDate()].map((part) => String(part).padStart(2, "0")).join("");
+
+// Same day with a four-digit year (YYYYMMDD), as order numbers have it
+const longDayStamp = (date = new Date()) => `${date.getFullYear()}${dayStamp(date).slice(2)}`;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Highest numeric suffix among values starting with prefix (seed for a sequence replacing a scan)
+const maxSuffix = async (model, field, prefix) => {
+  const docs = await model.find({ [field]: { $regex: `^${escapeRegex(prefix)}\\d+$` } }, { [field]: 1 }).lean();
+  return docs.reduce((max, doc) => Math.max(max, parseInt(doc[field].slice(prefix.length), 10) || 0), 0);
+};
+
+const highestSerialNo = async () => {
+  const last = await Booking.findOne({ serialNo: { $ne: null } }).sort({ serialNo: -1 }).select("serialNo").lean();
+  return last ? last.serialNo : 0;
+};
+
+// Next booking serial number
+const generateSerialNo = () => nextSequence("booking:serial", { seed: highestSerialNo });
+
+// First of `count` consecutive serial numbers (group bookings)
+const generateSerialNos = (count) => reserveSequence("booking:serial", count, { seed: highestSerialNo });
+
+// Next booking number of the day: YYMMDD + at least two digits
+const generateBookingNo = async (date = new Date()) => {
+  const datePrefix = dayStamp(date);
+  const seq = await nextSequence(`booking:${datePrefix}`, {
+    seed: () => maxSuffix(Booking, "bookingNo", datePrefix),
+  });
+  return `${datePrefix}${String(seq).padStart(2, "0")}`;
+};
+
+// Next restaurant order number of the day
+const generateOrderNumber = async (date = new Date()) => {
+  const prefix = `ORD-${longDayStamp(date)}-`;
+  const seq = await nextSequence(`order:${dayStamp(date)}`, {
+    // Resolved lazily: the Order model uses this module in its pre-save hook
+    seed: () => maxSuffix(mongoose.model("Order"), "orderNumber", prefix),
+  });
+  return `${prefix}${String(seq).padStart(4, "0")}`;
+};
+
+const hotelPart = (hotelID) => (hotelID != null && hotelID !== "" ? Number(hotelID) : 0);
+
+// Next expense number of the hotel for the day (hotel 0 = expenses without a hotel)
+const generateExpenseNo = async (hotelID, date = new Date()) => {
+  const hotel = hotelPart(hotelID);
+  const seq = await nextSequence(`expense:${hotel}:${dayStamp(date)}`);
+  return `EXP-${hotel}-${dayStamp(date)}-${String(seq).padStart(3, "0")}`;
+};
+
+// Next invoice number of the hotel for the day
+const generateInvoiceNo = async (hotelID, date = new Date()) => {
+  const hotel = hotelPart(hotelID);
+  const seq = await nextSequence(`invoice:${hotel}:${dayStamp(date)}`);
+  return `INV-${hotel}-${dayStamp(date)}-${String(seq).padStart(4, "0")}`;
+};
+
+// Next receipt number of the hotel for the day
+const generateReceiptNo = async (hotelID, date = new Date()) => {
+  const hotel = hotelPart(hotelID);
+  const seq = await nextSequence(`receipt:${hotel}:${dayStamp(date)}`);
+  return `RCT-${hotel}-${dayStamp(date)}-${String(seq).padStart(4, "0")}`;
+};
+
+module.exports = {
+  nextSequence,
+  reserveSequence,
+  generateSerialNo,
+  generateSerialNos,
+  generateBookingNo,
+  generateOrderNumber,
+  generateExpenseNo,
+  generateInvoiceNo,
+  generateReceiptNo,
+};
@@ -0,0 +1,210 @@
+// Booking payments taken through a mobile wallet gateway (utils/paymentGateways). A
+// GatewayPayment follows each one from the redirect to the gateway until the gateway confirms
+// the transaction, whichever of the callback, a webhook or a manual verify gets there first;
+// only then is the money recorded on the payment ledger. Callback and webhook payloads are never
+// trusted: they only prompt a check with the gateway itself.
+const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const GatewayPayment = require("../models/GatewayPayment");
+const Payment = require("../models/Payment");
+const { getProvider } = require("./paymentGateways");
+const { recordEntries, syncBookingLedger } = require("./paymentLedger");
+const { snapshot, recordAudit } = require("./auditLog");
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Where the gateway sends the guest back to
+const callbackURL = (provider) =>
+  `${(process.env.BASE_URL || "http://localhost:8000").replace(/\/$/, "")}/api/payment-gateways/${provider}/callback`;
+
+const event = (source, status, data) => ({ at: new Date(), source, status, data });
+
+// Who ledger entries and audit records of a gateway payment are by: the user, else the gateway
+const gatewayActor = (req, provider) => ({ ip: req.ip, user: req.user || { username: provider.name } });
+
+/**
+ * Start a gateway payment of amount on a booking. Returns { gatewayPayment } (with the
+ * redirectURL to send the guest to) or { status, error }.
+ */
+async function startGatewayPayment(req, booking, { provider: providerName, amount }) {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { status: 400, error: `Unknown payment gateway: ${providerName}` };
+  }
+  if (!provider.isConfigured()) {
+    return { status: 503, error: `The ${provider.name} gateway is not configured` };
+  }
+  if ([255, 4].includes(booking.statusID)) {
+    return { status: 409, error: "Cancelled and no-show bookings take no payments" };
+  }
+  if (!(amount > 0)) {
+    return { status: 400, error: "amount must be a positive number" };
+  }
+  if (amount > booking.duePayment) {
+    return { status: 400, error: `amount exceeds the due payment (${booking.duePayment})` };
+  }
+
+  const gatewayPayment = new GatewayPayment({
+    provider: provider.name,
+    hotelID: booking.hotelID,
+    booking: booking._id,
+    bookingNo: booking.bookingNo,
+    amount: round2(amount),
+    createdBy: req.user ? { id: String(req.user._id), username: req.user.username } : undefined,
+  });
+  try {
+    const created = await provider.createPayment({
+      amount: gatewayPayment.amount,
+      invoiceNo: String(gatewayPayment._id),
+      callbackURL: callbackURL(provider.name),
+      payerReference: booking.phone,
+    });
+    gatewayPayment.set({ paymentID: created.paymentID, redirectURL: created.redirectURL });
+    gatewayPayment.events.push(event("create", "initiated", created.data));
+  } catch (error) {
+    gatewayPayment.set({ status: "failed", failureReason: error.message });
+    gatewayPayment.events.push(event("create", "failed", error.data));
+    await gatewayPayment.save();
+    return { status: error.status || 502, error: error.message };
+  }
+  await gatewayPayment.save();
+  return { gatewayPayment };
+}
+
+// Record a confirmed gateway transaction on the ledger; { entry } or { error }. The entry takes
+// the GatewayPayment's _id, so an attempt that failed after writing it finds it again.
+async function recordGatewayEntry(req, gatewayPayment, provider) {
+  const recorded = await Payment.findById(gatewayPayment._id).lean();
+  if (recorded) return { entry: recorded };
+
+  const result = await recordEntries(gatewayActor(req, provider), [
+    {
+      _id: gatewayPayment._id,
+      type: "payment",
+      hotelID: gatewayPayment.hotelID,
+      booking: gatewayPayment.booking,
+      bookingNo: gatewayPayment.bookingNo,
+      paymentMethod: provider.paymentMethod,
+      amount: gatewayPayment.paidAmount,
+      transactionId: gatewayPayment.transactionId,
+    },
+  ]);
+  return result.error ? { error: result.error } : { entry: result.entries[0] };
+}
+
+// Bring the booking in line with a recorded gateway payment and tell the hotel's screens
+async function applyGatewayEntry(req, entry, provider) {
+  const actor = gatewayActor(req, provider);
+  const existing = await Booking.findById(entry.booking);
+  if (!existing) return;
+  const before = snapshot(existing);
+  const booking = await syncBookingLedger(actor, existing);
+  await recordAudit(actor, {
+    entity: "Booking",
+    entityId: booking._id,
+    action: "payment-add",
+    before,
+    after: booking,
+    note: `${provider.name} payment ${entry.receiptNo}: ${entry.amount} (trxID ${entry.transactionId})`,
+  });
+  req.io?.to(`hotel:${booking.hotelID}`).emit("payment:received", {
+    bookingId: booking._id,
+    bookingNo: booking.bookingNo,
+    provider: provider.name,
+    amount: entry.amount,
+    receiptNo: entry.receiptNo,
+    transactionId: entry.transactionId,
+    duePayment: booking.duePayment,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// Check a claimed ("verifying") payment with the gateway and record it once completed
+async function verifyClaimedPayment(req, claimed, provider, { source, approved }) {
+  const result = await provider.completePayment(claimed, { execute: approved });
+  claimed.events.push(event(source, result.status, result.data));
+
+  if (result.status !== "completed") {
+    claimed.status = result.status === "pending" ? "initiated" : result.status;
+    claimed.failureReason = result.status === "pending" ? undefined : result.reason || `Payment ${result.status}`;
+    return claimed.save();
+  }
+
+  claimed.set({
+    transactionId: result.transactionId,
+    paidAmount: round2(result.amount ?? claimed.amount),
+    failureReason: undefined,
+  });
+  try {
+    // The unique (provider, transactionId) index lets a gateway transaction complete one payment
+    await claimed.save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    claimed.set({ status: "failed", transactionId: undefined, failureReason: "Transaction ID already used" });
+    return claimed.save();
+  }
+
+  const recorded = await recordGatewayEntry(req, claimed, provider);
+  if (recorded.error) {
+    claimed.set({ status: "failed", failureReason: recorded.error });
+    return claimed.save();
+  }
+  claimed.set({
+    status: "completed",
+    payment: recorded.entry._id,
+    receiptNo: recorded.entry.receiptNo,
+    completedAt: new Date(),
+  });
+  const completed = await claimed.save();
+  await applyGatewayEntry(req, recorded.entry, provider);
+  return completed;
+}
+
+/**
+ * Ask the gateway how a payment went (executing it first when the guest approved it) and
+ * record it on the ledger once completed. Safe to call repeatedly and concurrently: a payment
+ * is checked by one caller at a time and recorded once. source: callback | webhook | verify.
+ * Returns { gatewayPayment }.
+ */
+async function completeGatewayPayment(req, gatewayPayment, { source, approved = false }) {
+  const provider = getProvider(gatewayPayment.provider);
+  const claimed = await GatewayPayment.findOneAndUpdate(
+    { _id: gatewayPayment._id, status: { $in: ["initiated", "failed", "cancelled"] } },
+    { $set: { status: "verifying" } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { gatewayPayment: await GatewayPayment.findById(gatewayPayment._id) };
+  }
+  const previousStatus = gatewayPayment.status === "verifying" ? "initiated" : gatewayPayment.status;
+
+  try {
+    return { gatewayPayment: await verifyClaimedPayment(req, claimed, provider, { source, approved }) };
+  } catch (error) {
+    // A payment left "verifying" would refuse every later callback, webhook and verify
+    await GatewayPayment.updateOne(
+      { _id: claimed._id, status: "verifying" },
+      {
+        $set: { status: previousStatus },
+        $push: { events: event(source, "error", { message: error.message, data: error.data }) },
+      }
+    );
+    throw error;
+  }
+}
+
+// Gateway payment a callback or webhook is about: by the gateway's paymentID, else by our
+// invoice number (the GatewayPayment _id)
+async function findGatewayPayment(provider, { paymentID, invoiceNo }) {
+  if (paymentID) return GatewayPayment.findOne({ provider, paymentID: String(paymentID) });
+  if (invoiceNo && mongoose.Types.ObjectId.isValid(invoiceNo)) {
+    return GatewayPayment.findOne({ provider, _id: invoiceNo });
+  }
+  return null;
+}
+
+module.exports = {
+  startGatewayPayment,
+  completeGatewayPayment,
+  findGatewayPayment,
+};
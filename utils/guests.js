@@ -0,0 +1,171 @@
+// Guest profiles (models/Guest.js): matching a booking's contact fields to a profile,
+// lifetime figures from the linked bookings, and merging duplicate profiles.
+const Booking = require("../models/Booking");
+const Guest = require("../models/Guest");
+
+// Contact fields shared by Guest and Booking
+const CONTACT_FIELDS = ["fullName", "phone", "email", "nidPassport", "address"];
+const MATCH_KEYS = ["nidKey", "phoneKey", "emailKey"];
+// Cancelled and no-show bookings bill nothing; what was kept of their payments counts as spend
+const VOID_STATUSES = [255, 4];
+
+/**
+ * Guests of a hotel sharing the NID/passport, phone or email of data (a booking or query),
+ * best match first: NID, then phone, then email.
+ */
+async function findMatchingGuests(hotelID, data) {
+  const keys = Guest.matchKeys(data);
+  const conditions = MATCH_KEYS.filter((key) => keys[key]).map((key) => ({ [key]: keys[key] }));
+  if (conditions.length === 0) return [];
+
+  const guests = await Guest.find({ hotelID: Number(hotelID), $or: conditions });
+  const rank = (guest) => MATCH_KEYS.findIndex((key) => keys[key] && guest[key] === keys[key]);
+  return guests.sort((a, b) => rank(a) - rank(b));
+}
+
+// Copy contact fields source has and target lacks
+function fillBlankContacts(target, source) {
+  CONTACT_FIELDS.forEach((field) => {
+    if (!target[field] && source[field]) target[field] = source[field];
+  });
+  return target;
+}
+
+/**
+ * Profile a booking belongs to: guest if already matched, else the best match, else a new
+ * profile from the booking's contact fields. Blank profile fields are filled from the booking.
+ * Resolves to null for a booking without a NID/passport, phone or email: nothing could find
+ * its profile again, so none is started.
+ */
+async function linkGuest(hotelID, bookingData, guest = null) {
+  let profile = guest || (await findMatchingGuests(hotelID, bookingData))[0];
+  if (!profile) {
+    const keys = Guest.matchKeys(bookingData);
+    if (!MATCH_KEYS.some((key) => keys[key])) return null;
+    profile = new Guest({ hotelID: Number(hotelID) });
+  }
+  fillBlankContacts(profile, bookingData);
+  if (profile.isNew || profile.isModified()) await profile.save();
+  return profile;
+}
+
+const EMPTY_STATS = {
+  stays: 0,
+  nights: 0,
+  spend: 0,
+  paid: 0,
+  outstanding: 0,
+  cancelled: 0,
+  noShows: 0,
+  firstCheckIn: null,
+  lastCheckOut: null,
+};
+
+/**
+ * Lifetime figures of guests from their bookings, by guest id: stays (distinct bookingNo of
+ * bookings that were not cancelled / no-show), nights, spend (bills, plus what was kept of
+ * cancelled and no-show bookings), paid, outstanding dues and cancellation counts.
+ */
+async function guestStats(guestIds) {
+  if (guestIds.length === 0) return {};
+  const isVoid = { $in: ["$statusID", VOID_STATUSES] };
+  const rows = await Booking.aggregate([
+    { $match: { guestID: { $in: guestIds } } },
+    {
+      $group: {
+        _id: "$guestID",
+        bookingNos: { $addToSet: { $cond: [isVoid, null, "$bookingNo"] } },
+        nights: { $sum: { $cond: [isVoid, 0, "$nights"] } },
+        spend: {
+          $sum: { $cond: [isVoid, { $ifNull: ["$cancellation.retainedAmount", 0] }, { $ifNull: ["$totalBill", 0] }] },
+        },
+        paid: { $sum: { $ifNull: ["$totalPaid", 0] } },
+        outstanding: { $sum: { $ifNull: ["$duePayment", 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ["$statusID", 255] }, 1, 0] } },
+        noShows: { $sum: { $cond: [{ $eq: ["$statusID", 4] }, 1, 0] } },
+        firstCheckIn: { $min: { $cond: [isVoid, "$$REMOVE", "$checkInDate"] } },
+        lastCheckOut: { $max: { $cond: [isVoid, "$$REMOVE", "$checkOutDate"] } },
+      },
+    },
+  ]);
+
+  const round2 = (value) => Math.round(value * 100) / 100;
+  return Object.fromEntries(
+    rows.map(({ _id, bookingNos, ...row }) => [
+      String(_id),
+      {
+        ...row,
+        stays: bookingNos.filter(Boolean).length,
+        spend: round2(row.spend),
+        paid: round2(row.paid),
+        outstanding: round2(row.outstanding),
+        firstCheckIn: row.firstCheckIn || null,
+        lastCheckOut: row.lastCheckOut || null,
+      },
+    ])
+  );
+}
+
+// Plain guest objects with their lifetime figures under stats
+async function withStats(guests) {
+  const stats = await guestStats(guests.map((guest) => guest._id));
+  return guests.map((guest) => ({
+    ...(typeof guest.toObject === "function" ? guest.toObject() : guest),
+    stats: stats[String(guest._id)] || { ...EMPTY_STATS },
+  }));
+}
+
+// Guests of a hotel sharing a matching key: [{ key, value, guests }]
+async function findDuplicateGuests(hotelID) {
+  const groups = [];
+  for (const key of MATCH_KEYS) {
+    const rows = await Guest.aggregate([
+      { $match: { hotelID: Number(hotelID), [key]: { $type: "string" } } },
+      {
+        $group: {
+          _id: `$${key}`,
+          guests: {
+            $push: { _id: "$_id", fullName: "$fullName", phone: "$phone", email: "$email", nidPassport: "$nidPassport" },
+          },
+        },
+      },
+      { $match: { "guests.1": { $exists: true } } },
+      { $sort: { _id: 1 } },
+    ]);
+    rows.forEach((row) => groups.push({ key, value: row._id, guests: row.guests }));
+  }
+  return groups;
+}
+
+/**
+ * Merge duplicate profiles into primary: their bookings are relinked, blank contact fields
+ * and notes are taken over, a blacklist carries over, and the duplicates are deleted.
+ */
+async function mergeGuests(primary, duplicates) {
+  const duplicateIds = duplicates.map((guest) => guest._id);
+  duplicates.forEach((duplicate) => {
+    fillBlankContacts(primary, duplicate);
+    primary.notes.push(...duplicate.notes.map((note) => note.toObject()));
+    if (duplicate.blacklisted && !primary.blacklisted) {
+      primary.blacklisted = true;
+      primary.blacklist = duplicate.blacklist;
+    }
+  });
+  primary.notes.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  await primary.save();
+  const relinked = await Booking.updateMany({ guestID: { $in: duplicateIds } }, { $set: { guestID: primary._id } });
+  await Guest.deleteMany({ _id: { $in: duplicateIds } });
+  return { relinkedBookings: relinked.modifiedCount };
+}
+
+module.exports = {
+  CONTACT_FIELDS,
+  findMatchingGuests,
+  fillBlankContacts,
+  linkGuest,
+  guestStats,
+  withStats,
+  findDuplicateGuests,
+  mergeGuests,
+};
@@ -0,0 +1,204 @@
+// Hotel KPIs from stay nights: room-nights sold, occupancy %, ADR and RevPAR per day, ISO week
+// or month, per hotel or room category. Revenue is counted on the night stayed, not on the day
+// the booking was made. Sold nights come from an aggregation over Booking (segments of moved
+// stays included); available room-nights from the rooms in Hotel.roomCategories.
+const dayjs = require("dayjs");
+const utc = require("dayjs/plugin/utc");
+const isoWeek = require("dayjs/plugin/isoWeek");
+const Booking = require("../models/Booking");
+
+dayjs.extend(utc);
+dayjs.extend(isoWeek);
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+// Confirmed, checked-in and checked-out stays sell nights; cancelled and no-show ones do not
+const SOLD_STATUSES = [1, 2, 3];
+const GROUP_BY = ["day", "week", "month"];
+
+// Period key of a night; the same formats as periodExpression below
+const PERIOD_FORMATS = {
+  day: (night) => night.format("YYYY-MM-DD"),
+  week: (night) => `${night.isoWeekYear()}-W${String(night.isoWeek()).padStart(2, "0")}`,
+  month: (night) => night.format("YYYY-MM"),
+};
+const periodExpression = (groupBy, date) => ({
+  $dateToString: { format: { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m" }[groupBy], date },
+});
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Room-nights sold and room revenue per { hotelID, period, roomCategoryID } between start
+ * (inclusive) and end (exclusive), both UTC midnights. A booking's nightly room revenue is its
+ * room charge (totalBill without kitchen, extra bed and early departure charges) spread evenly
+ * over its nights; a moved stay uses each segment's nightly price.
+ */
+function soldNights({ hotelIDs, start, end, groupBy, byCategory }) {
+  const roomCharge = {
+    $subtract: [
+      { $ifNull: ["$totalBill", 0] },
+      {
+        $add: [
+          { $ifNull: ["$kitchenTotalBill", 0] },
+          { $ifNull: ["$extraBedTotalBill", 0] },
+          { $ifNull: ["$earlyDepartureCharge", 0] },
+        ],
+      },
+    ],
+  };
+  const nightsOf = (checkIn, checkOut) => ({ $round: [{ $divide: [{ $subtract: [checkOut, checkIn] }, DAY_MS] }, 0] });
+
+  return Booking.aggregate([
+    {
+      $match: {
+        hotelID: { $in: hotelIDs },
+        statusID: { $in: SOLD_STATUSES },
+        checkInDate: { $lt: end },
+        checkOutDate: { $gt: start },
+      },
+    },
+    {
+      $project: {
+        hotelID: 1,
+        stays: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ["$segments", []] } }, 0] },
+            {
+              $map: {
+                input: "$segments",
+                as: "segment",
+                in: {
+                  roomCategoryID: "$$segment.roomCategoryID",
+                  checkInDate: "$$segment.checkInDate",
+                  checkOutDate: "$$segment.checkOutDate",
+                  rate: { $ifNull: ["$$segment.nightlyPrice", 0] },
+                },
+              },
+            },
+            [
+              {
+                roomCategoryID: "$roomCategoryID",
+                checkInDate: "$checkInDate",
+                checkOutDate: "$checkOutDate",
+                rate: {
+                  $let: {
+                    vars: { nights: nightsOf("$checkInDate", "$checkOutDate") },
+                    in: { $cond: [{ $gt: ["$$nights", 0] }, { $divide: [roomCharge, "$$nights"] }, 0] },
+                  },
+                },
+              },
+            ],
+          ],
+        },
+      },
+    },
+    { $unwind: "$stays" },
+    // One document per night of each stay
+    {
+      $project: {
+        hotelID: 1,
+        roomCategoryID: "$stays.roomCategoryID",
+        rate: "$stays.rate",
+        night: {
+          $map: {
+            input: { $range: [0, { $toInt: nightsOf("$stays.checkInDate", "$stays.checkOutDate") }] },
+            as: "index",
+            in: { $add: ["$stays.checkInDate", { $multiply: ["$$index", DAY_MS] }] },
+          },
+        },
+      },
+    },
+    { $unwind: "$night" },
+    { $match: { night: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: {
+          hotelID: "$hotelID",
+          period: periodExpression(groupBy, "$night"),
+          ...(byCategory && { roomCategoryID: "$roomCategoryID" }),
+        },
+        roomNightsSold: { $sum: 1 },
+        roomRevenue: { $sum: "$rate" },
+      },
+    },
+  ]);
+}
+
+// Available room-nights per { hotelID, period, roomCategoryID }: rooms × nights of the period in range
+function availableNights({ hotels, start, end, groupBy, byCategory }) {
+  const available = new Map();
+  for (let night = dayjs.utc(start); night.isBefore(dayjs.utc(end)); night = night.add(1, "day")) {
+    const period = PERIOD_FORMATS[groupBy](night);
+    hotels.forEach((hotel) => {
+      (hotel.roomCategories || []).forEach((category) => {
+        const key = JSON.stringify([hotel.hotelID, period, byCategory ? String(category._id) : null]);
+        available.set(key, (available.get(key) || 0) + (category.roomNumbers || []).length);
+      });
+    });
+  }
+  return available;
+}
+
+const kpiFigures = ({ roomsAvailable, roomNightsSold, roomRevenue }) => ({
+  roomsAvailable,
+  roomNightsSold,
+  roomRevenue: round2(roomRevenue),
+  occupancyPercent: roomsAvailable > 0 ? round2((roomNightsSold / roomsAvailable) * 100) : 0,
+  // Average daily rate: room revenue per room-night sold
+  adr: roomNightsSold > 0 ? round2(roomRevenue / roomNightsSold) : 0,
+  // Revenue per available room-night
+  revpar: roomsAvailable > 0 ? round2(roomRevenue / roomsAvailable) : 0,
+});
+
+/**
+ * KPI rows for hotels (plain Hotel objects with roomCategories) over [start, end):
+ * { rows: [{ hotelID, period, roomCategoryID?, roomCategoryName?, roomsAvailable, roomNightsSold,
+ * roomRevenue, occupancyPercent, adr, revpar }], totals } — one row per period even without sales.
+ */
+async function computeKpis({ hotels, start, end, groupBy = "day", byCategory = false }) {
+  const hotelIDs = hotels.map((hotel) => hotel.hotelID);
+  const sold = await soldNights({ hotelIDs, start, end, groupBy, byCategory });
+  const available = availableNights({ hotels, start, end, groupBy, byCategory });
+
+  const soldByKey = new Map(
+    sold.map(({ _id, ...figures }) => [
+      JSON.stringify([_id.hotelID, _id.period, byCategory ? String(_id.roomCategoryID) : null]),
+      figures,
+    ])
+  );
+  // Stays in rooms no longer in the hotel's inventory still count as sold
+  soldByKey.forEach((figures, key) => {
+    if (!available.has(key)) available.set(key, 0);
+  });
+
+  const categoryNames = new Map(
+    hotels.flatMap((hotel) => (hotel.roomCategories || []).map((category) => [String(category._id), category.name]))
+  );
+  const totals = { roomsAvailable: 0, roomNightsSold: 0, roomRevenue: 0 };
+  const rows = [...available.entries()].map(([key, roomsAvailable]) => {
+    const [hotelID, period, roomCategoryID] = JSON.parse(key);
+    const { roomNightsSold = 0, roomRevenue = 0 } = soldByKey.get(key) || {};
+    totals.roomsAvailable += roomsAvailable;
+    totals.roomNightsSold += roomNightsSold;
+    totals.roomRevenue += roomRevenue;
+    return {
+      hotelID,
+      period,
+      ...(byCategory && { roomCategoryID, roomCategoryName: categoryNames.get(roomCategoryID) || null }),
+      ...kpiFigures({ roomsAvailable, roomNightsSold, roomRevenue }),
+    };
+  });
+
+  rows.sort(
+    (a, b) =>
+      a.hotelID - b.hotelID ||
+      a.period.localeCompare(b.period) ||
+      String(a.roomCategoryName || "").localeCompare(String(b.roomCategoryName || ""))
+  );
+  return { rows, totals: kpiFigures(totals) };
+}
+
+module.exports = {
+  GROUP_BY,
+  computeKpis,
+};
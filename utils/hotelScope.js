@@ -0,0 +1,37 @@
+// Helpers for req.allowedHotelIDs, set by `protect` (null = super admin, every hotel)
+
+// Mongo filter limiting a query to the caller's hotels ({} for super admins)
+const hotelScopeFilter = (req, field = "hotelID") =>
+  req.allowedHotelIDs ? { [field]: { $in: req.allowedHotelIDs } } : {};
+
+const canAccessHotel = (req, hotelID) =>
+  !req.allowedHotelIDs || req.allowedHotelIDs.includes(Number(hotelID));
+
+/**
+ * Resolve the hotelID for a write or a single-hotel read.
+ * An explicit value must be one of the caller's hotels; without one, a user with
+ * exactly one hotel gets that hotel and a super admin gets null (no hotel).
+ * Returns { hotelID } or { status, error }.
+ */
+const resolveHotelID = (req, value) => {
+  if (value !== undefined && value !== null && value !== "") {
+    const hotelID = Number(value);
+    if (isNaN(hotelID)) {
+      return { status: 400, error: "hotelID must be a number" };
+    }
+    if (!canAccessHotel(req, hotelID)) {
+      return { status: 403, error: "Forbidden: no access to this hotel" };
+    }
+    return { hotelID };
+  }
+
+  if (!req.allowedHotelIDs) return { hotelID: null };
+  if (req.allowedHotelIDs.length === 1) return { hotelID: req.allowedHotelIDs[0] };
+  return { status: 400, error: "hotelID is required" };
+};
+
+module.exports = {
+  hotelScopeFilter,
+  canAccessHotel,
+  resolveHotelID,
+};
@@ -0,0 +1,302 @@
+// Booking / group folio invoice rendered locally with pdfkit
+const PDFDocument = require("pdfkit");
+const dayjs = require("dayjs");
+
+const MARGIN = 40;
+const ROW_HEIGHT = 16;
+
+const money = (value) =>
+  (Number(value) || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatDate = (value) => (value ? dayjs(value).format("DD MMM YYYY") : "");
+
+const sumAmounts = (items) => items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+
+// Cancelled (255) and no-show (4) rooms are listed but not billed
+const isVoid = (booking) => booking.statusID === 255 || booking.statusID === 4;
+const voidLabel = (booking) =>
+  booking.statusID === 255 ? " (cancelled)" : booking.statusID === 4 ? " (no-show)" : "";
+
+function hotelAddressLines(hotel) {
+  const address = hotel.address || {};
+  const lines = [address.address1, address.address2, address.address3].filter(Boolean);
+  const cityLine = [address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(", ");
+  if (cityLine) lines.push(cityLine);
+
+  const contact = hotel.contact || {};
+  const contactLine = [
+    contact.phone && `Phone: ${contact.phone}`,
+    contact.email && `Email: ${contact.email}`,
+    contact.website,
+  ]
+    .filter(Boolean)
+    .join("  |  ");
+  if (contactLine) lines.push(contactLine);
+  return lines;
+}
+
+// New page when the next block does not fit
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+function sectionTitle(doc, title) {
+  ensureSpace(doc, ROW_HEIGHT * 3);
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(11).text(title, MARGIN);
+  doc.moveDown(0.3);
+}
+
+// columns: [{ label, width, align }]; rows: arrays of cell strings
+function drawTable(doc, columns, rows) {
+  const drawRow = (cells, bold) => {
+    ensureSpace(doc, ROW_HEIGHT);
+    const y = doc.y;
+    let x = MARGIN;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    columns.forEach((column, index) => {
+      doc.text(cells[index] ?? "", x + 2, y + 3, {
+        width: column.width - 4,
+        align: column.align || "left",
+        lineBreak: false,
+        ellipsis: true,
+      });
+      x += column.width;
+    });
+    doc
+      .moveTo(MARGIN, y + ROW_HEIGHT)
+      .lineTo(x, y + ROW_HEIGHT)
+      .lineWidth(0.5)
+      .strokeColor("#cccccc")
+      .stroke();
+    doc.x = MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  drawRow(columns.map((column) => column.label), true);
+  rows.forEach((cells) => drawRow(cells, false));
+}
+
+function drawSummaryLine(doc, label, value, bold = false) {
+  ensureSpace(doc, ROW_HEIGHT);
+  const y = doc.y;
+  const right = doc.page.width - MARGIN;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+  doc.text(label, right - 260, y, { width: 150, align: "right" });
+  doc.text(value, right - 110, y, { width: 110, align: "right" });
+  doc.x = MARGIN;
+  doc.y = y + ROW_HEIGHT;
+}
+
+// Room the guest used on a date (the segment covering it for a moved stay)
+const roomOnDate = (booking, date) => {
+  const time = new Date(date).getTime();
+  const segment = (booking.segments || []).find(
+    (s) => new Date(s.checkInDate).getTime() <= time && time < new Date(s.checkOutDate).getTime()
+  );
+  return segment ? segment.roomNumberName : booking.roomNumberName;
+};
+
+/**
+ * Render an invoice for one booking or every room of a bookingNo.
+ * Cancelled rooms are listed but not billed (same rule as the group folio).
+ * Returns the pdfkit document; the caller pipes it and calls doc.end().
+ */
+function buildInvoicePdf({ hotel, bookings, invoiceNo }) {
+  const doc = new PDFDocument({ size: "A4", margin: MARGIN, bufferPages: true });
+  const contentWidth = doc.page.width - MARGIN * 2;
+  const first = bookings[0];
+  const billed = bookings.filter((b) => !isVoid(b));
+
+  // Header: hotel and invoice details
+  doc.font("Helvetica-Bold").fontSize(18).text(hotel?.hotelName || first.hotelName, MARGIN, MARGIN);
+  doc.font("Helvetica").fontSize(9);
+  hotelAddressLines(hotel || {}).forEach((line) => doc.text(line));
+
+  doc.moveDown(1);
+  const infoTop = doc.y;
+  doc.font("Helvetica-Bold").fontSize(14).text("INVOICE", MARGIN, infoTop);
+  doc.font("Helvetica").fontSize(9);
+  doc.text(`Invoice No: ${invoiceNo}`);
+  doc.text(`Booking No: ${first.bookingNo}`);
+  doc.text(`Date: ${formatDate(new Date())}`);
+  const leftBottom = doc.y;
+
+  const guestX = MARGIN + contentWidth / 2;
+  doc.font("Helvetica-Bold").fontSize(10).text("Guest", guestX, infoTop);
+  doc.font("Helvetica").fontSize(9);
+  [
+    first.fullName,
+    first.phone && `Phone: ${first.phone}`,
+    first.email && `Email: ${first.email}`,
+    first.address,
+    first.nidPassport && `NID/Passport: ${first.nidPassport}`,
+  ]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, guestX, doc.y, { width: contentWidth / 2 }));
+  doc.x = MARGIN;
+  doc.y = Math.max(leftBottom, doc.y);
+
+  // Rooms
+  sectionTitle(doc, "Rooms");
+  drawTable(
+    doc,
+    [
+      { label: "Room", width: 70 },
+      { label: "Category", width: 80 },
+      { label: "Check-in", width: 62 },
+      { label: "Check-out", width: 62 },
+      { label: "Nights", width: 34, align: "right" },
+      { label: "Rate", width: 54, align: "right" },
+      { label: "Kitchen", width: 52, align: "right" },
+      { label: "Extra bed", width: 52, align: "right" },
+      { label: "Total", width: contentWidth - 466, align: "right" },
+    ],
+    bookings.flatMap((b) => {
+      if ((b.segments || []).length === 0) {
+        return [
+          [
+            `${b.roomNumberName}${voidLabel(b)}`,
+            b.roomCategoryName,
+            formatDate(b.checkInDate),
+            formatDate(b.checkOutDate),
+            String(b.nights ?? ""),
+            money(b.roomPrice),
+            money(b.kitchenTotalBill),
+            money(b.extraBedTotalBill),
+            isVoid(b) ? "-" : money(b.totalBill),
+          ],
+        ];
+      }
+      // Moved stay: a row per room; extras (and an early departure charge) go on the last one
+      // so the rows add up to totalBill
+      const extras = (b.kitchenTotalBill || 0) + (b.extraBedTotalBill || 0) + (b.earlyDepartureCharge || 0);
+      return b.segments.map((segment, index) => {
+        const last = index === b.segments.length - 1;
+        const charge = segment.nightlyPrice * segment.nights + (last ? extras : 0);
+        return [
+          `${segment.roomNumberName}${voidLabel(b)}`,
+          segment.roomCategoryName,
+          formatDate(segment.checkInDate),
+          formatDate(segment.checkOutDate),
+          String(segment.nights),
+          money(segment.nightlyPrice),
+          last ? money(b.kitchenTotalBill) : "-",
+          last ? money(b.extraBedTotalBill) : "-",
+          isVoid(b) ? "-" : money(charge),
+        ];
+      });
+    })
+  );
+
+  // Daily breakdown (invoiceDetails, falling back to dailyAmounts)
+  const dailyRows = [];
+  billed.forEach((b) => {
+    const items = (b.invoiceDetails || []).length > 0 ? b.invoiceDetails : b.dailyAmounts || [];
+    items
+      .slice()
+      .sort((x, y) => new Date(x.date) - new Date(y.date))
+      .forEach((item) => dailyRows.push([formatDate(item.date), roomOnDate(b, item.date), money(item.dailyAmount)]));
+  });
+  if (dailyRows.length > 0) {
+    sectionTitle(doc, "Daily breakdown");
+    drawTable(
+      doc,
+      [
+        { label: "Date", width: 120 },
+        { label: "Room", width: 120 },
+        { label: "Amount", width: 100, align: "right" },
+      ],
+      dailyRows
+    );
+  }
+
+  // Payments, then a subtotal per method
+  const payments = [];
+  bookings.forEach((b) =>
+    (b.payments || []).forEach((p) => payments.push({ ...p, roomNumberName: b.roomNumberName }))
+  );
+  payments.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+
+  sectionTitle(doc, "Payments");
+  if (payments.length === 0) {
+    doc.font("Helvetica").fontSize(9).text("No payments received.", MARGIN);
+  } else {
+    drawTable(
+      doc,
+      [
+        { label: "Date", width: 90 },
+        { label: "Room", width: 90 },
+        { label: "Method", width: 80 },
+        { label: "Transaction ID", width: contentWidth - 360 },
+        { label: "Amount", width: 100, align: "right" },
+      ],
+      payments.map((p) => [
+        formatDate(p.createdAt),
+        p.roomNumberName,
+        p.paymentMethod,
+        p.transactionId || "",
+        money(p.amount),
+      ])
+    );
+
+    const byMethod = {};
+    payments.forEach((p) => {
+      byMethod[p.paymentMethod] = (byMethod[p.paymentMethod] || 0) + (Number(p.amount) || 0);
+    });
+    doc.moveDown(0.5);
+    Object.entries(byMethod).forEach(([method, amount]) => drawSummaryLine(doc, method, money(amount)));
+  }
+
+  // Totals
+  const totalBill = billed.reduce((sum, b) => sum + (b.totalBill || 0), 0);
+  const kitchen = billed.reduce((sum, b) => sum + (b.kitchenTotalBill || 0), 0);
+  const extraBed = billed.reduce((sum, b) => sum + (b.extraBedTotalBill || 0), 0);
+  const earlyDeparture = billed.reduce((sum, b) => sum + (b.earlyDepartureCharge || 0), 0);
+  const totalPaid = sumAmounts(payments);
+  const due = billed.reduce(
+    (sum, b) => sum + Math.max(0, (b.totalBill || 0) - sumAmounts(b.payments || [])),
+    0
+  );
+
+  sectionTitle(doc, "Summary");
+  drawSummaryLine(doc, "Room charges", money(totalBill - kitchen - extraBed - earlyDeparture));
+  drawSummaryLine(doc, "Kitchen", money(kitchen));
+  drawSummaryLine(doc, "Extra bed", money(extraBed));
+  if (earlyDeparture > 0) drawSummaryLine(doc, "Early departure", money(earlyDeparture));
+  drawSummaryLine(doc, "Total bill", money(totalBill), true);
+  drawSummaryLine(doc, "Total paid", money(totalPaid));
+  drawSummaryLine(doc, "Balance due", money(due), true);
+
+  const terms = hotel?.termsAndConditions || [];
+  if (terms.length > 0) {
+    sectionTitle(doc, "Terms and conditions");
+    doc.font("Helvetica").fontSize(8);
+    terms.forEach((term, index) => doc.text(`${index + 1}. ${term}`, MARGIN, doc.y, { width: contentWidth }));
+  }
+
+  // Page numbers
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Footer sits inside the bottom margin; without this pdfkit would start a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .text(`Page ${i + 1} of ${range.count}`, MARGIN, doc.page.height - MARGIN + 10, {
+        width: contentWidth,
+        align: "center",
+        lineBreak: false,
+      });
+    doc.page.margins.bottom = bottomMargin;
+  }
+
+  return doc;
+}
+
+module.exports = { buildInvoicePdf };
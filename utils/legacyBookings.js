@@ -0,0 +1,255 @@
+// Legacy per-room occupancy (RoomNumber.bookings[] / bookedDates[]).
+// The Booking collection is the source of truth: the legacy view is derived from it,
+// and legacy entries are converted into Booking documents.
+const Booking = require("../models/Booking");
+const { bookingStays, roomOverlapFilter } = require("./staySegments");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const PAYMENT_METHODS = ["CASH", "BKASH", "NAGAD", "BANK", "CARD", "OTHER"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function toUTCDateOnly(dateInput) {
+  if (dateInput == null || dateInput === "") return null;
+  const str = typeof dateInput === "string" ? dateInput.trim() : null;
+  if (str && /^\d{4}-\d{2}-\d{2}(T|$)/.test(str)) {
+    const [y, m, d] = str.slice(0, 10).split("-").map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+  }
+  const d = new Date(dateInput);
+  if (Number.isNaN(d.getTime())) return null;
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+const isoDay = (date) => toUTCDateOnly(date).toISOString().slice(0, 10);
+
+// Nights of a stay as YYYY-MM-DD strings (the bookedDates format)
+function stayDates(checkInDate, checkOutDate) {
+  const dates = [];
+  const checkIn = toUTCDateOnly(checkInDate);
+  const checkOut = toUTCDateOnly(checkOutDate);
+  if (!checkIn || !checkOut) return dates;
+  for (let night = checkIn; night < checkOut; night = new Date(night.getTime() + DAY_MS)) {
+    dates.push(night.toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+// Consecutive YYYY-MM-DD dates grouped into stays: [{ checkIn, checkOut }]
+function groupDateRuns(dates) {
+  const days = [...new Set((dates || []).map((d) => toUTCDateOnly(d)).filter(Boolean).map((d) => d.getTime()))].sort(
+    (a, b) => a - b
+  );
+  const runs = [];
+  days.forEach((time) => {
+    const last = runs[runs.length - 1];
+    if (last && last.checkOut.getTime() === time) {
+      last.checkOut = new Date(time + DAY_MS);
+    } else {
+      runs.push({ checkIn: new Date(time), checkOut: new Date(time + DAY_MS) });
+    }
+  });
+  return runs;
+}
+
+// Legacy entries of a room: its bookings[] plus bookedDates not covered by any of them
+function legacyEntries(bookings, bookedDates) {
+  const entries = (bookings || []).map((entry) => (typeof entry.toObject === "function" ? entry.toObject() : entry));
+  const covered = new Set(entries.flatMap((entry) => stayDates(entry.checkIn, entry.checkOut || entry.checkIn)));
+  entries.forEach((entry) => {
+    if (entry.checkIn && !entry.checkOut) covered.add(isoDay(entry.checkIn));
+  });
+  const uncovered = (bookedDates || []).filter((d) => toUTCDateOnly(d) && !covered.has(isoDay(d)));
+  return [...entries, ...groupDateRuns(uncovered)];
+}
+
+/**
+ * Booking payload for a legacy entry ({ guestName, checkIn, checkOut, bookedBy, paymentDetails }).
+ * No check-out means one night; no totalBill means the room rate × nights.
+ * Returns { booking } or { error }.
+ */
+function fromLegacyEntry({ hotel, category, room, entry, user }) {
+  const checkIn = toUTCDateOnly(entry.checkIn);
+  if (!checkIn) return { error: "checkIn is missing or invalid" };
+  let checkOut = toUTCDateOnly(entry.checkOut);
+  if (!checkOut || checkOut <= checkIn) checkOut = new Date(checkIn.getTime() + DAY_MS);
+  const nights = Math.round((checkOut - checkIn) / DAY_MS);
+
+  const details = entry.paymentDetails || {};
+  const rate = room.price ?? category.basePrice ?? 0;
+  const totalBill =
+    details.totalBill != null && !isNaN(Number(details.totalBill))
+      ? round2(Math.max(0, Number(details.totalBill)))
+      : round2(rate * nights);
+  const advancePayment = round2(Math.min(Math.max(0, Number(details.advancePayment) || 0), totalBill));
+  const method = String(details.paymentMethod || "").trim().toUpperCase();
+  const paymentMethod = PAYMENT_METHODS.includes(method) ? method : "CASH";
+
+  return {
+    booking: {
+      fullName: entry.guestName || "Guest (legacy)",
+      phone: "N/A",
+      hotelName: hotel.hotelName,
+      hotelID: hotel.hotelID,
+      roomCategoryID: String(category._id),
+      roomCategoryName: category.name,
+      roomNumberID: String(room._id),
+      roomNumberName: room.name,
+      roomPrice: round2(totalBill / nights),
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      nights,
+      totalBill,
+      advancePayment,
+      duePayment: round2(totalBill - advancePayment),
+      paymentMethod: advancePayment > 0 ? paymentMethod : "",
+      transactionId: details.transactionId || "",
+      payments:
+        advancePayment > 0
+          ? [{ paymentMethod, amount: advancePayment, transactionId: details.transactionId || "", createdAt: checkIn }]
+          : [],
+      paidAmountsByDate: advancePayment > 0 ? [{ date: checkIn, totalPaid: advancePayment }] : [],
+      bookedBy: entry.bookedBy || user?.username || "legacy",
+      bookedByID: user ? String(user._id) : "legacy",
+      legacyKey: `${hotel.hotelID}:${room._id}:${isoDay(checkIn)}`,
+    },
+  };
+}
+
+// Active booking already holding the room for (part of) the stay
+const findRoomOverlap = (booking) =>
+  Booking.findOne({
+    hotelID: booking.hotelID,
+    statusID: { $nin: [255, 4] },
+    ...roomOverlapFilter(booking),
+  }).lean();
+
+const sameName = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+/**
+ * Whether an active booking overlapping a legacy entry's stay (booking, from fromLegacyEntry) is
+ * that stay itself: the booking the entry names (bookingId, as attachOccupancy lists it), or one
+ * with the same room and dates, and the same guest when the entry names one.
+ */
+function isOwnStay(existing, entry, booking) {
+  if (entry.bookingId) return String(entry.bookingId) === String(existing._id);
+  const sameStay = bookingStays(existing).some(
+    (stay) =>
+      String(stay.roomNumberID) === String(booking.roomNumberID) &&
+      toUTCDateOnly(stay.checkInDate).getTime() === booking.checkInDate.getTime() &&
+      toUTCDateOnly(stay.checkOutDate).getTime() === booking.checkOutDate.getTime()
+  );
+  return sameStay && (!entry.guestName || sameName(existing.fullName, entry.guestName));
+}
+
+// bookedDates of a room that no active booking holds yet; the others are its occupancy sent back
+async function unbookedDates(hotelID, roomNumberID, dates) {
+  const days = (dates || []).map(toUTCDateOnly).filter(Boolean);
+  if (days.length === 0) return [];
+  const times = days.map((day) => day.getTime());
+  const bookings = await Booking.find({
+    hotelID,
+    statusID: { $nin: [255, 4] },
+    ...roomOverlapFilter({
+      roomNumberID,
+      checkInDate: new Date(Math.min(...times)),
+      checkOutDate: new Date(Math.max(...times) + DAY_MS),
+    }),
+  })
+    .select("hotelID roomNumberID checkInDate checkOutDate segments")
+    .lean();
+  const booked = new Set(
+    bookings.flatMap((existing) =>
+      bookingStays(existing)
+        .filter((stay) => String(stay.roomNumberID) === String(roomNumberID))
+        .flatMap((stay) => stayDates(stay.checkInDate, stay.checkOutDate))
+    )
+  );
+  return days.map((day) => day.toISOString().slice(0, 10)).filter((day) => !booked.has(day));
+}
+
+// Booking document (one room stay of it) -> legacy embedded shape
+const toLegacyBooking = (booking, stay = booking) => ({
+  bookingId: booking._id,
+  bookingNo: booking.bookingNo,
+  guestName: booking.fullName,
+  checkIn: stay.checkInDate,
+  checkOut: stay.checkOutDate,
+  bookedBy: booking.bookedBy,
+  paymentDetails: {
+    totalBill: booking.totalBill,
+    advancePayment: booking.advancePayment,
+    duePayment: booking.duePayment,
+    paymentMethod: booking.paymentMethod,
+    transactionId: booking.transactionId,
+  },
+});
+
+/**
+ * Fill roomNumbers[].bookings / bookedDates of plain hotel objects (one or an array) from
+ * the Booking collection, replacing whatever is embedded. Lists stays that are not
+ * cancelled and check out today or later.
+ */
+async function attachOccupancy(hotels) {
+  const list = (Array.isArray(hotels) ? hotels : [hotels]).filter(Boolean);
+  if (list.length === 0) return hotels;
+
+  const today = toUTCDateOnly(new Date());
+  const bookings = await Booking.find({
+    hotelID: { $in: list.map((hotel) => hotel.hotelID) },
+    statusID: { $nin: [255, 4] },
+    checkOutDate: { $gte: today },
+  })
+    .select(
+      "hotelID roomCategoryID roomNumberID roomNumberName bookingNo fullName checkInDate checkOutDate segments bookedBy totalBill advancePayment duePayment paymentMethod transactionId"
+    )
+    .sort({ checkInDate: 1 })
+    .lean();
+
+  // A moved stay is listed under each room it used, for that room's nights
+  const byRoom = new Map();
+  bookings.forEach((booking) => {
+    bookingStays(booking)
+      .filter((stay) => new Date(stay.checkOutDate) >= today)
+      .forEach((stay) => {
+        const key = `${booking.hotelID}:${stay.roomNumberID}`;
+        if (!byRoom.has(key)) byRoom.set(key, []);
+        byRoom.get(key).push({ booking, stay });
+      });
+  });
+
+  list.forEach((hotel) =>
+    (hotel.roomCategories || []).forEach((category) =>
+      (category.roomNumbers || []).forEach((room) => {
+        const stays = byRoom.get(`${hotel.hotelID}:${room._id}`) || [];
+        room.bookings = stays.map(({ booking, stay }) => toLegacyBooking(booking, stay));
+        room.bookedDates = [
+          ...new Set(stays.flatMap(({ stay }) => stayDates(stay.checkInDate, stay.checkOutDate))),
+        ].sort();
+      })
+    )
+  );
+  return hotels;
+}
+
+// Drop derived occupancy from hotel / category / room payloads so it is never written back
+function stripLegacyOccupancy(data) {
+  if (!data || typeof data !== "object") return data;
+  delete data.bookings;
+  delete data.bookedDates;
+  (data.roomNumbers || []).forEach(stripLegacyOccupancy);
+  (data.roomCategories || []).forEach(stripLegacyOccupancy);
+  return data;
+}
+
+module.exports = {
+  toUTCDateOnly,
+  stayDates,
+  legacyEntries,
+  fromLegacyEntry,
+  findRoomOverlap,
+  isOwnStay,
+  unbookedDates,
+  attachOccupancy,
+  stripLegacyOccupancy,
+};
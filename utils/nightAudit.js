@@ -0,0 +1,162 @@
+// Night audit: the end of a hotel's business day. For the day audited it posts the night's room
+// charge to every in-house booking, lists confirmed bookings past their check-in and check-outs
+// that left a balance, then computes and closes the day's DailySummary. Closing locks the day
+// against backdated changes (utils/dayLocks.js) until a manager reopens it; the report is saved
+// as a NightAudit.
+const Booking = require("../models/Booking");
+const DailySummary = require("../models/DailySummary");
+const NightAudit = require("../models/NightAudit");
+const { bookingNights } = require("./staySegments");
+const { recomputeSummary, rechainFrom } = require("./dailySummary");
+const { snapshot, recordAudit } = require("./auditLog");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const GUEST_FIELDS = "bookingNo fullName phone roomNumberName";
+
+/**
+ * Post the night's room charge (Booking.postedCharges) to the checked-in bookings staying that
+ * night, at the rate of the room they were in. A night already posted (an earlier run of a
+ * reopened day) is not posted twice.
+ */
+async function postRoomCharges(hotelID, night, auditId, postedBy) {
+  const inHouse = await Booking.find({
+    hotelID,
+    statusID: 2,
+    checkInDate: { $lt: new Date(night.getTime() + DAY_MS) },
+    checkOutDate: { $gt: night },
+  })
+    .select(
+      "bookingNo fullName hotelID roomNumberID roomNumberName checkInDate checkOutDate totalBill kitchenTotalBill extraBedTotalBill earlyDepartureCharge segments"
+    )
+    .lean();
+
+  const postings = [];
+  let alreadyPosted = 0;
+  for (const booking of inHouse) {
+    const charge = bookingNights(booking).find((item) => item.night.getTime() === night.getTime());
+    if (!charge) continue;
+
+    const result = await Booking.updateOne(
+      { _id: booking._id, "postedCharges.night": { $ne: night } },
+      { $push: { postedCharges: { ...charge, nightAudit: auditId, postedAt: new Date(), postedBy } } }
+    );
+    if (result.modifiedCount === 0) {
+      alreadyPosted += 1;
+      continue;
+    }
+    postings.push({
+      booking: booking._id,
+      bookingNo: booking.bookingNo,
+      fullName: booking.fullName,
+      roomNumberName: charge.roomNumberName,
+      amount: charge.amount,
+    });
+  }
+
+  return {
+    count: postings.length,
+    total: round2(postings.reduce((sum, posting) => sum + posting.amount, 0)),
+    alreadyPosted,
+    postings,
+  };
+}
+
+// Bookings still Confirmed on or after their check-in day
+const findPendingArrivals = (hotelID, date) =>
+  Booking.find({ hotelID, statusID: 1, checkInDate: { $lt: new Date(date.getTime() + DAY_MS) } })
+    .select(`${GUEST_FIELDS} checkInDate`)
+    .sort({ checkInDate: 1 })
+    .lean();
+
+// Bookings checked out on the day (by checkedOutAt, else the check-out date) with a balance due
+const findUnpaidCheckOuts = (hotelID, date) => {
+  const day = { $gte: date, $lt: new Date(date.getTime() + DAY_MS) };
+  return Booking.find({
+    hotelID,
+    statusID: 3,
+    duePayment: { $gt: 0 },
+    $or: [{ checkedOutAt: day }, { checkedOutAt: { $exists: false }, checkOutDate: day }],
+  })
+    .select(`${GUEST_FIELDS} checkOutDate duePayment`)
+    .sort({ duePayment: -1 })
+    .lean();
+};
+
+// Compute the day's DailySummary a last time and close it; later days are re-chained
+async function closeDailySummary(req, hotelID, date, note) {
+  const summary = (await DailySummary.findOne({ hotelID, date })) || new DailySummary({ hotelID, date });
+  const before = summary.isNew ? undefined : snapshot(summary);
+
+  await recomputeSummary(summary);
+  summary.status = "closed";
+  summary.closedAt = new Date();
+  summary.closedBy = req.user?.username;
+  await summary.save();
+
+  await recordAudit(req, {
+    entity: "DailySummary",
+    entityId: summary._id,
+    action: "night-audit",
+    before,
+    after: summary,
+    note,
+  });
+  await rechainFrom(req, hotelID, date);
+  return summary;
+}
+
+/**
+ * Run the night audit of a hotel's business day (UTC midnight). Returns { report } (the saved
+ * NightAudit), or { status, error, details } when the day is already closed.
+ */
+async function runNightAudit(req, { hotelID, date }) {
+  const closed = await DailySummary.findOne({ hotelID, date, status: "closed" }).lean();
+  if (closed) {
+    return {
+      status: 409,
+      error: "This day is already closed; a manager must reopen it before it is audited again",
+      details: { closedAt: closed.closedAt, closedBy: closed.closedBy },
+    };
+  }
+
+  const report = (await NightAudit.findOne({ hotelID, date })) || new NightAudit({ hotelID, date, runs: 0 });
+  const runBy = req.user?.username;
+
+  const roomCharges = await postRoomCharges(hotelID, date, report._id, runBy);
+  const [pendingArrivals, unpaidCheckOuts] = await Promise.all([
+    findPendingArrivals(hotelID, date),
+    findUnpaidCheckOuts(hotelID, date),
+  ]);
+  const summary = await closeDailySummary(
+    req,
+    hotelID,
+    date,
+    `Night audit: ${roomCharges.count} room charge(s) posted (${roomCharges.total})`
+  );
+
+  report.set({
+    runAt: new Date(),
+    runBy,
+    runs: report.runs + 1,
+    roomCharges,
+    pendingArrivals: pendingArrivals.map(({ _id, ...booking }) => ({ booking: _id, ...booking })),
+    unpaidCheckOuts: unpaidCheckOuts.map(({ _id, ...booking }) => ({ booking: _id, ...booking })),
+    dailySummaryID: summary._id,
+    dailySummary: {
+      openingBalance: summary.openingBalance,
+      dailyIncome: summary.dailyIncome,
+      dailyExpenses: summary.dailyExpenses,
+      closingBalance: summary.closingBalance,
+      incomeByMethod: summary.incomeByMethod?.toObject ? summary.incomeByMethod.toObject() : summary.incomeByMethod,
+    },
+  });
+  await report.save();
+
+  return { report };
+}
+
+module.exports = {
+  runNightAudit,
+};
@@ -0,0 +1,179 @@
+// No-shows: a confirmed booking (statusID 1) whose guest has not checked in by the hotel's
+// cut-off gets statusID 4 (No-show). Its nights go back to the inventory and the cancellation
+// policy's no-show terms decide what of the payments is kept. The cut-off is the hotel's
+// checkInTime (server local time) on the day after check-in, i.e. once the first night is over.
+// Only recent check-ins are looked at, so switching the job on never sweeps up old bookings, and
+// a stay touching a day closed by the night audit is left alone.
+const Booking = require("../models/Booking");
+const Hotel = require("../models/Hotel");
+const { resolvePolicy, computeCancellation } = require("./cancellationPolicy");
+const { recordAudit } = require("./auditLog");
+const { releaseRoomNights, stayNights } = require("./roomInventory");
+const { findClosedDays } = require("./dayLocks");
+const { recordEntries, syncBookingLedger } = require("./paymentLedger");
+const { toUTCDateOnly } = require("./legacyBookings");
+
+const NO_SHOW_STATUS = 4;
+// Used for hotels without a (readable) checkInTime
+const DEFAULT_CUTOFF_TIME = process.env.NO_SHOW_CUTOFF_TIME || "12:00";
+const CHECK_INTERVAL_MS = (Number(process.env.NO_SHOW_CHECK_MINUTES) || 15) * 60 * 1000;
+// Check-ins of the last LOOKBACK_DAYS days (yesterday's is the one due), from ENABLED_FROM on if set
+const LOOKBACK_DAYS = Math.max(1, Number(process.env.NO_SHOW_LOOKBACK_DAYS) || 2);
+const ENABLED_FROM = toUTCDateOnly(process.env.NO_SHOW_ENABLED_FROM);
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// "14:00", "2:00 PM" or "2 pm" -> { hours, minutes }; null if unreadable
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(String(value || "").trim());
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = (match[3] || "").toLowerCase();
+  if (meridiem === "pm" && hours < 12) hours += 12;
+  if (meridiem === "am" && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+// Moment a booking checking in on checkInDate becomes a no-show at this hotel
+function noShowCutoff(hotel, checkInDate) {
+  const time = parseTimeOfDay(hotel?.checkInTime) || parseTimeOfDay(DEFAULT_CUTOFF_TIME);
+  const day = toUTCDateOnly(checkInDate);
+  return new Date(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + 1, time.hours, time.minutes);
+}
+
+const paidAmountOf = (booking) =>
+  (booking.payments || []).length > 0
+    ? (booking.payments || []).reduce((sum, p) => sum + (Number(p.amount) || 0), 0)
+    : booking.advancePayment || 0;
+
+// booking:noShow to the hotel's room, with what the policy kept
+const emitNoShow = (io, booking) => {
+  if (!io) return;
+  io.to(`hotel:${booking.hotelID}`).emit("booking:noShow", {
+    hotelID: booking.hotelID,
+    bookingId: booking._id,
+    bookingNo: booking.bookingNo,
+    guestName: booking.fullName,
+    roomCategoryID: booking.roomCategoryID,
+    roomNumberID: booking.roomNumberID,
+    roomNumberName: booking.roomNumberName,
+    checkInDate: booking.checkInDate,
+    statusID: booking.statusID,
+    retainedAmount: booking.cancellation?.retainedAmount || 0,
+    refundAmount: booking.cancellation?.refundAmount || 0,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Check-in dates the job looks at: before today (the cut-off is on the day after check-in), from
+// LOOKBACK_DAYS back and not before ENABLED_FROM
+function checkInWindow(now) {
+  const today = toUTCDateOnly(now);
+  const from = new Date(today.getTime() - LOOKBACK_DAYS * DAY_MS);
+  return { $gte: ENABLED_FROM && ENABLED_FROM > from ? ENABLED_FROM : from, $lt: today };
+}
+
+/**
+ * Mark every recent confirmed booking past its hotel's cut-off as a no-show, except those with
+ * a night (or today, the refund's day) on a closed day. Each booking is updated conditionally
+ * on still being confirmed, so a check-in racing the job (or a second app instance) wins
+ * cleanly. Resolves to the bookings marked.
+ */
+async function markNoShows(io, now = new Date()) {
+  const candidates = await Booking.find({
+    statusID: 1,
+    checkInDate: checkInWindow(now),
+  }).lean();
+  if (candidates.length === 0) return [];
+
+  const hotels = await Hotel.find({ hotelID: { $in: [...new Set(candidates.map((b) => b.hotelID))] } })
+    .select("hotelID checkInTime cancellationPolicy roomCategories")
+    .lean();
+  const hotelsByID = new Map(hotels.map((hotel) => [hotel.hotelID, hotel]));
+
+  const marked = [];
+  for (const booking of candidates) {
+    const hotel = hotelsByID.get(booking.hotelID);
+    if (now < noShowCutoff(hotel, booking.checkInDate)) continue;
+    // Closed days stay as they were; the night audit lists the booking as a pending arrival
+    const days = [...stayNights(booking.checkInDate, booking.checkOutDate), now];
+    if ((await findClosedDays(booking.hotelID, days)).length > 0) continue;
+
+    const category = (hotel?.roomCategories || []).find((c) => String(c._id) === String(booking.roomCategoryID));
+    const { source, policy } = resolvePolicy(hotel, category);
+    const outcome = computeCancellation({
+      policy,
+      checkInDate: booking.checkInDate,
+      paidAmount: paidAmountOf(booking),
+      cancelledAt: now,
+      noShow: true,
+    });
+
+    const update = {
+      statusID: NO_SHOW_STATUS,
+      duePayment: 0,
+      canceledBy: "system",
+      reason: "No-show",
+      cancellation: {
+        cancelledAt: now,
+        policySource: source,
+        daysBefore: outcome.daysBefore,
+        noShow: true,
+        refundPercent: outcome.refundPercent,
+        paidAmount: outcome.paidAmount,
+        refundAmount: outcome.refundAmount,
+        retainedAmount: outcome.retainedAmount,
+      },
+    };
+    const updated = await Booking.findOneAndUpdate({ _id: booking._id, statusID: 1 }, update, {
+      new: true,
+      runValidators: true,
+    });
+    if (!updated) continue;
+
+    await releaseRoomNights(updated._id);
+    if (outcome.refundAmount > 0) {
+      await recordEntries({}, [
+        {
+          type: "refund",
+          hotelID: updated.hotelID,
+          booking: updated._id,
+          bookingNo: updated.bookingNo,
+          paymentMethod: "CASH",
+          amount: outcome.refundAmount,
+          reason: `No-show refund (${outcome.refundPercent}%)`,
+          date: now,
+        },
+      ]);
+    }
+    const noShow = await syncBookingLedger({}, updated);
+    await recordAudit({}, {
+      entity: "Booking",
+      entityId: noShow._id,
+      action: "no-show",
+      before: booking,
+      after: noShow,
+      note: `Not checked in by ${noShowCutoff(hotel, booking.checkInDate).toISOString()}`,
+    });
+    emitNoShow(io, noShow);
+    marked.push(noShow);
+  }
+  return marked;
+}
+
+// Look for no-shows periodically for the life of the process
+function startNoShowScheduler(io, intervalMs = CHECK_INTERVAL_MS) {
+  const timer = setInterval(() => {
+    markNoShows(io).catch((error) => console.error("No-show check failed:", error.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  NO_SHOW_STATUS,
+  noShowCutoff,
+  markNoShows,
+  startNoShowScheduler,
+};
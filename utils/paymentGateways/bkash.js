@@ -0,0 +1,104 @@
+// bKash tokenized checkout: grant a token, create the payment and send the guest to bkashURL;
+// bKash redirects back to the callback with ?paymentID=&status=success|failure|cancel, after
+// which the payment is executed (or its status queried) to learn the trxID.
+const { gatewayRequest, gatewayError } = require("./http");
+
+const config = () => ({
+  baseURL: (process.env.BKASH_BASE_URL || "https://tokenized.sandbox.bka.sh/v1.2.0-beta").replace(/\/$/, ""),
+  appKey: process.env.BKASH_APP_KEY,
+  appSecret: process.env.BKASH_APP_SECRET,
+  username: process.env.BKASH_USERNAME,
+  password: process.env.BKASH_PASSWORD,
+});
+
+// Grant tokens last an hour; one is reused until shortly before it expires
+let token = null;
+
+async function idToken() {
+  if (token && token.expiresAt > Date.now()) return token.idToken;
+
+  const { baseURL, appKey, appSecret, username, password } = config();
+  const data = await gatewayRequest(`${baseURL}/tokenized/checkout/token/grant`, {
+    headers: { username, password },
+    body: { app_key: appKey, app_secret: appSecret },
+  });
+  if (!data.id_token) {
+    throw gatewayError(data.statusMessage || data.msg || "bKash token grant failed", data);
+  }
+  token = { idToken: data.id_token, expiresAt: Date.now() + ((Number(data.expires_in) || 3600) - 60) * 1000 };
+  return token.idToken;
+}
+
+const checkoutRequest = async (path, body) =>
+  gatewayRequest(`${config().baseURL}/tokenized/checkout/${path}`, {
+    headers: { Authorization: await idToken(), "X-APP-Key": config().appKey },
+    body,
+  });
+
+// bKash transactionStatus -> gateway payment status
+const STATUS = { Completed: "completed", Initiated: "pending", Failed: "failed", Cancelled: "cancelled" };
+
+const outcome = (data) => ({
+  status: STATUS[data.transactionStatus] || "pending",
+  transactionId: data.trxID,
+  amount: data.amount != null ? Number(data.amount) : undefined,
+  data,
+});
+
+module.exports = {
+  name: "bkash",
+  paymentMethod: "BKASH",
+
+  isConfigured: () => {
+    const { appKey, appSecret, username, password } = config();
+    return Boolean(appKey && appSecret && username && password);
+  },
+
+  // { paymentID, redirectURL, data }
+  async createPayment({ amount, invoiceNo, callbackURL, payerReference }) {
+    const data = await checkoutRequest("create", {
+      mode: "0011",
+      payerReference: payerReference || " ",
+      callbackURL,
+      amount: amount.toFixed(2),
+      currency: "BDT",
+      intent: "sale",
+      merchantInvoiceNumber: invoiceNo,
+    });
+    if (data.statusCode !== "0000" || !data.paymentID) {
+      throw gatewayError(data.statusMessage || "bKash create payment failed", data);
+    }
+    return { paymentID: data.paymentID, redirectURL: data.bkashURL, data };
+  },
+
+  // { status: completed | pending | failed | cancelled, transactionId, amount, data }. The
+  // payment is executed when the guest approved it (execute), else only its status is queried.
+  async completePayment(gatewayPayment, { execute = true } = {}) {
+    if (execute) {
+      const data = await checkoutRequest("execute", { paymentID: gatewayPayment.paymentID });
+      if (data.statusCode === "0000" && data.transactionStatus === "Completed") return outcome(data);
+    }
+    // Already executed, not approved, or an execute that did not complete: ask bKash
+    const data = await checkoutRequest("payment/status", { paymentID: gatewayPayment.paymentID });
+    if (data.statusCode && data.statusCode !== "0000") {
+      return { status: "failed", data, reason: data.statusMessage };
+    }
+    return outcome(data);
+  },
+
+  // Callback query -> { paymentID, approved }
+  parseCallback: (query) => ({ paymentID: query.paymentID, approved: query.status === "success" }),
+
+  // Webhook body (plain, or an SNS notification wrapping it) -> { paymentID, invoiceNo }
+  parseWebhook(body) {
+    let message = body || {};
+    if (typeof message.Message === "string") {
+      try {
+        message = JSON.parse(message.Message);
+      } catch (error) {
+        message = {};
+      }
+    }
+    return { paymentID: message.paymentID, invoiceNo: message.merchantInvoiceNumber || message.transactionReference };
+  },
+};
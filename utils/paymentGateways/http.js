@@ -0,0 +1,37 @@
+// JSON requests to a payment gateway, with a time limit. A gateway that cannot be reached or
+// answers with an HTTP error throws an error with status 502.
+const TIMEOUT_MS = Number(process.env.PAYMENT_GATEWAY_TIMEOUT_MS) || 30000;
+
+const gatewayError = (message, data) => Object.assign(new Error(message), { status: 502, data });
+
+async function gatewayRequest(url, { method = "POST", headers = {}, body } = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        Accept: "application/json",
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw gatewayError(`Payment gateway unreachable: ${error.message}`);
+  }
+
+  const text = await response.text();
+  let data;
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch (error) {
+    throw gatewayError(`Payment gateway sent an invalid response (HTTP ${response.status})`, text.slice(0, 500));
+  }
+  if (!response.ok) {
+    throw gatewayError(data.message || data.statusMessage || `Payment gateway error (HTTP ${response.status})`, data);
+  }
+  return data;
+}
+
+module.exports = { gatewayRequest, gatewayError };
@@ -0,0 +1,17 @@
+// Mobile wallet payment gateways. Every provider offers the same calls:
+//   createPayment({ amount, invoiceNo, callbackURL, payerReference }) -> { paymentID, redirectURL, data }
+//   completePayment(gatewayPayment, { execute }) -> { status, transactionId, amount, data }
+//   parseCallback(query) / parseWebhook(body) -> which payment the gateway is talking about
+// and names the ledger paymentMethod its payments are recorded with. Point BKASH_BASE_URL and
+// NAGAD_BASE_URL at the local mock gateway (npm run mock:gateway) to run without the real ones.
+const bkash = require("./bkash");
+const nagad = require("./nagad");
+
+const PROVIDERS = { bkash, nagad };
+
+const getProvider = (name) => PROVIDERS[String(name || "").toLowerCase()] || null;
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  getProvider,
+};
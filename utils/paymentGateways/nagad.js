@@ -0,0 +1,121 @@
+// Nagad checkout: initialize the order, complete it with the amount and send the guest to
+// callBackUrl; Nagad redirects back to the callback with ?payment_ref_id=&status=, and the
+// payment is verified to learn the issuerPaymentRefNo. Sensitive data is RSA-encrypted with
+// Nagad's public key and signed with the merchant's private key when both are configured;
+// without them (the local mock gateway) it travels as base64 JSON.
+const crypto = require("crypto");
+const { gatewayRequest, gatewayError } = require("./http");
+
+const config = () => ({
+  baseURL: (process.env.NAGAD_BASE_URL || "http://sandbox.mynagad.com:10080/remote-payment-gateway-1.0").replace(
+    /\/$/,
+    ""
+  ),
+  merchantId: process.env.NAGAD_MERCHANT_ID,
+  merchantNumber: process.env.NAGAD_MERCHANT_NUMBER,
+  publicKey: process.env.NAGAD_PUBLIC_KEY,
+  privateKey: process.env.NAGAD_PRIVATE_KEY,
+});
+
+// Keys may be set with literal "\n" in .env files
+const pem = (key) => key.replace(/\\n/g, "\n");
+
+const seal = (data) => {
+  const buffer = Buffer.from(JSON.stringify(data));
+  const { publicKey } = config();
+  const sealed = publicKey
+    ? crypto.publicEncrypt({ key: pem(publicKey), padding: crypto.constants.RSA_PKCS1_PADDING }, buffer)
+    : buffer;
+  return sealed.toString("base64");
+};
+
+const sign = (data) => {
+  const { privateKey } = config();
+  return privateKey ? crypto.sign("sha256", Buffer.from(JSON.stringify(data)), pem(privateKey)).toString("base64") : "";
+};
+
+const open = (sensitiveData) => {
+  const buffer = Buffer.from(sensitiveData || "", "base64");
+  const { privateKey } = config();
+  const plain = privateKey
+    ? crypto.privateDecrypt({ key: pem(privateKey), padding: crypto.constants.RSA_PKCS1_PADDING }, buffer)
+    : buffer;
+  return JSON.parse(plain.toString("utf8"));
+};
+
+// YYYYMMDDHHmmss in Bangladesh time, as Nagad expects
+const nagadDateTime = (date = new Date()) =>
+  new Date(date.getTime() + 6 * 60 * 60 * 1000).toISOString().replace(/[-:T]/g, "").slice(0, 14);
+
+const headers = () => ({
+  "X-KM-Api-Version": "v-0.2.0",
+  "X-KM-IP-V4": "127.0.0.1",
+  "X-KM-Client-Type": "PC_WEB",
+});
+
+// Nagad payment status -> gateway payment status
+const STATUS = { Success: "completed", Aborted: "cancelled", Cancelled: "cancelled", Failed: "failed" };
+
+module.exports = {
+  name: "nagad",
+  paymentMethod: "NAGAD",
+
+  isConfigured: () => {
+    const { merchantId, merchantNumber } = config();
+    return Boolean(merchantId && merchantNumber);
+  },
+
+  // { paymentID, redirectURL, data }
+  async createPayment({ amount, invoiceNo, callbackURL }) {
+    const { baseURL, merchantId, merchantNumber } = config();
+    const datetime = nagadDateTime();
+    const initial = { merchantId, datetime, orderId: invoiceNo, challenge: crypto.randomBytes(20).toString("hex") };
+    const initialized = await gatewayRequest(`${baseURL}/api/dfs/check-out/initialize/${merchantId}/${invoiceNo}`, {
+      headers: headers(),
+      body: {
+        accountNumber: merchantNumber,
+        dateTime: datetime,
+        sensitiveData: seal(initial),
+        signature: sign(initial),
+      },
+    });
+    if (!initialized.sensitiveData) {
+      throw gatewayError(initialized.message || "Nagad initialize failed", initialized);
+    }
+    const { paymentReferenceId, challenge } = open(initialized.sensitiveData);
+
+    const order = { merchantId, orderId: invoiceNo, currencyCode: "050", amount: amount.toFixed(2), challenge };
+    const data = await gatewayRequest(`${baseURL}/api/dfs/check-out/complete/${paymentReferenceId}`, {
+      headers: headers(),
+      body: { sensitiveData: seal(order), signature: sign(order), merchantCallbackURL: callbackURL },
+    });
+    if (data.status !== "Success" || !data.callBackUrl) {
+      throw gatewayError(data.message || "Nagad complete order failed", data);
+    }
+    return { paymentID: paymentReferenceId, redirectURL: data.callBackUrl, data };
+  },
+
+  // { status: completed | pending | failed | cancelled, transactionId, amount, data }. Nagad
+  // settles the payment itself; it is only verified.
+  async completePayment(gatewayPayment) {
+    const data = await gatewayRequest(`${config().baseURL}/api/dfs/verify/payment/${gatewayPayment.paymentID}`, {
+      method: "GET",
+      headers: headers(),
+    });
+    return {
+      status: STATUS[data.status] || "pending",
+      transactionId: data.issuerPaymentRefNo,
+      amount: data.amount != null ? Number(data.amount) : undefined,
+      data,
+    };
+  },
+
+  // Callback query -> { paymentID, approved }
+  parseCallback: (query) => ({ paymentID: query.payment_ref_id, approved: query.status === "Success" }),
+
+  // Webhook body -> { paymentID, invoiceNo }
+  parseWebhook: (body) => ({
+    paymentID: body?.payment_ref_id || body?.paymentRefId,
+    invoiceNo: body?.order_id || body?.orderId,
+  }),
+};
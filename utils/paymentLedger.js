@@ -0,0 +1,371 @@
+// Payment ledger (models/Payment.js): every payment, refund and void of a booking or restaurant
+// order is its own immutable entry with a receipt number. Nothing is merged or deleted: a wrong
+// entry is voided, money paid back is a refund. A booking's payments[], refunds[],
+// paidAmountsByDate, totalPaid and duePayment are derived from its entries (syncBookingLedger).
+const mongoose = require("mongoose");
+const Payment = require("../models/Payment");
+const { generateReceiptNo } = require("./documentNumbers");
+const { findClosedDays, closedDaysMessage } = require("./dayLocks");
+const {
+  claimableTransactions,
+  claimTransactions,
+  releaseBookingTransactions,
+  releasePaymentTransactions,
+} = require("./transactionClaims");
+
+const PAYMENT_METHODS = Payment.PAYMENT_METHODS;
+// Order.paymentMethod -> ledger payment method; orders do not say which mobile wallet was used
+const ORDER_METHODS = { cash: "CASH", card: "CARD", mobile_banking: "OTHER", online: "OTHER" };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// UTC midnight of a date (the ledger's day)
+const utcDay = (date = new Date()) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const entryUser = (req) =>
+  req?.user
+    ? { id: req.user._id ? String(req.user._id) : undefined, username: req.user.username }
+    : { username: "system" };
+
+// payments theke date-wise totalPaid array banabo: [{ date, totalPaid }]
+function buildPaidAmountsByDate(payments) {
+  if (!Array.isArray(payments) || payments.length === 0) return [];
+  const totalsByDate = new Map();
+  const now = new Date();
+  payments.forEach((p) => {
+    const dt = p.createdAt ? new Date(p.createdAt) : now;
+    const dateKey = dt.toISOString().slice(0, 10); // YYYY-MM-DD
+    const amount = typeof p.amount === "number" ? p.amount : Number(p.amount) || 0;
+    totalsByDate.set(dateKey, (totalsByDate.get(dateKey) || 0) + amount);
+  });
+  return Array.from(totalsByDate.entries())
+    .map(([dateStr, totalPaid]) => ({
+      date: new Date(`${dateStr}T00:00:00.000Z`),
+      totalPaid,
+    }))
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Payments (paymentMethod, transactionId) whose transaction ID is already used by a payment in
+ * effect on the ledger, of any booking or order, or twice among the payments themselves. A
+ * mobile wallet, card or bank transaction pays once (see utils/transactionClaims.js).
+ * [{ paymentMethod, transactionId, receiptNo?, bookingNo?, orderNumber? }]
+ */
+async function findTransactionConflicts(payments) {
+  const withId = claimableTransactions(payments);
+  if (withId.length === 0) return [];
+
+  const conflicts = [];
+  const seen = new Set();
+  withId.forEach((p) => {
+    const key = `${p.paymentMethod}|${p.transactionId}`;
+    if (seen.has(key)) conflicts.push(p);
+    seen.add(key);
+  });
+
+  const used = await Payment.find({
+    type: "payment",
+    $or: withId.map(({ paymentMethod, transactionId }) => ({ paymentMethod, transactionId })),
+  })
+    .select("_id paymentMethod transactionId receiptNo bookingNo orderNumber")
+    .lean();
+  if (used.length > 0) {
+    const voids = await Payment.find({ type: "void", voidOf: { $in: used.map((entry) => entry._id) } })
+      .select("voidOf")
+      .lean();
+    const voided = new Set(voids.map((entry) => String(entry.voidOf)));
+    used
+      .filter((entry) => !voided.has(String(entry._id)))
+      .forEach(({ paymentMethod, transactionId, receiptNo, bookingNo, orderNumber }) =>
+        conflicts.push({ paymentMethod, transactionId, receiptNo, bookingNo, orderNumber })
+      );
+  }
+  return conflicts;
+}
+
+const transactionConflictError = (conflicts) => ({
+  status: 409,
+  error: `Transaction ID already used: ${[...new Set(conflicts.map((c) => c.transactionId))].join(", ")}`,
+  details: { transactions: conflicts },
+});
+
+/**
+ * Check and claim the transaction IDs of the new payments of a booking before it is saved; the
+ * ledger entries recording them take the claims over. Give them back with
+ * releaseBookingTransactions if the booking is not saved. Resolves to null, or to
+ * transactionConflictError of the IDs already used.
+ */
+async function claimBookingTransactions(bookingId, payments) {
+  const reused = await findTransactionConflicts(payments);
+  if (reused.length > 0) return transactionConflictError(reused);
+  const clashes = await claimTransactions(
+    claimableTransactions(payments).map((p) => ({ ...p, booking: bookingId }))
+  );
+  return clashes.length > 0 ? transactionConflictError(clashes) : null;
+}
+
+/**
+ * Write ledger entries (_id?, type, hotelID, booking + bookingNo or order + orderNumber, amount,
+ * paymentMethod, transactionId, date, reason, voidOf + voidedType), each with a receipt number.
+ * Payments reusing a transaction ID are refused unless checkTransactions is false, when a
+ * reused ID is recorded unclaimed; with checkClosedDays, entries dated on a day closed by the
+ * night audit are refused too. Nothing is written when one is refused. Returns { entries } or
+ * { status, error, details }.
+ */
+async function recordEntries(req, entries, { checkClosedDays = false, checkTransactions = true } = {}) {
+  const rows = entries.map((entry) => ({
+    ...entry,
+    _id: entry._id || new mongoose.Types.ObjectId(),
+    date: utcDay(entry.date || new Date()),
+  }));
+
+  if (checkTransactions) {
+    const conflicts = await findTransactionConflicts(rows.filter((row) => row.type === "payment"));
+    if (conflicts.length > 0) return transactionConflictError(conflicts);
+  }
+
+  if (checkClosedDays) {
+    const hotelIDs = [...new Set(rows.map((row) => row.hotelID ?? null))];
+    for (const hotelID of hotelIDs) {
+      const closedDays = await findClosedDays(
+        hotelID,
+        rows.filter((row) => (row.hotelID ?? null) === hotelID).map((row) => row.date)
+      );
+      if (closedDays.length > 0) {
+        return { status: 409, error: closedDaysMessage(closedDays), details: { closedDays } };
+      }
+    }
+  }
+
+  // The unique claim settles a race the lookup above cannot
+  const claims = rows
+    .filter((row) => row.type === "payment")
+    .flatMap((row) => claimableTransactions([row]).map((p) => ({ ...p, booking: row.booking, payment: row._id })));
+  if (checkTransactions) {
+    const clashes = await claimTransactions(claims);
+    if (clashes.length > 0) return transactionConflictError(clashes);
+  } else {
+    for (const claim of claims) await claimTransactions([claim]);
+  }
+
+  const created = [];
+  try {
+    for (const row of rows) {
+      created.push(
+        await Payment.create({ ...row, receiptNo: await generateReceiptNo(row.hotelID), createdBy: entryUser(req) })
+      );
+    }
+  } catch (error) {
+    const written = new Set(created.map((entry) => String(entry._id)));
+    await releasePaymentTransactions(rows.filter((row) => !written.has(String(row._id))).map((row) => row._id));
+    throw error;
+  }
+  return { entries: created };
+}
+
+// Payments and refunds still in effect (not voided)
+function activeEntries(entries) {
+  const voided = new Set(entries.filter((entry) => entry.type === "void").map((entry) => String(entry.voidOf)));
+  return entries.filter((entry) => entry.type !== "void" && !voided.has(String(entry._id)));
+}
+
+// Ledger entries of a booking or an order, oldest first
+const entriesOf = (filter) => Payment.find(filter).sort({ date: 1, createdAt: 1 }).lean();
+
+// Booking payments[] / refunds[] / paidAmountsByDate from its ledger entries; totalPaid and
+// duePayment follow in the booking's pre-validate hook
+function applyLedger(booking, entries) {
+  const active = activeEntries(entries);
+  const asBookingEntry = (entry) => ({
+    _id: entry._id,
+    paymentMethod: entry.paymentMethod,
+    amount: entry.amount,
+    transactionId: entry.transactionId || "",
+    createdAt: entry.date,
+    receiptNo: entry.receiptNo,
+  });
+
+  booking.payments = active.filter((entry) => entry.type === "payment").map(asBookingEntry);
+  booking.refunds = active
+    .filter((entry) => entry.type === "refund")
+    .map((entry) => ({ ...asBookingEntry(entry), reason: entry.reason, createdBy: entry.createdBy?.username }));
+  booking.paidAmountsByDate = buildPaidAmountsByDate(booking.payments);
+  booking.ledgerSyncedAt = new Date();
+  return booking;
+}
+
+/**
+ * Put the payments / refunds a booking document carries that are not on the ledger yet (the
+ * payload of a new booking, or entries from before the ledger) on the ledger, keeping their
+ * _id and dates, so a payment is voided by the _id it had before. Returns the number of
+ * entries written.
+ */
+async function recordBookingEntries(req, booking) {
+  const itemIds = [...(booking.payments || []), ...(booking.refunds || [])]
+    .map((item) => item._id)
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+  const ledgerIds = await Payment.find({ $or: [{ booking: booking._id }, { _id: { $in: itemIds } }] })
+    .select("_id booking")
+    .lean();
+  const onLedger = new Set(
+    ledgerIds.filter((entry) => String(entry.booking) === String(booking._id)).map((entry) => String(entry._id))
+  );
+  // An _id a client sent that another booking's entry already has gets a new one
+  const usedElsewhere = new Set(ledgerIds.map((entry) => String(entry._id)).filter((id) => !onLedger.has(id)));
+  const pending = (type, items) =>
+    (items || [])
+      .filter((item) => !item.receiptNo && !onLedger.has(String(item._id)) && Number(item.amount) > 0)
+      .map((item) => ({
+        _id: item._id && !usedElsewhere.has(String(item._id)) ? item._id : undefined,
+        type,
+        hotelID: booking.hotelID,
+        booking: booking._id,
+        bookingNo: booking.bookingNo,
+        paymentMethod: PAYMENT_METHODS.includes(item.paymentMethod) ? item.paymentMethod : "CASH",
+        amount: round2(Number(item.amount)),
+        transactionId: item.transactionId || "",
+        date: item.createdAt || new Date(),
+        reason: item.reason,
+      }));
+
+  // Bookings from before payments[] only have an advancePayment
+  const legacyAdvance =
+    !booking.ledgerSyncedAt && (booking.payments || []).length === 0 && booking.advancePayment > 0
+      ? [{ paymentMethod: booking.paymentMethod, amount: booking.advancePayment, createdAt: booking.checkInDate }]
+      : [];
+  const rows = [
+    ...pending("payment", [...(booking.payments || []), ...legacyAdvance]),
+    ...pending("refund", booking.refunds),
+  ];
+  // Callers check the transaction IDs of new payments before saving the booking; what a booking
+  // already carries is recorded as it is
+  if (rows.length > 0) await recordEntries(req, rows, { checkTransactions: false });
+  return rows.length;
+}
+
+/**
+ * Re-derive a booking's payments, refunds and paid / due figures from its ledger and save it.
+ * Entries the booking carries that are not on the ledger yet are recorded first.
+ */
+async function syncBookingLedger(req, booking) {
+  await recordBookingEntries(req, booking);
+  applyLedger(booking, await entriesOf({ booking: booking._id }));
+  return booking.save();
+}
+
+// Net amount paid on a booking's ledger: payments less refunds, voids excluded
+function netPaid(entries) {
+  return round2(
+    activeEntries(entries).reduce((sum, entry) => sum + (entry.type === "refund" ? -entry.amount : entry.amount), 0)
+  );
+}
+
+/**
+ * Void a payment or refund entry: a void entry dated today reverses it. Returns { entry } (the
+ * void) or { status, error }.
+ */
+async function voidEntry(req, entry, reason) {
+  if (entry.type === "void") {
+    return { status: 400, error: "A void cannot be voided; record a new payment or refund instead" };
+  }
+  if (await Payment.exists({ type: "void", voidOf: entry._id })) {
+    return { status: 409, error: `Receipt ${entry.receiptNo} is already voided` };
+  }
+
+  const result = await recordEntries(req, [
+    {
+      type: "void",
+      hotelID: entry.hotelID,
+      booking: entry.booking,
+      bookingNo: entry.bookingNo,
+      order: entry.order,
+      orderNumber: entry.orderNumber,
+      paymentMethod: entry.paymentMethod,
+      amount: entry.amount,
+      transactionId: entry.transactionId,
+      voidOf: entry._id,
+      voidedType: entry.type,
+      reason,
+    },
+  ]);
+  // A voided payment's transaction ID may pay again
+  if (entry.type === "payment") await releasePaymentTransactions([entry._id]);
+  return { entry: result.entries[0] };
+}
+
+/**
+ * Bring an order's ledger in line with its payment status: a paid order has one payment of its
+ * total (re-recorded if the total changed), a refunded one also a refund of what was paid, and
+ * an unpaid or deleted (statusID 255) one nothing in effect. Entries are dated today, except the
+ * first payment of an order, dated when it was paid.
+ */
+async function syncOrderLedger(req, order) {
+  const entries = await entriesOf({ order: order._id });
+  let active = activeEntries(entries);
+  const payments = active.filter((entry) => entry.type === "payment");
+  const refunds = active.filter((entry) => entry.type === "refund");
+  const base = { hotelID: order.hotelID, order: order._id, orderNumber: order.orderNumber };
+  const paymentMethod = ORDER_METHODS[order.paymentMethod] || "CASH";
+  const voidAll = async (items, reason) => {
+    for (const entry of items) await voidEntry(req, entry, reason);
+  };
+
+  const settled = ["paid", "refunded"].includes(order.paymentStatus) && order.statusID !== 255;
+  if (!settled) {
+    await voidAll(active, order.statusID === 255 ? "Order deleted" : `Order marked ${order.paymentStatus}`);
+    return;
+  }
+
+  const paid = round2(payments.reduce((sum, entry) => sum + entry.amount, 0));
+  if (paid !== round2(order.total || 0)) {
+    await voidAll([...payments, ...refunds], paid > 0 ? "Order total changed" : undefined);
+    if (order.total > 0) {
+      await recordEntries(req, [
+        {
+          ...base,
+          type: "payment",
+          paymentMethod,
+          amount: round2(order.total),
+          date: entries.length === 0 ? order.paidAt || new Date() : new Date(),
+        },
+      ]);
+    }
+    active = [];
+  }
+
+  const refunded = active.some((entry) => entry.type === "refund");
+  if (order.paymentStatus === "refunded" && !refunded && order.total > 0) {
+    await recordEntries(req, [
+      { ...base, type: "refund", paymentMethod, amount: round2(order.total), reason: "Order refunded" },
+    ]);
+  }
+  if (order.paymentStatus === "paid" && refunded) {
+    await voidAll(
+      active.filter((entry) => entry.type === "refund"),
+      "Order marked paid again"
+    );
+  }
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  utcDay,
+  buildPaidAmountsByDate,
+  findTransactionConflicts,
+  transactionConflictError,
+  claimBookingTransactions,
+  releaseBookingTransactions,
+  recordEntries,
+  activeEntries,
+  entriesOf,
+  applyLedger,
+  recordBookingEntries,
+  syncBookingLedger,
+  netPaid,
+  voidEntry,
+  syncOrderLedger,
+};
@@ -0,0 +1,98 @@
+// Rate plan pricing for room categories (Hotel.roomCategories[].ratePlan)
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// UTC date-only, so "2026-03-15" is the night of the 15th whatever the server timezone
+function toUTCDateOnly(dateInput) {
+  if (dateInput == null) return null;
+  const str = typeof dateInput === "string" ? dateInput.trim() : null;
+  if (str && /^\d{4}-\d{2}-\d{2}(T|$)/.test(str)) {
+    const [y, m, d] = str.slice(0, 10).split("-").map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+  }
+  const d = new Date(dateInput);
+  if (Number.isNaN(d.getTime())) return null;
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// A category without seasons, weekend uplift or minimum stay is priced flat, as before rate plans
+function hasRatePlan(category) {
+  const plan = category?.ratePlan;
+  if (!plan) return false;
+  return (
+    (plan.seasons || []).length > 0 ||
+    (plan.weekendUplift?.value || 0) > 0 ||
+    (plan.minStay || 1) > 1
+  );
+}
+
+// Season covering a night; on overlap the one starting latest (the more specific) wins
+function findSeason(seasons, night) {
+  let match = null;
+  (seasons || []).forEach((season) => {
+    const start = toUTCDateOnly(season.startDate);
+    const end = toUTCDateOnly(season.endDate);
+    if (start && end && start <= night && night <= end) {
+      if (!match || toUTCDateOnly(match.startDate) <= start) match = season;
+    }
+  });
+  return match;
+}
+
+/**
+ * Night-by-night price of a stay in a category (optionally a specific room).
+ * Base rate is RoomNumber.price, else RoomCategory.basePrice. A season replaces it with its
+ * own price (or raises it by upliftPercent); weekend nights then add the weekend uplift.
+ * Returns null when the dates are invalid.
+ */
+function quoteStay({ category, room, checkInDate, checkOutDate }) {
+  const checkIn = toUTCDateOnly(checkInDate);
+  const checkOut = toUTCDateOnly(checkOutDate);
+  if (!checkIn || !checkOut || checkOut <= checkIn) return null;
+
+  const plan = category?.ratePlan || {};
+  const baseRate = room?.price ?? category?.basePrice ?? 0;
+  const weekendDays = Array.isArray(plan.weekendDays) ? plan.weekendDays : [];
+  const uplift = plan.weekendUplift || {};
+
+  let minStay = plan.minStay || 1;
+  const breakdown = [];
+
+  for (let night = checkIn; night < checkOut; night = new Date(night.getTime() + DAY_MS)) {
+    const season = findSeason(plan.seasons, night);
+    let rate = baseRate;
+    if (season) {
+      if (season.price != null) rate = season.price;
+      else if (season.upliftPercent) rate = baseRate * (1 + season.upliftPercent / 100);
+      if (season.minStay) minStay = Math.max(minStay, season.minStay);
+    }
+
+    const isWeekend = weekendDays.includes(night.getUTCDay());
+    if (isWeekend && uplift.value) {
+      rate += uplift.kind === "flat" ? uplift.value : (rate * uplift.value) / 100;
+    }
+
+    breakdown.push({
+      date: night,
+      rate: round2(rate),
+      season: season ? season.name : null,
+      isWeekend,
+    });
+  }
+
+  return {
+    nights: breakdown.length,
+    baseRate,
+    minStay,
+    meetsMinStay: breakdown.length >= minStay,
+    breakdown,
+    total: round2(breakdown.reduce((sum, item) => sum + item.rate, 0)),
+  };
+}
+
+module.exports = {
+  hasRatePlan,
+  quoteStay,
+};
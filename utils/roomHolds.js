@@ -0,0 +1,112 @@
+// Temporary room holds: a room is kept for an agent for a few minutes while the booking is
+// entered. Holds claim their nights in the room inventory, so other users' bookings and holds
+// conflict with them; the holder's own booking for that room takes the nights over once saved.
+const RoomHold = require("../models/RoomHold");
+const { claimRoomNights, releaseHoldNights, transferHoldNights } = require("./roomInventory");
+
+const HOLD_MINUTES = Number(process.env.ROOM_HOLD_MINUTES) || 10;
+const MAX_HOLD_MINUTES = 30;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+// Payload of the hold:* Socket.io events
+const toHoldEvent = (hold) => ({
+  hotelID: hold.hotelID,
+  holdId: hold._id,
+  roomCategoryID: hold.roomCategoryID,
+  roomNumberID: hold.roomNumberID,
+  roomNumberName: hold.roomNumberName,
+  checkInDate: hold.checkInDate,
+  checkOutDate: hold.checkOutDate,
+  heldBy: hold.heldBy?.username,
+  expiresAt: hold.expiresAt,
+  timestamp: new Date().toISOString(),
+});
+
+// hold:created | hold:released | hold:expired | hold:converted, to the hotel's room
+const emitHoldEvent = (io, event, hold, extra = {}) => {
+  if (!io) return;
+  io.to(`hotel:${hold.hotelID}`).emit(`hold:${event}`, { ...toHoldEvent(hold), ...extra });
+};
+
+// Active holds of a hotel overlapping a stay, optionally leaving out one user's own
+const findActiveHolds = ({ hotelID, roomNumberID, checkInDate, checkOutDate, excludeUserId }) =>
+  RoomHold.find({
+    hotelID: Number(hotelID),
+    ...(roomNumberID && { roomNumberID: String(roomNumberID) }),
+    ...(excludeUserId && { "heldBy.id": { $ne: String(excludeUserId) } }),
+    expiresAt: { $gt: new Date() },
+    checkInDate: { $lt: new Date(checkOutDate) },
+    checkOutDate: { $gt: new Date(checkInDate) },
+  }).lean();
+
+// req.user's active holds on a stay's room overlapping it
+const findOwnHolds = (req, stay) =>
+  req.user
+    ? RoomHold.find({
+        hotelID: Number(stay.hotelID),
+        roomNumberID: String(stay.roomNumberID),
+        "heldBy.id": String(req.user._id),
+        expiresAt: { $gt: new Date() },
+        checkInDate: { $lt: new Date(stay.checkOutDate) },
+        checkOutDate: { $gt: new Date(stay.checkInDate) },
+      }).lean()
+    : Promise.resolve([]);
+
+/**
+ * Claim the nights of a stay for bookingId (see claimRoomNights), except those req.user's own
+ * holds on the room keep for it. The holds are left as they are until the booking is saved
+ * (convertOwnHolds), so a booking that is refused or fails to save costs the agent no hold.
+ * Resolves like claimRoomNights.
+ */
+async function claimWithOwnHolds(req, bookingId, stay) {
+  return claimRoomNights(bookingId, stay, await findOwnHolds(req, stay));
+}
+
+/**
+ * After a booking is saved: the nights of req.user's holds within the stay move to it, the holds
+ * are removed (their other nights freed) and hold:converted goes out. Nights of a hold that
+ * expired in between are claimed directly.
+ */
+async function convertOwnHolds(req, bookingId, stay) {
+  const holds = await findOwnHolds(req, stay);
+  for (const hold of holds) {
+    await transferHoldNights(hold._id, bookingId, stay);
+    await releaseHoldNights(hold._id);
+    await RoomHold.deleteOne({ _id: hold._id });
+    emitHoldEvent(req.io, "converted", hold, { bookingId });
+  }
+  if (holds.length > 0) await claimRoomNights(bookingId, stay);
+}
+
+// Remove expired holds, free their nights and tell the hotel's screens
+async function expireRoomHolds(io) {
+  const expired = await RoomHold.find({ expiresAt: { $lte: new Date() } }).lean();
+  for (const hold of expired) {
+    // Conditional delete: with several app instances only one reports the expiry
+    const removed = await RoomHold.findOneAndDelete({ _id: hold._id, expiresAt: { $lte: new Date() } });
+    if (!removed) continue;
+    await releaseHoldNights(hold._id);
+    emitHoldEvent(io, "expired", hold);
+  }
+  return expired.length;
+}
+
+// Sweep expired holds periodically for the life of the process
+function startHoldSweeper(io, intervalMs = SWEEP_INTERVAL_MS) {
+  const timer = setInterval(() => {
+    expireRoomHolds(io).catch((error) => console.error("Room hold sweep failed:", error.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  MAX_HOLD_MINUTES,
+  emitHoldEvent,
+  findActiveHolds,
+  claimWithOwnHolds,
+  convertOwnHolds,
+  expireRoomHolds,
+  startHoldSweeper,
+};
@@ -0,0 +1,131 @@
+// Per-room-night inventory (RoomNight). A booking claims every night of its stay before it
+// is written; the unique index lets only one of two concurrent claims on a night succeed.
+// The overlap query stays as the first check (it also covers stays booked before the
+// inventory existed); the claim is what closes the race between the check and the write.
+// Temporary room holds claim nights the same way, with an expiry.
+const RoomNight = require("../models/RoomNight");
+const { toUTCDateOnly } = require("./legacyBookings");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const DUPLICATE_KEY = 11000;
+
+const isDuplicateKey = (error) =>
+  error.code === DUPLICATE_KEY || (error.writeErrors || []).some((e) => (e.code ?? e.err?.code) === DUPLICATE_KEY);
+
+// Nights of a stay as UTC midnights
+function stayNights(checkInDate, checkOutDate) {
+  const nights = [];
+  const checkIn = toUTCDateOnly(checkInDate);
+  const checkOut = toUTCDateOnly(checkOutDate);
+  if (!checkIn || !checkOut) return nights;
+  for (let night = checkIn; night < checkOut; night = new Date(night.getTime() + DAY_MS)) {
+    nights.push(night);
+  }
+  return nights;
+}
+
+const stayKeys = (stays) =>
+  new Set(
+    stays.flatMap((stay) =>
+      stayNights(stay.checkInDate, stay.checkOutDate).map((night) => `${stay.hotelID}:${stay.roomNumberID}:${night.getTime()}`)
+    )
+  );
+
+const nightKey = (doc) => `${doc.hotelID}:${doc.roomNumberID}:${new Date(doc.night).getTime()}`;
+
+/**
+ * Claim the nights of a stay ({ hotelID, roomNumberID, checkInDate, checkOutDate }) for owner,
+ * { booking } or { hold, expiresAt }. Nights the owner already holds are kept, and nights of the
+ * except stays (e.g. the owner's own holds) are left out. All or nothing: on a clash the nights
+ * claimed by this call are given back and the night taken (with the booking or hold holding it)
+ * is returned. Resolves to null when the owner holds every night.
+ */
+async function claimNights(owner, stay, except = []) {
+  const hotelID = Number(stay.hotelID);
+  const roomNumberID = String(stay.roomNumberID);
+  const exceptKeys = stayKeys(except);
+  const nights = stayNights(stay.checkInDate, stay.checkOutDate).filter(
+    (night) => !exceptKeys.has(`${hotelID}:${roomNumberID}:${night.getTime()}`)
+  );
+  if (nights.length === 0) return null;
+
+  const ownerFilter = owner.booking ? { booking: owner.booking } : { hold: owner.hold };
+  const held = await RoomNight.find({ ...ownerFilter, hotelID, roomNumberID, night: { $in: nights } })
+    .select("night")
+    .lean();
+  const heldTimes = new Set(held.map((doc) => doc.night.getTime()));
+  const missing = nights.filter((night) => !heldTimes.has(night.getTime()));
+  if (missing.length === 0) return null;
+
+  // Nights of expired holds are free even if the sweeper has not removed them yet
+  await RoomNight.deleteMany({ hotelID, roomNumberID, night: { $in: missing }, expiresAt: { $lte: new Date() } });
+
+  const docs = missing.map((night) => ({ hotelID, roomNumberID, night, ...owner }));
+  try {
+    await RoomNight.insertMany(docs, { ordered: true });
+    return null;
+  } catch (error) {
+    // ordered: the nights before the failing one were inserted; give those back
+    await RoomNight.deleteMany({ ...ownerFilter, hotelID, roomNumberID, night: { $in: missing } });
+    if (!isDuplicateKey(error)) throw error;
+
+    const taken = await RoomNight.findOne({
+      hotelID,
+      roomNumberID,
+      night: { $in: missing },
+      ...(owner.booking ? { booking: { $ne: owner.booking } } : { hold: { $ne: owner.hold } }),
+    }).lean();
+    // The holder may have let go in the meantime; report the first night anyway
+    return {
+      night: taken ? taken.night : missing[0],
+      booking: taken?.booking || null,
+      hold: taken?.hold || null,
+    };
+  }
+}
+
+// Claim the nights of a stay for a booking, leaving out those of the except stays (see claimNights)
+const claimRoomNights = (bookingId, stay, except = []) => claimNights({ booking: bookingId }, stay, except);
+
+// Claim the nights of a RoomHold document until it expires (see claimNights)
+const claimHoldNights = (hold) => claimNights({ hold: hold._id, expiresAt: hold.expiresAt }, hold);
+
+/**
+ * Give back the nights held by bookingId. With keep (a stay or an array of room stays), nights
+ * of those stays are kept, e.g. after moving the dates only the nights no longer covered are released.
+ */
+async function releaseRoomNights(bookingId, keep = null) {
+  if (!keep) {
+    await RoomNight.deleteMany({ booking: bookingId });
+    return;
+  }
+  const keepKeys = stayKeys(Array.isArray(keep) ? keep : [keep]);
+  const held = await RoomNight.find({ booking: bookingId }).lean();
+  const toRelease = held.filter((doc) => !keepKeys.has(nightKey(doc))).map((doc) => doc._id);
+  if (toRelease.length > 0) {
+    await RoomNight.deleteMany({ _id: { $in: toRelease } });
+  }
+}
+
+const releaseHoldNights = (holdId) => RoomNight.deleteMany({ hold: holdId });
+
+// Hand the nights of a hold within a stay over to the booking made from it
+const transferHoldNights = (holdId, bookingId, stay) =>
+  RoomNight.updateMany(
+    {
+      hold: holdId,
+      hotelID: Number(stay.hotelID),
+      roomNumberID: String(stay.roomNumberID),
+      night: { $in: stayNights(stay.checkInDate, stay.checkOutDate) },
+    },
+    { $set: { booking: bookingId }, $unset: { hold: 1, expiresAt: 1 } }
+  );
+
+module.exports = {
+  stayNights,
+  claimRoomNights,
+  claimHoldNights,
+  releaseRoomNights,
+  releaseHoldNights,
+  transferHoldNights,
+};
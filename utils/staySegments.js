@@ -0,0 +1,88 @@
+// Stay segments: a booking whose guest changed rooms mid-stay keeps one bookingNo and one
+// payment history, with segments[] saying which room it used for which nights. A booking
+// without segments uses its top-level room for the whole stay. The top-level room fields
+// always name the current (last) room.
+
+// Room stays of a booking: [{ roomCategoryID, roomNumberID, roomNumberName, checkInDate, checkOutDate, ... }]
+function bookingStays(booking) {
+  if (Array.isArray(booking.segments) && booking.segments.length > 0) {
+    return booking.segments.map((segment) => ({
+      hotelID: booking.hotelID,
+      // Subdocuments of a booking document spread as Mongoose internals, not fields
+      ...(typeof segment.toObject === "function" ? segment.toObject({ virtuals: false }) : segment),
+    }));
+  }
+  return [
+    {
+      hotelID: booking.hotelID,
+      roomCategoryID: booking.roomCategoryID,
+      roomCategoryName: booking.roomCategoryName,
+      roomNumberID: booking.roomNumberID,
+      roomNumberName: booking.roomNumberName,
+      checkInDate: booking.checkInDate,
+      checkOutDate: booking.checkOutDate,
+    },
+  ];
+}
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const round2 = (value) => Math.round(value * 100) / 100;
+const utcDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * Night-by-night room and room charge of a booking: [{ night, roomNumberID, roomNumberName, amount }].
+ * A moved stay uses each segment's nightly price; otherwise the room charge (totalBill without
+ * kitchen, extra bed and early departure charges) is spread evenly over the nights.
+ */
+function bookingNights(booking) {
+  const roomCharge =
+    (booking.totalBill || 0) -
+    (booking.kitchenTotalBill || 0) -
+    (booking.extraBedTotalBill || 0) -
+    (booking.earlyDepartureCharge || 0);
+  return bookingStays(booking).flatMap((stay) => {
+    const checkIn = utcDay(stay.checkInDate);
+    const checkOut = utcDay(stay.checkOutDate);
+    const nights = Math.round((checkOut - checkIn) / DAY_MS);
+    const amount = stay.nightlyPrice != null ? stay.nightlyPrice : round2(Math.max(0, roomCharge) / (nights || 1));
+    return Array.from({ length: Math.max(0, nights) }, (_, index) => ({
+      night: new Date(checkIn.getTime() + index * DAY_MS),
+      roomNumberID: stay.roomNumberID,
+      roomNumberName: stay.roomNumberName,
+      amount,
+    }));
+  });
+}
+
+// Two date ranges overlap if: startA < endB && startB < endA
+const dateOverlap = (checkInDate, checkOutDate) => ({
+  checkInDate: { $lt: new Date(checkOutDate) },
+  checkOutDate: { $gt: new Date(checkInDate) },
+});
+
+/**
+ * Booking filter for stays in a room overlapping the given dates: the top-level room of
+ * bookings without segments, or any segment of moved bookings. roomCategoryID is optional.
+ */
+const roomOverlapFilter = ({ roomNumberID, roomCategoryID, checkInDate, checkOutDate }) => {
+  const room = { roomNumberID, ...(roomCategoryID && { roomCategoryID }) };
+  return {
+    $or: [
+      { ...room, "segments.0": { $exists: false }, ...dateOverlap(checkInDate, checkOutDate) },
+      { segments: { $elemMatch: { ...room, ...dateOverlap(checkInDate, checkOutDate) } } },
+    ],
+  };
+};
+
+const staysOverlap = (stay, checkInDate, checkOutDate) =>
+  new Date(stay.checkInDate) < new Date(checkOutDate) && new Date(checkInDate) < new Date(stay.checkOutDate);
+
+module.exports = {
+  bookingStays,
+  bookingNights,
+  roomOverlapFilter,
+  staysOverlap,
+};
@@ -0,0 +1,75 @@
+// Transaction ID claims (TransactionClaim). A booking claims the transaction IDs of its new
+// payments before it is saved, and every ledger payment claims its own when it is written
+// (taking over its booking's claim); the unique index lets only one of two concurrent claims
+// on an ID succeed. The ledger lookup (findTransactionConflicts in utils/paymentLedger.js)
+// stays as the first check: it also covers payments recorded before the claims existed.
+// Cash and other payments carry free-form references, which may repeat.
+const TransactionClaim = require("../models/TransactionClaim");
+
+const TRANSACTION_METHODS = ["BKASH", "NAGAD", "CARD", "BANK"];
+const DUPLICATE_KEY = 11000;
+
+// { paymentMethod, transactionId } of the payments whose transaction ID pays only once
+const claimableTransactions = (payments) =>
+  (payments || [])
+    .map((p) => ({ paymentMethod: p.paymentMethod, transactionId: String(p.transactionId || "").trim() }))
+    .filter((p) => TRANSACTION_METHODS.includes(p.paymentMethod) && p.transactionId);
+
+/**
+ * Claim transaction IDs: claims [{ paymentMethod, transactionId, booking?, payment? }]. A claim
+ * with a payment takes over its booking's claim of the same ID. All or nothing: on a clash the
+ * claims made and taken over by this call are given back. Resolves to the clashing
+ * [{ paymentMethod, transactionId }], empty when every ID was claimed.
+ */
+async function claimTransactions(claims) {
+  const created = [];
+  const takenOver = [];
+  const giveBack = async () => {
+    if (created.length > 0) await TransactionClaim.deleteMany({ _id: { $in: created } });
+    if (takenOver.length > 0) {
+      await TransactionClaim.updateMany({ _id: { $in: takenOver } }, { $unset: { payment: 1 } });
+    }
+  };
+
+  for (const claim of claims) {
+    const { paymentMethod, transactionId } = claim;
+    try {
+      created.push((await TransactionClaim.create(claim))._id);
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) {
+        await giveBack();
+        throw error;
+      }
+      const own =
+        claim.payment && claim.booking
+          ? await TransactionClaim.findOneAndUpdate(
+              { paymentMethod, transactionId, booking: claim.booking, payment: { $exists: false } },
+              { $set: { payment: claim.payment } }
+            )
+          : null;
+      if (own) {
+        takenOver.push(own._id);
+        continue;
+      }
+      await giveBack();
+      return [{ paymentMethod, transactionId }];
+    }
+  }
+  return [];
+}
+
+// Give back the claims of a booking's payments that were never recorded (the booking was not saved)
+const releaseBookingTransactions = (bookingId) =>
+  TransactionClaim.deleteMany({ booking: bookingId, payment: { $exists: false } });
+
+// Give back the transaction IDs of ledger payments (voided, or never written)
+const releasePaymentTransactions = (paymentIds) =>
+  TransactionClaim.deleteMany({ payment: { $in: paymentIds } });
+
+module.exports = {
+  TRANSACTION_METHODS,
+  claimableTransactions,
+  claimTransactions,
+  releaseBookingTransactions,
+  releasePaymentTransactions,
+};
@@ -267,7 +267,7 @@ const validateBookingQuery = [
   
   query("sortBy")
     .optional()
-    .isIn(["createdAt", "checkInDate", "checkOutDate", "totalBill", "bookingNo"])
+    .isIn(["createdAt", "checkInDate", "checkOutDate", "totalBill", "duePayment", "bookingNo"])
     .withMessage("Invalid sort field"),
   
   query("sortOrder")
@@ -277,14 +277,39 @@ const validateBookingQuery = [
   
   query("statusID")
     .optional()
-    .isInt()
-    .withMessage("Status ID must be a number"),
+    .matches(/^\d+(,\d+)*$/)
+    .withMessage("Status ID must be a number or a comma-separated list of numbers"),
   
   query("hotelID")
     .optional()
     .isInt({ min: 0 })
     .withMessage("Hotel ID must be a valid number"),
   
+  query(["checkInFrom", "checkInTo", "checkOutFrom", "checkOutTo", "createdFrom", "createdTo"])
+    .optional()
+    .isISO8601()
+    .withMessage("Dates must be valid (YYYY-MM-DD)"),
+  
+  query("hasDue")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("hasDue must be 'true' or 'false'"),
+  
+  query("paymentMethod")
+    .optional()
+    .isIn(["CASH", "BKASH", "NAGAD", "BANK", "CARD", "OTHER"])
+    .withMessage("Invalid payment method"),
+  
+  query("search")
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage("Search must be at most 100 characters"),
+  
+  query(["roomCategoryID", "roomNumberID", "bookedBy", "cursor"])
+    .optional()
+    .isString()
+    .withMessage("Invalid filter value"),
+  
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -356,6 +381,29 @@ const validateHotel = [
     .isIn(["active", "inactive", "maintenance"])
     .withMessage("Status must be active, inactive, or maintenance"),
 
+  body("cancellationPolicy.rules.*.minDaysBefore")
+    .isInt({ min: 0 })
+    .withMessage("Cancellation rule days must be 0 or more"),
+
+  body("cancellationPolicy.rules.*.refundPercent")
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Cancellation refund must be between 0 and 100 percent"),
+
+  body("cancellationPolicy.noShowRefundPercent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("No-show refund must be between 0 and 100 percent"),
+
+  body("earlyDeparturePolicy.chargeNights")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Early departure charged nights must be 0 or more"),
+
+  body("earlyDeparturePolicy.chargePercent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Early departure charge must be between 0 and 100 percent"),
+
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -389,6 +437,80 @@ const validateHotelCategory = [
     .isFloat({ min: 0 })
     .withMessage("Base price must be a positive number"),
   
+  body("ratePlan.minStay")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Minimum stay must be at least 1 night"),
+  
+  body("ratePlan.weekendDays.*")
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Weekend days must be 0 (Sunday) to 6 (Saturday)"),
+  
+  body("ratePlan.weekendUplift.kind")
+    .optional()
+    .isIn(["percent", "flat"])
+    .withMessage("Weekend uplift kind must be percent or flat"),
+  
+  body("ratePlan.weekendUplift.value")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Weekend uplift must be a positive number"),
+  
+  body("ratePlan.seasons.*.name")
+    .trim()
+    .notEmpty()
+    .withMessage("Season name is required"),
+  
+  body("ratePlan.seasons.*.startDate")
+    .isISO8601()
+    .withMessage("Season start date must be a valid date"),
+  
+  body("ratePlan.seasons.*.endDate")
+    .isISO8601()
+    .withMessage("Season end date must be a valid date")
+    .custom((value, { req, path }) => {
+      const index = Number(path.match(/\[(\d+)\]/)[1]);
+      const season = req.body.ratePlan.seasons[index];
+      if (new Date(value) < new Date(season.startDate)) {
+        throw new Error("Season end date cannot be before its start date");
+      }
+      return true;
+    }),
+  
+  body("ratePlan.seasons.*.price")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Season price must be a positive number"),
+  
+  body("ratePlan.seasons.*.minStay")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Season minimum stay must be at least 1 night"),
+  
+  body("ratePlan.cancellationPolicy.rules.*.minDaysBefore")
+    .isInt({ min: 0 })
+    .withMessage("Cancellation rule days must be 0 or more"),
+  
+  body("ratePlan.cancellationPolicy.rules.*.refundPercent")
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Cancellation refund must be between 0 and 100 percent"),
+  
+  body("ratePlan.cancellationPolicy.noShowRefundPercent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("No-show refund must be between 0 and 100 percent"),
+  
+  body("ratePlan.earlyDeparturePolicy.chargeNights")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Early departure charged nights must be 0 or more"),
+  
+  body("ratePlan.earlyDeparturePolicy.chargePercent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Early departure charge must be between 0 and 100 percent"),
+  
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -413,8 +535,8 @@ const validateRoom = [
   
   body("status")
     .optional()
-    .isIn(["available", "occupied", "maintenance", "reserved"])
-    .withMessage("Status must be available, occupied, maintenance, or reserved"),
+    .isIn(["available", "occupied", "cleaning", "maintenance", "reserved"])
+    .withMessage("Status must be available, occupied, cleaning, maintenance, or reserved"),
   
   body("price")
     .optional()